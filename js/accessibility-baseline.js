@@ -0,0 +1,308 @@
+/**
+ * @file
+ * Baseline of accepted violations for the scan popup and report page.
+ *
+ * Drupal.accessibility.baseline loads the active baseline entries, leaves
+ * matching instances out of scan results and renders the "Add to baseline"
+ * form. The server applies the same entries when scan results are saved, so
+ * reports and statistics match what the popup shows.
+ */
+
+(function (Drupal, drupalSettings) {
+  'use strict';
+
+  Drupal.accessibility = Drupal.accessibility || {};
+
+  /**
+   * The active entries, once loaded.
+   */
+  let entries = [];
+
+  /**
+   * The pending or finished load of the entries.
+   */
+  let loading = null;
+
+  /**
+   * Escape text for use in HTML.
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  /**
+   * Whether a path matches newline-separated patterns with * wildcards.
+   *
+   * Mirrors the server's path matcher.
+   */
+  function matchPath(path, patterns) {
+    return patterns.split(/\r?\n/).some(function (pattern) {
+      pattern = pattern.trim().toLowerCase();
+      if (!pattern) {
+        return false;
+      }
+      if (pattern === '<front>') {
+        pattern = '/';
+      }
+      const regex = new RegExp('^' + pattern.split('*').map(function (part) {
+        return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+      }).join('.*') + '$');
+      return regex.test(path.toLowerCase());
+    });
+  }
+
+  /**
+   * The path of a URL, as matched against URL patterns.
+   */
+  function pathOf(url) {
+    try {
+      return new URL(url, window.location.href).pathname;
+    }
+    catch (e) {
+      return '/';
+    }
+  }
+
+  Drupal.accessibility.baseline = {
+
+    /**
+     * Whether the current user may add entries.
+     */
+    canManage: function () {
+      const settings = drupalSettings.accessibility && drupalSettings.accessibility.baseline;
+      return !!(settings && settings.canManage);
+    },
+
+    /**
+     * The URL of the page listing all entries, if the user may manage them.
+     */
+    manageUrl: function () {
+      const settings = drupalSettings.accessibility && drupalSettings.accessibility.baseline;
+      return (settings && settings.manageUrl) || '';
+    },
+
+    /**
+     * Load the active entries.
+     *
+     * @param {boolean} [reload]
+     *   Fetch the entries again even if they were loaded before.
+     *
+     * @return {Promise<object[]>}
+     *   Resolves with the entries; an empty list if they could not be loaded.
+     */
+    load: function (reload) {
+      if (loading && !reload) {
+        return loading;
+      }
+      loading = fetch(Drupal.url('accessibility/baseline/entries'), {
+        headers: { 'X-Requested-With': 'XMLHttpRequest' },
+      })
+        .then(function (response) {
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(function (data) {
+          entries = data.entries || [];
+          return entries;
+        })
+        .catch(function (error) {
+          console.error('Error loading baseline entries:', error);
+          entries = [];
+          return entries;
+        });
+      return loading;
+    },
+
+    /**
+     * Find the entry that applies to a violation instance.
+     *
+     * @param {string} url
+     *   The URL of the scanned page.
+     * @param {string} ruleId
+     *   The axe rule ID.
+     * @param {string} selector
+     *   The selector of the element.
+     *
+     * @return {object|null}
+     *   The first matching entry, or null.
+     */
+    match: function (url, ruleId, selector) {
+      const path = pathOf(url);
+      return entries.find(function (entry) {
+        return entry.rule_id === ruleId
+          && (!entry.selector || entry.selector === selector)
+          && (!entry.url_pattern || matchPath(path, entry.url_pattern));
+      }) || null;
+    },
+
+    /**
+     * Leave the baselined instances out of normalized results.
+     *
+     * @param {object} results
+     *   Normalized results from the scanner.
+     * @param {function} selectorFor
+     *   Returns the selector of a node.
+     *
+     * @return {object}
+     *   An object with:
+     *   - results: a copy of the results without the baselined instances;
+     *     violations left without instances are dropped.
+     *   - hidden: the number of instances left out.
+     */
+    apply: function (results, selectorFor) {
+      const baseline = this;
+      let hidden = 0;
+      if (!entries.length) {
+        return { results: results, hidden: 0 };
+      }
+
+      const violations = [];
+      results.violations.forEach(function (violation) {
+        const nodes = violation.nodes.filter(function (node) {
+          return !baseline.match(results.url, violation.id, selectorFor(node));
+        });
+        hidden += violation.nodes.length - nodes.length;
+        if (nodes.length) {
+          violations.push(Object.assign({}, violation, { nodes: nodes }));
+        }
+      });
+
+      return {
+        results: Object.assign({}, results, { violations: violations }),
+        hidden: hidden,
+      };
+    },
+
+    /**
+     * Build the "Add to baseline" form.
+     *
+     * @param {object} options
+     *   - ruleId: the axe rule ID.
+     *   - selector: the selector of one element; when given, the entry can be
+     *     limited to this element.
+     *   - path: the path of the page, offered as the URL pattern.
+     *
+     * @return {string}
+     *   The form markup.
+     */
+    formHtml: function (options) {
+      const id = 'baseline-' + Math.random().toString(36).slice(2, 9);
+      const elementChoice = options.selector ? `
+        <fieldset class="baseline-form-scope">
+          <legend>${Drupal.t('Applies to')}</legend>
+          <label><input type="radio" name="${id}-scope" value="element" checked> ${Drupal.t('This element')}</label>
+          <label><input type="radio" name="${id}-scope" value="rule"> ${Drupal.t('Any element failing this rule')}</label>
+        </fieldset>
+      ` : '';
+
+      return `
+        <form class="baseline-form" data-rule="${escapeHtml(options.ruleId)}" data-selector="${escapeHtml(options.selector || '')}">
+          ${elementChoice}
+          <label for="${id}-pages">${Drupal.t('Pages')}</label>
+          <input type="text" id="${id}-pages" name="url_pattern" value="${escapeHtml(options.path || '')}" aria-describedby="${id}-pages-help">
+          <div class="baseline-form-help" id="${id}-pages-help">${Drupal.t('Use * as a wildcard; leave empty for all pages.')}</div>
+          <label for="${id}-status">${Drupal.t('Status')}</label>
+          <select id="${id}-status" name="status">
+            <option value="false_positive">${Drupal.t('False positive')}</option>
+            <option value="accepted">${Drupal.t('Accepted risk')}</option>
+            <option value="deferred">${Drupal.t('Deferred')}</option>
+          </select>
+          <label for="${id}-reason">${Drupal.t('Reason')}</label>
+          <textarea id="${id}-reason" name="reason" rows="2" required></textarea>
+          <label for="${id}-expires">${Drupal.t('Expires')}</label>
+          <input type="date" id="${id}-expires" name="expires">
+          <div class="baseline-form-actions">
+            <button type="submit" class="button button--small button--primary">${Drupal.t('Add to baseline')}</button>
+            <span class="baseline-message" aria-live="polite"></span>
+          </div>
+        </form>
+      `;
+    },
+
+    /**
+     * Save the "Add to baseline" forms rendered inside a container.
+     *
+     * @param {Element} container
+     *   The element the forms are rendered into; bound once.
+     * @param {function} onSaved
+     *   Called with the saved entry once the entries are reloaded.
+     */
+    bindForms: function (container, onSaved) {
+      const baseline = this;
+      if (container.hasAttribute('data-baseline-bound')) {
+        return;
+      }
+      container.setAttribute('data-baseline-bound', 'true');
+
+      container.addEventListener('submit', function (e) {
+        const form = e.target.closest('.baseline-form');
+        if (!form) {
+          return;
+        }
+        e.preventDefault();
+
+        const message = form.querySelector('.baseline-message');
+        const scope = form.querySelector('input[type="radio"]:checked');
+        const entry = {
+          rule_id: form.getAttribute('data-rule'),
+          selector: scope && scope.value === 'element' ? form.getAttribute('data-selector') : '',
+          url_pattern: form.elements.url_pattern.value.trim(),
+          status: form.elements.status.value,
+          reason: form.elements.reason.value.trim(),
+          expires: form.elements.expires.value,
+        };
+        if (!entry.reason) {
+          message.textContent = Drupal.t('Give a reason first.');
+          form.elements.reason.focus();
+          return;
+        }
+
+        message.textContent = Drupal.t('Saving...');
+        baseline.save(entry)
+          .then(function (saved) {
+            Drupal.announce(Drupal.t('@rule was added to the baseline.', { '@rule': saved.rule_id }));
+            onSaved(saved, form);
+          })
+          .catch(function (error) {
+            message.textContent = Drupal.t('Could not save: @error', { '@error': error.message });
+          });
+      });
+    },
+
+    /**
+     * Save a new entry and reload the active entries.
+     *
+     * @return {Promise<object>}
+     *   Resolves with the saved entry.
+     */
+    save: function (entry) {
+      const baseline = this;
+      return fetch(Drupal.url('accessibility/baseline/entry'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Requested-With': 'XMLHttpRequest',
+        },
+        body: JSON.stringify(entry),
+      })
+        .then(function (response) {
+          return response.json().then(function (data) {
+            if (!response.ok || !data.success) {
+              throw new Error(data.message || `HTTP error! status: ${response.status}`);
+            }
+            return data.entry;
+          });
+        })
+        .then(function (saved) {
+          return baseline.load(true).then(function () {
+            return saved;
+          });
+        });
+    },
+  };
+
+})(Drupal, drupalSettings);
@@ -0,0 +1,374 @@
+/**
+ * @file
+ * SARIF 2.1 and JUnit XML export of scan results.
+ *
+ * Drupal.accessibility.exportFormats turns the results of one or more scans
+ * into files that CI dashboards and code scanning tools read natively. The
+ * formatters use no DOM APIs, so scripts/accessibility-scan.js loads this
+ * file as well and command-line scans export the same files as the scan
+ * popup and the report page.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.accessibility = Drupal.accessibility || {};
+
+  /**
+   * The formats scans can be exported to.
+   */
+  const FORMATS = {
+    sarif: { label: 'SARIF', extension: 'sarif', type: 'application/sarif+json' },
+    junit: { label: 'JUnit XML', extension: 'xml', type: 'application/xml' },
+    json: { label: 'JSON', extension: 'json', type: 'application/json' },
+  };
+
+  /**
+   * SARIF result levels by axe impact.
+   */
+  const LEVELS = {
+    critical: 'error',
+    serious: 'error',
+    moderate: 'warning',
+    minor: 'note',
+  };
+
+  /**
+   * The selector of an instance, as shown in the scan results.
+   */
+  function selectorFor(node) {
+    return (node.target || []).map(function (part) {
+      return Array.isArray(part) ? part.join(' ') : part;
+    }).join(' ');
+  }
+
+  /**
+   * The scan time as an ISO 8601 date.
+   *
+   * Results from the scanner are stamped in milliseconds, saved scans in
+   * seconds.
+   */
+  function isoDate(timestamp) {
+    if (!timestamp) {
+      return new Date().toISOString();
+    }
+    return new Date(timestamp < 1e12 ? timestamp * 1000 : timestamp).toISOString();
+  }
+
+  /**
+   * Escape text for use in XML, dropping characters XML does not allow.
+   */
+  function escapeXml(text) {
+    return String(text == null ? '' : text)
+      .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * The text of a failure: each instance with why it fails.
+   */
+  function failureText(rule) {
+    let text = '';
+    rule.nodes.forEach(function (node) {
+      text += selectorFor(node) + '\n';
+      if (node.failureSummary) {
+        text += '  ' + node.failureSummary.replace(/\n/g, '\n  ') + '\n';
+      }
+    });
+    if (rule.helpUrl) {
+      text += '\nMore information: ' + rule.helpUrl + '\n';
+    }
+    return text;
+  }
+
+  Drupal.accessibility.exportFormats = {
+
+    formats: FORMATS,
+
+    /**
+     * Build a SARIF 2.1 log of scans.
+     *
+     * Each instance of a violation is a result located by the page URL and
+     * the element's selector. Results that need review are included with
+     * the "review" kind.
+     *
+     * @param {object[]} scans
+     *   Results of Drupal.accessibility.scanner.run(), or saved scans, each
+     *   with url, timestamp, violations and optionally incomplete, engine
+     *   and profile keys.
+     *
+     * @return {object}
+     *   The SARIF log.
+     */
+    sarif: function (scans) {
+      const rules = [];
+      const ruleIndex = {};
+      const results = [];
+      let engine = null;
+
+      const addRule = function (rule) {
+        if (ruleIndex.hasOwnProperty(rule.id)) {
+          return ruleIndex[rule.id];
+        }
+        ruleIndex[rule.id] = rules.length;
+        rules.push({
+          id: rule.id,
+          name: rule.id,
+          shortDescription: { text: rule.help || rule.id },
+          fullDescription: { text: rule.description || rule.help || rule.id },
+          helpUri: rule.helpUrl || undefined,
+          help: {
+            text: rule.helpUrl ? (rule.help || rule.id) + ' More information: ' + rule.helpUrl : (rule.help || rule.id),
+          },
+          defaultConfiguration: { level: LEVELS[rule.impact] || 'warning' },
+          properties: {
+            tags: rule.tags || [],
+            'problem.severity': LEVELS[rule.impact] === 'note' ? 'recommendation' : (LEVELS[rule.impact] || 'warning'),
+          },
+        });
+        return ruleIndex[rule.id];
+      };
+
+      const addResults = function (scan, rule, review) {
+        const index = addRule(rule);
+        rule.nodes.forEach(function (node) {
+          const selector = selectorFor(node);
+          const impact = node.impact || rule.impact;
+          const result = {
+            ruleId: rule.id,
+            ruleIndex: index,
+            message: {
+              text: rule.help + (node.failureSummary ? '\n' + node.failureSummary : ''),
+            },
+            locations: [{
+              physicalLocation: {
+                artifactLocation: { uri: scan.url },
+              },
+              logicalLocations: [{
+                name: selector,
+                fullyQualifiedName: scan.url + ' ' + selector,
+                kind: 'element',
+              }],
+            }],
+            partialFingerprints: {
+              'axeTarget/v1': [scan.url, rule.id, selector].join('|'),
+            },
+            // A region needs a line in the source, which axe does not
+            // report, so the element's markup is kept as a property.
+            properties: { impact: impact, html: node.html || undefined },
+          };
+          if (review) {
+            result.kind = 'review';
+            result.level = 'none';
+          }
+          else {
+            result.level = LEVELS[impact] || 'warning';
+          }
+          results.push(result);
+        });
+      };
+
+      scans.forEach(function (scan) {
+        engine = engine || scan.engine || null;
+        (scan.violations || []).forEach(function (rule) {
+          addResults(scan, rule, false);
+        });
+        (scan.incomplete || []).forEach(function (rule) {
+          addResults(scan, rule, true);
+        });
+      });
+
+      return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+          tool: {
+            driver: {
+              name: 'axe-core',
+              version: engine || undefined,
+              informationUri: 'https://github.com/dequelabs/axe-core',
+              rules: rules,
+            },
+          },
+          artifacts: scans.map(function (scan) {
+            return { location: { uri: scan.url }, description: scan.title ? { text: scan.title } : undefined };
+          }),
+          invocations: [{
+            executionSuccessful: true,
+            endTimeUtc: isoDate(scans.length ? scans[scans.length - 1].timestamp : null),
+          }],
+          results: results,
+        }],
+      };
+    },
+
+    /**
+     * Build a JUnit XML report of scans.
+     *
+     * Each page is a test suite and each violated rule a failed test case,
+     * with its instances and help link in the failure. Rules that need
+     * review are skipped test cases, and a page without violations gets a
+     * single passing one.
+     *
+     * @param {object[]} scans
+     *   The scans, see sarif().
+     *
+     * @return {string}
+     *   The XML.
+     */
+    junit: function (scans) {
+      let tests = 0;
+      let failures = 0;
+      let suites = '';
+
+      scans.forEach(function (scan) {
+        const violations = scan.violations || [];
+        const incomplete = scan.incomplete || [];
+        let cases = '';
+
+        violations.forEach(function (rule) {
+          const message = rule.help + ' (' + rule.nodes.length + (rule.nodes.length === 1 ? ' element)' : ' elements)');
+          cases += `    <testcase classname="${escapeXml(scan.url)}" name="${escapeXml(rule.id + ': ' + rule.help)}">
+      <failure type="${escapeXml(rule.impact)}" message="${escapeXml(message)}">${escapeXml(failureText(rule))}</failure>
+    </testcase>
+`;
+        });
+        incomplete.forEach(function (rule) {
+          cases += `    <testcase classname="${escapeXml(scan.url)}" name="${escapeXml(rule.id + ': ' + rule.help)}">
+      <skipped message="${escapeXml('Needs review: ' + rule.help)}"/>
+    </testcase>
+`;
+        });
+        if (!violations.length) {
+          cases += `    <testcase classname="${escapeXml(scan.url)}" name="No accessibility violations"/>
+`;
+        }
+
+        const count = violations.length + incomplete.length + (violations.length ? 0 : 1);
+        tests += count;
+        failures += violations.length;
+
+        let properties = '';
+        [['url', scan.url], ['profile', scan.profile], ['axe-core', scan.engine]].forEach(function (property) {
+          if (property[1]) {
+            properties += `      <property name="${property[0]}" value="${escapeXml(property[1])}"/>
+`;
+          }
+        });
+
+        suites += `  <testsuite name="${escapeXml(scan.title ? scan.title + ' (' + scan.url + ')' : scan.url)}" tests="${count}" failures="${violations.length}" errors="0" skipped="${incomplete.length}" timestamp="${isoDate(scan.timestamp).slice(0, 19)}">
+    <properties>
+${properties}    </properties>
+${cases}  </testsuite>
+`;
+      });
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Accessibility scan" tests="${tests}" failures="${failures}" errors="0">
+${suites}</testsuites>
+`;
+    },
+
+    /**
+     * Serialize scans in a format.
+     *
+     * @param {object[]} scans
+     *   The scans, see sarif().
+     * @param {string} format
+     *   A key of formats: sarif, junit or json.
+     *
+     * @return {string}
+     *   The file contents.
+     */
+    serialize: function (scans, format) {
+      if (format === 'sarif') {
+        return JSON.stringify(this.sarif(scans), null, 2);
+      }
+      if (format === 'junit') {
+        return this.junit(scans);
+      }
+      return JSON.stringify(scans.length === 1 ? scans[0] : scans, null, 2);
+    },
+
+    /**
+     * Buttons to export the shown results, one per format.
+     *
+     * @return {string}
+     *   The markup, bound by bind().
+     */
+    buttonsHtml: function () {
+      let html = '<div class="accessibility-export" role="group" aria-label="' + Drupal.t('Export results') + '">';
+      html += '<span class="accessibility-export-label" aria-hidden="true">' + Drupal.t('Export:') + '</span>';
+      Object.keys(FORMATS).forEach(function (format) {
+        html += '<button type="button" class="accessibility-export-button" data-export-format="' + format + '">' + FORMATS[format].label + '</button>';
+      });
+      return html + '</div>';
+    },
+
+    /**
+     * Download exports from the buttons of buttonsHtml() in a container.
+     *
+     * @param {Element} container
+     *   The element containing the buttons; bound once.
+     * @param {function} getScans
+     *   Returns the scans to export, or a promise of them. An empty list
+     *   disables the export.
+     */
+    bind: function (container, getScans) {
+      const exportFormats = this;
+      if (container.hasAttribute('data-export-bound')) {
+        return;
+      }
+      container.setAttribute('data-export-bound', 'true');
+
+      container.addEventListener('click', function (e) {
+        const button = e.target.closest('[data-export-format]');
+        if (!button) {
+          return;
+        }
+        button.disabled = true;
+        Promise.resolve(getScans())
+          .then(function (scans) {
+            if (!scans || !scans.length) {
+              throw new Error(Drupal.t('There are no scan results to export.'));
+            }
+            exportFormats.download(scans, button.getAttribute('data-export-format'));
+          })
+          .catch(function (error) {
+            window.alert(error.message);
+          })
+          .finally(function () {
+            button.disabled = false;
+          });
+      });
+    },
+
+    /**
+     * Download scans as a file.
+     *
+     * @param {object[]} scans
+     *   The scans, see sarif().
+     * @param {string} format
+     *   A key of formats.
+     */
+    download: function (scans, format) {
+      const blob = new Blob([this.serialize(scans, format)], { type: FORMATS[format].type });
+      const url = URL.createObjectURL(blob);
+      const host = scans.length === 1 ? new URL(scans[0].url).host + new URL(scans[0].url).pathname : 'site';
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'accessibility-' + host.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '') + '-' + isoDate(scans[0].timestamp).slice(0, 10) + '.' + FORMATS[format].extension;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+
+      URL.revokeObjectURL(url);
+    },
+  };
+
+})(Drupal);
@@ -0,0 +1,414 @@
+/**
+ * @file
+ * Highlight layer for the instances of an accessibility violation.
+ *
+ * Drupal.accessibility.highlighter draws a numbered box over each instance
+ * and keeps the boxes on their elements while the page scrolls, resizes or
+ * reflows. A toolbar steps through the instances; instances that are hidden,
+ * off-screen or no longer on the page are reported there instead of being
+ * drawn in the wrong place.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.accessibility = Drupal.accessibility || {};
+
+  /**
+   * Elements of the highlighter itself, ignored when watching for changes.
+   */
+  const OWN_UI = '.accessibility-highlight-layer, .highlight-notification';
+
+  /**
+   * The highlighted instances and the observers that keep them in place.
+   */
+  const state = {
+    items: [],
+    current: -1,
+    layer: null,
+    toolbar: null,
+    frame: 0,
+    resizeObserver: null,
+    intersectionObserver: null,
+    mutationObserver: null,
+  };
+
+  /**
+   * Redraw on the next animation frame, at most once per frame.
+   */
+  function schedule() {
+    if (!state.frame) {
+      state.frame = requestAnimationFrame(update);
+    }
+  }
+
+  /**
+   * Work out where an instance is relative to the viewport.
+   *
+   * @return {string}
+   *   One of "visible", "above", "below", "clipped" (inside a scrolled or
+   *   overflowing container), "hidden" or "missing".
+   */
+  function locate(item) {
+    const element = item.element;
+    if (!element || !element.isConnected) {
+      return 'missing';
+    }
+    if (!element.getClientRects().length || getComputedStyle(element).visibility === 'hidden') {
+      return 'hidden';
+    }
+
+    const rect = element.getBoundingClientRect();
+    if (rect.bottom < 0) {
+      return 'above';
+    }
+    if (rect.top > window.innerHeight) {
+      return 'below';
+    }
+    // Inside the viewport but cut off by a scrolling ancestor.
+    if (item.inView === false) {
+      return 'clipped';
+    }
+    return 'visible';
+  }
+
+  /**
+   * Describe where an instance is, for the toolbar and announcements.
+   */
+  function describe(position) {
+    switch (position) {
+      case 'above':
+        return Drupal.t('above the visible area');
+      case 'below':
+        return Drupal.t('below the visible area');
+      case 'clipped':
+        return Drupal.t('scrolled out of view inside its container');
+      case 'hidden':
+        return Drupal.t('hidden, not visible on the page');
+      case 'missing':
+        return Drupal.t('not found on the page');
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Move every box onto its element and refresh the toolbar.
+   */
+  function update() {
+    state.frame = 0;
+    if (!state.layer) {
+      return;
+    }
+
+    state.items.forEach(function (item, index) {
+      item.position = locate(item);
+      const box = item.box;
+      box.classList.toggle('is-current', index === state.current);
+
+      if (item.position !== 'visible') {
+        box.hidden = true;
+        return;
+      }
+      const rect = item.element.getBoundingClientRect();
+      box.hidden = false;
+      box.style.top = rect.top + 'px';
+      box.style.left = rect.left + 'px';
+      box.style.width = rect.width + 'px';
+      box.style.height = rect.height + 'px';
+    });
+
+    updateIndicator();
+    updateToolbar();
+  }
+
+  /**
+   * Point to the current instance when it is not on screen.
+   */
+  function updateIndicator() {
+    const indicator = state.layer.querySelector('.accessibility-highlight-indicator');
+    const item = state.items[state.current];
+    const position = item ? item.position : 'visible';
+
+    if (position === 'visible') {
+      indicator.hidden = true;
+      return;
+    }
+    indicator.hidden = false;
+    indicator.className = 'accessibility-highlight-indicator accessibility-highlight-indicator--' + position;
+    const arrow = position === 'above' ? '↑ ' : (position === 'below' ? '↓ ' : '');
+    indicator.textContent = arrow + Drupal.t('Instance @number is @where', {
+      '@number': state.current + 1,
+      '@where': describe(position),
+    });
+  }
+
+  /**
+   * Refresh the toolbar status and navigation buttons.
+   */
+  function updateToolbar() {
+    const status = state.toolbar.querySelector('.highlight-status');
+    const item = state.items[state.current];
+    let text = Drupal.t('Instance @number of @count', {
+      '@number': state.current + 1,
+      '@count': state.items.length,
+    });
+    if (item && item.position !== 'visible') {
+      text += ' (' + describe(item.position) + ')';
+    }
+
+    const unavailable = state.items.filter(function (candidate) {
+      return candidate.position === 'hidden' || candidate.position === 'missing';
+    }).length;
+    if (unavailable) {
+      text += ' · ' + Drupal.formatPlural(unavailable, '1 not visible', '@count not visible');
+    }
+    status.textContent = text;
+
+    const single = state.items.length < 2;
+    state.toolbar.querySelectorAll('.highlight-nav-btn').forEach(function (button) {
+      button.disabled = single;
+    });
+  }
+
+  /**
+   * Build the layer holding the boxes and the off-screen indicator.
+   */
+  function buildLayer() {
+    const layer = document.createElement('div');
+    layer.className = 'accessibility-highlight-layer';
+    layer.setAttribute('aria-hidden', 'true');
+
+    state.items.forEach(function (item, index) {
+      const box = document.createElement('div');
+      box.className = 'accessibility-highlight';
+      box.hidden = true;
+      const badge = document.createElement('span');
+      badge.className = 'accessibility-highlight-badge';
+      badge.textContent = index + 1;
+      box.appendChild(badge);
+      layer.appendChild(box);
+      item.box = box;
+    });
+
+    const indicator = document.createElement('div');
+    indicator.className = 'accessibility-highlight-indicator';
+    indicator.hidden = true;
+    layer.appendChild(indicator);
+
+    return layer;
+  }
+
+  /**
+   * Build the toolbar to step through the instances.
+   */
+  function buildToolbar(label) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'highlight-notification';
+    toolbar.setAttribute('role', 'region');
+    toolbar.setAttribute('aria-label', label
+      ? Drupal.t('Highlighted instances of @rule', { '@rule': label })
+      : Drupal.t('Highlighted instances'));
+
+    toolbar.innerHTML = `
+      <p class="highlight-status"></p>
+      <button type="button" class="highlight-nav-btn highlight-nav-btn--previous" aria-label="${Drupal.t('Previous instance')}">‹ ${Drupal.t('Previous')}</button>
+      <button type="button" class="highlight-nav-btn highlight-nav-btn--next" aria-label="${Drupal.t('Next instance')}">${Drupal.t('Next')} ›</button>
+      <button type="button" class="clear-highlights-btn">${Drupal.t('Clear Highlights')}</button>
+    `;
+
+    toolbar.addEventListener('click', function (e) {
+      const highlighter = Drupal.accessibility.highlighter;
+      if (e.target.closest('.highlight-nav-btn--previous')) {
+        highlighter.previous();
+      }
+      else if (e.target.closest('.highlight-nav-btn--next')) {
+        highlighter.next();
+      }
+      else if (e.target.closest('.clear-highlights-btn')) {
+        highlighter.clear();
+      }
+    });
+
+    return toolbar;
+  }
+
+  /**
+   * Start following the highlighted elements.
+   */
+  function observe() {
+    if (typeof ResizeObserver !== 'undefined') {
+      state.resizeObserver = new ResizeObserver(schedule);
+      state.resizeObserver.observe(document.documentElement);
+    }
+    if (typeof IntersectionObserver !== 'undefined') {
+      state.intersectionObserver = new IntersectionObserver(function (entries) {
+        entries.forEach(function (entry) {
+          const item = state.items.find(function (candidate) {
+            return candidate.element === entry.target;
+          });
+          if (item) {
+            item.inView = entry.isIntersecting;
+          }
+        });
+        schedule();
+      });
+    }
+    state.items.forEach(function (item) {
+      if (!item.element) {
+        return;
+      }
+      if (state.resizeObserver) {
+        state.resizeObserver.observe(item.element);
+      }
+      if (state.intersectionObserver) {
+        state.intersectionObserver.observe(item.element);
+      }
+    });
+
+    // Elements can move without resizing, e.g. when content above them
+    // changes or a sticky header is shown.
+    state.mutationObserver = new MutationObserver(function (mutations) {
+      const relevant = mutations.some(function (mutation) {
+        const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+        return target && !target.closest(OWN_UI);
+      });
+      if (relevant) {
+        schedule();
+      }
+    });
+    state.mutationObserver.observe(document.body, {
+      attributes: true,
+      childList: true,
+      characterData: true,
+      subtree: true,
+    });
+
+    // Capture scrolls of any container, not just the window.
+    window.addEventListener('scroll', schedule, { capture: true, passive: true });
+    window.addEventListener('resize', schedule);
+  }
+
+  /**
+   * Stop following the highlighted elements.
+   */
+  function disconnect() {
+    ['resizeObserver', 'intersectionObserver', 'mutationObserver'].forEach(function (name) {
+      if (state[name]) {
+        state[name].disconnect();
+        state[name] = null;
+      }
+    });
+    window.removeEventListener('scroll', schedule, { capture: true });
+    window.removeEventListener('resize', schedule);
+    if (state.frame) {
+      cancelAnimationFrame(state.frame);
+      state.frame = 0;
+    }
+  }
+
+  Drupal.accessibility.highlighter = {
+
+    /**
+     * Highlight a set of instances, replacing any current highlights.
+     *
+     * @param {Array<Element|null>} elements
+     *   The element of each instance, in instance order. Null for instances
+     *   whose element could not be found; they keep their number.
+     * @param {object} [options]
+     *   - label: the rule the instances belong to, for the toolbar.
+     *   - start: the index of the instance to go to first, default 0.
+     *
+     * @return {number}
+     *   The number of instances.
+     */
+    show: function (elements, options) {
+      options = options || {};
+      this.clear();
+      if (!elements || !elements.length) {
+        return 0;
+      }
+
+      state.items = elements.map(function (element) {
+        return { element: element || null, inView: null, position: 'missing', box: null };
+      });
+      state.layer = buildLayer();
+      state.toolbar = buildToolbar(options.label);
+      document.body.appendChild(state.layer);
+      document.body.appendChild(state.toolbar);
+      observe();
+
+      this.go(options.start || 0);
+      return state.items.length;
+    },
+
+    /**
+     * Go to an instance: scroll it into view and mark it as current.
+     *
+     * @param {number} index
+     *   The instance index, wrapping around at either end.
+     */
+    go: function (index) {
+      const count = state.items.length;
+      if (!count) {
+        return;
+      }
+      state.current = ((index % count) + count) % count;
+
+      const item = state.items[state.current];
+      const position = locate(item);
+      if (position !== 'hidden' && position !== 'missing') {
+        item.element.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
+      }
+      update();
+
+      let message = Drupal.t('Instance @number of @count', {
+        '@number': state.current + 1,
+        '@count': count,
+      });
+      if (position === 'hidden' || position === 'missing') {
+        message += ', ' + describe(position);
+      }
+      Drupal.announce(message);
+    },
+
+    /**
+     * Go to the next instance.
+     */
+    next: function () {
+      this.go(state.current + 1);
+    },
+
+    /**
+     * Go to the previous instance.
+     */
+    previous: function () {
+      this.go(state.current - 1);
+    },
+
+    /**
+     * Remove all highlights.
+     */
+    clear: function () {
+      disconnect();
+      if (state.layer) {
+        state.layer.remove();
+      }
+      if (state.toolbar) {
+        state.toolbar.remove();
+      }
+      state.items = [];
+      state.current = -1;
+      state.layer = null;
+      state.toolbar = null;
+    },
+
+    /**
+     * Whether anything is highlighted.
+     */
+    isActive: function () {
+      return state.items.length > 0;
+    },
+  };
+
+})(Drupal);
@@ -0,0 +1,611 @@
+/**
+ * @file
+ * A small writer for tagged, text-based PDF documents.
+ *
+ * Drupal.accessibility.pdfDocument lays out headings, paragraphs and tables
+ * on A4 pages and writes them as a tagged PDF: real text in the standard
+ * Helvetica and Courier fonts, a structure tree with headings, paragraphs
+ * and table cells in reading order, bookmarks for the headings, and page
+ * decorations marked as artifacts. Tables break between rows and repeat
+ * their header row on each page.
+ *
+ * It uses no DOM APIs and no external libraries. The standard fonts cover
+ * the Windows-1252 characters; others are printed as "?". The structure
+ * elements with such text carry the original as their actual text, for
+ * screen readers and copying, and the footer of each page says that
+ * characters were replaced.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.accessibility = Drupal.accessibility || {};
+
+  /**
+   * A4 page size and margins, in points.
+   */
+  const PAGE_WIDTH = 595.28;
+  const PAGE_HEIGHT = 841.89;
+  const MARGIN = 50;
+  const FOOTER_HEIGHT = 24;
+  const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+  /**
+   * The standard fonts used, by style.
+   */
+  const FONTS = {
+    regular: { resource: 'F1', base: 'Helvetica' },
+    bold: { resource: 'F2', base: 'Helvetica-Bold' },
+    mono: { resource: 'F3', base: 'Courier' },
+  };
+
+  /**
+   * Glyph widths of characters 32 to 126, in 1/1000 of the font size.
+   */
+  const WIDTHS = {
+    regular: [
+      278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+      1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+      333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+    ],
+    bold: [
+      278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+      975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+      333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+      611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+    ],
+  };
+
+  /**
+   * Windows-1252 codes of the characters outside Latin-1.
+   */
+  const WIN_ANSI = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85,
+    0x2020: 0x86, 0x2021: 0x87, 0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A,
+    0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92,
+    0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97,
+    0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C,
+    0x017E: 0x9E, 0x0178: 0x9F,
+  };
+
+  /**
+   * Whether a character is written as itself in Windows-1252.
+   */
+  function isLatin1(code) {
+    return code === 10 || (code >= 32 && code < 127) || (code >= 160 && code < 256);
+  }
+
+  /**
+   * Encode text in Windows-1252, one character per byte.
+   */
+  function toWinAnsi(text) {
+    let bytes = '';
+    for (const character of String(text == null ? '' : text).replace(/\t/g, ' ')) {
+      const code = character.codePointAt(0);
+      if (isLatin1(code)) {
+        bytes += character;
+      }
+      else if (WIN_ANSI[code]) {
+        bytes += String.fromCharCode(WIN_ANSI[code]);
+      }
+      else if (code >= 32) {
+        bytes += '?';
+      }
+    }
+    return bytes;
+  }
+
+  /**
+   * Whether toWinAnsi() replaces characters of the text by "?".
+   */
+  function hasReplacements(text) {
+    for (const character of String(text == null ? '' : text)) {
+      const code = character.codePointAt(0);
+      if (code >= 32 && !isLatin1(code) && !WIN_ANSI[code]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * The width of encoded text, in points.
+   */
+  function textWidth(bytes, style, size) {
+    if (style === 'mono') {
+      return bytes.length * 0.6 * size;
+    }
+    let width = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      width += WIDTHS[style][bytes.charCodeAt(i) - 32] || 556;
+    }
+    return width * size / 1000;
+  }
+
+  /**
+   * Wrap encoded text to a width, breaking words that do not fit a line.
+   */
+  function wrap(bytes, style, size, width) {
+    const lines = [];
+    bytes.split('\n').forEach(function (paragraph) {
+      let line = '';
+      paragraph.split(/ +/).forEach(function (word) {
+        const candidate = line ? line + ' ' + word : word;
+        if (textWidth(candidate, style, size) <= width) {
+          line = candidate;
+          return;
+        }
+        if (line) {
+          lines.push(line);
+        }
+        line = '';
+        while (textWidth(word, style, size) > width) {
+          let fit = 1;
+          while (fit < word.length && textWidth(word.slice(0, fit + 1), style, size) <= width) {
+            fit++;
+          }
+          lines.push(word.slice(0, fit));
+          word = word.slice(fit);
+        }
+        line = word;
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  /**
+   * A PDF literal string of encoded text.
+   */
+  function pdfString(bytes) {
+    return '(' + bytes.replace(/[\\()]/g, '\\$&') + ')';
+  }
+
+  /**
+   * A PDF text string, in UTF-16, for titles outside the page content.
+   */
+  function textString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+      hex += ('000' + text.charCodeAt(i).toString(16).toUpperCase()).slice(-4);
+    }
+    return '<' + hex + '>';
+  }
+
+  /**
+   * A number as written in PDF operators.
+   */
+  function num(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Text encoded as UTF-8, one byte per character.
+   */
+  function utf8(text) {
+    return Array.from(new TextEncoder().encode(text), function (byte) {
+      return String.fromCharCode(byte);
+    }).join('');
+  }
+
+  /**
+   * Escape text for use in XML.
+   */
+  function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  Drupal.accessibility.pdfDocument = {
+
+    /**
+     * Start a document.
+     *
+     * @param {object} options
+     *   Options with these keys:
+     *   - title: the document title, shown in the title bar of PDF readers.
+     *   - lang: the language of the text, such as "en".
+     *   - footer: (optional) text in the footer of every page, before the
+     *     page number.
+     *
+     * @return {object}
+     *   The document, with heading(), paragraph(), table(), pageBreak() and
+     *   output() methods.
+     */
+    create: function (options) {
+      const pages = [];
+      const outline = [];
+      const root = { type: 'Document', kids: [] };
+      let page = null;
+      let y = 0;
+      let replaced = false;
+
+      const top = PAGE_HEIGHT - MARGIN;
+      const bottom = MARGIN + FOOTER_HEIGHT;
+
+      const newPage = function () {
+        page = { ops: [], parents: [] };
+        pages.push(page);
+        y = top;
+      };
+
+      const atTop = function () {
+        return y === top;
+      };
+
+      const element = function (type, parent, attributes) {
+        const elem = { type: type, kids: [], attributes: attributes || null };
+        parent.kids.push(elem);
+        return elem;
+      };
+
+      // Keep the text of an element whose characters the fonts cannot show.
+      const actualText = function (elem, text) {
+        if (hasReplacements(text)) {
+          elem.actualText = String(text);
+          replaced = true;
+        }
+        return elem;
+      };
+
+      // Content belonging to a structure element.
+      const mark = function (elem, ops) {
+        const mcid = page.parents.length;
+        page.parents.push(elem);
+        elem.kids.push({ page: pages.length - 1, mcid: mcid });
+        page.ops.push('/' + elem.type + ' <</MCID ' + mcid + '>> BDC');
+        page.ops.push.apply(page.ops, ops);
+        page.ops.push('EMC');
+      };
+
+      // Decoration that is not part of the content.
+      const artifact = function (ops) {
+        page.ops.push('/Artifact BMC');
+        page.ops.push.apply(page.ops, ops);
+        page.ops.push('EMC');
+      };
+
+      const textOps = function (lines, style, size, x, baseline, leading) {
+        const ops = ['BT', '/' + FONTS[style].resource + ' ' + num(size) + ' Tf'];
+        lines.forEach(function (line, i) {
+          ops.push('1 0 0 1 ' + num(x) + ' ' + num(baseline - i * leading) + ' Tm ' + pdfString(line) + ' Tj');
+        });
+        ops.push('ET');
+        return ops;
+      };
+
+      newPage();
+
+      return {
+
+        /**
+         * Add a heading, bookmarked when it is of level 1 or 2.
+         *
+         * @param {number} level
+         *   The heading level, 1 to 3.
+         * @param {string} text
+         *   The heading.
+         */
+        heading: function (level, text) {
+          const size = { 1: 20, 2: 14, 3: 11.5 }[level] || 11.5;
+          const leading = size * 1.25;
+          const lines = wrap(toWinAnsi(text), 'bold', size, CONTENT_WIDTH);
+          const height = lines.length * leading;
+
+          // Keep headings with a few lines of what follows.
+          if (!atTop()) {
+            y -= size * 0.8;
+            if (y - height - 40 < bottom) {
+              newPage();
+            }
+          }
+
+          if (level <= 2) {
+            outline.push({ level: level, title: text, page: pages.length - 1, y: y });
+          }
+          mark(actualText(element('H' + Math.min(level, 6), root), text), textOps(lines, 'bold', size, MARGIN, y - size, leading));
+          y -= height + size * 0.4;
+        },
+
+        /**
+         * Add a paragraph, continued on the next page when needed.
+         *
+         * @param {string} text
+         *   The text; line breaks are kept.
+         * @param {object} [style]
+         *   Optional font ("regular", "bold" or "mono") and size keys.
+         */
+        paragraph: function (text, style) {
+          const font = (style && style.font) || 'regular';
+          const size = (style && style.size) || 10;
+          const leading = size * 1.35;
+          const lines = wrap(toWinAnsi(text), font, size, CONTENT_WIDTH);
+          const elem = actualText(element('P', root), text);
+
+          while (lines.length) {
+            let fit = Math.floor((y - bottom) / leading);
+            if (fit < 1) {
+              newPage();
+              fit = Math.floor((y - bottom) / leading);
+            }
+            const chunk = lines.splice(0, fit);
+            mark(elem, textOps(chunk, font, size, MARGIN, y - size, leading));
+            y -= chunk.length * leading;
+          }
+          y -= size * 0.6;
+        },
+
+        /**
+         * Add a table, breaking between rows and repeating its header.
+         *
+         * @param {object} table
+         *   The table, with these keys:
+         *   - columns: the columns, each with a label, a width as a fraction
+         *     of the page width and an optional font.
+         *   - rows: the rows, each an array of cell texts.
+         *   - rowHeaders: (optional) whether the first cell of each row is a
+         *     header for the row.
+         */
+        table: function (table) {
+          const size = 8.5;
+          const leading = size * 1.3;
+          const padding = 4;
+          const columns = table.columns.map(function (column) {
+            return Object.assign({ font: 'regular' }, column, { width: column.width * CONTENT_WIDTH });
+          });
+
+          const layout = function (cells, header) {
+            const lines = columns.map(function (column, i) {
+              const font = header || (table.rowHeaders && i === 0) ? 'bold' : column.font;
+              return {
+                font: font,
+                text: cells[i],
+                lines: wrap(toWinAnsi(cells[i]), font, size, column.width - 2 * padding),
+              };
+            });
+            const height = Math.max.apply(null, lines.map(function (cell) {
+              return cell.lines.length;
+            })) * leading + 2 * padding;
+            return { cells: lines, height: height };
+          };
+
+          // Rows taller than a page are cut, so they cannot break the flow.
+          const clip = function (row) {
+            const room = Math.floor((top - bottom - header.height - 2 * padding) / leading);
+            if (row.height - 2 * padding <= room * leading) {
+              return row;
+            }
+            row.cells.forEach(function (cell) {
+              if (cell.lines.length > room) {
+                cell.lines = cell.lines.slice(0, room - 1).concat([toWinAnsi('[...]')]);
+              }
+            });
+            row.height = room * leading + 2 * padding;
+            return row;
+          };
+
+          const draw = function (row, tr, isHeader) {
+            let x = MARGIN;
+            const borders = [];
+            if (isHeader) {
+              borders.push('0.92 g ' + num(MARGIN) + ' ' + num(y - row.height) + ' ' + num(CONTENT_WIDTH) + ' ' + num(row.height) + ' re f 0 g');
+            }
+            borders.push('0.6 G 0.5 w');
+            columns.forEach(function (column, i) {
+              borders.push(num(x) + ' ' + num(y - row.height) + ' ' + num(column.width) + ' ' + num(row.height) + ' re S');
+              x += column.width;
+            });
+            artifact(borders);
+
+            x = MARGIN;
+            columns.forEach(function (column, i) {
+              const cell = row.cells[i];
+              const ops = textOps(cell.lines, cell.font, size, x + padding, y - padding - size, leading);
+              if (!tr) {
+                artifact(ops);
+              }
+              else if (isHeader) {
+                mark(actualText(element('TH', tr, '/O /Table /Scope /Column'), cell.text), ops);
+              }
+              else if (table.rowHeaders && i === 0) {
+                mark(actualText(element('TH', tr, '/O /Table /Scope /Row'), cell.text), ops);
+              }
+              else {
+                mark(actualText(element('TD', tr), cell.text), ops);
+              }
+              x += column.width;
+            });
+            y -= row.height;
+          };
+
+          const elem = element('Table', root);
+          const header = layout(columns.map(function (column) {
+            return column.label;
+          }), true);
+          const rows = table.rows.map(function (cells) {
+            return clip(layout(cells, false));
+          });
+
+          if (!atTop()) {
+            y -= 4;
+          }
+          if (y - header.height - (rows.length ? rows[0].height : 0) < bottom) {
+            newPage();
+          }
+          draw(header, element('TR', elem), true);
+
+          rows.forEach(function (row) {
+            if (y - row.height < bottom) {
+              newPage();
+              draw(header, null, true);
+            }
+            draw(row, element('TR', elem), false);
+          });
+          y -= 14;
+        },
+
+        /**
+         * Continue on a new page.
+         */
+        pageBreak: function () {
+          if (!atTop()) {
+            newPage();
+          }
+        },
+
+        /**
+         * Write the document.
+         *
+         * @return {Uint8Array}
+         *   The PDF file.
+         */
+        output: function () {
+          const objects = [];
+          const reserve = function () {
+            objects.push(null);
+            return objects.length;
+          };
+          const set = function (number, content) {
+            objects[number - 1] = content;
+            return number;
+          };
+          const add = function (content) {
+            return set(reserve(), content);
+          };
+          const ref = function (number) {
+            return number + ' 0 R';
+          };
+          const stream = function (dictionary, data) {
+            return '<< ' + dictionary + ' /Length ' + data.length + ' >>\nstream\n' + data + '\nendstream';
+          };
+
+          const catalog = reserve();
+          const pagesRoot = reserve();
+          const structRoot = reserve();
+          const fonts = {};
+          Object.keys(FONTS).forEach(function (style) {
+            fonts[style] = add('<< /Type /Font /Subtype /Type1 /BaseFont /' + FONTS[style].base + ' /Encoding /WinAnsiEncoding >>');
+          });
+          const fontResources = Object.keys(FONTS).map(function (style) {
+            return '/' + FONTS[style].resource + ' ' + ref(fonts[style]);
+          }).join(' ');
+
+          // Pages, with a numbered footer, under a note when characters were
+          // replaced.
+          const note = replaced ? [toWinAnsi(Drupal.t('Characters the fonts of this PDF cannot show are printed as "?"; screen readers and copied text get the original.'))] : [];
+          const pageRefs = pages.map(reserve);
+          pages.forEach(function (current, i) {
+            const footer = toWinAnsi((options.footer ? options.footer + ' - ' : '') + Drupal.t('Page @page of @count', { '@page': i + 1, '@count': pages.length }));
+            const ops = current.ops.concat(['/Artifact BMC'], textOps(note.concat([footer]), 'regular', 8, MARGIN, MARGIN + note.length * 10, 10), ['EMC']);
+            const contents = add(stream('', ops.join('\n')));
+            set(pageRefs[i], '<< /Type /Page /Parent ' + ref(pagesRoot) + ' /MediaBox [0 0 ' + num(PAGE_WIDTH) + ' ' + num(PAGE_HEIGHT) + ']'
+              + ' /Resources << /Font << ' + fontResources + ' >> >> /Contents ' + ref(contents)
+              + ' /StructParents ' + i + ' /Tabs /S >>');
+          });
+          set(pagesRoot, '<< /Type /Pages /Kids [' + pageRefs.map(ref).join(' ') + '] /Count ' + pages.length + ' >>');
+
+          // The structure tree, parents before their children.
+          const writeElement = function (elem, parent) {
+            const number = reserve();
+            elem.number = number;
+            const kids = elem.kids.map(function (kid) {
+              if (kid.mcid !== undefined) {
+                return '<< /Type /MCR /Pg ' + ref(pageRefs[kid.page]) + ' /MCID ' + kid.mcid + ' >>';
+              }
+              return ref(writeElement(kid, number));
+            });
+            set(number, '<< /Type /StructElem /S /' + elem.type + ' /P ' + ref(parent)
+              + (elem.attributes ? ' /A << ' + elem.attributes + ' >>' : '')
+              + (elem.actualText ? ' /ActualText ' + textString(elem.actualText) : '')
+              + ' /K [' + kids.join(' ') + '] >>');
+            return number;
+          };
+          const documentElement = writeElement(root, structRoot);
+          const parentTree = add('<< /Nums [' + pages.map(function (current, i) {
+            return i + ' [' + current.parents.map(function (elem) {
+              return ref(elem.number);
+            }).join(' ') + ']';
+          }).join(' ') + '] >>');
+          set(structRoot, '<< /Type /StructTreeRoot /K ' + ref(documentElement) + ' /ParentTree ' + ref(parentTree) + ' /ParentTreeNextKey ' + pages.length + ' >>');
+
+          // Bookmarks: level 2 headings under the level 1 heading before them.
+          const items = [];
+          outline.forEach(function (entry) {
+            const parent = items.length ? items[items.length - 1] : null;
+            if (entry.level > 1 && parent) {
+              parent.children.push(Object.assign({ children: [] }, entry));
+            }
+            else {
+              items.push(Object.assign({ children: [] }, entry));
+            }
+          });
+          let outlines = null;
+          if (items.length) {
+            outlines = reserve();
+            const writeItems = function (list, parent) {
+              list.forEach(function (item) {
+                item.number = reserve();
+              });
+              list.forEach(function (item, i) {
+                writeItems(item.children, item.number);
+                set(item.number, '<< /Title ' + textString(item.title) + ' /Parent ' + ref(parent)
+                  + (i > 0 ? ' /Prev ' + ref(list[i - 1].number) : '')
+                  + (i < list.length - 1 ? ' /Next ' + ref(list[i + 1].number) : '')
+                  + (item.children.length ? ' /First ' + ref(item.children[0].number) + ' /Last ' + ref(item.children[item.children.length - 1].number) + ' /Count ' + item.children.length : '')
+                  + ' /Dest [' + ref(pageRefs[item.page]) + ' /XYZ 0 ' + num(item.y) + ' null] >>');
+              });
+            };
+            writeItems(items, outlines);
+            const count = items.reduce(function (total, item) {
+              return total + 1 + item.children.length;
+            }, 0);
+            set(outlines, '<< /Type /Outlines /First ' + ref(items[0].number) + ' /Last ' + ref(items[items.length - 1].number) + ' /Count ' + count + ' >>');
+          }
+
+          const now = new Date();
+          const date = 'D:' + now.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+          const metadata = add(stream('/Type /Metadata /Subtype /XML', utf8('<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+            + '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+            + '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">'
+            + '<dc:title><rdf:Alt><rdf:li xml:lang="x-default">' + escapeXml(options.title) + '</rdf:li></rdf:Alt></dc:title>'
+            + '<dc:language><rdf:Bag><rdf:li>' + escapeXml(options.lang) + '</rdf:li></rdf:Bag></dc:language>'
+            + '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>')));
+          const info = add('<< /Title ' + textString(options.title) + ' /Producer ' + textString('Drupal Accessibility module') + ' /CreationDate (' + date + ') >>');
+
+          set(catalog, '<< /Type /Catalog /Pages ' + ref(pagesRoot) + ' /StructTreeRoot ' + ref(structRoot)
+            + ' /MarkInfo << /Marked true >> /Lang ' + textString(options.lang) + ' /Metadata ' + ref(metadata)
+            + ' /ViewerPreferences << /DisplayDocTitle true >>'
+            + (outlines ? ' /Outlines ' + ref(outlines) + ' /PageMode /UseOutlines' : '') + ' >>');
+
+          let pdf = '%PDF-1.7\n%\xE2\xE3\xCF\xD3\n';
+          const offsets = objects.map(function (content, i) {
+            const offset = pdf.length;
+            pdf += (i + 1) + ' 0 obj\n' + content + '\nendobj\n';
+            return offset;
+          });
+          const xref = pdf.length;
+          pdf += 'xref\n0 ' + (objects.length + 1) + '\n0000000000 65535 f \n';
+          offsets.forEach(function (offset) {
+            pdf += ('000000000' + offset).slice(-10) + ' 00000 n \n';
+          });
+          const id = Array.from({ length: 16 }, function () {
+            return ('0' + Math.floor(Math.random() * 256).toString(16)).slice(-2);
+          }).join('');
+          pdf += 'trailer\n<< /Size ' + (objects.length + 1) + ' /Root ' + ref(catalog) + ' /Info ' + ref(info)
+            + ' /ID [<' + id + '> <' + id + '>] >>\nstartxref\n' + xref + '\n%%EOF\n';
+
+          const bytes = new Uint8Array(pdf.length);
+          for (let i = 0; i < pdf.length; i++) {
+            bytes[i] = pdf.charCodeAt(i) & 0xFF;
+          }
+          return bytes;
+        },
+      };
+    },
+  };
+
+})(Drupal);
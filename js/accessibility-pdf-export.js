@@ -6,6 +6,11 @@
 (function ($, Drupal, drupalSettings) {
   'use strict';
 
+  /**
+   * Impact levels, most severe first.
+   */
+  const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
   Drupal.behaviors.accessibilityPdfExport = {
     attach: function (context, settings) {
       // Initialize PDF export functionality
@@ -31,11 +36,6 @@
       button.disabled = true;
       button.innerHTML = 'Generating PDF...';
       
-      // Load jsPDF library if not already loaded
-      if (typeof window.jsPDF === 'undefined') {
-        await loadJsPDF();
-      }
-      
       // Generate and download PDF
       await generatePDF();
       
@@ -50,201 +50,197 @@
   }
 
   /**
-   * Load required PDF libraries dynamically.
+   * Generate a tagged PDF of the report and download it.
+   *
+   * The document is written from the report data rather than from the
+   * page, so its text can be selected and read by assistive technology.
+   * The elements of each violation come from the saved scan shown on the
+   * report.
    */
-  function loadJsPDF() {
-    return new Promise(async (resolve, reject) => {
-      try {
-        // Check if already loaded
-        if (typeof window.jsPDF !== 'undefined' && typeof window.html2canvas !== 'undefined') {
-          resolve();
-          return;
-        }
-
-        // Load html2canvas first
-        if (typeof window.html2canvas === 'undefined') {
-          await loadScript('https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js');
-          console.log('html2canvas loaded successfully');
-        }
-
-        // Load jsPDF
-        if (typeof window.jsPDF === 'undefined') {
-          await loadScript('https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js');
-          console.log('jsPDF loaded successfully');
-          
-          if (typeof window.jspdf !== 'undefined') {
-            window.jsPDF = window.jspdf.jsPDF;
-          }
-        }
-
-        if (typeof window.jsPDF === 'undefined' || typeof window.html2canvas === 'undefined') {
-          throw new Error('Failed to initialize PDF libraries');
-        }
-
-        resolve();
-      } catch (error) {
-        reject(error);
-      }
-    });
+  async function generatePDF() {
+    const data = drupalSettings.accessibilityReport || {};
+    const scanId = data.diff && data.diff.scan_id;
+    const scan = scanId ? (await Drupal.accessibility.scanHistory.loadScan(scanId)).scan : null;
+
+    const reportTitle = (document.querySelector('.report-title')?.textContent || 'Accessibility Report').trim();
+    const doc = buildDocument(reportTitle, data, scan);
+    const blob = new Blob([doc.output()], { type: 'application/pdf' });
+
+    // Generate filename with timestamp
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const pageSlug = extractPageSlugFromUrl(window.location.href);
+    const filename = `accessibility-report-${pageSlug}-${timestamp}.pdf`;
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showNotification('PDF report generated successfully!', 'success');
   }
 
   /**
-   * Load a script dynamically.
+   * Lay out the report: a cover page with the summary, then an overview
+   * table of the violations and a section with the elements of each.
    */
-  function loadScript(src) {
-    return new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      script.src = src;
-      script.crossOrigin = 'anonymous';
-      
-      script.onload = () => resolve();
-      script.onerror = () => reject(new Error(`Failed to load script: ${src}`));
-      
-      document.head.appendChild(script);
+  function buildDocument(reportTitle, data, scan) {
+    const violations = scan ? scan.violations : (data.violations || []);
+    const doc = Drupal.accessibility.pdfDocument.create({
+      title: reportTitle,
+      lang: document.documentElement.lang || 'en',
+      footer: data.url || reportTitle,
     });
-  }
 
-  /**
-   * Generate PDF from the current accessibility report using html2canvas.
-   */
-  async function generatePDF() {
-    try {
-      // Get the main report container
-      const reportContainer = document.querySelector('.accessibility-comprehensive-report');
-      if (!reportContainer) {
-        throw new Error('Report container not found');
-      }
+    const counts = {};
+    IMPACTS.forEach(function (impact) {
+      counts[impact] = { rules: 0, elements: 0 };
+    });
+    violations.forEach(function (violation) {
+      const count = counts[violation.impact] || counts.minor;
+      count.rules++;
+      count.elements += elementCount(violation);
+    });
+    const totalElements = violations.reduce(function (total, violation) {
+      return total + elementCount(violation);
+    }, 0);
 
-      // Temporarily hide the export button to avoid it appearing in the PDF
-      const exportButton = document.getElementById('export-report-btn');
-      const originalButtonDisplay = exportButton ? exportButton.style.display : '';
-      if (exportButton) {
-        exportButton.style.display = 'none';
-      }
+    // Cover page.
+    doc.heading(1, reportTitle);
+    doc.table({
+      columns: [
+        { label: Drupal.t('Detail'), width: 0.25 },
+        { label: Drupal.t('Value'), width: 0.75 },
+      ],
+      rowHeaders: true,
+      rows: [
+        [Drupal.t('Page'), data.url || Drupal.t('Not scanned yet')],
+        [Drupal.t('Scanned'), scan ? new Date(scan.timestamp * 1000).toLocaleString() : Drupal.t('Unknown')],
+        [Drupal.t('Scan profile'), scan && scan.profile ? scan.profile : Drupal.t('Default')],
+        [Drupal.t('Report generated'), new Date().toLocaleString()],
+      ],
+    });
 
-      // Create a clone of the report for PDF generation
-      const reportClone = reportContainer.cloneNode(true);
-      
-      // Apply PDF-specific styling to the clone with proper margins
-      reportClone.style.cssText = `
-        background: white;
-        padding: 30px 40px;
-        margin: 0;
-        font-family: Arial, sans-serif;
-        color: black;
-        width: 750px;
-        max-width: 750px;
-        position: absolute;
-        top: -9999px;
-        left: -9999px;
-        box-sizing: border-box;
-        overflow: visible;
-      `;
-
-      // Append clone to body temporarily
-      document.body.appendChild(reportClone);
-
-      // Generate canvas from the cloned element with better settings
-      const canvas = await window.html2canvas(reportClone, {
-        scale: 2,
-        useCORS: true,
-        allowTaint: true,
-        backgroundColor: '#ffffff',
-        width: 750,
-        height: reportClone.scrollHeight,
-        scrollX: 0,
-        scrollY: 0,
-        x: 0,
-        y: 0
-      });
+    doc.heading(2, Drupal.t('Summary'));
+    doc.paragraph(violations.length
+      ? Drupal.t('@rules accessibility rules fail on this page, on @elements elements in total.', { '@rules': violations.length, '@elements': totalElements })
+      : Drupal.t('No accessibility violations were found on this page.'));
+    doc.table({
+      columns: [
+        { label: Drupal.t('Impact'), width: 0.4 },
+        { label: Drupal.t('Violated rules'), width: 0.3 },
+        { label: Drupal.t('Elements'), width: 0.3 },
+      ],
+      rowHeaders: true,
+      rows: IMPACTS.map(function (impact) {
+        return [capitalize(impact), String(counts[impact].rules), String(counts[impact].elements)];
+      }).concat([[Drupal.t('Total'), String(violations.length), String(totalElements)]]),
+    });
+    if (data.incomplete && data.incomplete.length) {
+      doc.paragraph(Drupal.t('@count results need manual review; they are listed in the "Needs review" tab of the report.', { '@count': data.incomplete.length }));
+    }
+    if (data.baselined && data.baselined.length) {
+      doc.paragraph(Drupal.t('Violations accepted in the baseline are left out of this report.'));
+    }
+
+    if (!violations.length) {
+      return doc;
+    }
 
-      // Remove the clone
-      document.body.removeChild(reportClone);
+    // Overview of the violations.
+    doc.pageBreak();
+    doc.heading(1, Drupal.t('Violations'));
+    doc.table({
+      columns: [
+        { label: Drupal.t('Rule'), width: 0.22, font: 'mono' },
+        { label: Drupal.t('Description'), width: 0.42 },
+        { label: Drupal.t('Impact'), width: 0.12 },
+        { label: Drupal.t('WCAG'), width: 0.14 },
+        { label: Drupal.t('Elements'), width: 0.1 },
+      ],
+      rows: violations.map(function (violation) {
+        return [violation.id, violation.help || violation.description, capitalize(violation.impact), wcagCriteria(violation.tags).join(', '), String(elementCount(violation))];
+      }),
+    });
 
-      // Restore export button
-      if (exportButton) {
-        exportButton.style.display = originalButtonDisplay;
+    // The elements of each violation.
+    violations.forEach(function (violation) {
+      doc.heading(2, violation.help || violation.id);
+      const criteria = wcagCriteria(violation.tags);
+      doc.paragraph(Drupal.t('Rule: @rule. Impact: @impact.', { '@rule': violation.id, '@impact': capitalize(violation.impact) })
+        + (criteria.length ? ' ' + Drupal.t('WCAG success criteria: @criteria.', { '@criteria': criteria.join(', ') }) : ''));
+      if (violation.description && violation.description !== violation.help) {
+        doc.paragraph(violation.description);
+      }
+      if (violation.helpUrl) {
+        doc.paragraph(Drupal.t('More information: @url', { '@url': violation.helpUrl }), { size: 9 });
       }
 
-      // Create PDF
-      const { jsPDF } = window.jspdf;
-      const imgData = canvas.toDataURL('image/png');
-      
-      // Calculate PDF dimensions with proper margins
-      const pageWidth = 210; // A4 width in mm
-      const pageHeight = 297; // A4 height in mm
-      const margin = 15; // 15mm margins on all sides
-      const contentWidth = pageWidth - (margin * 2);
-      const contentHeight = pageHeight - (margin * 2);
-      
-      const imgWidth = contentWidth;
-      const imgHeight = (canvas.height * imgWidth) / canvas.width;
-      
-      // Create PDF document
-      const doc = new jsPDF('p', 'mm', 'a4');
-      
-      let currentY = margin;
-      let remainingHeight = imgHeight;
-      let sourceY = 0;
-      
-      // Add content page by page to ensure proper margins
-      while (remainingHeight > 0) {
-        const availableHeight = contentHeight;
-        const sliceHeight = Math.min(remainingHeight, availableHeight);
-        
-        // Calculate the portion of the image to use
-        const canvasSliceHeight = (sliceHeight / imgHeight) * canvas.height;
-        
-        // Create a temporary canvas for this slice
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = canvas.width;
-        tempCanvas.height = canvasSliceHeight;
-        const tempCtx = tempCanvas.getContext('2d');
-        
-        // Draw the slice
-        tempCtx.drawImage(canvas, 0, sourceY, canvas.width, canvasSliceHeight, 0, 0, canvas.width, canvasSliceHeight);
-        
-        // Add to PDF
-        const sliceImgData = tempCanvas.toDataURL('image/png');
-        doc.addImage(sliceImgData, 'PNG', margin, currentY, imgWidth, sliceHeight);
-        
-        remainingHeight -= sliceHeight;
-        sourceY += canvasSliceHeight;
-        
-        if (remainingHeight > 0) {
-          doc.addPage();
-          currentY = margin;
-        }
+      if (Array.isArray(violation.nodes) && violation.nodes.length) {
+        doc.table({
+          columns: [
+            { label: Drupal.t('Element'), width: 0.3, font: 'mono' },
+            { label: Drupal.t('HTML'), width: 0.32, font: 'mono' },
+            { label: Drupal.t('How to fix'), width: 0.38 },
+          ],
+          rows: violation.nodes.map(function (node) {
+            return [selectorFor(node), truncate(node.html, 400), node.failureSummary || ''];
+          }),
+        });
+      }
+      else {
+        doc.paragraph(Drupal.t('@count elements fail this rule. Scan the page again to list them.', { '@count': elementCount(violation) }));
       }
+    });
 
-      // Add metadata
-      const reportTitle = document.querySelector('.report-title')?.textContent || 'Accessibility Report';
-      const currentUrl = window.location.href;
-      
-      doc.setProperties({
-        title: reportTitle,
-        subject: 'Accessibility Compliance Report',
-        author: 'Accessibility Suite',
-        creator: 'AI-Powered Unified Accessibility Compliance Suite'
-      });
+    return doc;
+  }
 
-      // Generate filename with timestamp
-      const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-      const pageSlug = extractPageSlugFromUrl(currentUrl);
-      const filename = `accessibility-report-${pageSlug}-${timestamp}.pdf`;
+  /**
+   * The number of elements failing a rule.
+   *
+   * Saved scans list the elements; the report cache only counts them.
+   */
+  function elementCount(violation) {
+    return Array.isArray(violation.nodes) ? violation.nodes.length : (violation.nodes || 0);
+  }
 
-      // Save the PDF
-      doc.save(filename);
-      
-      console.log('PDF generated successfully:', filename);
-      
-      // Show success message
-      showNotification('PDF report generated successfully!', 'success');
-      
-    } catch (error) {
-      console.error('Error generating PDF:', error);
-      throw error;
-    }
+  /**
+   * The selector of an element, as shown in the scan results.
+   */
+  function selectorFor(node) {
+    return (node.target || []).map(function (part) {
+      return Array.isArray(part) ? part.join(' ') : part;
+    }).join(' ');
+  }
+
+  /**
+   * The WCAG success criteria of a rule from its tags, such as wcag143.
+   */
+  function wcagCriteria(tags) {
+    return (tags || []).map(function (tag) {
+      const match = /^wcag(\d)(\d)(\d{1,2})$/.exec(tag);
+      return match ? match[1] + '.' + match[2] + '.' + match[3] : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Capitalize the first letter, as for impacts.
+   */
+  function capitalize(text) {
+    text = String(text || '');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Shorten text, such as long HTML snippets.
+   */
+  function truncate(text, length) {
+    text = String(text || '');
+    return text.length > length ? text.slice(0, length - 3) + '...' : text;
   }
 
   /**
@@ -27,12 +27,75 @@
         // Show no violations message if no data
         const violationsList = document.getElementById('report-violations-list');
         if (violationsList) {
-          violationsList.innerHTML = '<div class="no-violations"><p>No accessibility violations found!</p></div>';
+          violationsList.innerHTML = '<div class="no-violations"><p>No accessibility violations found!</p>' + baselinedHtml(violationsData.baselined) + '</div>';
         }
       }
+
+      displayNeedsReview(violationsData);
+
+      const scanDiff = document.getElementById('report-scan-diff');
+      if (scanDiff) {
+        scanDiff.innerHTML = Drupal.accessibility.scanDiff.html(violationsData.diff);
+      }
+
+      const history = document.getElementById('report-history');
+      if (history && violationsData.url) {
+        Drupal.accessibility.scanHistory.render(history, violationsData.url, violationsData.diff && violationsData.diff.scan_id);
+      }
+
+      addExportButtons(violationsData.diff && violationsData.diff.scan_id);
     }
   };
 
+  /**
+   * Offer the saved scan shown on the report for export.
+   *
+   * The report only has the number of instances of each violation, so the
+   * export loads the saved scan with their selectors.
+   */
+  function addExportButtons(scanId) {
+    const actions = document.querySelector('.report-actions');
+    if (!actions || !scanId || actions.querySelector('.accessibility-export')) {
+      return;
+    }
+    const exportFormats = Drupal.accessibility.exportFormats;
+    actions.insertAdjacentHTML('afterbegin', exportFormats.buttonsHtml());
+    exportFormats.bind(actions.querySelector('.accessibility-export'), function () {
+      return Drupal.accessibility.scanHistory.loadScan(scanId).then(function (data) {
+        return [data.scan];
+      });
+    });
+  }
+
+  /**
+   * Render the "Needs review" tab from the stored incomplete results.
+   */
+  function displayNeedsReview(violationsData) {
+    const tablist = document.querySelector('.report-tabs');
+    const reviewList = document.getElementById('report-needs-review');
+    if (!tablist || !reviewList || tablist.hasAttribute('data-tabs-bound')) {
+      return;
+    }
+    tablist.setAttribute('data-tabs-bound', 'true');
+
+    const reviews = Drupal.accessibility.reviews;
+    reviews.bindTabs(tablist);
+
+    const reviewCount = document.getElementById('report-review-count');
+    const updateCount = function (pending) {
+      if (reviewCount) {
+        reviewCount.textContent = '(' + pending + ')';
+      }
+    };
+
+    if (!violationsData.url) {
+      reviewList.innerHTML = '<div class="no-violations"><p>' + Drupal.t('This page has not been scanned yet.') + '</p></div>';
+      return;
+    }
+    reviews.render(reviewList, violationsData.url, violationsData.incomplete || [], updateCount)
+      .then(updateCount);
+  }
+
   /**
    * Update violation counts in real-time from JavaScript violations data
    * This function is scalable for any number of violation types and pages
@@ -123,7 +186,7 @@
       return aOrder - bOrder;
     });
 
-    let html = '<div class="violations-summary">Found ' + data.violations.length + ' violations:</div>';
+    let html = '<div class="violations-summary">Found ' + data.violations.length + ' violations:' + baselinedHtml(data.baselined) + '</div>';
 
     sortedViolations.forEach(function (violation, index) {
       const impact = violation.impact || 'minor';
@@ -137,7 +200,7 @@
       const statusText = getViolationStatusText(impact);
 
       html += `
-        <div class="violation-item ${impact}" id="${violationId}">
+        <div class="violation-item ${impact}" id="${violationId}" data-rule="${escapeHtml(violation.id)}">
           <div class="violation-icon">${icon}</div>
           <div class="violation-content">
             <div class="violation-title-row">
@@ -151,12 +214,64 @@
               ${nodeCount > 1 ? `<span class="violation-count">${nodeCount} instances</span>` : ''}
               ${learnMoreLinks}
             </div>
+            ${baselineFormHtml(violation, data.url)}
           </div>
         </div>
       `;
     });
 
     violationsList.innerHTML = html;
+    Drupal.accessibility.scanDiff.mark(violationsList, data.diff);
+
+    Drupal.accessibility.baseline.bindForms(violationsList, function (entry, form) {
+      // Stored results only change when the page is scanned again.
+      form.closest('.baseline-add').outerHTML = '<div class="baseline-summary">' + Drupal.t('Added to the baseline. It is left out of this report from the next scan of the page.') + '</div>';
+    });
+  }
+
+  /**
+   * Build the "Add to baseline" form of a violation, for users who may.
+   *
+   * Stored results only keep instance counts, so the entry covers the rule
+   * on pages matching a pattern rather than single elements.
+   */
+  function baselineFormHtml(violation, url) {
+    const baseline = Drupal.accessibility.baseline;
+    if (!baseline.canManage() || !url) return '';
+
+    let path = '/';
+    try {
+      path = new URL(url).pathname;
+    }
+    catch (e) {
+      // Keep the front page.
+    }
+    return `
+      <details class="baseline-add">
+        <summary>${Drupal.t('Add to baseline')}</summary>
+        ${baseline.formHtml({ ruleId: violation.id, path: path })}
+      </details>
+    `;
+  }
+
+  /**
+   * Say how many instances the baseline left out of the stored scan.
+   */
+  function baselinedHtml(baselined) {
+    if (!baselined || !baselined.length) return '';
+
+    let count = 0;
+    baselined.forEach(function (item) {
+      Object.keys(item.entries || {}).forEach(function (id) {
+        count += item.entries[id];
+      });
+    });
+
+    const manageUrl = Drupal.accessibility.baseline.manageUrl();
+    const link = manageUrl ? ' <a href="' + escapeHtml(manageUrl) + '">' + Drupal.t('Manage baseline') + '</a>' : '';
+    return '<div class="baseline-summary">'
+      + Drupal.formatPlural(count, '1 baselined instance is not counted.', '@count baselined instances are not counted.')
+      + link + '</div>';
   }
 
   function getViolationIcon(impact) {
@@ -0,0 +1,346 @@
+/**
+ * @file
+ * Review workflow for axe results that need review ("incomplete").
+ *
+ * Drupal.accessibility.reviews renders the "Needs review" panel used by the
+ * sidebar popup and the report page. Reviewers mark each element as pass or
+ * fail with a note; decisions are saved server-side per URL, rule and
+ * element target and shown again on later scans of the same element.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.accessibility = Drupal.accessibility || {};
+
+  /**
+   * What each rendered panel currently shows, keyed by container.
+   */
+  const panels = new WeakMap();
+
+  /**
+   * Escape text for use in HTML.
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  /**
+   * The target of a node as stored with decisions.
+   */
+  function targetOf(node) {
+    return (node.target || []).join(' ');
+  }
+
+  /**
+   * Build the markup of one element to review.
+   */
+  function nodeHtml(rule, node, decision, id) {
+    const changed = decision && decision.html && node.html && decision.html !== node.html.slice(0, 1000);
+    let status = '<span class="review-status review-status--pending">' + Drupal.t('Needs review') + '</span>';
+    if (decision) {
+      status = '<span class="review-status review-status--' + escapeHtml(decision.decision) + '">'
+        + (decision.decision === 'pass' ? Drupal.t('Reviewed: pass') : Drupal.t('Reviewed: fail'))
+        + '</span>';
+      if (changed) {
+        status += ' <span class="review-status review-status--changed">' + Drupal.t('Element changed since review') + '</span>';
+      }
+    }
+
+    const checked = function (value) {
+      return decision && decision.decision === value ? ' checked' : '';
+    };
+
+    return `
+      <li class="review-item${decision ? ' is-reviewed' : ''}" data-rule="${escapeHtml(rule.id)}" data-target="${escapeHtml(targetOf(node))}">
+        <div class="review-item-header">
+          <code class="review-target">${escapeHtml(targetOf(node))}</code>
+          ${status}
+        </div>
+        ${node.html ? `<pre class="review-html">${escapeHtml(node.html)}</pre>` : ''}
+        ${node.failureSummary ? `<div class="review-summary">${escapeHtml(node.failureSummary)}</div>` : ''}
+        <form class="review-form">
+          <fieldset>
+            <legend class="visually-hidden">${Drupal.t('Decision for @target', { '@target': targetOf(node) })}</legend>
+            <label><input type="radio" name="${id}-decision" value="pass"${checked('pass')}> ${Drupal.t('Pass')}</label>
+            <label><input type="radio" name="${id}-decision" value="fail"${checked('fail')}> ${Drupal.t('Fail')}</label>
+          </fieldset>
+          <label for="${id}-note">${Drupal.t('Note')}</label>
+          <textarea id="${id}-note" name="note" rows="2">${escapeHtml(decision ? decision.note : '')}</textarea>
+          <div class="review-form-actions">
+            <button type="submit" class="button button--small button--primary">${Drupal.t('Save decision')}</button>
+            ${decision ? `<button type="button" class="button button--small review-clear">${Drupal.t('Clear')}</button>` : ''}
+            <span class="review-message" aria-live="polite"></span>
+          </div>
+        </form>
+      </li>
+    `;
+  }
+
+  /**
+   * Handle decisions made in a rendered panel.
+   */
+  function bindPanel(container) {
+    const reviews = Drupal.accessibility.reviews;
+
+    const submit = function (item, decision, note) {
+      const state = panels.get(container);
+      const rule = state.incomplete.find(function (candidate) {
+        return candidate.id === item.getAttribute('data-rule');
+      });
+      const node = rule && rule.nodes.find(function (candidate) {
+        return targetOf(candidate) === item.getAttribute('data-target');
+      });
+      if (!node) {
+        return;
+      }
+
+      const message = item.querySelector('.review-message');
+      message.textContent = Drupal.t('Saving...');
+
+      reviews.save(state.url, rule.id, node, decision, note)
+        .then(function () {
+          const key = reviews.key(rule.id, node);
+          if (decision) {
+            state.decisions[key] = {
+              decision: decision,
+              note: note,
+              html: (node.html || '').slice(0, 1000),
+            };
+          }
+          else {
+            delete state.decisions[key];
+          }
+
+          // Re-render just this element with its new status.
+          const id = item.querySelector('textarea').id.replace(/-note$/, '');
+          item.outerHTML = nodeHtml(rule, node, state.decisions[key], id);
+          if (state.onChange) {
+            state.onChange(reviews.countPending(state.incomplete, state.decisions));
+          }
+          Drupal.announce(decision ? Drupal.t('Review decision saved.') : Drupal.t('Review decision cleared.'));
+        })
+        .catch(function (error) {
+          message.textContent = Drupal.t('Could not save: @error', { '@error': error.message });
+        });
+    };
+
+    container.addEventListener('submit', function (e) {
+      const form = e.target.closest('.review-form');
+      if (!form) {
+        return;
+      }
+      e.preventDefault();
+      const selected = form.querySelector('input[type="radio"]:checked');
+      if (!selected) {
+        form.querySelector('.review-message').textContent = Drupal.t('Choose pass or fail first.');
+        return;
+      }
+      submit(form.closest('.review-item'), selected.value, form.querySelector('textarea').value);
+    });
+
+    container.addEventListener('click', function (e) {
+      const clear = e.target.closest('.review-clear');
+      if (clear) {
+        e.preventDefault();
+        submit(clear.closest('.review-item'), '', '');
+      }
+    });
+  }
+
+  Drupal.accessibility.reviews = {
+
+    /**
+     * Load the saved decisions for a page.
+     *
+     * @param {string} url
+     *   The page URL.
+     *
+     * @return {Promise<object>}
+     *   Decisions keyed by key().
+     */
+    load: function (url) {
+      return fetch(Drupal.url('accessibility/review/decisions') + '?url=' + encodeURIComponent(url), {
+        headers: { 'X-Requested-With': 'XMLHttpRequest' },
+      })
+        .then(function (response) {
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(function (data) {
+          return data.decisions || {};
+        });
+    },
+
+    /**
+     * Save, or clear with an empty decision, the decision for an element.
+     *
+     * @return {Promise<object>}
+     *   The decoded server response.
+     */
+    save: function (url, ruleId, node, decision, note) {
+      return fetch(Drupal.url('accessibility/review/decision'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Requested-With': 'XMLHttpRequest',
+        },
+        body: JSON.stringify({
+          url: url,
+          rule_id: ruleId,
+          target: targetOf(node),
+          decision: decision,
+          note: note,
+          html: node.html || '',
+        }),
+      })
+        .then(function (response) {
+          return response.json().then(function (data) {
+            if (!response.ok || !data.success) {
+              throw new Error(data.message || `HTTP error! status: ${response.status}`);
+            }
+            return data;
+          });
+        });
+    },
+
+    /**
+     * The key a decision is stored under for a rule and node.
+     */
+    key: function (ruleId, node) {
+      return ruleId + '|' + targetOf(node);
+    },
+
+    /**
+     * Count the elements that still need a decision.
+     */
+    countPending: function (incomplete, decisions) {
+      const reviews = this;
+      let pending = 0;
+      (incomplete || []).forEach(function (rule) {
+        rule.nodes.forEach(function (node) {
+          if (!decisions[reviews.key(rule.id, node)]) {
+            pending++;
+          }
+        });
+      });
+      return pending;
+    },
+
+    /**
+     * Render the "Needs review" panel for a page into a container.
+     *
+     * @param {Element} container
+     *   The element to render into.
+     * @param {string} url
+     *   The page URL.
+     * @param {object[]} incomplete
+     *   Normalized incomplete results.
+     * @param {function} [onChange]
+     *   Called with the number of elements still pending after a decision
+     *   is saved or cleared.
+     *
+     * @return {Promise<number>}
+     *   Resolves with the number of elements still pending.
+     */
+    render: function (container, url, incomplete, onChange) {
+      const reviews = this;
+      incomplete = incomplete || [];
+
+      if (!incomplete.length) {
+        container.innerHTML = '<div class="no-violations"><p>' + Drupal.t('Nothing needs manual review.') + '</p></div>';
+        return Promise.resolve(0);
+      }
+
+      container.innerHTML = '<div class="scanning-message"><p>' + Drupal.t('Loading review decisions...') + '</p></div>';
+
+      return reviews.load(url)
+        .catch(function (error) {
+          console.error('Error loading review decisions:', error);
+          return {};
+        })
+        .then(function (decisions) {
+          let html = '<div class="review-intro">' + Drupal.t('axe could not decide whether these elements pass. Check each one and record your decision; it is kept for later scans of the same element.') + '</div>';
+          incomplete.forEach(function (rule, ruleIndex) {
+            html += `
+              <section class="review-rule ${escapeHtml(rule.impact)}">
+                <h4 class="review-rule-title">${escapeHtml(rule.id)}</h4>
+                <div class="review-rule-help">
+                  ${escapeHtml(rule.help || rule.description)}
+                  ${rule.helpUrl ? `<a href="${escapeHtml(rule.helpUrl)}" target="_blank" rel="noopener">${Drupal.t('Learn more')}</a>` : ''}
+                </div>
+                <ul class="review-items">
+            `;
+            rule.nodes.forEach(function (node, nodeIndex) {
+              const id = 'review-' + ruleIndex + '-' + nodeIndex;
+              html += nodeHtml(rule, node, decisions[reviews.key(rule.id, node)], id);
+            });
+            html += '</ul></section>';
+          });
+          container.innerHTML = html;
+
+          panels.set(container, {
+            url: url,
+            incomplete: incomplete,
+            decisions: decisions,
+            onChange: onChange,
+          });
+          if (!container.hasAttribute('data-review-bound')) {
+            container.setAttribute('data-review-bound', 'true');
+            bindPanel(container);
+          }
+
+          return reviews.countPending(incomplete, decisions);
+        });
+    },
+
+    /**
+     * Make a set of role="tab" buttons switch between their panels.
+     *
+     * @param {Element} tablist
+     *   The element with role="tablist".
+     */
+    bindTabs: function (tablist) {
+      const tabs = Array.from(tablist.querySelectorAll('[role="tab"]'));
+
+      const select = function (tab) {
+        tabs.forEach(function (other) {
+          const selected = other === tab;
+          other.setAttribute('aria-selected', selected ? 'true' : 'false');
+          other.tabIndex = selected ? 0 : -1;
+          other.classList.toggle('is-active', selected);
+          const panel = document.getElementById(other.getAttribute('aria-controls'));
+          if (panel) {
+            panel.hidden = !selected;
+          }
+        });
+      };
+
+      tabs.forEach(function (tab, index) {
+        tab.addEventListener('click', function (e) {
+          e.preventDefault();
+          select(tab);
+        });
+        tab.addEventListener('keydown', function (e) {
+          let next = null;
+          if (e.key === 'ArrowRight') {
+            next = tabs[(index + 1) % tabs.length];
+          }
+          else if (e.key === 'ArrowLeft') {
+            next = tabs[(index - 1 + tabs.length) % tabs.length];
+          }
+          if (next) {
+            e.preventDefault();
+            select(next);
+            next.focus();
+          }
+        });
+      });
+    },
+  };
+
+})(Drupal);
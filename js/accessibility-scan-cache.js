@@ -0,0 +1,286 @@
+/**
+ * @file
+ * Persistent client-side store for scan results.
+ *
+ * Drupal.accessibility.scanCache keeps results in IndexedDB so they survive
+ * navigation, and falls back to memory where IndexedDB is unavailable (e.g.
+ * some private browsing modes). The store is bounded by entry count and
+ * size; the least recently used entries are evicted first.
+ *
+ * Keys are built by Drupal.accessibility.scanner.cache, which is the API the
+ * scan UIs use. This file only deals with storage.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.accessibility = Drupal.accessibility || {};
+
+  const DB_NAME = 'drupal-accessibility';
+  const DB_VERSION = 1;
+  const STORE = 'scans';
+
+  /**
+   * Maximum number of stored scans.
+   */
+  const MAX_ENTRIES = 50;
+
+  /**
+   * Maximum total size of stored results, in bytes of serialized JSON.
+   */
+  const MAX_BYTES = 5 * 1024 * 1024;
+
+  let backendPromise = null;
+
+  /**
+   * Wrap an IndexedDB request in a promise.
+   */
+  function promisify(request) {
+    return new Promise(function (resolve, reject) {
+      request.onsuccess = function () {
+        resolve(request.result);
+      };
+      request.onerror = function () {
+        reject(request.error);
+      };
+    });
+  }
+
+  /**
+   * Storage backend on top of IndexedDB.
+   */
+  function indexedDbBackend(db) {
+    function store(mode) {
+      return db.transaction(STORE, mode).objectStore(STORE);
+    }
+    return {
+      type: 'indexeddb',
+      get: function (key) {
+        return promisify(store('readonly').get(key));
+      },
+      put: function (record) {
+        return promisify(store('readwrite').put(record));
+      },
+      delete: function (key) {
+        return promisify(store('readwrite').delete(key));
+      },
+      all: function () {
+        return promisify(store('readonly').getAll());
+      },
+    };
+  }
+
+  /**
+   * Storage backend kept in memory, used when IndexedDB cannot be opened.
+   */
+  function memoryBackend() {
+    const records = new Map();
+    return {
+      type: 'memory',
+      get: function (key) {
+        return Promise.resolve(records.get(key));
+      },
+      put: function (record) {
+        records.set(record.key, record);
+        return Promise.resolve(record.key);
+      },
+      delete: function (key) {
+        records.delete(key);
+        return Promise.resolve();
+      },
+      all: function () {
+        return Promise.resolve(Array.from(records.values()));
+      },
+    };
+  }
+
+  /**
+   * Open the storage backend once.
+   */
+  function backend() {
+    if (!backendPromise) {
+      backendPromise = new Promise(function (resolve) {
+        if (!window.indexedDB) {
+          resolve(memoryBackend());
+          return;
+        }
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = function () {
+          request.result.createObjectStore(STORE, { keyPath: 'key' });
+        };
+        request.onsuccess = function () {
+          resolve(indexedDbBackend(request.result));
+        };
+        request.onerror = function () {
+          console.warn('Accessibility scan cache: IndexedDB unavailable, using memory.', request.error);
+          resolve(memoryBackend());
+        };
+      });
+    }
+    return backendPromise;
+  }
+
+  /**
+   * Evict least recently used entries until the store is within its limits.
+   */
+  function enforceLimits(storage) {
+    return storage.all().then(function (records) {
+      records.sort(function (a, b) {
+        return b.accessed - a.accessed;
+      });
+
+      let bytes = 0;
+      const evicted = records.filter(function (record, index) {
+        bytes += record.size;
+        return index >= MAX_ENTRIES || bytes > MAX_BYTES;
+      });
+
+      return Promise.all(evicted.map(function (record) {
+        return storage.delete(record.key);
+      }));
+    });
+  }
+
+  /**
+   * Strip the stored results off a record, for listings.
+   */
+  function summarize(record) {
+    const summary = Object.assign({}, record);
+    delete summary.results;
+    return summary;
+  }
+
+  Drupal.accessibility.scanCache = {
+
+    maxEntries: MAX_ENTRIES,
+
+    maxBytes: MAX_BYTES,
+
+    /**
+     * Get stored results, marking the entry as recently used.
+     *
+     * @param {string} key
+     *   The entry key.
+     *
+     * @return {Promise<object|null>}
+     *   The stored results, or null.
+     */
+    get: function (key) {
+      return backend().then(function (storage) {
+        return storage.get(key).then(function (record) {
+          if (!record) {
+            return null;
+          }
+          record.accessed = Date.now();
+          return storage.put(record).then(function () {
+            return record.results;
+          });
+        });
+      }).catch(function (error) {
+        console.warn('Accessibility scan cache read failed:', error);
+        return null;
+      });
+    },
+
+    /**
+     * Store results.
+     *
+     * @param {string} key
+     *   The entry key.
+     * @param {object} meta
+     *   Searchable details of the entry: url, profile, scope, fingerprint.
+     * @param {object} results
+     *   Normalized scan results.
+     *
+     * @return {Promise}
+     *   Resolves once stored and the limits are enforced.
+     */
+    set: function (key, meta, results) {
+      const now = Date.now();
+      const record = Object.assign({}, meta, {
+        key: key,
+        created: now,
+        accessed: now,
+        size: JSON.stringify(results).length,
+        violations: results.violations ? results.violations.length : 0,
+        results: results,
+      });
+
+      // A single result set over the size limit would only evict everything.
+      if (record.size > MAX_BYTES) {
+        return Promise.resolve();
+      }
+
+      return backend().then(function (storage) {
+        return storage.put(record).then(function () {
+          return enforceLimits(storage);
+        });
+      }).catch(function (error) {
+        console.warn('Accessibility scan cache write failed:', error);
+      });
+    },
+
+    /**
+     * List stored entries without their results, most recently used first.
+     *
+     * Unlike get() and set(), this and the methods removing entries reject
+     * when the storage fails, so that the cache inspector can say so.
+     *
+     * @return {Promise<object[]>}
+     */
+    entries: function () {
+      return backend().then(function (storage) {
+        return storage.all();
+      }).then(function (records) {
+        return records.map(summarize).sort(function (a, b) {
+          return b.accessed - a.accessed;
+        });
+      }).catch(function (error) {
+        console.warn('Accessibility scan cache listing failed:', error);
+        throw error;
+      });
+    },
+
+    /**
+     * Remove one entry.
+     */
+    remove: function (key) {
+      return backend().then(function (storage) {
+        return storage.delete(key);
+      }).catch(function (error) {
+        console.warn('Accessibility scan cache removal failed:', error);
+        throw error;
+      });
+    },
+
+    /**
+     * Remove all entries for a URL, or every entry when no URL is given.
+     */
+    clear: function (url) {
+      return backend().then(function (storage) {
+        return storage.all().then(function (records) {
+          return Promise.all(records.filter(function (record) {
+            return !url || record.url === url;
+          }).map(function (record) {
+            return storage.delete(record.key);
+          }));
+        });
+      }).catch(function (error) {
+        console.warn('Accessibility scan cache removal failed:', error);
+        throw error;
+      });
+    },
+
+    /**
+     * Describe where entries are stored: 'indexeddb' or 'memory'.
+     *
+     * @return {Promise<string>}
+     */
+    storageType: function () {
+      return backend().then(function (storage) {
+        return storage.type;
+      });
+    },
+  };
+
+})(Drupal);
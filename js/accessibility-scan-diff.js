@@ -0,0 +1,194 @@
+/**
+ * @file
+ * Changes since the previous scan, for the scan popup and report page.
+ *
+ * Drupal.accessibility.scanDiff loads the diff between the latest two saved
+ * scans of a URL, renders its summary and marks the violations that are new
+ * or have more or fewer instances than in the previous scan. The previous
+ * scan is the latest one with the same profile; when there is none, the
+ * summary says that the profile changed.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.accessibility = Drupal.accessibility || {};
+
+  /**
+   * Escape text for use in HTML.
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  /**
+   * Format a Unix timestamp for display.
+   */
+  function formatDate(timestamp) {
+    return new Date(timestamp * 1000).toLocaleString();
+  }
+
+  /**
+   * The label of a scan profile, or its ID when it is not available here.
+   */
+  function profileLabel(id) {
+    const scanner = Drupal.accessibility.scanner;
+    const profile = scanner && scanner.getProfiles()[id];
+    return profile ? profile.label : (id || Drupal.t('none'));
+  }
+
+  /**
+   * A list item for a violation in the diff.
+   */
+  function itemHtml(item, status, label, detail) {
+    return `
+      <li class="scan-diff-item">
+        <span class="scan-diff-badge scan-diff-badge--${status}">${label}</span>
+        <strong>${escapeHtml(item.id)}</strong>
+        <span class="scan-diff-impact scan-diff-impact--${escapeHtml(item.impact)}">${escapeHtml(item.impact)}</span>
+        ${escapeHtml(item.help)} <span class="scan-diff-detail">${detail}</span>
+      </li>
+    `;
+  }
+
+  Drupal.accessibility.scanDiff = {
+
+    /**
+     * Load the diff between the latest two saved scans of a URL.
+     *
+     * @param {string} url
+     *   The scanned URL.
+     *
+     * @return {Promise<object|null>}
+     *   Resolves with the diff, or null if the URL was never saved or the
+     *   diff could not be loaded.
+     */
+    load: function (url) {
+      return fetch(Drupal.url('accessibility/scans/diff') + '?url=' + encodeURIComponent(url), {
+        headers: { 'X-Requested-With': 'XMLHttpRequest' },
+      })
+        .then(function (response) {
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(function (data) {
+          return data.diff || null;
+        })
+        .catch(function (error) {
+          console.error('Error loading scan diff:', error);
+          return null;
+        });
+    },
+
+    /**
+     * Build the summary of a diff.
+     *
+     * @param {object|null} diff
+     *   The diff from the server.
+     *
+     * @return {string}
+     *   The markup; empty without a diff.
+     */
+    html: function (diff) {
+      if (!diff) {
+        return '';
+      }
+      if (!diff.previous_scan_id) {
+        return '<div class="scan-diff"><p class="scan-diff-summary">' + Drupal.t('There is no earlier saved scan of this page to compare with.') + '</p></div>';
+      }
+
+      const summary = diff.summary;
+      const since = Drupal.t('Since the previous scan on @date:', { '@date': formatDate(diff.previous_timestamp) });
+      const profileNote = diff.profile_changed
+        ? '<p class="scan-diff-summary scan-diff-profile">' + Drupal.t('The previous scan used the %previous profile and this one the %current profile, so rules only one of them runs are listed as new or fixed.', {
+          '%previous': profileLabel(diff.previous_profile),
+          '%current': profileLabel(diff.profile),
+        }) + '</p>'
+        : '';
+      if (!summary.new && !summary.fixed && !summary.changed) {
+        return '<div class="scan-diff"><p class="scan-diff-summary">' + since + ' ' + Drupal.t('no changes.') + '</p>' + profileNote + '</div>';
+      }
+
+      const counts = [
+        '<span class="scan-diff-count scan-diff-count--new">' + Drupal.formatPlural(summary.new, '1 new', '@count new') + '</span>',
+        '<span class="scan-diff-count scan-diff-count--fixed">' + Drupal.formatPlural(summary.fixed, '1 fixed', '@count fixed') + '</span>',
+        '<span class="scan-diff-count">' + Drupal.formatPlural(summary.persisting, '1 still present', '@count still present') + '</span>',
+      ];
+      if (summary.changed) {
+        counts.push('<span class="scan-diff-count scan-diff-count--changed">' + Drupal.formatPlural(summary.changed, '1 with changed instances', '@count with changed instances') + '</span>');
+      }
+
+      let items = '';
+      diff.new.forEach(function (item) {
+        items += itemHtml(item, 'new', Drupal.t('New'), Drupal.formatPlural(item.count, '1 instance', '@count instances'));
+      });
+      diff.fixed.forEach(function (item) {
+        items += itemHtml(item, 'fixed', Drupal.t('Fixed'), Drupal.formatPlural(item.count, 'was 1 instance', 'was @count instances'));
+      });
+      diff.persisting.forEach(function (item) {
+        if (item.count !== item.previous_count) {
+          items += itemHtml(item, 'changed', Drupal.t('Changed'), Drupal.t('@previous → @count instances', {
+            '@previous': item.previous_count,
+            '@count': item.count,
+          }));
+        }
+      });
+
+      return `
+        <div class="scan-diff">
+          <p class="scan-diff-summary">${since} ${counts.join(', ')}</p>
+          ${profileNote}
+          <details class="scan-diff-details">
+            <summary>${Drupal.t('Show changes')}</summary>
+            <ul class="scan-diff-list">${items}</ul>
+          </details>
+        </div>
+      `;
+    },
+
+    /**
+     * Mark the violations a diff reports as new or changed.
+     *
+     * @param {Element} container
+     *   The element containing .violation-item elements with a data-rule
+     *   attribute.
+     * @param {object|null} diff
+     *   The diff from the server; without one, existing marks are removed.
+     */
+    mark: function (container, diff) {
+      container.querySelectorAll('.scan-diff-mark').forEach(function (mark) {
+        mark.remove();
+      });
+      if (!diff || !diff.previous_scan_id) {
+        return;
+      }
+
+      const marks = {};
+      diff.new.forEach(function (item) {
+        marks[item.id] = '<span class="scan-diff-badge scan-diff-badge--new scan-diff-mark">' + Drupal.t('New since last scan') + '</span>';
+      });
+      diff.persisting.forEach(function (item) {
+        const change = item.count - item.previous_count;
+        if (change) {
+          const text = change > 0
+            ? Drupal.formatPlural(change, '1 more instance', '@count more instances')
+            : Drupal.formatPlural(-change, '1 fewer instance', '@count fewer instances');
+          marks[item.id] = '<span class="scan-diff-badge scan-diff-badge--changed scan-diff-mark">' + text + '</span>';
+        }
+      });
+
+      container.querySelectorAll('.violation-item[data-rule]').forEach(function (item) {
+        const mark = marks[item.getAttribute('data-rule')];
+        const title = item.querySelector('.violation-title');
+        if (mark && title) {
+          title.insertAdjacentHTML('beforeend', ' ' + mark);
+        }
+      });
+    },
+  };
+
+})(Drupal);
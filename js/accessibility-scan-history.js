@@ -0,0 +1,305 @@
+/**
+ * @file
+ * Timeline of the saved scans of a page, for the scan popup and report page.
+ *
+ * Drupal.accessibility.scanHistory lists every saved scan of a URL with its
+ * counts by impact and who ran it, and opens the full results of any of them
+ * along with what changed since the scan before it.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.accessibility = Drupal.accessibility || {};
+
+  const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+  /**
+   * Escape text for use in HTML.
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  /**
+   * Format a Unix timestamp for display.
+   */
+  function formatDate(timestamp) {
+    return new Date(timestamp * 1000).toLocaleString();
+  }
+
+  /**
+   * Fetch JSON from one of the history endpoints.
+   */
+  function getJson(path) {
+    return fetch(Drupal.url(path), {
+      headers: { 'X-Requested-With': 'XMLHttpRequest' },
+    })
+      .then(function (response) {
+        return response.json().then(function (data) {
+          if (!response.ok || !data.success) {
+            throw new Error(data.message || `HTTP error! status: ${response.status}`);
+          }
+          return data;
+        });
+      });
+  }
+
+  /**
+   * A bar of the violations of a scan by impact, scaled to the largest scan.
+   */
+  function barHtml(scan, max) {
+    let html = '<span class="scan-history-bar" aria-hidden="true">';
+    IMPACTS.forEach(function (impact) {
+      if (scan.counts[impact]) {
+        html += '<span class="scan-history-bar-part scan-history-bar-part--' + impact + '" style="width: ' + (scan.counts[impact] / max * 100) + '%"></span>';
+      }
+    });
+    return html + '</span>';
+  }
+
+  /**
+   * The selector of a stored instance.
+   */
+  function selectorFor(node) {
+    return (node.target || []).map(function (part) {
+      return Array.isArray(part) ? part.join(' ') : part;
+    }).join(' ');
+  }
+
+  Drupal.accessibility.scanHistory = {
+
+    /**
+     * Load the saved scans of a URL, newest first, without their violations.
+     *
+     * @return {Promise<object[]>}
+     */
+    load: function (url) {
+      return getJson('accessibility/scans?url=' + encodeURIComponent(url))
+        .then(function (data) {
+          return data.scans;
+        });
+    },
+
+    /**
+     * Load a saved scan with its violations.
+     *
+     * @return {Promise<object>}
+     *   Resolves with the scan and diff: what changed since the scan before.
+     */
+    loadScan: function (id) {
+      return getJson('accessibility/scans/' + encodeURIComponent(id));
+    },
+
+    /**
+     * Build the table of saved scans.
+     *
+     * @param {object[]} scans
+     *   The scans, newest first.
+     * @param {number} [currentId]
+     *   The scan whose results are shown elsewhere on the page.
+     *
+     * @return {string}
+     *   The markup.
+     */
+    timelineHtml: function (scans, currentId) {
+      if (!scans.length) {
+        return '<p class="scan-history-empty">' + Drupal.t('This page has no saved scans yet.') + '</p>';
+      }
+
+      const max = Math.max.apply(null, scans.map(function (scan) {
+        return scan.counts.total;
+      })) || 1;
+
+      let rows = '';
+      scans.forEach(function (scan) {
+        const current = scan.id === currentId ? ' <span class="scan-history-current">' + Drupal.t('Current') + '</span>' : '';
+        let counts = '';
+        IMPACTS.forEach(function (impact) {
+          counts += '<td class="scan-history-count scan-history-count--' + impact + '">' + scan.counts[impact] + '</td>';
+        });
+        rows += `
+          <tr data-scan="${scan.id}">
+            <td>${escapeHtml(formatDate(scan.timestamp))}${current}</td>
+            <td>${escapeHtml(scan.profile_label || Drupal.t('Default'))}</td>
+            <td>${escapeHtml(scan.user)}<div class="scan-history-agent">${escapeHtml(scan.user_agent)}</div></td>
+            ${counts}
+            <td class="scan-history-count">${scan.counts.nodes}</td>
+            <td>${barHtml(scan, max)}</td>
+            <td>
+              <button type="button" class="button button--small scan-history-view" data-scan="${scan.id}" aria-expanded="false">
+                ${Drupal.t('View results')}
+              </button>
+            </td>
+          </tr>
+        `;
+      });
+
+      return `
+        <div class="scan-history-table-wrapper">
+          <table class="scan-history-table">
+            <caption>${Drupal.formatPlural(scans.length, '1 saved scan of this page, newest first', '@count saved scans of this page, newest first')}</caption>
+            <thead>
+              <tr>
+                <th scope="col">${Drupal.t('Scanned')}</th>
+                <th scope="col">${Drupal.t('Profile')}</th>
+                <th scope="col">${Drupal.t('Run by')}</th>
+                <th scope="col">${Drupal.t('Critical')}</th>
+                <th scope="col">${Drupal.t('Serious')}</th>
+                <th scope="col">${Drupal.t('Moderate')}</th>
+                <th scope="col">${Drupal.t('Minor')}</th>
+                <th scope="col">${Drupal.t('Instances')}</th>
+                <th scope="col"><span class="visually-hidden">${Drupal.t('Violations by impact')}</span></th>
+                <th scope="col"><span class="visually-hidden">${Drupal.t('Operations')}</span></th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        <div class="scan-history-detail" hidden></div>
+      `;
+    },
+
+    /**
+     * Build the full results of a saved scan.
+     *
+     * @param {object} scan
+     *   The scan with its violations.
+     * @param {object} diff
+     *   What changed since the scan before it.
+     *
+     * @return {string}
+     *   The markup.
+     */
+    scanHtml: function (scan, diff) {
+      let html = `
+        <div class="scan-history-detail-header">
+          <h4 class="scan-history-detail-title" tabindex="-1">${Drupal.t('Scan of @date', { '@date': formatDate(scan.timestamp) })}</h4>
+          <button type="button" class="button button--small scan-history-close">${Drupal.t('Close')}</button>
+        </div>
+        ${Drupal.accessibility.scanDiff.html(diff)}
+      `;
+
+      if (!scan.violations.length) {
+        return html + '<p>' + Drupal.t('No accessibility violations were found.') + '</p>';
+      }
+
+      html += '<ul class="scan-history-violations">';
+      scan.violations.forEach(function (violation) {
+        let nodes = '';
+        violation.nodes.forEach(function (node) {
+          nodes += `
+            <li>
+              <code>${escapeHtml(selectorFor(node))}</code>
+              ${node.html ? `<pre class="scan-history-html">${escapeHtml(node.html)}</pre>` : ''}
+            </li>
+          `;
+        });
+        const link = violation.helpUrl ? ` <a href="${escapeHtml(violation.helpUrl)}" target="_blank" rel="noopener">${Drupal.t('Learn more')}</a>` : '';
+
+        html += `
+          <li class="scan-history-violation scan-history-violation--${escapeHtml(violation.impact)}">
+            <div>
+              <span class="scan-history-impact">${escapeHtml(violation.impact)}</span>
+              <strong>${escapeHtml(violation.id)}</strong>
+              ${escapeHtml(violation.help || violation.description)}${link}
+            </div>
+            <details>
+              <summary>${Drupal.formatPlural(violation.nodes.length, '1 instance', '@count instances')}</summary>
+              <ol>${nodes}</ol>
+            </details>
+          </li>
+        `;
+      });
+      return html + '</ul>';
+    },
+
+    /**
+     * Render the timeline of a URL into a container.
+     *
+     * @param {Element} container
+     *   The element to render into.
+     * @param {string} url
+     *   The scanned URL.
+     * @param {number} [currentId]
+     *   The scan whose results are shown elsewhere on the page.
+     *
+     * @return {Promise}
+     *   Resolves once the timeline is rendered.
+     */
+    render: function (container, url, currentId) {
+      const history = this;
+      this.bind(container);
+      container.innerHTML = '<p class="scan-history-loading">' + Drupal.t('Loading scan history...') + '</p>';
+
+      return this.load(url)
+        .then(function (scans) {
+          container.innerHTML = history.timelineHtml(scans, currentId);
+        })
+        .catch(function (error) {
+          container.innerHTML = '<p class="scan-history-error">' + Drupal.t('Could not load the scan history: @error', { '@error': error.message }) + '</p>';
+        });
+    },
+
+    /**
+     * Open and close saved scans from a rendered timeline; bound once.
+     */
+    bind: function (container) {
+      const history = this;
+      if (container.hasAttribute('data-scan-history-bound')) {
+        return;
+      }
+      container.setAttribute('data-scan-history-bound', 'true');
+
+      const close = function () {
+        const detail = container.querySelector('.scan-history-detail');
+        const open = container.querySelector('.scan-history-view[aria-expanded="true"]');
+        detail.hidden = true;
+        detail.innerHTML = '';
+        if (open) {
+          open.setAttribute('aria-expanded', 'false');
+          open.closest('tr').classList.remove('is-active');
+          open.focus();
+        }
+      };
+
+      container.addEventListener('click', function (e) {
+        if (e.target.closest('.scan-history-close')) {
+          close();
+          return;
+        }
+
+        const button = e.target.closest('.scan-history-view');
+        if (!button) {
+          return;
+        }
+        if (button.getAttribute('aria-expanded') === 'true') {
+          close();
+          return;
+        }
+
+        const detail = container.querySelector('.scan-history-detail');
+        container.querySelectorAll('.scan-history-view[aria-expanded="true"]').forEach(function (other) {
+          other.setAttribute('aria-expanded', 'false');
+          other.closest('tr').classList.remove('is-active');
+        });
+        button.setAttribute('aria-expanded', 'true');
+        button.closest('tr').classList.add('is-active');
+        detail.hidden = false;
+        detail.innerHTML = '<p class="scan-history-loading">' + Drupal.t('Loading scan...') + '</p>';
+
+        history.loadScan(button.getAttribute('data-scan'))
+          .then(function (data) {
+            detail.innerHTML = history.scanHtml(data.scan, data.diff);
+            detail.querySelector('.scan-history-detail-title').focus();
+          })
+          .catch(function (error) {
+            detail.innerHTML = '<p class="scan-history-error">' + Drupal.t('Could not load the scan: @error', { '@error': error.message }) + '</p>';
+          });
+      });
+    },
+  };
+
+})(Drupal);
@@ -0,0 +1,789 @@
+/**
+ * @file
+ * Shared axe-core scanner engine used by every accessibility scan UI.
+ *
+ * The sidebar popup, the auto-scan behavior, the legacy axe popup and the
+ * test violations page all go through Drupal.accessibility.scanner so that
+ * a page is always scanned with the same options and the results are
+ * normalized the same way, whichever button started the scan.
+ */
+
+(function ($, Drupal, drupalSettings) {
+  'use strict';
+
+  Drupal.accessibility = Drupal.accessibility || {};
+
+  /**
+   * Hard limit for a single scan, in milliseconds.
+   */
+  const SCAN_TIMEOUT = 35000;
+
+  /**
+   * Elements injected by the accessibility UIs, never part of a scan.
+   */
+  const UI_EXCLUDES = [
+    '#violations-popup',
+    '#axe-violations-popup',
+    '#axe-scanner-popup',
+    '.accessibility-highlight-layer',
+    '.accessibility-highlight',
+    '.highlight-notification',
+    '.accessibility-scan-notification',
+    '.axe-element-picker-overlay',
+  ];
+
+  /**
+   * Sort order of axe impact levels, most severe first.
+   */
+  const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+
+  /**
+   * Default axe.run() options shared by all scan UIs.
+   */
+  const DEFAULT_OPTIONS = {
+    runOnly: {
+      type: 'tag',
+      values: ['wcag2a', 'wcag2aa', 'wcag21aa'],
+    },
+    resultTypes: ['violations', 'incomplete'],
+  };
+
+  /**
+   * axe-core WCAG tags with the version and level they belong to.
+   */
+  const WCAG_TAGS = [
+    { tag: 'wcag2a', version: '2.0', level: 'A' },
+    { tag: 'wcag2aa', version: '2.0', level: 'AA' },
+    { tag: 'wcag2aaa', version: '2.0', level: 'AAA' },
+    { tag: 'wcag21a', version: '2.1', level: 'A' },
+    { tag: 'wcag21aa', version: '2.1', level: 'AA' },
+    { tag: 'wcag22aa', version: '2.2', level: 'AA' },
+  ];
+
+  const WCAG_VERSIONS = ['2.0', '2.1', '2.2'];
+  const WCAG_LEVELS = ['A', 'AA', 'AAA'];
+
+  /**
+   * Attributes that take part in the page fingerprint.
+   */
+  const FINGERPRINT_ATTRIBUTES = [
+    'id', 'class', 'role', 'alt', 'title', 'href', 'src', 'type', 'name',
+    'for', 'lang', 'tabindex', 'hidden', 'disabled', 'value', 'placeholder',
+  ];
+
+  let options = $.extend(true, {}, DEFAULT_OPTIONS);
+  let profileId = null;
+  let fingerprintValue = null;
+  let fingerprintObserver = null;
+  let axeLoading = null;
+  let axeBusy = Promise.resolve();
+  let activeRun = null;
+
+  /**
+   * Load axe-core into a frame from the first of some script URLs that works.
+   *
+   * @param {Window} frameWindow
+   *   The window of a same-origin frame.
+   * @param {string[]} sources
+   *   Script URLs to try in order.
+   *
+   * @return {Promise<object>}
+   *   Resolves with the axe global of the frame.
+   */
+  function loadIntoFrame(frameWindow, sources) {
+    if (!sources.length) {
+      return Promise.reject(new Error(Drupal.t('axe-core could not be loaded into the page.')));
+    }
+
+    return new Promise(function (resolve, reject) {
+      const frameDocument = frameWindow.document;
+      const script = frameDocument.createElement('script');
+      script.src = sources[0];
+      script.onload = function () {
+        if (typeof frameWindow.axe !== 'undefined') {
+          resolve(frameWindow.axe);
+        }
+        else {
+          reject(new Error('Axe failed to initialize'));
+        }
+      };
+      script.onerror = function () {
+        reject(new Error('Failed to load axe-core'));
+      };
+      (frameDocument.head || frameDocument.documentElement).appendChild(script);
+    }).catch(function () {
+      return loadIntoFrame(frameWindow, sources.slice(1));
+    });
+  }
+
+  /**
+   * Build an error describing a cancelled scan.
+   */
+  function cancelledError() {
+    const error = new Error(Drupal.t('The accessibility scan was cancelled.'));
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Flatten an axe check list into plain messages.
+   */
+  function normalizeChecks(checks) {
+    return (checks || []).map(function (check) {
+      return {
+        id: check.id,
+        impact: check.impact || null,
+        message: check.message || '',
+      };
+    });
+  }
+
+  /**
+   * Normalize a single axe rule result (violation or incomplete item).
+   */
+  function normalizeRule(rule) {
+    return {
+      id: rule.id,
+      impact: rule.impact || 'minor',
+      description: rule.description || rule.help || '',
+      help: rule.help || '',
+      helpUrl: rule.helpUrl || '',
+      tags: rule.tags || [],
+      nodes: (rule.nodes || []).map(function (node) {
+        return {
+          html: node.html || '',
+          target: Array.isArray(node.target) ? node.target : [node.target],
+          failureSummary: node.failureSummary || '',
+          impact: node.impact || rule.impact || 'minor',
+          any: normalizeChecks(node.any),
+          all: normalizeChecks(node.all),
+          none: normalizeChecks(node.none),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Sort rule results by impact, most severe first.
+   */
+  function sortByImpact(rules) {
+    return rules.sort(function (a, b) {
+      const aOrder = IMPACT_ORDER[a.impact] !== undefined ? IMPACT_ORDER[a.impact] : 999;
+      const bOrder = IMPACT_ORDER[b.impact] !== undefined ? IMPACT_ORDER[b.impact] : 999;
+      return aOrder - bOrder;
+    });
+  }
+
+  /**
+   * Count rule results by impact level.
+   */
+  function countByImpact(rules) {
+    const counts = { total: 0, critical: 0, serious: 0, moderate: 0, minor: 0 };
+    rules.forEach(function (rule) {
+      counts.total++;
+      if (counts.hasOwnProperty(rule.impact)) {
+        counts[rule.impact]++;
+      }
+      else {
+        counts.minor++;
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * Feed a string into a 32-bit FNV-1a hash.
+   */
+  function hashString(hash, value) {
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash;
+  }
+
+  /**
+   * Hash the accessibility-relevant structure of the page.
+   *
+   * Covers element names, the attributes axe rules depend on (including
+   * all aria-* attributes), the start of each text node and the set of
+   * stylesheets. Unlike serializing the whole document this never builds
+   * a large string, and the scan UIs are skipped.
+   */
+  function computeFingerprint() {
+    let hash = 2166136261;
+    const uiSelector = UI_EXCLUDES.join(', ');
+    const walker = document.createTreeWalker(document.documentElement, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: function (node) {
+        if (node.nodeType === Node.ELEMENT_NODE && node.matches(uiSelector)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      },
+    });
+
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.nodeValue.trim();
+        if (text) {
+          hash = hashString(hash, text.length + ':' + text.slice(0, 32));
+        }
+        continue;
+      }
+
+      hash = hashString(hash, '<' + node.tagName);
+      for (let i = 0; i < node.attributes.length; i++) {
+        const attribute = node.attributes[i];
+        if (attribute.name.indexOf('aria-') === 0 || FINGERPRINT_ATTRIBUTES.indexOf(attribute.name) !== -1) {
+          hash = hashString(hash, ' ' + attribute.name + '=' + attribute.value);
+        }
+      }
+    }
+
+    Array.from(document.styleSheets).forEach(function (sheet) {
+      let rules = 0;
+      try {
+        rules = sheet.cssRules.length;
+      }
+      catch (e) {
+        // Cross-origin stylesheets do not expose their rules.
+      }
+      hash = hashString(hash, (sheet.href || 'inline') + '#' + rules);
+    });
+
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Fingerprint of the current page, recomputed only after it changes.
+   *
+   * A MutationObserver drops the stored value whenever the page (outside
+   * the scan UIs) is modified, so repeated cache lookups on an unchanged
+   * page cost nothing.
+   */
+  function pageFingerprint() {
+    if (!fingerprintObserver && window.MutationObserver) {
+      const uiSelector = UI_EXCLUDES.join(', ');
+      fingerprintObserver = new MutationObserver(function (mutations) {
+        const relevant = mutations.some(function (mutation) {
+          const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+          return !target || !target.closest(uiSelector);
+        });
+        if (relevant) {
+          fingerprintValue = null;
+        }
+      });
+      fingerprintObserver.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true,
+      });
+    }
+
+    if (fingerprintValue === null || !fingerprintObserver) {
+      fingerprintValue = computeFingerprint();
+    }
+    return fingerprintValue;
+  }
+
+  /**
+   * Describe the include list of an axe context as a selector string.
+   *
+   * @return {string|null}
+   *   Comma-separated selectors, or null for a whole-page scan.
+   */
+  function describeScope(context) {
+    if (!context || !context.include) {
+      return null;
+    }
+    const include = Array.isArray(context.include) ? context.include : [context.include];
+    return include.map(function (item) {
+      if (item instanceof Element) {
+        return item.tagName.toLowerCase() + (item.id ? '#' + item.id : '');
+      }
+      return Array.isArray(item) ? item.join(' ') : String(item);
+    }).join(', ');
+  }
+
+  /**
+   * Describe a cache entry: URL, scan profile, scope and page fingerprint.
+   */
+  function cacheMeta(url, profile, scope) {
+    return {
+      url: url,
+      profile: profile === undefined ? profileId : profile,
+      scope: scope || null,
+      fingerprint: pageFingerprint(),
+    };
+  }
+
+  /**
+   * Key a cache entry by its details.
+   */
+  function cacheKey(meta) {
+    return [meta.url, meta.profile, meta.scope || '', meta.fingerprint].join('\n');
+  }
+
+  /**
+   * The shared scanner API.
+   */
+  Drupal.accessibility.scanner = {
+
+    impactOrder: IMPACT_ORDER,
+
+    sortByImpact: sortByImpact,
+
+    countByImpact: countByImpact,
+
+    /**
+     * The URL a scan of the current page is recorded under.
+     *
+     * Drops the fragment and the auto_scan trigger parameter so a scan
+     * started from the report page lands on the same URL as a manual one.
+     *
+     * @param {string} [href]
+     *   The address of another page, e.g. one loaded in a frame.
+     */
+    pageUrl: function (href) {
+      const url = new URL(href || window.location.href);
+      url.hash = '';
+      url.searchParams.delete('auto_scan');
+      return url.toString();
+    },
+
+    /**
+     * Resolve the axe-core global.
+     *
+     * axe-core is served locally by the accessibility/axe-core library, which
+     * the scanner depends on. Only when that copy is missing, and the CDN
+     * fallback is enabled in the settings, is axe-core fetched from the CDN.
+     *
+     * @return {Promise<object>}
+     *   Resolves with the axe global.
+     */
+    load: function () {
+      if (typeof window.axe !== 'undefined') {
+        return Promise.resolve(window.axe);
+      }
+      if (axeLoading) {
+        return axeLoading;
+      }
+
+      const settings = (drupalSettings.accessibility && drupalSettings.accessibility.axe) || {};
+      if (!settings.cdnFallback || !settings.cdnSource) {
+        return Promise.reject(new Error(Drupal.t('axe-core is not available. Check that the accessibility/axe-core library is installed, or enable the CDN fallback.')));
+      }
+
+      axeLoading = new Promise(function (resolve, reject) {
+        const script = document.createElement('script');
+        script.src = settings.cdnSource;
+        script.crossOrigin = 'anonymous';
+        script.onload = function () {
+          if (typeof window.axe !== 'undefined') {
+            resolve(window.axe);
+          }
+          else {
+            reject(new Error('Axe failed to initialize'));
+          }
+        };
+        script.onerror = function () {
+          reject(new Error('Failed to load axe-core'));
+        };
+        document.head.appendChild(script);
+      });
+
+      // Allow a later attempt after a failed load.
+      axeLoading.catch(function () {
+        axeLoading = null;
+      });
+
+      return axeLoading;
+    },
+
+    /**
+     * The version of the axe-core build in use.
+     *
+     * @return {string|null}
+     *   The running axe version, else the version the module ships, else null.
+     */
+    version: function () {
+      if (typeof window.axe !== 'undefined' && window.axe.version) {
+        return window.axe.version;
+      }
+      const settings = drupalSettings.accessibility && drupalSettings.accessibility.axe;
+      return (settings && settings.version) || null;
+    },
+
+    /**
+     * Override the axe.run() options used for every subsequent scan.
+     *
+     * @param {object} overrides
+     *   Options whose top-level keys replace the defaults.
+     *
+     * @return {object}
+     *   The effective options.
+     */
+    configure: function (overrides) {
+      options = $.extend(true, {}, Object.assign({}, DEFAULT_OPTIONS, overrides));
+      return this.getOptions();
+    },
+
+    /**
+     * Build axe.run() options for a scan profile.
+     *
+     * A profile targets a WCAG version and level; every tag up to and
+     * including both is run, plus best-practice and experimental rules when
+     * enabled. Per-rule overrides are applied on top of the tags.
+     *
+     * @param {object} profile
+     *   A profile from drupalSettings.accessibility.scanProfiles.
+     *
+     * @return {object}
+     *   Options suitable for configure().
+     */
+    profileOptions: function (profile) {
+      const version = WCAG_VERSIONS.indexOf(profile.wcag_version);
+      const level = WCAG_LEVELS.indexOf(profile.wcag_level);
+      const tags = WCAG_TAGS.filter(function (item) {
+        return WCAG_VERSIONS.indexOf(item.version) <= version
+          && WCAG_LEVELS.indexOf(item.level) <= level;
+      }).map(function (item) {
+        return item.tag;
+      });
+
+      if (profile.best_practice) {
+        tags.push('best-practice');
+      }
+      if (profile.experimental) {
+        tags.push('experimental');
+      }
+
+      const rules = {};
+      (profile.enabled_rules || []).forEach(function (rule) {
+        rules[rule] = { enabled: true };
+      });
+      (profile.disabled_rules || []).forEach(function (rule) {
+        rules[rule] = { enabled: false };
+      });
+
+      const built = { runOnly: { type: 'tag', values: tags } };
+      if (Object.keys(rules).length) {
+        built.rules = rules;
+      }
+      return built;
+    },
+
+    /**
+     * List the scan profiles available on this page, keyed by ID.
+     */
+    getProfiles: function () {
+      const settings = drupalSettings.accessibility && drupalSettings.accessibility.scanProfiles;
+      return (settings && settings.profiles) || {};
+    },
+
+    /**
+     * Configure subsequent scans from a scan profile.
+     *
+     * @param {string} [id]
+     *   The profile ID. Defaults to the site's default profile.
+     *
+     * @return {object|null}
+     *   The profile now in use, or null when no profiles are available and
+     *   the built-in defaults apply.
+     */
+    useProfile: function (id) {
+      const settings = (drupalSettings.accessibility && drupalSettings.accessibility.scanProfiles) || {};
+      const profiles = this.getProfiles();
+      const profile = profiles[id] || profiles[settings.default] || null;
+
+      if (profile) {
+        this.configure(this.profileOptions(profile));
+        profileId = profile.id;
+      }
+      else {
+        this.configure({});
+        profileId = null;
+      }
+      return profile;
+    },
+
+    /**
+     * The ID of the profile in use, or null when using the defaults.
+     */
+    getProfileId: function () {
+      return profileId;
+    },
+
+    /**
+     * Return a copy of the effective axe.run() options.
+     */
+    getOptions: function () {
+      return $.extend(true, {}, options);
+    },
+
+    /**
+     * Build the axe context for a scan, always excluding the scan UIs.
+     *
+     * @param {object} [context]
+     *   Optional axe context with include and/or exclude lists.
+     */
+    buildContext: function (context) {
+      context = context || {};
+      const exclude = UI_EXCLUDES.map(function (selector) {
+        return [selector];
+      }).concat(context.exclude || []);
+      const built = { exclude: exclude };
+      if (context.include) {
+        built.include = context.include;
+      }
+      return built;
+    },
+
+    /**
+     * Whether a scan is currently in progress.
+     */
+    isRunning: function () {
+      return activeRun !== null;
+    },
+
+    /**
+     * Run axe against the page and return normalized results.
+     *
+     * Scans are serialized: a new run waits for the previous axe run to
+     * settle, because axe-core refuses to run concurrently.
+     *
+     * @param {object} [context]
+     *   Optional axe context, see buildContext().
+     *
+     * @return {Promise<object>}
+     *   Resolves with normalized results, see normalize().
+     */
+    run: function (context) {
+      const scanner = this;
+      const run = { cancelled: false, reject: null };
+      activeRun = run;
+
+      const cancellation = new Promise(function (resolve, reject) {
+        run.reject = reject;
+      });
+
+      const scan = scanner.load().then(function (axe) {
+        const previous = axeBusy;
+        const started = previous.then(function () {
+          if (run.cancelled) {
+            throw cancelledError();
+          }
+          return axe.run(scanner.buildContext(context), scanner.getOptions());
+        });
+        axeBusy = started.catch(function () {});
+        return started;
+      });
+
+      let timer = null;
+      const timeout = new Promise(function (resolve, reject) {
+        timer = setTimeout(function () {
+          reject(new Error('Scan timeout'));
+        }, SCAN_TIMEOUT);
+      });
+
+      return Promise.race([scan, cancellation, timeout])
+        .then(function (raw) {
+          return scanner.normalize(raw, context);
+        })
+        .finally(function () {
+          clearTimeout(timer);
+          if (activeRun === run) {
+            activeRun = null;
+          }
+        });
+    },
+
+    /**
+     * Run axe against a page of this site loaded in a frame.
+     *
+     * axe-core is loaded into the frame from the module's copy, or from the
+     * CDN when the fallback is enabled, unless the page already has it. It
+     * runs with the same options and exclusions as a scan of the current
+     * page. Each frame has its own copy of axe, so frames can be scanned at
+     * the same time.
+     *
+     * @param {HTMLIFrameElement} frame
+     *   A loaded, same-origin frame.
+     *
+     * @return {Promise<object>}
+     *   Resolves with normalized results for the page in the frame.
+     */
+    runInFrame: function (frame) {
+      const scanner = this;
+      const frameWindow = frame.contentWindow;
+      const frameDocument = frame.contentDocument;
+
+      const settings = (drupalSettings.accessibility && drupalSettings.accessibility.axe) || {};
+      const sources = [settings.source];
+      if (settings.cdnFallback) {
+        sources.push(settings.cdnSource);
+      }
+
+      const loaded = typeof frameWindow.axe !== 'undefined'
+        ? Promise.resolve(frameWindow.axe)
+        : loadIntoFrame(frameWindow, sources.filter(Boolean));
+      const scan = loaded.then(function (axe) {
+        return axe.run(scanner.buildContext(), scanner.getOptions());
+      });
+
+      let timer = null;
+      const timeout = new Promise(function (resolve, reject) {
+        timer = setTimeout(function () {
+          reject(new Error('Scan timeout'));
+        }, SCAN_TIMEOUT);
+      });
+
+      return Promise.race([scan, timeout])
+        .then(function (raw) {
+          return scanner.normalize(raw, undefined, {
+            url: scanner.pageUrl(frameWindow.location.href),
+            title: frameDocument.title,
+          });
+        })
+        .finally(function () {
+          clearTimeout(timer);
+        });
+    },
+
+    /**
+     * Cancel the scan in progress, rejecting it with an AbortError.
+     *
+     * axe-core cannot be interrupted, so the underlying run finishes in the
+     * background and its results are discarded.
+     */
+    cancel: function () {
+      if (activeRun) {
+        activeRun.cancelled = true;
+        activeRun.reject(cancelledError());
+        activeRun = null;
+      }
+    },
+
+    /**
+     * Normalize raw axe results into the shape every UI renders.
+     *
+     * @param {object} raw
+     *   The axe.run() results.
+     * @param {object} [context]
+     *   The context the scan ran with, used to describe its scope.
+     * @param {object} [page]
+     *   The url and title of the scanned page, when it is not the current
+     *   page.
+     *
+     * @return {object}
+     *   An object with url, title, timestamp, engine, violations, incomplete,
+     *   counts, profile and scope keys. Rules are sorted by impact; scope is
+     *   null for a whole-page scan.
+     */
+    normalize: function (raw, context, page) {
+      const violations = sortByImpact((raw.violations || []).map(normalizeRule));
+      const incomplete = sortByImpact((raw.incomplete || []).map(normalizeRule));
+      return {
+        url: page ? page.url : this.pageUrl(),
+        title: page ? page.title : document.title,
+        timestamp: Date.now(),
+        engine: raw.testEngine ? raw.testEngine.version : null,
+        violations: violations,
+        incomplete: incomplete,
+        counts: countByImpact(violations),
+        profile: profileId,
+        scope: describeScope(context),
+      };
+    },
+
+    /**
+     * Fingerprint of the page as it is now, see pageFingerprint().
+     */
+    fingerprint: function () {
+      return pageFingerprint();
+    },
+
+    /**
+     * Persistent cache of results, see Drupal.accessibility.scanCache.
+     *
+     * Entries are keyed by URL, scan profile, scope and page fingerprint, so
+     * a changed page, another profile or a scan of a single component never
+     * shows results from another scan.
+     */
+    cache: {
+
+      /**
+       * Get cached results for a URL if the page has not changed since.
+       *
+       * @param {string} url
+       *   The scanned URL.
+       * @param {string|null} [scope]
+       *   The scope of a scoped scan, see normalize().
+       *
+       * @return {Promise<object|null>}
+       *   The cached results, or null.
+       */
+      get: function (url, scope) {
+        return Drupal.accessibility.scanCache.get(cacheKey(cacheMeta(url, undefined, scope)));
+      },
+
+      /**
+       * Cache results for a URL along with the current page fingerprint.
+       *
+       * @return {Promise}
+       */
+      set: function (url, results) {
+        const meta = cacheMeta(url, results.profile, results.scope);
+        return Drupal.accessibility.scanCache.set(cacheKey(meta), meta, results);
+      },
+
+      /**
+       * Clear the cache for one URL, or entirely when no URL is given.
+       *
+       * @return {Promise}
+       */
+      clear: function (url) {
+        return Drupal.accessibility.scanCache.clear(url);
+      },
+    },
+
+    /**
+     * Save normalized results to the server for the reports system.
+     *
+     * @param {object} results
+     *   Normalized results from run().
+     *
+     * @return {Promise<object>}
+     *   Resolves with the decoded server response.
+     */
+    persist: function (results) {
+      return fetch(Drupal.url('save-axe-report'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Requested-With': 'XMLHttpRequest',
+        },
+        body: JSON.stringify({
+          url: results.url,
+          title: results.title,
+          violations: results.violations,
+          incomplete: results.incomplete,
+          timestamp: results.timestamp,
+          profile: results.profile,
+          user_agent: navigator.userAgent,
+        }),
+      })
+        .then(function (response) {
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+          return response.json();
+        });
+    },
+  };
+
+  // Scans use the site's default profile until a UI picks another one.
+  Drupal.accessibility.scanner.useProfile();
+
+})(jQuery, Drupal, drupalSettings);
@@ -0,0 +1,527 @@
+/**
+ * @file
+ * Site scan from the accessibility dashboard.
+ *
+ * Loads the chosen pages of this site in hidden same-origin frames, a few at
+ * a time, scans each with the shared scanner and saves the results like a
+ * scan from the sidebar. The queue is kept in localStorage, so a paused scan
+ * survives a reload of the dashboard and can be resumed.
+ */
+
+(function (Drupal, drupalSettings, once) {
+  'use strict';
+
+  /**
+   * The localStorage key of the queue.
+   */
+  const STORAGE_KEY = 'accessibility.siteScan';
+
+  /**
+   * How long a page may take to load, in milliseconds.
+   */
+  const LOAD_TIMEOUT = 30000;
+
+  /**
+   * Time given to a loaded page's behaviors before it is scanned.
+   */
+  const SETTLE_DELAY = 1000;
+
+  /**
+   * The highest number of pages scanned at a time.
+   */
+  const MAX_CONCURRENCY = 4;
+
+  /**
+   * Paths never loaded, because loading them changes the session.
+   */
+  const UNSAFE_PATHS = [/\/user\/logout(\/|$)/];
+
+  const scanner = Drupal.accessibility.scanner;
+
+  /**
+   * The current scan: profile, concurrency, paused and items, each with url,
+   * status (pending, running, done or error), violations and message.
+   */
+  let job = null;
+
+  /**
+   * The number of pages being scanned.
+   */
+  let running = 0;
+
+  /**
+   * The site scan section.
+   */
+  let section = null;
+
+  /**
+   * Escape text for use in HTML.
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  /**
+   * Save the queue so the scan can be resumed after a reload.
+   */
+  function save() {
+    try {
+      if (job) {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(job));
+      }
+      else {
+        window.localStorage.removeItem(STORAGE_KEY);
+      }
+    }
+    catch (e) {
+      // Storage full or disabled; the scan goes on without it.
+    }
+  }
+
+  /**
+   * Restore a saved queue, as paused.
+   */
+  function restore() {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+      if (!saved || !Array.isArray(saved.items)) {
+        return null;
+      }
+      // Pages that were being scanned when the page was left start over.
+      saved.items.forEach(function (item) {
+        if (item.status === 'running') {
+          item.status = 'pending';
+        }
+      });
+      saved.paused = true;
+      return saved;
+    }
+    catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Collect the URLs to scan from the form, without duplicates.
+   */
+  function collectUrls(form) {
+    const sources = (drupalSettings.accessibilitySiteScan && drupalSettings.accessibilitySiteScan.sources) || {};
+    let urls = [];
+
+    form.querySelectorAll('input[name="sources"]:checked').forEach(function (checkbox) {
+      urls = urls.concat(sources[checkbox.value] || []);
+    });
+    form.elements.urls.value.split(/\r?\n/).forEach(function (line) {
+      line = line.trim();
+      if (line) {
+        urls.push(line);
+      }
+    });
+
+    const seen = {};
+    return urls.filter(function (url) {
+      let key = url;
+      try {
+        const parsed = new URL(url, window.location.href);
+        parsed.hash = '';
+        key = parsed.toString().replace(/\/$/, '');
+      }
+      catch (e) {
+        // Kept as typed; reported when it is scanned.
+      }
+      if (seen[key]) {
+        return false;
+      }
+      seen[key] = true;
+      return true;
+    });
+  }
+
+  /**
+   * Check that a URL may be loaded into a frame and scanned.
+   *
+   * @return {URL}
+   *   The absolute URL.
+   */
+  function checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url, window.location.href);
+    }
+    catch (e) {
+      throw new Error(Drupal.t('Not a valid URL.'));
+    }
+    if (parsed.origin !== window.location.origin) {
+      throw new Error(Drupal.t('Not on this site; only pages of @origin can be scanned.', { '@origin': window.location.origin }));
+    }
+    if (UNSAFE_PATHS.some(function (pattern) {
+      return pattern.test(parsed.pathname);
+    })) {
+      throw new Error(Drupal.t('Skipped, because loading this page would end your session.'));
+    }
+    return parsed;
+  }
+
+  /**
+   * Load a page into a new hidden frame.
+   *
+   * @return {Promise<HTMLIFrameElement>}
+   *   Resolves once the page and its behaviors have loaded.
+   */
+  function loadFrame(url) {
+    return new Promise(function (resolve, reject) {
+      const frame = document.createElement('iframe');
+      frame.className = 'site-scan__frame';
+      frame.title = Drupal.t('Page being scanned');
+      frame.tabIndex = -1;
+
+      const timer = setTimeout(function () {
+        frame.remove();
+        reject(new Error(Drupal.t('The page did not load within @seconds seconds.', { '@seconds': LOAD_TIMEOUT / 1000 })));
+      }, LOAD_TIMEOUT);
+
+      frame.addEventListener('load', function () {
+        clearTimeout(timer);
+        let loaded = null;
+        try {
+          loaded = frame.contentDocument;
+        }
+        catch (e) {
+          // Redirected to another site.
+        }
+        if (!loaded || !loaded.documentElement) {
+          frame.remove();
+          reject(new Error(Drupal.t('The page left this site while loading.')));
+          return;
+        }
+        setTimeout(function () {
+          resolve(frame);
+        }, SETTLE_DELAY);
+      }, { once: true });
+
+      frame.src = url;
+      section.querySelector('.site-scan__frames').appendChild(frame);
+    });
+  }
+
+  /**
+   * Scan one page and save its results.
+   *
+   * @return {Promise<object>}
+   *   Resolves with the save response.
+   */
+  function scanPage(url) {
+    let parsed;
+    try {
+      parsed = checkUrl(url);
+    }
+    catch (error) {
+      return Promise.reject(error);
+    }
+
+    // Catch missing and forbidden pages before loading them.
+    return fetch(parsed.toString(), { method: 'HEAD', credentials: 'same-origin' })
+      .then(function (response) {
+        // Some servers do not answer HEAD requests; load those pages anyway.
+        if (!response.ok && response.status !== 405) {
+          throw new Error(Drupal.t('The page returned HTTP status @status.', { '@status': response.status }));
+        }
+        const type = response.headers.get('Content-Type') || '';
+        if (type && type.indexOf('text/html') === -1) {
+          throw new Error(Drupal.t('Not an HTML page (@type).', { '@type': type }));
+        }
+        return loadFrame(parsed.toString());
+      })
+      .then(function (frame) {
+        return scanner.runInFrame(frame).finally(function () {
+          frame.remove();
+        });
+      })
+      .then(function (results) {
+        return scanner.persist(results).then(function (data) {
+          if (!data.success) {
+            throw new Error(data.message || Drupal.t('The results could not be saved.'));
+          }
+          return data;
+        });
+      });
+  }
+
+  /**
+   * Count the items of the scan by status.
+   */
+  function countItems() {
+    const counts = { pending: 0, running: 0, done: 0, error: 0 };
+    job.items.forEach(function (item) {
+      counts[item.status]++;
+    });
+    return counts;
+  }
+
+  /**
+   * Start scanning pages until the concurrency limit is reached.
+   */
+  function pump() {
+    if (!job) {
+      return;
+    }
+
+    while (!job.paused && running < job.concurrency) {
+      const item = job.items.find(function (candidate) {
+        return candidate.status === 'pending';
+      });
+      if (!item) {
+        break;
+      }
+      startItem(item);
+    }
+
+    if (!running && !countItems().pending && !job.finished) {
+      job.finished = true;
+      save();
+      const counts = countItems();
+      Drupal.announce(Drupal.t('Site scan finished: @done pages scanned, @errors failed.', {
+        '@done': counts.done,
+        '@errors': counts.error,
+      }));
+    }
+    render();
+  }
+
+  /**
+   * Scan one item of the queue.
+   */
+  function startItem(item) {
+    item.status = 'running';
+    item.message = '';
+    running++;
+    save();
+
+    scanPage(item.url)
+      .then(function (data) {
+        item.status = 'done';
+        item.violations = data.violations_count;
+      })
+      .catch(function (error) {
+        item.status = 'error';
+        item.message = error.message;
+      })
+      .finally(function () {
+        running--;
+        // The scan may have been cancelled meanwhile.
+        if (job && job.items.indexOf(item) !== -1) {
+          save();
+          pump();
+        }
+      });
+  }
+
+  /**
+   * Start a new scan from the form.
+   */
+  function start(form) {
+    const urls = collectUrls(form);
+    if (!urls.length) {
+      Drupal.announce(Drupal.t('Choose at least one page to scan.'), 'assertive');
+      form.elements.urls.focus();
+      return;
+    }
+
+    const concurrency = parseInt(form.elements.concurrency.value, 10) || 1;
+    job = {
+      profile: form.elements.profile ? form.elements.profile.value : null,
+      concurrency: Math.min(Math.max(concurrency, 1), MAX_CONCURRENCY),
+      paused: false,
+      finished: false,
+      started: Date.now(),
+      items: urls.map(function (url) {
+        return { url: url, status: 'pending', violations: null, message: '' };
+      }),
+    };
+    scanner.useProfile(job.profile);
+    save();
+    Drupal.announce(Drupal.formatPlural(urls.length, 'Site scan started for 1 page.', 'Site scan started for @count pages.'));
+    pump();
+  }
+
+  /**
+   * Run a button action on the current scan.
+   */
+  function act(action) {
+    if (!job) {
+      return;
+    }
+    switch (action) {
+      case 'pause':
+        job.paused = true;
+        Drupal.announce(Drupal.t('Site scan paused. Pages being scanned will finish first.'));
+        break;
+
+      case 'resume':
+        job.paused = false;
+        scanner.useProfile(job.profile);
+        Drupal.announce(Drupal.t('Site scan resumed.'));
+        break;
+
+      case 'retry':
+        job.items.forEach(function (item) {
+          if (item.status === 'error') {
+            item.status = 'pending';
+            item.message = '';
+          }
+        });
+        job.paused = false;
+        job.finished = false;
+        scanner.useProfile(job.profile);
+        break;
+
+      case 'cancel':
+        job = null;
+        section.querySelector('.site-scan__frames').innerHTML = '';
+        save();
+        Drupal.announce(Drupal.t('Site scan cancelled.'));
+        render();
+        return;
+    }
+    save();
+    pump();
+  }
+
+  /**
+   * Lock the choice of pages and options while a scan is under way.
+   */
+  function setFormDisabled(form, disabled) {
+    form.querySelectorAll('fieldset, select, input[name="concurrency"]').forEach(function (element) {
+      element.disabled = disabled;
+    });
+  }
+
+  /**
+   * Render the buttons, the progress and the log of the current scan.
+   */
+  function render() {
+    const form = section.querySelector('.site-scan__form');
+    const progress = section.querySelector('.site-scan__progress');
+    const log = section.querySelector('.site-scan__log');
+    const buttons = {};
+    section.querySelectorAll('[data-site-scan-action]').forEach(function (button) {
+      buttons[button.getAttribute('data-site-scan-action')] = button;
+    });
+
+    if (!job) {
+      buttons.start.hidden = false;
+      buttons.pause.hidden = buttons.resume.hidden = buttons.retry.hidden = buttons.cancel.hidden = true;
+      setFormDisabled(form, false);
+      progress.hidden = true;
+      log.innerHTML = '';
+      return;
+    }
+
+    const counts = countItems();
+    const total = job.items.length;
+    const active = !job.paused && (running > 0 || counts.pending > 0);
+
+    buttons.start.hidden = !job.finished;
+    buttons.pause.hidden = !active;
+    buttons.resume.hidden = !job.paused || !counts.pending;
+    buttons.retry.hidden = !counts.error || active;
+    buttons.cancel.hidden = job.finished;
+    setFormDisabled(form, !job.finished);
+
+    progress.hidden = false;
+    const bar = progress.querySelector('.site-scan__bar');
+    bar.max = total;
+    bar.value = counts.done + counts.error;
+
+    let status = Drupal.t('@scanned of @total pages scanned, @errors failed.', {
+      '@scanned': counts.done + counts.error,
+      '@total': total,
+      '@errors': counts.error,
+    });
+    if (job.finished) {
+      status += ' ' + Drupal.t('Finished.');
+    }
+    else if (job.paused) {
+      status += ' ' + (running ? Drupal.t('Pausing...') : Drupal.t('Paused.'));
+    }
+    progress.querySelector('.site-scan__status').textContent = status;
+
+    const labels = {
+      pending: Drupal.t('Waiting'),
+      running: Drupal.t('Scanning'),
+      done: Drupal.t('Scanned'),
+      error: Drupal.t('Failed'),
+    };
+    let rows = '';
+    job.items.forEach(function (item) {
+      let detail = '';
+      if (item.status === 'done') {
+        detail = Drupal.formatPlural(item.violations || 0, '1 violation', '@count violations');
+      }
+      else if (item.status === 'error') {
+        detail = escapeHtml(item.message);
+      }
+      rows += `
+        <tr class="site-scan__item site-scan__item--${item.status}">
+          <td class="site-scan__url">${escapeHtml(item.url)}</td>
+          <td>${labels[item.status]}</td>
+          <td>${detail}</td>
+        </tr>
+      `;
+    });
+
+    log.innerHTML = `
+      <table class="site-scan__table">
+        <caption>${Drupal.t('Pages in this scan')}</caption>
+        <thead>
+          <tr>
+            <th scope="col">${Drupal.t('Page')}</th>
+            <th scope="col">${Drupal.t('Status')}</th>
+            <th scope="col">${Drupal.t('Result')}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  Drupal.behaviors.accessibilitySiteScan = {
+    attach: function (context) {
+      once('accessibility-site-scan', '#accessibility-site-scan', context).forEach(function (element) {
+        section = element;
+        const form = section.querySelector('.site-scan__form');
+
+        form.addEventListener('submit', function (e) {
+          e.preventDefault();
+          if (!job || job.finished) {
+            start(form);
+          }
+        });
+        section.querySelectorAll('[data-site-scan-action]:not([data-site-scan-action="start"])').forEach(function (button) {
+          button.addEventListener('click', function () {
+            act(button.getAttribute('data-site-scan-action'));
+          });
+        });
+
+        // Warn before leaving while pages are being scanned.
+        window.addEventListener('beforeunload', function (e) {
+          if (job && !job.paused && !job.finished) {
+            e.preventDefault();
+            e.returnValue = '';
+          }
+        });
+
+        job = restore();
+        if (job) {
+          pump();
+        }
+        else {
+          render();
+        }
+      });
+    },
+  };
+
+})(Drupal, drupalSettings, once);
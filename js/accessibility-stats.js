@@ -1,165 +1,193 @@
 /**
  * @file
  * Handles interactivity for the accessibility statistics page.
+ *
+ * Every chart has a text alternative: a trend summary, a data table kept in
+ * sync with it, and keyboard navigation between its data points. Series are
+ * told apart by pattern, dash and point shape as well as by color.
  */
-(function ($, Drupal) {
+(function ($, Drupal, once) {
   'use strict';
 
+  /**
+   * Styles of the chart series, in order.
+   *
+   * The colors have a contrast of at least 4.5:1 against white, and each
+   * series has its own fill pattern, line dash and point shape so that no
+   * series depends on color alone.
+   */
+  const SERIES_STYLES = [
+    { color: '#1d4ed8', pattern: 'diagonal', borderDash: [], pointStyle: 'circle' },
+    { color: '#b91c1c', pattern: 'dots', borderDash: [8, 4], pointStyle: 'triangle' },
+    { color: '#15803d', pattern: 'crosshatch', borderDash: [2, 3], pointStyle: 'rect' },
+    { color: '#7e22ce', pattern: 'horizontal', borderDash: [12, 4, 2, 4], pointStyle: 'rectRot' },
+    { color: '#a16207', pattern: 'vertical', borderDash: [4, 4], pointStyle: 'star' },
+    { color: '#0f172a', pattern: 'diagonalReverse', borderDash: [16, 6], pointStyle: 'crossRot' },
+  ];
+
+  /**
+   * Styles of the series by impact, from red for critical to blue for minor.
+   */
+  const IMPACT_STYLES = {
+    critical: { color: '#b91c1c', pattern: 'crosshatch', borderDash: [], pointStyle: 'triangle' },
+    serious: { color: '#b34700', pattern: 'diagonal', borderDash: [8, 4], pointStyle: 'rectRot' },
+    moderate: { color: '#8a5a00', pattern: 'dots', borderDash: [2, 3], pointStyle: 'rect' },
+    minor: { color: '#1d4ed8', pattern: 'horizontal', borderDash: [12, 4, 2, 4], pointStyle: 'circle' },
+  };
+
+  /**
+   * Creates a fill pattern for a series.
+   *
+   * @param {string} pattern - The name of the pattern.
+   * @param {string} color - The color of its lines.
+   * @return {CanvasPattern|string} The pattern, or the color if the browser
+   *   cannot create one.
+   */
+  function createPattern(pattern, color) {
+    const size = 10;
+    const tile = document.createElement('canvas');
+    tile.width = size;
+    tile.height = size;
+    const context = tile.getContext('2d');
+    if (!context) {
+      return color;
+    }
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    context.fillRect(0, 0, size, size);
+    context.strokeStyle = color;
+    context.fillStyle = color;
+    context.lineWidth = 2;
+    context.beginPath();
+    switch (pattern) {
+      case 'dots':
+        context.arc(size / 2, size / 2, 2, 0, Math.PI * 2);
+        context.fill();
+        break;
+
+      case 'crosshatch':
+        context.moveTo(0, 0);
+        context.lineTo(size, size);
+        context.moveTo(size, 0);
+        context.lineTo(0, size);
+        break;
+
+      case 'horizontal':
+        context.moveTo(0, size / 2);
+        context.lineTo(size, size / 2);
+        break;
+
+      case 'vertical':
+        context.moveTo(size / 2, 0);
+        context.lineTo(size / 2, size);
+        break;
+
+      case 'diagonalReverse':
+        context.moveTo(0, 0);
+        context.lineTo(size, size);
+        break;
+
+      default:
+        context.moveTo(0, size);
+        context.lineTo(size, 0);
+    }
+    context.stroke();
+
+    return context.createPattern(tile, 'repeat') || color;
+  }
+
+  /**
+   * Applies the style of its impact or position to a series.
+   *
+   * Stacked line series are filled down to the series below them, with
+   * their pattern like bars.
+   *
+   * @param {object} dataset - The Chart.js dataset, with the key of the
+   *   series.
+   * @param {number} index - The position of the series.
+   * @param {string} type - The chart type, line or bar.
+   * @param {boolean} stacked - Whether the series are stacked.
+   * @return {object} The styled dataset.
+   */
+  function styleDataset(dataset, index, type, stacked) {
+    const position = dataset.styleIndex !== undefined ? dataset.styleIndex : index;
+    const style = IMPACT_STYLES[dataset.key] || SERIES_STYLES[position % SERIES_STYLES.length];
+    const filled = type === 'bar' || stacked;
+    // A compared series keeps the look of its counterpart, drawn thinner,
+    // dotted and with hollow points.
+    const compared = dataset.comparison ? {
+      borderWidth: 1,
+      borderDash: type === 'line' ? [3, 3] : [],
+      pointBackgroundColor: '#fff',
+    } : {};
+    return Object.assign({
+      borderColor: style.color,
+      backgroundColor: filled ? createPattern(style.pattern, style.color) : style.color,
+      borderWidth: 2,
+      borderDash: type === 'line' ? style.borderDash : [],
+      pointStyle: style.pointStyle,
+      pointRadius: 4,
+      pointHoverRadius: 7,
+      pointBackgroundColor: style.color,
+      tension: 0.1,
+      fill: stacked && type === 'line' ? (position ? '-1' : 'origin') : false,
+    }, compared, dataset);
+  }
+
+  /**
+   * Formats the time of a data point for reading.
+   *
+   * @param {number} time - The time in milliseconds.
+   * @param {boolean} hourly - Whether the data points are hours.
+   * @return {string} The formatted time.
+   */
+  function formatTime(time, hourly) {
+    const options = { year: 'numeric', month: 'short', day: 'numeric' };
+    if (hourly) {
+      options.hour = 'numeric';
+    }
+    return new Date(time).toLocaleString(document.documentElement.lang || undefined, options);
+  }
+
+  /**
+   * Gets the time of a data point, which compared series keep as t.
+   *
+   * @param {object} point - The {x, y} data point.
+   * @return {number} The time in milliseconds.
+   */
+  function pointTime(point) {
+    return point.t !== undefined ? point.t : point.x;
+  }
+
   Drupal.behaviors.accessibilityStats = {
-    attach: function (context, settings) {
-      console.log('Accessibility stats behavior attached');
-      console.log('Settings:', settings);
-      console.log('drupalSettings:', drupalSettings);
-      
-      $('.accessibility-stats', context).once().each(function () {
-        console.log('Processing accessibility stats container');
-        const canvas = document.getElementById('accessibility-chart');
+    attach: function (context) {
+      once('accessibility-stats', '.accessibility-stats', context).forEach(function (container) {
+        const canvas = container.querySelector('#accessibility-chart');
         if (!canvas) {
-          console.error('Canvas element with ID "accessibility-chart" not found');
           return;
         }
-        console.log('Canvas found:', canvas);
 
-        // Check if Chart.js is available
-        if (typeof Chart === 'undefined' && typeof window.Chart === 'undefined') {
-          console.error('Chart.js is not loaded');
-          canvas.parentNode.innerHTML = '<div style="display:flex;align-items:center;justify-content:center;height:100%;font-size:1.2em;color:#888;">Chart.js library not loaded</div>';
-          return;
+        if (typeof Chart === 'undefined') {
+          $(canvas).replaceWith($('<p class="stats-chart__error"></p>').text(Drupal.t('The chart could not be loaded. The data table below lists the same figures.')));
         }
 
-        const ChartJS = typeof Chart !== 'undefined' ? Chart : window.Chart;
+        const ChartJS = typeof Chart !== 'undefined' ? Chart : null;
         const ctx = canvas.getContext('2d');
+        const region = container.querySelector('#chart-region');
+        const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
         let accessibilityChart;
+        let datasets = [];
+        let measure = 'found';
+        let comparison = null;
+        let hourly = false;
+        let activePoint = null;
         let lastSliderValue = 1;
 
         // Explicitly register the zoom plugin with Chart.js.
-        if (window.ChartZoom && ChartJS.register) {
+        if (ChartJS && window.ChartZoom && ChartJS.register) {
           ChartJS.register(window.ChartZoom);
         }
 
-        // Initialize chart
-        function initChart() {
-          const ctx = document.getElementById('accessibility-chart');
-          if (!ctx) {
-            console.error('Chart canvas not found');
-            return;
-          }
-
-          // Get chart data from drupalSettings
-          const chartData = drupalSettings.accessibility && drupalSettings.accessibility.chartData ? 
-                           drupalSettings.accessibility.chartData : [];
-          
-          console.log('Chart data:', chartData);
-          
-          let labels = [];
-          let counts = [];
-
-          // If we have data from backend, use it
-          if (chartData && chartData.length > 0) {
-            labels = chartData.map(item => item.date);
-            counts = chartData.map(item => item.count);
-          } else {
-            // Generate last 7 days with zero counts
-            const today = new Date();
-            for (let i = 6; i >= 0; i--) {
-              const date = new Date(today);
-              date.setDate(date.getDate() - i);
-              labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-              counts.push(0);
-            }
-          }
-
-          // Always render the chart, even if all counts are zero
-          const data = {
-            labels: labels,
-            datasets: [{
-              label: 'Daily Scans Performed',
-              data: counts,
-              borderColor: 'rgb(54, 162, 235)',
-              backgroundColor: 'rgba(54, 162, 235, 0.2)',
-              tension: 0.1,
-              fill: false
-            }]
-          };
-
-          const config = {
-            type: 'line',
-            data: data,
-            options: {
-              responsive: true,
-              maintainAspectRatio: false,
-              layout: {
-                padding: 20
-              },
-              plugins: {
-                title: {
-                  display: false
-                },
-                legend: {
-                  display: true,
-                  position: 'top'
-                }
-              },
-              scales: {
-                y: {
-                  beginAtZero: true,
-                  ticks: {
-                    stepSize: 1
-                  }
-                },
-                x: {
-                  ticks: {
-                    maxRotation: 0,
-                    autoSkip: true
-                  }
-                }
-              }
-            }
-          };
-
-          try {
-            accessibilityChart = new ChartJS(ctx, config);
-            console.log('Chart initialized successfully:', accessibilityChart);
-            
-            // Force chart to resize to container dimensions
-            setTimeout(() => {
-              if (accessibilityChart) {
-                accessibilityChart.resize();
-              }
-            }, 100);
-          } catch (error) {
-            console.error('Error creating chart:', error);
-            ctx.parentNode.innerHTML = '<div style="display:flex;align-items:center;justify-content:center;height:100%;font-size:1.2em;color:#888;">Error loading chart: ' + error.message + '</div>';
-            return;
-          }
-          // Add chart type selector functionality
-          const chartTypeSelector = document.getElementById('chart-type');
-          if (chartTypeSelector) {
-            chartTypeSelector.addEventListener('change', function() {
-              if (!accessibilityChart) return;
-              
-              const newType = this.value;
-              accessibilityChart.config.type = newType;
-              
-              // Update dataset styling based on chart type
-              if (newType === 'bar') {
-                accessibilityChart.data.datasets[0].backgroundColor = 'rgba(54, 162, 235, 0.6)';
-                accessibilityChart.data.datasets[0].borderColor = 'rgb(54, 162, 235)';
-                accessibilityChart.data.datasets[0].borderWidth = 1;
-              } else {
-                accessibilityChart.data.datasets[0].backgroundColor = 'rgba(54, 162, 235, 0.2)';
-                accessibilityChart.data.datasets[0].borderColor = 'rgb(54, 162, 235)';
-                accessibilityChart.data.datasets[0].borderWidth = 2;
-              }
-              
-              accessibilityChart.update();
-            });
-          }
-        }
-
-        // Initialize the chart on page load
-        initChart();
-
         /**
          * Populates the "Top Issues" list with a given set of issues.
          * @param {Array<Object>} issues - An array of issue objects.
@@ -192,34 +220,402 @@
           $('#serious-violations-count').text(data.summary.serious_violations || 0);
           $('#moderate-violations-count').text(data.summary.moderate_violations || 0);
           $('#minor-violations-count').text(data.summary.minor_violations || 0);
+          updateDeltas(data);
           updateTopIssues(data.top_issues);
         }
 
+        /**
+         * Shows how each summary card changed since the compared range.
+         * @param {object} data - The data object from the AJAX response.
+         */
+        function updateDeltas(data) {
+          $(container).find('.stats-card__delta').remove();
+          if (!data.comparison) {
+            return;
+          }
+          const cards = {
+            'unique-pages-count': 'unique_pages',
+            'total-violations-count': 'total_violations',
+            'critical-violations-count': 'critical_violations',
+            'serious-violations-count': 'serious_violations',
+            'moderate-violations-count': 'moderate_violations',
+            'minor-violations-count': 'minor_violations',
+          };
+          Object.keys(cards).forEach(id => {
+            const current = data.summary[cards[id]] || 0;
+            const previous = data.comparison.summary[cards[id]] || 0;
+            const change = current - previous;
+            const args = { '@change': Math.abs(change), '@previous': previous };
+            let text = Drupal.t('No change from @previous', args);
+            let direction = 'none';
+            if (change > 0) {
+              text = Drupal.t('Up @change from @previous', args);
+              direction = 'up';
+            }
+            else if (change < 0) {
+              text = Drupal.t('Down @change from @previous', args);
+              direction = 'down';
+            }
+            $('<div class="stats-card__delta"></div>')
+              .addClass(`stats-card__delta--${direction}`)
+              .text(text)
+              .insertAfter($(`#${id}`).siblings('.stats-card__title'));
+          });
+        }
+
+        /**
+         * Describes the compared range.
+         * @return {string} The start and end of the range.
+         */
+        function comparisonRange() {
+          return Drupal.t('@start to @end', {
+            '@start': formatTime(comparison.start, false),
+            '@end': formatTime(comparison.end, false),
+          });
+        }
+
+        /**
+         * Builds the series of the chart from the AJAX response.
+         * @param {object} data - The data object from the AJAX response.
+         * @return {Array<Object>} The series, each with a label and data.
+         */
+        function buildDatasets(data) {
+          comparison = data.comparison || null;
+          if (data.chart.series) {
+            let compared = 0;
+            return data.chart.series.map(series => {
+              if (!series.comparison) {
+                return Object.assign({ stack: 'current' }, series);
+              }
+              // Compared series stack separately and share the styles of
+              // their counterparts.
+              return Object.assign({}, series, {
+                label: Drupal.t('@series (@range)', { '@series': series.label, '@range': comparisonRange() }),
+                stack: 'comparison',
+                styleIndex: compared++,
+              });
+            });
+          }
+          return [{
+            label: Drupal.t('Accessibility issues'),
+            data: data.chart.data,
+          }];
+        }
+
+        /**
+         * Lists the rules or pages to follow as checkboxes.
+         * @param {object} chart - The chart data from the AJAX response.
+         */
+        function renderChoices(chart) {
+          const $wrapper = $('#series-keys-wrapper');
+          const $choices = $('#series-keys').empty();
+          if (!chart.choices) {
+            $wrapper.prop('hidden', true);
+            return;
+          }
+
+          $('#series-keys-legend').text($('#series').val() === 'url' ? Drupal.t('Pages to compare') : Drupal.t('Rules to compare'));
+          $('#series-keys-description').text(Drupal.t('Choose up to @max.', { '@max': chart.max_choices }));
+          chart.choices.forEach((choice, index) => {
+            const id = `series-key-${index}`;
+            const $item = $('<div class="form-item form-type--checkbox"></div>');
+            $('<input type="checkbox" name="keys[]" class="form-checkbox">')
+              .attr('id', id)
+              .val(choice.value)
+              .prop('checked', choice.selected)
+              .appendTo($item);
+            $('<label class="option"></label>').attr('for', id).text(choice.label).appendTo($item);
+            $choices.append($item);
+          });
+          limitChoices(chart.max_choices);
+          $wrapper.prop('hidden', false).data('max', chart.max_choices);
+        }
+
+        /**
+         * Disables the unchecked choices once the most are checked.
+         * @param {number} max - The most choices to check.
+         */
+        function limitChoices(max) {
+          const $boxes = $('#series-keys input[type="checkbox"]');
+          const full = $boxes.filter(':checked').length >= max;
+          $boxes.not(':checked').prop('disabled', full);
+        }
+
+        /**
+         * Fills the data table with one row per period and a column per series.
+         *
+         * A compared range gets its own date column before its series, as
+         * it can be longer or shorter than the chosen range; the rows of
+         * the shorter range end with empty cells.
+         */
+        function renderTable() {
+          const table = container.querySelector('#chart-table');
+          if (!table) {
+            return;
+          }
+          const periodLabel = hourly ? Drupal.t('Hour') : Drupal.t('Date');
+          const columns = [];
+          datasets.forEach((dataset, index) => {
+            if (index === 0 || (dataset.comparison && !datasets[index - 1].comparison)) {
+              columns.push({ period: dataset });
+            }
+            columns.push({ dataset: dataset });
+          });
+
+          const headRow = document.createElement('tr');
+          columns.forEach(column => {
+            const header = document.createElement('th');
+            header.scope = 'col';
+            if (!column.period) {
+              header.textContent = column.dataset.label;
+            }
+            else {
+              header.textContent = column.period.comparison ? Drupal.t('@period (@range)', { '@period': periodLabel, '@range': comparisonRange() }) : periodLabel;
+            }
+            headRow.appendChild(header);
+          });
+          table.tHead.replaceChildren(headRow);
+
+          const rows = [];
+          const length = Math.max(0, ...datasets.map(dataset => dataset.data.length));
+          for (let index = 0; index < length; index++) {
+            const row = document.createElement('tr');
+            row.dataset.index = index;
+            columns.forEach((column, position) => {
+              const point = (column.period || column.dataset).data[index];
+              const cell = document.createElement(position === 0 ? 'th' : 'td');
+              if (position === 0) {
+                cell.scope = 'row';
+              }
+              if (column.period) {
+                cell.textContent = point ? formatTime(pointTime(point), hourly) : '';
+              }
+              else {
+                cell.textContent = point ? point.y : '';
+              }
+              row.appendChild(cell);
+            });
+            rows.push(row);
+          }
+          if (!rows.length) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = columns.length || 1;
+            cell.textContent = Drupal.t('No data for this period.');
+            row.appendChild(cell);
+            rows.push(row);
+          }
+          table.tBodies[0].replaceChildren(...rows);
+        }
+
+        /**
+         * Describes the trend of every series in words.
+         * @return {string} The summary.
+         */
+        function summarizeTrend() {
+          const sentences = datasets.map(dataset => {
+            // Open violations are a level at each point in time, so only
+            // the counts found in each period add up to a total.
+            const points = dataset.data;
+            if (!points.length) {
+              return Drupal.t('@series: no data for this period.', { '@series': dataset.label });
+            }
+            const first = points[0];
+            const last = points[points.length - 1];
+            const total = points.reduce((sum, point) => sum + point.y, 0);
+            const peak = points.reduce((max, point) => point.y > max.y ? point : max, first);
+            const change = last.y - first.y;
+            const args = {
+              '@series': dataset.label,
+              '@total': total,
+              '@count': points.length,
+              '@first': first.y,
+              '@first_time': formatTime(pointTime(first), hourly),
+              '@last': last.y,
+              '@last_time': formatTime(pointTime(last), hourly),
+              '@peak': peak.y,
+              '@peak_time': formatTime(pointTime(peak), hourly),
+              '@change': Math.abs(change),
+            };
+            let trend;
+            if (change > 0) {
+              trend = Drupal.t('up @change from @first on @first_time to @last on @last_time', args);
+            }
+            else if (change < 0) {
+              trend = Drupal.t('down @change from @first on @first_time to @last on @last_time', args);
+            }
+            else {
+              trend = Drupal.t('unchanged at @last from @first_time to @last_time', args);
+            }
+            args['@trend'] = trend;
+            if (measure === 'open') {
+              return Drupal.t('@series: @trend. The highest was @peak on @peak_time.', args);
+            }
+            return total
+              ? Drupal.t('@series: @total over @count periods, @trend. The highest was @peak on @peak_time.', args)
+              : Drupal.t('@series: none over @count periods.', args);
+          });
+          if (comparison) {
+            sentences.unshift(Drupal.t('Compared with @range.', { '@range': comparisonRange() }));
+          }
+          return sentences.join(' ');
+        }
+
+        /**
+         * Describes a data point for announcing.
+         * @param {number} datasetIndex - The series of the point.
+         * @param {number} index - The position of the point.
+         * @return {string} The description.
+         */
+        function describePoint(datasetIndex, index) {
+          const dataset = datasets[datasetIndex];
+          const point = dataset.data[index];
+          return Drupal.t('@series, @time: @value. Point @position of @count.', {
+            '@series': dataset.label,
+            '@time': formatTime(pointTime(point), hourly),
+            '@value': point.y,
+            '@position': index + 1,
+            '@count': dataset.data.length,
+          });
+        }
+
+        /**
+         * Highlights a data point in the chart and the table, and announces it.
+         * @param {number} datasetIndex - The series of the point.
+         * @param {number} index - The position of the point.
+         */
+        function activatePoint(datasetIndex, index) {
+          activePoint = { datasetIndex: datasetIndex, index: index };
+          if (accessibilityChart) {
+            const elements = [activePoint];
+            const meta = accessibilityChart.getDatasetMeta(datasetIndex);
+            const element = meta.data[index];
+            accessibilityChart.setActiveElements(elements);
+            if (element && accessibilityChart.tooltip) {
+              accessibilityChart.tooltip.setActiveElements(elements, { x: element.x, y: element.y });
+            }
+            accessibilityChart.update(reducedMotion ? 'none' : undefined);
+          }
+
+          $(container).find('#chart-table tbody tr').removeClass('is-active').removeAttr('aria-current')
+            .filter(`[data-index="${index}"]`).addClass('is-active').attr('aria-current', 'true');
+          Drupal.announce(describePoint(datasetIndex, index));
+        }
+
+        /**
+         * Clears the highlighted data point.
+         */
+        function clearActivePoint() {
+          activePoint = null;
+          if (accessibilityChart) {
+            accessibilityChart.setActiveElements([]);
+            if (accessibilityChart.tooltip) {
+              accessibilityChart.tooltip.setActiveElements([], { x: 0, y: 0 });
+            }
+            accessibilityChart.update(reducedMotion ? 'none' : undefined);
+          }
+          $(container).find('#chart-table tbody tr').removeClass('is-active').removeAttr('aria-current');
+        }
+
+        /**
+         * Moves between data points with the arrow, Home and End keys.
+         * @param {KeyboardEvent} event - The keydown event.
+         */
+        function onChartKeydown(event) {
+          if (!datasets.length || !datasets[0].data.length) {
+            return;
+          }
+          const current = activePoint || { datasetIndex: 0, index: -1 };
+          const last = datasets[current.datasetIndex].data.length - 1;
+          let datasetIndex = current.datasetIndex;
+          let index = current.index;
+
+          switch (event.key) {
+            case 'ArrowRight':
+              index = Math.min(index + 1, last);
+              break;
+
+            case 'ArrowLeft':
+              index = Math.max(index - 1, 0);
+              break;
+
+            case 'Home':
+              index = 0;
+              break;
+
+            case 'End':
+              index = last;
+              break;
+
+            case 'ArrowDown':
+              datasetIndex = (datasetIndex + 1) % datasets.length;
+              index = Math.max(index, 0);
+              break;
+
+            case 'ArrowUp':
+              datasetIndex = (datasetIndex - 1 + datasets.length) % datasets.length;
+              index = Math.max(index, 0);
+              break;
+
+            case 'Enter':
+            case ' ':
+              if (activePoint) {
+                event.preventDefault();
+                openDrilldown(activePoint.datasetIndex, activePoint.index);
+              }
+              return;
+
+            case 'Escape':
+              clearActivePoint();
+              return;
+
+            default:
+              return;
+          }
+          event.preventDefault();
+          activatePoint(datasetIndex, Math.min(index, datasets[datasetIndex].data.length - 1));
+        }
+
         /**
          * Creates or updates the chart with new data.
          * @param {string} type - The chart type (bar, line, etc.).
-         * @param {array} data - An array of {x, y} data points.
+         * @param {Array<Object>} series - The series, each with a label and
+         *   an array of {x, y} data points.
+         * @param {object} options - Whether the series are stacked, what
+         *   they measure, 'found' or 'open', and the label of their values.
          */
-        function renderChart(type, data) {
+        function renderChart(type, series, options) {
+          options = options || {};
+          datasets = series;
+          measure = options.measure || 'found';
+          $('#chart-drilldown').prop('hidden', true);
+          activePoint = null;
+          renderTable();
+          $('#chart-summary').text(summarizeTrend());
+
+          if (!ChartJS) {
+            return;
+          }
           if (accessibilityChart) {
             accessibilityChart.destroy();
           }
           accessibilityChart = new ChartJS(ctx, {
             type: type,
             data: {
-              datasets: [{
-                label: Drupal.t('Accessibility Issues'),
-                data: data,
-                backgroundColor: 'rgba(63, 81, 181, 0.5)',
-                borderColor: 'rgba(63, 81, 181, 1)',
-                borderWidth: 2,
-                tension: 0.1,
-                fill: type === 'line',
-              }]
+              datasets: series.map((dataset, index) => styleDataset(dataset, index, type, !!options.stacked)),
             },
             options: {
               responsive: true,
               maintainAspectRatio: false,
+              animation: reducedMotion ? false : undefined,
+              onClick: function (event, elements) {
+                if (elements.length) {
+                  openDrilldown(elements[0].datasetIndex, elements[0].index);
+                }
+              },
+              onHover: function (event, elements) {
+                canvas.style.cursor = elements.length ? 'pointer' : '';
+              },
               scales: {
                 x: {
                   type: 'time',
@@ -232,13 +628,36 @@
                     },
                     tooltipFormat: 'MMMM d, yyyy h:mm a',
                   },
-                  ticks: { maxRotation: 0, autoSkip: true, },
-                  grid: { display: false }
+                  ticks: { maxRotation: 0, autoSkip: true, color: '#333' },
+                  grid: { display: false },
+                  stacked: !!options.stacked,
                 },
-                y: { beginAtZero: true }
+                y: {
+                  beginAtZero: true,
+                  stacked: !!options.stacked,
+                  ticks: { color: '#333', precision: 0 },
+                  title: {
+                    display: !!options.yLabel,
+                    text: options.yLabel || '',
+                    color: '#333',
+                  },
+                }
               },
               plugins: {
-                legend: { display: false },
+                legend: {
+                  display: series.length > 1,
+                  labels: { usePointStyle: true, color: '#333' },
+                },
+                tooltip: {
+                  callbacks: {
+                    // Compared points are drawn at the matching time of the
+                    // chosen range, so name their own time.
+                    label: function (item) {
+                      const label = `${item.dataset.label}: ${item.parsed.y}`;
+                      return item.raw.t !== undefined ? `${label} (${formatTime(item.raw.t, hourly)})` : label;
+                    },
+                  },
+                },
                 zoom: {
                   pan: { enabled: true, mode: 'x', },
                   zoom: {
@@ -252,17 +671,162 @@
           });
         }
 
+        /**
+         * Lists the violations and pages behind a data point in a panel.
+         * @param {number} datasetIndex - The series of the point.
+         * @param {number} index - The position of the point.
+         */
+        function openDrilldown(datasetIndex, index) {
+          const dataset = datasets[datasetIndex];
+          const point = dataset.data[index];
+          const next = dataset.data[index + 1];
+          const start = Math.floor(pointTime(point) / 1000);
+          const params = {
+            start: start,
+            end: next ? Math.floor(pointTime(next) / 1000) - 1 : start + (hourly ? 3600 : 86400) - 1,
+            measure: measure,
+          };
+          const group = $('#series').val();
+          if (measure === 'open' && ['impact', 'rule', 'url'].includes(group)) {
+            params.filter = group;
+            params.key = dataset.key;
+          }
+
+          const $panel = $('#chart-drilldown').prop('hidden', false);
+          const $content = $('#chart-drilldown-content').attr('aria-busy', 'true')
+            .empty()
+            .append($('<p></p>').text(Drupal.t('Loading the violations…')));
+          $('#chart-drilldown-title').text(Drupal.t('@series, @time: @value', {
+            '@series': dataset.label,
+            '@time': formatTime(pointTime(point), hourly),
+            '@value': point.y,
+          })).trigger('focus');
+
+          $.ajax({
+            url: Drupal.url('admin/reports/accessibility/stats/drilldown'),
+            type: 'GET',
+            data: params,
+            dataType: 'json',
+            success: function (data) {
+              renderDrilldown($content, data);
+            },
+            error: function () {
+              $content.empty().append($('<p></p>').text(Drupal.t('The violations behind this value could not be loaded.')));
+            },
+            complete: function () {
+              $content.removeAttr('aria-busy');
+            }
+          });
+          $panel[0].scrollIntoView({ block: 'nearest', behavior: reducedMotion ? 'auto' : 'smooth' });
+        }
+
+        /**
+         * Fills the drill-down panel with the pages and their violations.
+         * @param {jQuery} $content - The content of the panel.
+         * @param {object} data - The data object from the AJAX response.
+         */
+        function renderDrilldown($content, data) {
+          $content.empty();
+          if (!data.pages.length) {
+            $content.append($('<p></p>').text(Drupal.t('No violations make up this value.')));
+            Drupal.announce(Drupal.t('No violations make up this value.'));
+            return;
+          }
+
+          const intro = data.page_count > data.pages.length
+            ? Drupal.t('The @shown pages with the most violations of @count.', { '@shown': data.pages.length, '@count': data.page_count })
+            : Drupal.formatPlural(data.page_count, '1 page.', '@count pages.');
+          $content.append($('<p></p>').text(intro));
+
+          const $pages = $('<ul class="stats-drilldown__pages"></ul>');
+          data.pages.forEach(page => {
+            const $page = $('<li class="stats-drilldown__page"></li>');
+            $('<h5 class="stats-drilldown__url"></h5>').text(page.url).appendTo($page);
+            $('<p class="stats-drilldown__meta"></p>').text(Drupal.t('Scanned @date', {
+              '@date': formatTime(page.scanned * 1000, true),
+            })).appendTo($page);
+
+            const $links = $('<p class="stats-drilldown__links"></p>');
+            $('<a></a>').attr('href', page.report_url).text(Drupal.t('View report')).appendTo($links);
+            $('<a target="_blank" rel="noopener"></a>')
+              .attr('href', page.scan_url)
+              .text(Drupal.t('Scan again'))
+              .append($('<span class="visually-hidden"></span>').text(' ' + Drupal.t('(opens in a new window)')))
+              .appendTo($links);
+            $page.append($links);
+
+            const $violations = $('<ul class="stats-drilldown__violations"></ul>');
+            page.violations.forEach(violation => {
+              const $item = $('<li></li>');
+              $('<span class="stats-drilldown__impact"></span>')
+                .addClass(`impact-${violation.impact}`)
+                .text(violation.impact)
+                .appendTo($item);
+              $item.append(document.createTextNode(' '));
+              if (violation.help_url) {
+                $('<a target="_blank" rel="noopener"></a>')
+                  .attr('href', violation.help_url)
+                  .text(violation.help)
+                  .append($('<span class="visually-hidden"></span>').text(' ' + Drupal.t('(opens in a new window)')))
+                  .appendTo($item);
+              }
+              else {
+                $item.append(document.createTextNode(violation.help));
+              }
+              if (violation.id) {
+                $item.append(document.createTextNode(' ')).append($('<code></code>').text(violation.id));
+              }
+              $item.append(document.createTextNode(' ' + Drupal.formatPlural(violation.nodes, '(1 element)', '(@count elements)')));
+              $violations.append($item);
+            });
+            $page.append($violations);
+            $pages.append($page);
+          });
+          $content.append($pages);
+          Drupal.announce(intro);
+        }
+
+        /**
+         * Closes the drill-down panel and returns to the chart.
+         */
+        function closeDrilldown() {
+          $('#chart-drilldown').prop('hidden', true);
+          $('#chart-drilldown-content').empty();
+          region.focus();
+        }
+
         let weekStartDate = null;
 
         /**
          * Fetches new data from the server based on selected filters.
+         * @param {boolean} announce - Whether to announce the new trend.
          */
-        function fetchData() {
+        function fetchData(announce) {
           const timeframe = $('#timeframe').val();
           const chartType = $('#chart-type').val();
           const $loader = $('#stats-loading');
+          const series = $('#series').val();
           let ajaxData = { chart_type: chartType };
 
+          const compare = $('#compare').val();
+          if (compare === 'previous') {
+            ajaxData.compare = 'previous';
+          }
+          else if (compare === 'date' && $('#compare-start').val()) {
+            ajaxData.compare = 'date';
+            ajaxData.compare_start = $('#compare-start').val();
+            if ($('#compare-end').val()) {
+              ajaxData.compare_end = $('#compare-end').val();
+            }
+          }
+
+          if (series && series !== 'total') {
+            ajaxData.series = series;
+            ajaxData.keys = $('#series-keys input:checked').map(function () {
+              return this.value;
+            }).get();
+          }
+
           if (timeframe === 'custom') {
             const viewBy = $('#view-by').val();
             ajaxData.timeframe = 'custom';
@@ -288,6 +852,7 @@
           }
 
           $loader.addClass('is-active');
+          $(region).attr('aria-busy', 'true');
 
           $.ajax({
             url: Drupal.url('admin/reports/accessibility/stats/ajax'),
@@ -297,19 +862,29 @@
             success: function (data) {
               // Remove scan-specific styling before populating with DB data.
               $('#top-issues').removeClass('scan-results-active');
+              hourly = ajaxData.view_by === 'day';
               updateDashboard(data);
-              renderChart(chartType, data.chart.data);
+              renderChoices(data.chart);
+              renderChart(chartType, buildDatasets(data), {
+                stacked: data.chart.stacked,
+                measure: data.chart.measure,
+                yLabel: data.chart.y_label,
+              });
               const zoomSlider = document.getElementById('zoom-slider');
               if (zoomSlider) {
                 zoomSlider.value = 1;
               }
               lastSliderValue = 1;
+              if (announce === true) {
+                Drupal.announce(summarizeTrend());
+              }
             },
             error: function () {
               Drupal.message(Drupal.t('An error occurred while fetching statistics.'), 'error');
             },
             complete: function () {
               $loader.removeClass('is-active');
+              $(region).removeAttr('aria-busy');
             }
           });
         }
@@ -325,7 +900,6 @@
           const $datePicker = $('#custom-date-picker');
           const $datePickerLabel = $('#custom-date-picker-label');
           const $scanNowBtn = $('#scan-now-btn');
-          const $emailReportBtn = $('#email-report-btn');
 
           // --- UI LOGIC ---
           $timeframeSelect.on('change', function () {
@@ -336,7 +910,7 @@
             if ($(this).val() === 'custom') {
               $viewByWrapper.css('display', 'flex');
             } else {
-              fetchData();
+              fetchData(true);
             }
           });
 
@@ -362,12 +936,13 @@
             const selectedDate = $(this).val();
 
             if (view === 'day') {
-              fetchData();
+              fetchData(true);
             }
             else if (view === 'week') {
               if (!weekStartDate) {
                 weekStartDate = selectedDate;
                 $datePickerLabel.text(Drupal.t('Select End Date'));
+                Drupal.announce(Drupal.t('Now select the end date, up to six days after the start date.'));
 
                 const startDate = new Date(selectedDate + 'T00:00:00');
                 const maxEndDate = new Date(startDate);
@@ -378,12 +953,61 @@
                 $datePicker.attr('max', formatDate(maxEndDate));
               }
               else {
-                fetchData();
+                fetchData(true);
               }
             }
           });
 
-          $('#chart-type').on('change', fetchData);
+          $('#chart-type').on('change', function () {
+            fetchData(false);
+          });
+
+          $('#compare').on('change', function () {
+            const byDate = $(this).val() === 'date';
+            $('#compare-start-wrapper, #compare-end-wrapper').prop('hidden', !byDate);
+            if (!byDate || $('#compare-start').val()) {
+              fetchData(true);
+            }
+          });
+
+          $('#compare-start').on('change', function () {
+            fetchData(true);
+          });
+
+          $('#compare-end').on('change', function () {
+            if ($('#compare-start').val()) {
+              fetchData(true);
+            }
+          });
+
+          $('#series').on('change', function () {
+            // Start from the default rules or pages of the new series.
+            $('#series-keys').empty();
+            fetchData(true);
+          });
+
+          $('#series-keys').on('change', 'input[type="checkbox"]', function () {
+            limitChoices($('#series-keys-wrapper').data('max'));
+            fetchData(true);
+          });
+
+          // --- CHART ALTERNATIVES ---
+          $(region).on('keydown', onChartKeydown);
+          $(region).on('blur', clearActivePoint);
+
+          $('#chart-drilldown-close').on('click', closeDrilldown);
+          $('#chart-drilldown').on('keydown', function (event) {
+            if (event.key === 'Escape') {
+              closeDrilldown();
+            }
+          });
+
+          $('#chart-table-toggle').on('click', function () {
+            const expanded = $(this).attr('aria-expanded') === 'true';
+            $(this).attr('aria-expanded', String(!expanded))
+              .text(expanded ? Drupal.t('Show data table') : Drupal.t('Hide data table'));
+            $('#chart-table-wrapper').prop('hidden', expanded);
+          });
 
           // --- QUICK ACTIONS ---
           if ($scanNowBtn.length) {
@@ -411,8 +1035,7 @@
                 $('#top-issues').addClass('scan-results-active');
                 updateTopIssues(violations);
                 Drupal.message(Drupal.t('On-page scan complete. Found @count violation types.', {'@count': violations.length}));
-              }).catch(err => {
-                console.error('Axe scan error:', err);
+              }).catch(() => {
                 Drupal.message(Drupal.t('An error occurred during the accessibility scan.'), 'error');
               }).finally(() => {
                 $button.html(originalText).prop('disabled', false);
@@ -420,32 +1043,6 @@
             });
           }
 
-          if ($emailReportBtn.length) {
-            $emailReportBtn.on('click', function() {
-              const reportSummary = `Accessibility Report Summary
-------------------------------------
-Timeframe: ${$('#timeframe option:selected').text().trim()}
-Total Issues: ${$('#total-issues').text()}
-High Priority Issues: ${$('#high-priority').text()}
-Pages Scanned: ${$('#pages-scanned').text()}
-
-Top Issues Found:
-${$('#top-issues .issue-list__item').map(function() {
-                const name = $(this).find('.issue-list__name').text();
-                const count = $(this).find('.issue-list__count').text();
-                if (name && count && !$(this).text().includes(Drupal.t('No issues found'))) {
-                  return `- ${name} (${count} occurrences)`;
-                }
-                return null;
-              }).get().join('\n')}
-              `.trim();
-
-              const subject = "Accessibility Statistics Report";
-              const mailtoLink = `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(reportSummary)}`;
-              window.location.href = mailtoLink;
-            });
-          }
-
           // --- ZOOM CONTROLS ---
           const $zoomSlider = $('#zoom-slider');
           const $resetZoomBtn = $('#reset-zoom-btn');
@@ -458,18 +1055,20 @@ ${$('#top-issues .issue-list__item').map(function() {
                   accessibilityChart.zoom(zoomFactor);
                 }
                 lastSliderValue = newSliderValue;
+                $zoomSlider.attr('aria-valuetext', Drupal.t('@zoom times', { '@zoom': newSliderValue }));
               }
             });
             $resetZoomBtn.on('click', () => {
               if (accessibilityChart) {
                 accessibilityChart.resetZoom();
-                $zoomSlider.val(1);
+                $zoomSlider.val(1).removeAttr('aria-valuetext');
                 lastSliderValue = 1;
+                Drupal.announce(Drupal.t('Zoom reset.'));
               }
             });
           }
 
-          fetchData();
+          fetchData(false);
         }
 
         initializeDashboard();
@@ -477,4 +1076,4 @@ ${$('#top-issues .issue-list__item').map(function() {
     }
   };
 
-})(jQuery, Drupal);
+})(jQuery, Drupal, once);
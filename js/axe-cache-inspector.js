@@ -0,0 +1,168 @@
+/**
+ * @file
+ * Inspector for the client-side scan cache.
+ *
+ * Lists the scans stored by Drupal.accessibility.scanCache in the
+ * Accessibility Tools block and lets the user remove them.
+ */
+
+(function (Drupal, once) {
+  'use strict';
+
+  /**
+   * Format a byte count for display.
+   */
+  function formatSize(bytes) {
+    if (bytes < 1024) {
+      return bytes + ' B';
+    }
+    if (bytes < 1024 * 1024) {
+      return (bytes / 1024).toFixed(1) + ' KB';
+    }
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  }
+
+  /**
+   * Format how long ago a timestamp was.
+   */
+  function formatAge(timestamp) {
+    const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+    if (seconds < 60) {
+      return Drupal.t('just now');
+    }
+    if (seconds < 3600) {
+      return Drupal.formatPlural(Math.floor(seconds / 60), '1 min ago', '@count min ago');
+    }
+    if (seconds < 86400) {
+      return Drupal.formatPlural(Math.floor(seconds / 3600), '1 hour ago', '@count hours ago');
+    }
+    return Drupal.formatPlural(Math.floor(seconds / 86400), '1 day ago', '@count days ago');
+  }
+
+  /**
+   * Build a list item for one cached scan.
+   */
+  function entryItem(entry) {
+    const profiles = Drupal.accessibility.scanner.getProfiles();
+    const profile = profiles[entry.profile] ? profiles[entry.profile].label : entry.profile;
+    let path = entry.url;
+    try {
+      const url = new URL(entry.url);
+      path = url.pathname + url.search;
+    }
+    catch (e) {
+      // Keep the stored value.
+    }
+
+    const item = document.createElement('li');
+    item.className = 'axe-cache-entry';
+
+    const title = document.createElement('div');
+    title.className = 'axe-cache-entry-url';
+    title.textContent = path + (entry.scope ? ' → ' + entry.scope : '');
+    title.title = entry.url;
+    item.appendChild(title);
+
+    const details = document.createElement('div');
+    details.className = 'axe-cache-entry-details';
+    details.textContent = [
+      Drupal.formatPlural(entry.violations, '1 violation', '@count violations'),
+      profile,
+      formatSize(entry.size),
+      formatAge(entry.created),
+    ].filter(Boolean).join(' · ');
+    item.appendChild(details);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'axe-cache-entry-remove link';
+    remove.textContent = Drupal.t('Remove');
+    remove.setAttribute('aria-label', Drupal.t('Remove cached scan of @url', { '@url': path }));
+    remove.setAttribute('data-key', entry.key);
+    item.appendChild(remove);
+
+    return item;
+  }
+
+  /**
+   * Render the stored scans into the inspector.
+   */
+  function render(container) {
+    const cache = Drupal.accessibility.scanCache;
+    const list = container.querySelector('.axe-cache-inspector-list');
+    const summary = container.querySelector('.axe-cache-inspector-summary');
+
+    return Promise.all([cache.entries(), cache.storageType()]).then(function (values) {
+      const entries = values[0];
+      const total = entries.reduce(function (sum, entry) {
+        return sum + entry.size;
+      }, 0);
+
+      list.innerHTML = '';
+      entries.forEach(function (entry) {
+        list.appendChild(entryItem(entry));
+      });
+
+      summary.textContent = Drupal.t('@count of @max scans, @size of @max_size, stored in @storage.', {
+        '@count': entries.length,
+        '@max': cache.maxEntries,
+        '@size': formatSize(total),
+        '@max_size': formatSize(cache.maxBytes),
+        '@storage': values[1] === 'indexeddb' ? Drupal.t('this browser') : Drupal.t('memory until the page is left'),
+      });
+    });
+  }
+
+  /**
+   * Tell the user the cache storage failed, in place of the summary.
+   */
+  function showError(container, message) {
+    const summary = container.querySelector('.axe-cache-inspector-summary');
+    summary.textContent = message;
+    Drupal.announce(message, 'assertive');
+  }
+
+  /**
+   * Behavior for the cache inspector in the Accessibility Tools block.
+   */
+  Drupal.behaviors.axeCacheInspector = {
+    attach: function (context) {
+      once('axe-cache-inspector', '#axe-cache-inspector', context).forEach(function (container) {
+        const cache = Drupal.accessibility.scanCache;
+
+        // Refresh whenever the inspector is opened.
+        container.addEventListener('toggle', function () {
+          if (container.open) {
+            render(container).catch(function () {
+              showError(container, Drupal.t('The cached scans could not be read from this browser.'));
+            });
+          }
+        });
+
+        container.addEventListener('click', function (e) {
+          const remove = e.target.closest('.axe-cache-entry-remove');
+          if (remove) {
+            e.preventDefault();
+            cache.remove(remove.getAttribute('data-key')).then(function () {
+              return render(container);
+            }).catch(function () {
+              showError(container, Drupal.t('The cached scan could not be removed.'));
+            });
+            return;
+          }
+
+          if (e.target.closest('.axe-cache-inspector-clear')) {
+            e.preventDefault();
+            cache.clear().then(function () {
+              Drupal.announce(Drupal.t('All cached scans were removed.'));
+              return render(container);
+            }).catch(function () {
+              showError(container, Drupal.t('The cached scans could not be removed.'));
+            });
+          }
+        });
+      });
+    },
+  };
+
+})(Drupal, once);
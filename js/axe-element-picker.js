@@ -0,0 +1,165 @@
+/**
+ * @file
+ * Element picker used to limit an accessibility scan to one component.
+ *
+ * Drupal.accessibility.elementPicker.pick() outlines the element under the
+ * pointer and resolves with the element the user clicks, so the sidebar can
+ * scan just that subtree. Escape cancels picking.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  Drupal.accessibility = Drupal.accessibility || {};
+
+  /**
+   * Elements that belong to the scan UIs and can never be picked.
+   */
+  const IGNORED = '#violations-popup, #axe-scan-block, .axe-element-picker-overlay';
+
+  let active = null;
+
+  /**
+   * Whether an element can be picked.
+   */
+  function isPickable(element) {
+    return element instanceof Element
+      && element !== document.documentElement
+      && element !== document.body
+      && !element.closest(IGNORED);
+  }
+
+  /**
+   * Build a CSS selector that matches only the given element.
+   *
+   * Prefers a unique ID, otherwise walks up to the nearest ancestor with a
+   * unique ID (or the body) using nth-of-type steps.
+   */
+  function selectorFor(element) {
+    const steps = [];
+    let current = element;
+
+    while (current && current !== document.body && current !== document.documentElement) {
+      if (current.id && document.querySelectorAll('#' + CSS.escape(current.id)).length === 1) {
+        steps.unshift('#' + CSS.escape(current.id));
+        return steps.join(' > ');
+      }
+
+      let step = current.tagName.toLowerCase();
+      const siblings = Array.from(current.parentElement ? current.parentElement.children : []).filter(function (sibling) {
+        return sibling.tagName === current.tagName;
+      });
+      if (siblings.length > 1) {
+        step += ':nth-of-type(' + (siblings.indexOf(current) + 1) + ')';
+      }
+      steps.unshift(step);
+      current = current.parentElement;
+    }
+
+    steps.unshift('body');
+    return steps.join(' > ');
+  }
+
+  /**
+   * Position the outline over an element.
+   */
+  function outline(overlay, element) {
+    const rect = element.getBoundingClientRect();
+    overlay.style.top = rect.top + 'px';
+    overlay.style.left = rect.left + 'px';
+    overlay.style.width = rect.width + 'px';
+    overlay.style.height = rect.height + 'px';
+    overlay.setAttribute('data-label', selectorFor(element));
+    overlay.hidden = false;
+  }
+
+  Drupal.accessibility.elementPicker = {
+
+    selectorFor: selectorFor,
+
+    /**
+     * Whether picking is in progress.
+     */
+    isActive: function () {
+      return active !== null;
+    },
+
+    /**
+     * Let the user pick an element on the page.
+     *
+     * @return {Promise<Element|null>}
+     *   Resolves with the picked element, or null when picking is cancelled.
+     */
+    pick: function () {
+      this.cancel();
+
+      return new Promise(function (resolve) {
+        const overlay = document.createElement('div');
+        overlay.className = 'axe-element-picker-overlay';
+        overlay.hidden = true;
+        document.body.appendChild(overlay);
+        document.body.classList.add('axe-element-picking');
+
+        let hovered = null;
+
+        function onMove(e) {
+          if (isPickable(e.target)) {
+            hovered = e.target;
+            outline(overlay, hovered);
+          }
+        }
+
+        function onClick(e) {
+          if (!isPickable(e.target)) {
+            return;
+          }
+          e.preventDefault();
+          e.stopPropagation();
+          finish(e.target);
+        }
+
+        function onKeydown(e) {
+          if (e.key === 'Escape') {
+            e.preventDefault();
+            finish(null);
+          }
+        }
+
+        function onScroll() {
+          if (hovered) {
+            outline(overlay, hovered);
+          }
+        }
+
+        function finish(element) {
+          document.removeEventListener('mousemove', onMove, true);
+          document.removeEventListener('click', onClick, true);
+          document.removeEventListener('keydown', onKeydown, true);
+          window.removeEventListener('scroll', onScroll, true);
+          overlay.remove();
+          document.body.classList.remove('axe-element-picking');
+          active = null;
+          resolve(element);
+        }
+
+        document.addEventListener('mousemove', onMove, true);
+        document.addEventListener('click', onClick, true);
+        document.addEventListener('keydown', onKeydown, true);
+        window.addEventListener('scroll', onScroll, true);
+        active = { finish: finish };
+
+        Drupal.announce(Drupal.t('Click the part of the page to scan, or press Escape to cancel.'));
+      });
+    },
+
+    /**
+     * Stop picking, resolving the pending pick() with null.
+     */
+    cancel: function () {
+      if (active) {
+        active.finish(null);
+      }
+    },
+  };
+
+})(Drupal);
@@ -2,8 +2,11 @@
   'use strict';
 
   let isScanning = false;
-  let currentScan = null;
-  let axeLoaded = false;
+
+  /**
+   * The shared scanner engine.
+   */
+  const scanner = Drupal.accessibility.scanner;
 
   Drupal.behaviors.axePopupOverride = {
     attach: function (context, settings) {
@@ -134,16 +137,7 @@
   function forceResetState() {
     console.log('Force resetting scanner state...');
     isScanning = false;
-    currentScan = null;
-
-    // Try to cleanup axe if it exists
-    if (typeof window.axe !== 'undefined' && window.axe.cleanup) {
-      try {
-        window.axe.cleanup();
-      } catch (e) {
-        console.log('Axe cleanup not available or failed:', e.message);
-      }
-    }
+    scanner.cancel();
   }
 
   async function runAxeScan() {
@@ -154,113 +148,27 @@
       return;
     }
 
-    try {
-      // Show scanning message
-      violationsList.innerHTML = '<div class="scanning-message"><p><span class="scan-icon">⟳</span> Scanning page for accessibility violations...</p></div>';
-
-      // Force reset any existing axe state
-      if (typeof window.axe !== 'undefined') {
-        try {
-          if (window.axe.reset) {
-            window.axe.reset();
-          }
-        } catch (e) {
-          console.log('Axe reset not available:', e.message);
-        }
-      }
-
-      // Load axe if needed
-      if (!axeLoaded || typeof window.axe === 'undefined') {
-        console.log('Loading axe-core...');
-        await loadAxeCore();
-        axeLoaded = true;
-      }
-
-      // Perform the scan
-      await performScan();
-
-    } catch (error) {
-      console.error('Error in runAxeScan:', error);
-      showError('Error during accessibility scan: ' + error.message);
-      resetScanning();
-    }
-  }
-
-  function loadAxeCore() {
-    return new Promise((resolve, reject) => {
-      // Remove any existing axe script to ensure clean load
-      const existingScript = document.querySelector('script[src*="axe"]');
-      if (existingScript) {
-        existingScript.remove();
-      }
-
-      const script = document.createElement('script');
-      script.src = 'https://cdnjs.cloudflare.com/ajax/libs/axe-core/4.8.2/axe.min.js';
-      script.crossOrigin = 'anonymous';
-
-      script.onload = function() {
-        console.log('Axe-core loaded successfully');
-        setTimeout(() => {
-          if (typeof window.axe !== 'undefined') {
-            resolve();
-          } else {
-            reject(new Error('Axe failed to initialize'));
-          }
-        }, 500);
-      };
-
-      script.onerror = function() {
-        reject(new Error('Failed to load axe-core'));
-      };
-
-      document.head.appendChild(script);
-    });
-  }
+    // Show scanning message
+    violationsList.innerHTML = '<div class="scanning-message"><p><span class="scan-icon">⟳</span> Scanning page for accessibility violations...</p></div>';
 
-  async function performScan() {
     try {
-      console.log('Starting axe scan...');
-
-      // Wait a bit more before scanning to ensure everything is ready
-      await new Promise(resolve => setTimeout(resolve, 200));
-
-      // Configure axe scan with timeout
-      const scanOptions = {
-        tags: ['wcag2a', 'wcag2aa', 'wcag21aa'],
-        exclude: [['#axe-violations-popup']],
-        timeout: 30000
-      };
-
-      // Create the scan promise with timeout handling
-      currentScan = Promise.race([
-        window.axe.run(document, scanOptions),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Scan timeout')), 35000)
-        )
-      ]);
-
-      const results = await currentScan;
+      const results = await scanner.run();
       console.log('Axe scan completed:', results);
       displayResults(results);
       resetScanning();
+    }
+    catch (error) {
+      if (error.name === 'AbortError') {
+        return;
+      }
 
-    } catch (error) {
       console.error('Axe scan error:', error);
 
       let errorMessage = 'Error during accessibility scan';
-
-      if (error.message && error.message.includes('already running')) {
-        errorMessage = 'Scanner is busy. Resetting and trying again...';
-        forceResetState();
-        setTimeout(() => {
-          if (!isScanning) {
-            showPopupAndScan();
-          }
-        }, 1000);
-        return;
-      } else if (error.message && error.message.includes('timeout')) {
+      if (error.message && error.message.includes('timeout')) {
         errorMessage = 'Scan timed out. Please try again.';
-      } else if (error.message) {
+      }
+      else if (error.message) {
         errorMessage += ': ' + error.message;
       }
 
@@ -271,7 +179,6 @@
 
   function resetScanning() {
     isScanning = false;
-    currentScan = null;
   }
 
   function displayResults(results) {
@@ -285,11 +192,8 @@
       return;
     }
 
-    // Sort violations by impact
-    const impactOrder = { critical: 0, serious: 1, moderate: 2, minor: 3 };
-    const sortedViolations = results.violations.sort((a, b) => {
-      return (impactOrder[a.impact] || 999) - (impactOrder[b.impact] || 999);
-    });
+    // The scanner already sorts violations by impact.
+    const sortedViolations = results.violations;
 
     let html = '<div class="violations-summary">Found ' + results.violations.length + ' violations:</div>';
 
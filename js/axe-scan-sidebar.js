@@ -7,138 +7,42 @@
   'use strict';
 
   let isScanning = false;
-  let currentScan = null;
-  let axeLoaded = false;
-  
-  // Cache-related variables
-  let scanCache = new Map();
-  let currentPageHash = null;
 
   /**
-   * Generate a simple hash of page content to detect changes.
+   * Results currently shown in the popup, kept up to date by watch mode.
    */
-  function generatePageHash() {
-    const htmlContent = document.documentElement.innerHTML;
-    const stylesheets = Array.from(document.styleSheets).map(sheet => {
-      try {
-        // Try to access stylesheet rules (may fail for cross-origin stylesheets)
-        return Array.from(sheet.cssRules || sheet.rules || []).map(rule => rule.cssText).join('');
-      } catch (e) {
-        // Fallback for cross-origin stylesheets - use href
-        return sheet.href || '';
-      }
-    }).join('');
-    
-    const content = htmlContent + stylesheets;
-    let hash = 0;
-    for (let i = 0; i < content.length; i++) {
-      const char = content.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return hash.toString();
-  }
+  let displayedResults = null;
+  // The displayed results without baselined instances, as rendered.
+  let displayedView = null;
+  let displayedFromCache = false;
+  // What changed since the previous saved scan of the page, once known.
+  let displayedDiff = null;
 
   /**
-   * Get cached scan results if available and page hasn't changed.
+   * The shared scanner engine.
    */
-  function getCachedResults() {
-    const pageUrl = window.location.href;
-    const currentHash = generatePageHash();
-    
-    // Check if we have cached results for this URL
-    const cacheEntry = scanCache.get(pageUrl);
-    if (cacheEntry && cacheEntry.hash === currentHash) {
-      console.log('Using cached accessibility scan results');
-      return cacheEntry.results;
-    }
-    
-    console.log('Page content changed or no cache found, will perform new scan');
-    return null;
-  }
-
-  /**
-   * Cache scan results with current page hash.
-   */
-  function cacheResults(results) {
-    const pageUrl = window.location.href;
-    const currentHash = generatePageHash();
-    
-    scanCache.set(pageUrl, {
-      hash: currentHash,
-      results: results,
-      timestamp: Date.now()
-    });
-    
-    console.log('Accessibility scan results cached for:', pageUrl);
-    
-    // Save results to server for reports
-    saveResultsToServer(results);
-    
-    // Optional: Clean up old cache entries (keep last 10 pages)
-    if (scanCache.size > 10) {
-      const oldestKey = scanCache.keys().next().value;
-      scanCache.delete(oldestKey);
-    }
-  }
-
-  /**
-   * Save scan results to server for reports system.
-   */
-  function saveResultsToServer(results) {
-    const reportData = {
-      url: window.location.href,
-      title: document.title,
-      violations: results.violations,
-      timestamp: Date.now(),
-      user_agent: navigator.userAgent
-    };
-
-    console.log('Sending scan results to server:', reportData);
-
-    // Send to server endpoint
-    fetch('/save-axe-report', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(reportData)
-    })
-    .then(response => {
-      console.log('Server response status:', response.status);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      return response.json();
-    })
-    .then(data => {
-      console.log('Scan results saved to server successfully:', data);
-      if (data.success) {
-        console.log('Report saved successfully. Summary:', data.summary);
-      } else {
-        console.error('Server returned error:', data.error);
-      }
-    })
-    .catch(error => {
-      console.error('Error saving scan results to server:', error);
-      // Still continue with the UI display even if server save fails
-    });
-  }
+  const scanner = Drupal.accessibility.scanner;
 
   /**
    * Clear all cached scan results.
    */
   function clearScanCache() {
-    scanCache.clear();
-    console.log('All accessibility scan cache cleared');
+    return scanner.cache.clear().then(function () {
+      console.log('All accessibility scan cache cleared');
+    }).catch(function () {
+      // The cache already logged the failure.
+    });
   }
 
   /**
    * Clear cache for specific URL.
    */
   function clearCacheForUrl(url) {
-    scanCache.delete(url);
-    console.log('Cache cleared for URL:', url);
+    return scanner.cache.clear(url).then(function () {
+      console.log('Cache cleared for URL:', url);
+    }).catch(function () {
+      // The cache already logged the failure.
+    });
   }
 
   /**
@@ -178,6 +82,39 @@
             showPopupAndScan();
           }
         });
+
+        // Scope picker and selector field
+        once('axe-scan-scope-pick', '#axe-scan-pick', context).forEach(function (pickButton) {
+          pickButton.addEventListener('click', function (e) {
+            e.preventDefault();
+            pickScope();
+          });
+        });
+
+        once('axe-watch-mode-toggle', '#axe-watch-mode', context).forEach(function (checkbox) {
+          checkbox.addEventListener('change', function () {
+            if (checkbox.checked) {
+              startWatching();
+            }
+            else {
+              stopWatching();
+            }
+          });
+        });
+
+        once('axe-scan-scope-input', '#axe-scan-scope', context).forEach(function (input) {
+          input.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              if (!isScanning) {
+                showPopupAndScan();
+              }
+            }
+          });
+          input.addEventListener('input', function () {
+            setScopeMessage('');
+          });
+        });
         
         // Initialize popup close events
         once('violations-popup-close', '#close-popup', context).forEach(function (button) {
@@ -208,16 +145,90 @@
     }
   };
 
-  function showPopupAndScan() {
-    // Check for cached results first, before creating popup
-    const cachedResults = getCachedResults();
+  /**
+   * The CSS selector the scan is limited to, or null for the whole page.
+   */
+  function currentScope() {
+    const input = document.getElementById('axe-scan-scope');
+    const scope = input ? input.value.trim() : '';
+    return scope || null;
+  }
+
+  /**
+   * Check that a scope selector is valid and matches something on the page.
+   *
+   * @return {string|null}
+   *   An error message, or null when the scope can be scanned.
+   */
+  function validateScope(scope) {
+    try {
+      if (!document.querySelector(scope)) {
+        return Drupal.t('No element on this page matches "@selector".', { '@selector': scope });
+      }
+    }
+    catch (e) {
+      return Drupal.t('"@selector" is not a valid CSS selector.', { '@selector': scope });
+    }
+    return null;
+  }
+
+  /**
+   * Show or clear the message below the scope field.
+   */
+  function setScopeMessage(message) {
+    const element = document.getElementById('axe-scan-scope-message');
+    if (element) {
+      element.textContent = message || '';
+    }
+  }
+
+  /**
+   * Let the user pick the component to scan and fill in its selector.
+   */
+  function pickScope() {
+    const picker = Drupal.accessibility.elementPicker;
+    const input = document.getElementById('axe-scan-scope');
+    if (!input) return;
+
+    picker.pick().then(function (element) {
+      if (element) {
+        input.value = picker.selectorFor(element);
+        setScopeMessage('');
+      }
+      input.focus();
+    });
+  }
+
+  async function showPopupAndScan() {
+    // Scan with the profile picked in the block, if there is a picker.
+    const profileSelect = document.getElementById('axe-scan-profile');
+    scanner.useProfile(profileSelect ? profileSelect.value : undefined);
+
+    const scope = currentScope();
+    const scopeError = scope ? validateScope(scope) : null;
+    setScopeMessage(scopeError);
+    if (scopeError) {
+      return;
+    }
+
+    // Check for cached results first, before creating popup. Block further
+    // clicks while the cache lookup is pending.
+    isScanning = true;
+    const [cachedResults] = await Promise.all([
+      scanner.cache.get(scanner.pageUrl(), scope),
+      Drupal.accessibility.baseline.load(),
+    ]);
     const button = document.getElementById('run-axe-scan-sidebar') || document.querySelector('.js-axe-scan-trigger');
     
     if (cachedResults) {
       // Create popup and show cached results immediately
       createPopup();
       const popup = document.getElementById('violations-popup');
-      if (!popup) return;
+      if (!popup) {
+        isScanning = false;
+        updateButtonState(button, false);
+        return;
+      }
       
       // Show popup
       popup.classList.add('active');
@@ -227,11 +238,27 @@
       displayResults(cachedResults, true);
       updateButtonState(button, false);
       isScanning = false;
+      startWatching();
+
+      // The saved history covers whole pages only.
+      if (!cachedResults.scope) {
+        Drupal.accessibility.scanDiff.load(cachedResults.url).then(function (diff) {
+          showScanDiff(diff);
+          showScanHistory(cachedResults.url, diff && diff.scan_id);
+        });
+      }
+      else {
+        showScanHistory(null);
+      }
     } else {
       // Create popup for fresh scan
       createPopup();
       const popup = document.getElementById('violations-popup');
-      if (!popup) return;
+      if (!popup) {
+        isScanning = false;
+        updateButtonState(button, false);
+        return;
+      }
 
       // Show popup
       popup.classList.add('active');
@@ -244,12 +271,13 @@
       }
 
       // Update button and scanning state
+      stopWatching();
       isScanning = true;
       updateButtonState(button, true);
 
       // Start scanning with a small delay to ensure popup is fully rendered
       setTimeout(() => {
-        runAxeScan();
+        runAxeScan(scope);
       }, 300);
     }
   }
@@ -277,11 +305,30 @@
             </div>
           </div>
           <div class="popup-body">
-            <div id="violations-list">
+            <div id="scan-diff" aria-live="polite"></div>
+            <div class="popup-tabs" role="tablist" aria-label="Scan results">
+              <button type="button" role="tab" id="popup-tab-violations" class="popup-tab is-active" aria-controls="violations-list" aria-selected="true">
+                Violations <span class="popup-tab-count" id="popup-violations-count"></span>
+              </button>
+              <button type="button" role="tab" id="popup-tab-review" class="popup-tab" aria-controls="needs-review-list" aria-selected="false" tabindex="-1">
+                Needs review <span class="popup-tab-count" id="popup-review-count"></span>
+              </button>
+              <button type="button" role="tab" id="popup-tab-history" class="popup-tab" aria-controls="scan-history-list" aria-selected="false" tabindex="-1">
+                History
+              </button>
+            </div>
+            <div id="violations-list" role="tabpanel" aria-labelledby="popup-tab-violations">
               <!-- Results will be inserted here -->
             </div>
+            <div id="needs-review-list" role="tabpanel" aria-labelledby="popup-tab-review" hidden>
+            </div>
+            <div id="scan-history-list" role="tabpanel" aria-labelledby="popup-tab-history" hidden>
+              <p>The history is shown once the scan is saved.</p>
+            </div>
           </div>
           <div class="popup-footer">
+            <span class="axe-engine-version"></span>
+            ${Drupal.accessibility.exportFormats.buttonsHtml()}
             <a href="https://my-drupal10-site.ddev.site/admin/config/accessibility/report" 
                class="full-report-button" 
                target="_blank" 
@@ -295,6 +342,19 @@
 
     // Append to body
     document.body.insertAdjacentHTML('beforeend', popupHtml);
+    displayedDiff = null;
+
+    Drupal.accessibility.reviews.bindTabs(document.querySelector('#violations-popup .popup-tabs'));
+    bindNodeActions(document.getElementById('violations-list'));
+    // Export what is shown: the results without the baseline.
+    Drupal.accessibility.exportFormats.bind(document.querySelector('#violations-popup .popup-footer'), function () {
+      return displayedView ? [displayedView] : [];
+    });
+    Drupal.accessibility.baseline.bindForms(document.getElementById('violations-list'), function () {
+      if (displayedResults) {
+        displayResults(displayedResults, displayedFromCache);
+      }
+    });
 
     // Bind close events using event delegation
     const popup = document.getElementById('violations-popup');
@@ -377,6 +437,8 @@
       minimizeButton.setAttribute('title', 'Minimize');
     }
 
+    stopWatching();
+
     // Force reset button state and cancel any ongoing scan
     if (isScanning) {
       forceResetState();
@@ -401,7 +463,6 @@
     const button = document.getElementById('run-axe-scan-sidebar') || document.querySelector('.js-axe-scan-trigger');
     if (button) {
       isScanning = false;
-      currentScan = null;
       updateButtonState(button, false);
     }
   }
@@ -409,16 +470,7 @@
   function forceResetState() {
     console.log('Force resetting scanner state...');
     isScanning = false;
-    currentScan = null;
-
-    // Try to cleanup axe if it exists
-    if (typeof window.axe !== 'undefined' && window.axe.cleanup) {
-      try {
-        window.axe.cleanup();
-      } catch (e) {
-        console.log('Axe cleanup not available or failed:', e.message);
-      }
-    }
+    scanner.cancel();
 
     const button = document.getElementById('run-axe-scan-sidebar') || document.querySelector('.js-axe-scan-trigger');
     if (button) {
@@ -426,135 +478,143 @@
     }
   }
 
-  async function runAxeScan() {
-    const violationsList = document.getElementById('violations-list');
-
-    if (!violationsList) {
-      resetButton();
+  /**
+   * Start watch mode for the results shown in the popup, if it is enabled.
+   */
+  function startWatching() {
+    const checkbox = document.getElementById('axe-watch-mode');
+    const popup = document.getElementById('violations-popup');
+    if (!checkbox || !checkbox.checked || !displayedResults || !popup) {
       return;
     }
 
-    try {
-      // Show scanning message with CSS spinner
-      violationsList.innerHTML = '<div class="scanning-message"><p><span class="scan-icon"></span> Scanning page for accessibility violations...</p></div>';
-
-      // Hide footer during scanning
-      const footer = document.querySelector('.popup-footer');
-      if (footer) {
-        footer.classList.remove('show');
+    let root = document.body;
+    if (displayedResults.scope) {
+      root = document.querySelector(displayedResults.scope);
+      if (!root) {
+        return;
       }
+    }
 
-      // Force reset any existing axe state
-      if (typeof window.axe !== 'undefined') {
-        try {
-          // Try to reset axe state
-          if (window.axe.reset) {
-            window.axe.reset();
-          }
-        } catch (e) {
-          console.log('Axe reset not available:', e.message);
-        }
-      }
+    Drupal.accessibility.watchMode.start({
+      root: root,
+      onChange: rescanChanges,
+    });
+    updateWatchIndicator();
+  }
 
-      // Load axe if needed
-      if (!axeLoaded || typeof window.axe === 'undefined') {
-        console.log('Loading axe-core...');
-        await loadAxeCore();
-        axeLoaded = true;
-      }
+  /**
+   * Stop watch mode.
+   */
+  function stopWatching() {
+    Drupal.accessibility.watchMode.stop();
+    updateWatchIndicator();
+  }
 
-      // Perform the scan
-      await performScan();
+  /**
+   * Show whether the popup is live in its summary line.
+   */
+  function updateWatchIndicator() {
+    const indicator = document.querySelector('#violations-popup .watch-indicator');
+    if (indicator) {
+      indicator.hidden = !Drupal.accessibility.watchMode.isActive();
+    }
+  }
 
-    } catch (error) {
-      console.error('Error in runAxeScan:', error);
-      showError('Error during accessibility scan: ' + error.message);
-      resetButton();
+  /**
+   * Rescan changed subtrees and update the popup in place.
+   *
+   * @param {Element[]} roots
+   *   The changed subtrees reported by watch mode.
+   */
+  async function rescanChanges(roots) {
+    // A manual scan in progress will show fresh results anyway.
+    if (isScanning || !displayedResults) {
+      return;
+    }
+
+    const partial = await scanner.run({ include: roots });
+    if (!displayedResults || !Drupal.accessibility.watchMode.isActive()) {
+      return;
+    }
+
+    const changes = Drupal.accessibility.watchMode.merge(displayedResults, partial, roots);
+    // Watch results are a patchwork of partial scans, so they are cached for
+    // the popup but never saved over the page's stored report.
+    scanner.cache.set(changes.results.url, changes.results);
+    displayResults(changes.results, false, changes);
+
+    if (changes.added || changes.resolved.length) {
+      Drupal.announce(Drupal.t('Page changed: @new new and @resolved resolved accessibility violations.', {
+        '@new': changes.added,
+        '@resolved': changes.resolved.length,
+      }));
     }
   }
 
-  function loadAxeCore() {
-    return new Promise((resolve, reject) => {
-      // Remove any existing axe script to ensure clean load
-      const existingScript = document.querySelector('script[src*="axe"]');
-      if (existingScript) {
-        existingScript.remove();
-      }
+  async function runAxeScan(scope) {
+    const violationsList = document.getElementById('violations-list');
 
-      const script = document.createElement('script');
-      script.src = 'https://cdnjs.cloudflare.com/ajax/libs/axe-core/4.8.2/axe.min.js';
-      script.crossOrigin = 'anonymous';
-
-      script.onload = function() {
-        console.log('Axe-core loaded successfully');
-        // Longer delay to ensure axe is fully initialized
-        setTimeout(() => {
-          if (typeof window.axe !== 'undefined') {
-            resolve();
-          } else {
-            reject(new Error('Axe failed to initialize'));
-          }
-        }, 500);
-      };
+    if (!violationsList) {
+      resetButton();
+      return;
+    }
 
-      script.onerror = function() {
-        reject(new Error('Failed to load axe-core'));
-      };
+    // Show scanning message with CSS spinner
+    const target = scope ? 'selection' : 'page';
+    violationsList.innerHTML = '<div class="scanning-message"><p><span class="scan-icon"></span> Scanning ' + target + ' for accessibility violations...</p></div>';
 
-      document.head.appendChild(script);
-    });
-  }
+    // Hide footer during scanning
+    const footer = document.querySelector('.popup-footer');
+    if (footer) {
+      footer.classList.remove('show');
+    }
 
-  async function performScan() {
     try {
-      console.log('Starting axe scan...');
-
-      // Wait a bit more before scanning to ensure everything is ready
-      await new Promise(resolve => setTimeout(resolve, 200));
-
-      // Configure axe scan with timeout
-      const scanOptions = {
-        tags: ['wcag2a', 'wcag2aa', 'wcag21aa'],
-        exclude: [['#violations-popup']],
-        timeout: 30000 // 30 second timeout
-      };
-
-      // Create the scan promise with timeout handling
-      currentScan = Promise.race([
-        window.axe.run(document, scanOptions),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Scan timeout')), 35000)
-        )
-      ]);
-
-      const results = await currentScan;
+      const results = await scanner.run(scope ? { include: [[scope]] } : undefined);
       console.log('Axe scan completed:', results);
-      
-      // Cache the results for future use
-      cacheResults(results);
-      
+
+      // Cache the results and save them to the server for reports. A scoped
+      // scan only covers part of the page, so it must not replace the page's
+      // stored results.
+      scanner.cache.set(results.url, results);
+      showScanDiff(null);
+      if (!results.scope) {
+        scanner.persist(results)
+          .then(data => {
+            if (!data.success) {
+              console.error('Server returned error:', data.error);
+              return;
+            }
+            showScanDiff(data.diff);
+            showScanHistory(results.url, data.scan_id);
+          })
+          .catch(error => {
+            // Still continue with the UI display even if server save fails
+            console.error('Error saving scan results to server:', error);
+          });
+      }
+      else {
+        showScanHistory(null);
+      }
+
       displayResults(results);
       resetButton();
+      startWatching();
+    }
+    catch (error) {
+      // Closing the popup cancels the scan, nothing left to report.
+      if (error.name === 'AbortError') {
+        return;
+      }
 
-    } catch (error) {
       console.error('Axe scan error:', error);
 
       let errorMessage = 'Error during accessibility scan';
-
-      if (error.message && error.message.includes('already running')) {
-        errorMessage = 'Scanner is busy. Resetting and trying again...';
-
-        // Force reset and retry once
-        forceResetState();
-        setTimeout(() => {
-          if (!isScanning) { // Only retry if we're not already scanning again
-            showPopupAndScan();
-          }
-        }, 1000);
-        return;
-      } else if (error.message && error.message.includes('timeout')) {
+      if (error.message && error.message.includes('timeout')) {
         errorMessage = 'Scan timed out. Please try again.';
-      } else if (error.message) {
+      }
+      else if (error.message) {
         errorMessage += ': ' + error.message;
       }
 
@@ -563,15 +623,135 @@
     }
   }
 
-  function displayResults(results, fromCache = false) {
+  /**
+   * Show what changed since the previous saved scan of the page.
+   *
+   * @param {object|null} diff
+   *   The diff from the server; null clears it.
+   */
+  function showScanDiff(diff) {
+    const container = document.getElementById('scan-diff');
+    if (!container) {
+      return;
+    }
+    displayedDiff = diff;
+    container.innerHTML = Drupal.accessibility.scanDiff.html(diff);
+    Drupal.accessibility.scanDiff.mark(document.getElementById('violations-list'), diff);
+  }
+
+  /**
+   * Show the saved scans of the page in the History tab.
+   *
+   * @param {string|null} url
+   *   The scanned URL; null for scoped results, which are not saved.
+   * @param {number} [currentId]
+   *   The saved scan of the displayed results.
+   */
+  function showScanHistory(url, currentId) {
+    const container = document.getElementById('scan-history-list');
+    if (!container) {
+      return;
+    }
+    if (!url) {
+      container.innerHTML = '<p>Scans of part of a page are not saved, so they have no history.</p>';
+      return;
+    }
+    Drupal.accessibility.scanHistory.render(container, url, currentId);
+  }
+
+  /**
+   * Describe the scope and profile of a scan, e.g. " in #main (WCAG 2.1 AA)".
+   */
+  function scanLabel(results) {
+    const profile = scanner.getProfiles()[results.profile];
+    let label = results.scope ? ' in <code class="scan-scope">' + escapeHtml(results.scope) + '</code>' : '';
+    if (profile) {
+      label += ' (' + escapeHtml(profile.label) + ')';
+    }
+    return label;
+  }
+
+  /**
+   * Describe what watch mode changed about a violation, if anything.
+   */
+  function watchBadge(violation) {
+    if (violation.watchStatus === 'new') {
+      return '<span class="watch-badge watch-badge--new">New</span>';
+    }
+    const added = (violation.nodes || []).filter(function (node) {
+      return node.watchStatus === 'new';
+    }).length;
+    return added ? '<span class="watch-badge watch-badge--new">+' + added + ' new</span>' : '';
+  }
+
+  /**
+   * List the violations watch mode found resolved.
+   */
+  function resolvedHtml(resolved) {
+    if (!resolved || !resolved.length) {
+      return '';
+    }
+    let html = '<div class="watch-resolved"><div class="watch-resolved-title">Resolved after the page changed:</div><ul>';
+    resolved.forEach(function (item) {
+      html += '<li><span class="watch-badge watch-badge--resolved">Resolved</span> <strong>' + escapeHtml(item.rule.id) + '</strong> <code>' + escapeHtml((item.node.target || []).join(' ')) + '</code></li>';
+    });
+    return html + '</ul></div>';
+  }
+
+  /**
+   * Render the "Needs review" tab for the results shown.
+   */
+  function displayNeedsReview(results) {
+    const reviewList = document.getElementById('needs-review-list');
+    const reviewCount = document.getElementById('popup-review-count');
+    if (!reviewList) return;
+
+    const updateCount = function (pending) {
+      if (reviewCount) {
+        reviewCount.textContent = '(' + pending + ')';
+      }
+    };
+
+    Drupal.accessibility.reviews.render(reviewList, results.url, results.incomplete, updateCount)
+      .then(updateCount);
+  }
+
+  function displayResults(results, fromCache = false, changes = null) {
     const violationsList = document.getElementById('violations-list');
     if (!violationsList) return;
 
+    displayedResults = results;
+    displayedFromCache = fromCache;
+
+    // Keep the unfiltered results for watch mode and the cache; show them
+    // without the instances accepted in the baseline.
+    const view = Drupal.accessibility.baseline.apply(results, selectorFor);
+    displayedView = view.results;
+    const baselineNote = baselineSummary(view.hidden);
+    results = view.results;
+
+    const violationsCount = document.getElementById('popup-violations-count');
+    if (violationsCount) {
+      violationsCount.textContent = '(' + results.violations.length + ')';
+    }
+    // Watch updates only change violations; keep the reviewer's place.
+    if (!changes) {
+      displayNeedsReview(results);
+    }
+    const watchIndicator = ' <span class="watch-indicator"' + (Drupal.accessibility.watchMode.isActive() ? '' : ' hidden') + '>● Watching for changes</span>';
+
+    // Report which axe-core build produced these results.
+    const engineVersion = document.querySelector('#violations-popup .axe-engine-version');
+    if (engineVersion) {
+      const version = results.engine || scanner.version();
+      engineVersion.textContent = version ? 'axe-core ' + version : '';
+    }
+
     console.log('Displaying results:', results.violations.length + ' violations found');
 
     if (!results.violations || results.violations.length === 0) {
       const cacheIndicator = fromCache ? ' <span style="font-size: 0.85em; opacity: 0.7;">(cached)</span>' : '';
-      violationsList.innerHTML = '<div class="no-violations"><p>No accessibility violations found!' + cacheIndicator + '</p></div>';
+      violationsList.innerHTML = '<div class="no-violations"><p>No accessibility violations found' + scanLabel(results) + '!' + cacheIndicator + watchIndicator + '</p>' + baselineNote + '</div>' + resolvedHtml(changes && changes.resolved);
       
       // Show the footer with "See Full Report" button even when no violations found
       const footer = document.querySelector('.popup-footer');
@@ -582,18 +762,11 @@
       return;
     }
 
-    // Sort violations by impact (critical -> serious -> moderate -> minor)
-    const impactOrder = { critical: 0, serious: 1, moderate: 2, minor: 3 };
-    const sortedViolations = results.violations.sort((a, b) => {
-      const aImpact = a.impact || 'minor';
-      const bImpact = b.impact || 'minor';
-      const aOrder = impactOrder[aImpact] !== undefined ? impactOrder[aImpact] : 999;
-      const bOrder = impactOrder[bImpact] !== undefined ? impactOrder[bImpact] : 999;
-      return aOrder - bOrder;
-    });
+    // The scanner already sorts violations by impact.
+    const sortedViolations = results.violations;
 
     const cacheIndicator = fromCache ? ' <span style="font-size: 0.85em; opacity: 0.7; font-weight: normal;">(cached) <a href="#" id="force-rescan" style="color: #2c5282; text-decoration: underline; font-size: 0.9em;">Force Rescan</a></span>' : '';
-    let html = '<div class="violations-summary">Found ' + results.violations.length + ' violations:' + cacheIndicator + '</div>';
+    let html = '<div class="violations-summary">Found ' + results.violations.length + ' violations' + scanLabel(results) + ':' + cacheIndicator + watchIndicator + baselineNote + '</div>';
 
     sortedViolations.forEach(function (violation, index) {
       const impact = violation.impact || 'minor';
@@ -648,27 +821,29 @@
       }
 
       html += `
-        <div class="violation-item ${impact}" id="${violationId}">
+        <div class="violation-item ${impact}" id="${violationId}" data-rule="${escapeHtml(violation.id)}">
           <div class="violation-icon">${icon}</div>
           <div class="violation-content">
             <div class="violation-title-row">
-              <div class="violation-title">${escapeHtml(violation.id)}</div>
+              <div class="violation-title">${escapeHtml(violation.id)} ${watchBadge(violation)}</div>
               <div class="violation-status">${statusText}</div>
             </div>
             <div class="violation-description">
               ${escapeHtml(description)}
             </div>
             <div class="violation-actions">
-              ${nodeCount > 1 ? `<button class="violation-count" onclick="highlightViolationInstances('${violationId}', ${JSON.stringify(violation.nodes).replace(/"/g, '&quot;')})" title="Click to highlight ${nodeCount} instances on the page">${nodeCount} instances</button>` : ''}
+              ${nodeCount > 1 ? `<button type="button" class="violation-count" data-violation="${index}" title="Click to highlight ${nodeCount} instances on the page">${nodeCount} instances</button>` : ''}
               ${learnMoreLinks}
             </div>
+            ${nodeDetailsHtml(violation, index)}
             ${chatbotInterface}
           </div>
         </div>
       `;
     });
 
-    violationsList.innerHTML = html;
+    violationsList.innerHTML = html + resolvedHtml(changes && changes.resolved);
+    Drupal.accessibility.scanDiff.mark(violationsList, displayedDiff);
     
     // Show the footer with "See Full Report" button after displaying results
     const footer = document.querySelector('.popup-footer');
@@ -683,8 +858,7 @@
         forceRescanLink.addEventListener('click', function(e) {
           e.preventDefault();
           // Clear cache for current page and perform fresh scan
-          const pageUrl = window.location.href;
-          scanCache.delete(pageUrl);
+          clearCacheForUrl(scanner.pageUrl());
           console.log('Cache cleared, performing fresh scan...');
           
           // Update button state and start new scan
@@ -692,151 +866,224 @@
           isScanning = true;
           updateButtonState(button, true);
           
-          // Start scanning
+          // Start scanning, keeping the scope of the cached results
           setTimeout(() => {
-            runAxeScan();
+            runAxeScan(results.scope);
           }, 100);
         });
       }
     }
   }
 
-  // Add this new function to highlight violation instances
-  function highlightViolationInstances(violationId, nodes) {
-    console.log('Highlighting instances for:', violationId);
-
-    // Remove any existing highlights
-    clearHighlights();
+  /**
+   * The selector of a violation instance, as shown and copied.
+   *
+   * axe gives one selector per frame or shadow root on the way to the
+   * element; they are joined with a space, the same as review decisions.
+   */
+  function selectorFor(node) {
+    return (node.target || []).map(function (part) {
+      return Array.isArray(part) ? part.join(' ') : part;
+    }).join(' ');
+  }
 
-    if (!nodes || !Array.isArray(nodes)) {
-      console.warn('No nodes provided for highlighting');
-      return;
-    }
+  /**
+   * Build the check messages axe gave for a violation instance.
+   */
+  function checkMessagesHtml(node) {
+    // Grouped the way axe words its failure summary.
+    const groups = [
+      { checks: (node.all || []).concat(node.none || []), label: 'Fix all of the following:' },
+      { checks: node.any, label: 'Fix any of the following:' },
+    ];
+    let html = '';
+    groups.forEach(function (group) {
+      const messages = (group.checks || []).filter(function (check) {
+        return check.message;
+      });
+      if (!messages.length) return;
+      html += '<div class="violation-node-checks"><div class="violation-node-label">' + group.label + '</div><ul>';
+      messages.forEach(function (check) {
+        html += '<li>' + escapeHtml(check.message) + '</li>';
+      });
+      html += '</ul></div>';
+    });
+    return html;
+  }
 
-    let highlightedCount = 0;
-
-    nodes.forEach(function(node, index) {
-      if (node.target && Array.isArray(node.target)) {
-        // node.target is an array of selectors
-        node.target.forEach(function(selector) {
-          try {
-            const elements = document.querySelectorAll(selector);
-            elements.forEach(function(element) {
-              if (element && !element.closest('#violations-popup')) {
-                highlightElement(element, index);
-                highlightedCount++;
-              }
-            });
-          } catch (e) {
-            console.warn('Invalid selector:', selector, e);
-          }
-        });
-      }
+  /**
+   * Build the expandable list of instances of a violation.
+   */
+  function nodeDetailsHtml(violation, violationIndex) {
+    const nodes = violation.nodes || [];
+    if (!nodes.length) return '';
+
+    let html = `
+      <details class="violation-nodes">
+        <summary>${nodes.length === 1 ? 'Show instance details' : 'Show details of ' + nodes.length + ' instances'}</summary>
+        <ol class="violation-node-list">
+    `;
+    nodes.forEach(function (node, nodeIndex) {
+      const selector = selectorFor(node);
+      // Checks already cover the failure summary; show it only without them.
+      const checks = checkMessagesHtml(node);
+      html += `
+        <li class="violation-node" data-violation="${violationIndex}" data-node="${nodeIndex}">
+          <div class="violation-node-label">Selector</div>
+          <code class="violation-node-selector">${escapeHtml(selector)}</code>
+          ${node.html ? `<div class="violation-node-label">Markup</div><pre class="violation-node-html">${escapeHtml(node.html)}</pre>` : ''}
+          ${checks || (node.failureSummary ? `<div class="violation-node-summary">${escapeHtml(node.failureSummary)}</div>` : '')}
+          <div class="violation-node-actions">
+            <button type="button" class="violation-node-locate">Scroll to &amp; highlight</button>
+            <button type="button" class="violation-node-copy">Copy selector</button>
+          </div>
+          ${baselineFormHtml(violation, selector)}
+        </li>
+      `;
     });
+    return html + '</ol></details>';
+  }
 
-    if (highlightedCount > 0) {
-      // Show notification
-      showHighlightNotification(highlightedCount);
+  /**
+   * Build the "Add to baseline" form of an instance, for users who may.
+   */
+  function baselineFormHtml(violation, selector) {
+    const baseline = Drupal.accessibility.baseline;
+    if (!baseline.canManage()) return '';
+    return `
+      <details class="baseline-add">
+        <summary>Add to baseline</summary>
+        ${baseline.formHtml({ ruleId: violation.id, selector: selector, path: window.location.pathname })}
+      </details>
+    `;
+  }
 
-      // Highlights will persist until manually cleared
-      // No auto-clear timeout
-    } else {
-      console.warn('No elements found to highlight');
-    }
+  /**
+   * Say how many instances the baseline left out, if any.
+   */
+  function baselineSummary(hidden) {
+    if (!hidden) return '';
+    const manageUrl = Drupal.accessibility.baseline.manageUrl();
+    const link = manageUrl ? ' <a href="' + escapeHtml(manageUrl) + '" target="_blank" rel="noopener">Manage baseline</a>' : '';
+    return '<div class="baseline-summary">' + hidden + ' baselined instance' + (hidden > 1 ? 's' : '') + ' not shown.' + link + '</div>';
   }
 
-  function highlightElement(element, index) {
-    // Create highlight overlay
-    const highlight = document.createElement('div');
-    highlight.className = 'accessibility-highlight';
-    highlight.style.cssText = `
-      position: absolute;
-      background: rgba(255, 0, 0, 0.3);
-      border: 2px solid #ff0000;
-      pointer-events: none;
-      z-index: 9998;
-      border-radius: 4px;
-      box-shadow: 0 0 0 2px rgba(255, 0, 0, 0.5);
-      animation: highlightPulse 2s ease-in-out infinite;
-    `;
+  /**
+   * Handle the actions of violation instances in the results list.
+   */
+  function bindNodeActions(violationsList) {
+    if (!violationsList) return;
 
-    // Position the highlight
-    const rect = element.getBoundingClientRect();
-    highlight.style.top = (rect.top + window.scrollY) + 'px';
-    highlight.style.left = (rect.left + window.scrollX) + 'px';
-    highlight.style.width = rect.width + 'px';
-    highlight.style.height = rect.height + 'px';
-
-    // Add number badge
-    const badge = document.createElement('div');
-    badge.textContent = index + 1;
-    badge.style.cssText = `
-      position: absolute;
-      top: -8px;
-      left: -8px;
-      background: #ff0000;
-      color: white;
-      width: 20px;
-      height: 20px;
-      border-radius: 50%;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      font-size: 12px;
-      font-weight: bold;
-    `;
-    highlight.appendChild(badge);
+    violationsList.addEventListener('click', function (e) {
+      const countButton = e.target.closest('.violation-count');
+      if (countButton && displayedView) {
+        e.preventDefault();
+        highlightViolation(displayedView.violations[countButton.getAttribute('data-violation')], 0);
+        return;
+      }
 
-    document.body.appendChild(highlight);
+      const button = e.target.closest('.violation-node-locate, .violation-node-copy');
+      if (!button || !displayedView) return;
 
-    // Scroll to first element if it's the first one
-    if (index === 0) {
-      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    }
+      const item = button.closest('.violation-node');
+      const violation = displayedView.violations[item.getAttribute('data-violation')];
+      const nodeIndex = Number(item.getAttribute('data-node'));
+      const node = violation && violation.nodes[nodeIndex];
+      if (!node) return;
+
+      e.preventDefault();
+      if (button.classList.contains('violation-node-locate')) {
+        // Highlight all instances of the rule so the others are a step away.
+        highlightViolation(violation, nodeIndex);
+      }
+      else {
+        copySelector(selectorFor(node), button);
+      }
+    });
   }
 
-  function clearHighlights() {
-    const highlights = document.querySelectorAll('.accessibility-highlight');
-    highlights.forEach(highlight => highlight.remove());
+  /**
+   * Find the element of a violation instance on the page.
+   *
+   * Elements inside frames or shadow roots cannot be found from here.
+   */
+  function findElement(node) {
+    const target = node.target || [];
+    if (target.length !== 1 || typeof target[0] !== 'string') {
+      return null;
+    }
+    try {
+      const element = document.querySelector(target[0]);
+      return element && !element.closest('#violations-popup') ? element : null;
+    } catch (e) {
+      console.warn('Invalid selector:', target[0], e);
+      return null;
+    }
+  }
 
-    const notification = document.querySelector('.highlight-notification');
-    if (notification) {
-      notification.remove();
+  /**
+   * Highlight the instances of a violation and go to one of them.
+   */
+  function highlightViolation(violation, start) {
+    if (!violation || !violation.nodes || !violation.nodes.length) {
+      console.warn('No nodes provided for highlighting');
+      return;
     }
+    Drupal.accessibility.highlighter.show(violation.nodes.map(findElement), {
+      label: violation.id,
+      start: start,
+    });
   }
 
-  function showHighlightNotification(count) {
-    // Remove existing notification
-    const existing = document.querySelector('.highlight-notification');
-    if (existing) {
-      existing.remove();
+  /**
+   * Copy a selector to the clipboard.
+   */
+  function copySelector(selector, button) {
+    const done = function () {
+      const label = button.textContent;
+      button.textContent = 'Copied!';
+      Drupal.announce('Selector copied to the clipboard.');
+      setTimeout(function () {
+        button.textContent = label;
+      }, 1500);
+    };
+
+    if (navigator.clipboard && window.isSecureContext) {
+      navigator.clipboard.writeText(selector).then(done, function () {
+        Drupal.announce('Could not copy the selector.');
+      });
+      return;
     }
 
-    const notification = document.createElement('div');
-    notification.className = 'highlight-notification';
-    notification.innerHTML = `
-      <p>Highlighted ${count} violation instance${count > 1 ? 's' : ''} on the page</p>
-      <button onclick="clearHighlights()" class="clear-highlights-btn">Clear Highlights</button>
-    `;
-    notification.style.cssText = `
-      position: fixed;
-      top: 20px;
-      left: 50%;
-      transform: translateX(-50%);
-      background: #0073aa;
-      color: white;
-      padding: 12px 20px;
-      border-radius: 6px;
-      z-index: 10000;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-      display: flex;
-      align-items: center;
-      gap: 15px;
-      font-size: 14px;
-      animation: slideDown 0.3s ease-out;
-    `;
+    // Fallback for pages not served over HTTPS.
+    const textarea = document.createElement('textarea');
+    textarea.value = selector;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    try {
+      document.execCommand('copy');
+      done();
+    } catch (e) {
+      Drupal.announce('Could not copy the selector.');
+    }
+    textarea.remove();
+  }
 
-    document.body.appendChild(notification);
+  /**
+   * Highlight the instances of a violation from a list of nodes.
+   *
+   * Kept for callers from before the highlight layer; the results list
+   * uses highlightViolation().
+   */
+  function highlightViolationInstances(violationId, nodes) {
+    highlightViolation({ id: violationId, nodes: nodes || [] }, 0);
+  }
+
+  function clearHighlights() {
+    Drupal.accessibility.highlighter.clear();
   }
 
   function getViolationIcon(impact) {
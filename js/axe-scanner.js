@@ -19,46 +19,6 @@
       .then(response => response.json());
   }
 
-  // Function to save scan results to Drupal database
-  function saveScanResults(url, violations) {
-    return fetch('/save-axe-report', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Requested-With': 'XMLHttpRequest'
-      },
-      body: JSON.stringify({
-        url: url,
-        violations: violations,
-        timestamp: new Date().toISOString()
-      })
-    })
-      .then(response => response.json());
-  }
-
-  // Function to cache scan results using the new caching system
-  function cacheScanResults(url, violations) {
-    return fetch('/accessibility/cache/scan-results', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Requested-With': 'XMLHttpRequest'
-      },
-      body: JSON.stringify({
-        url: url,
-        scan_results: {
-          violations: violations,
-          timestamp: new Date().toISOString()
-        }
-      })
-    })
-      .then(response => response.json())
-      .catch(error => {
-        console.error('Error caching scan results:', error);
-        return { success: false, message: error.message };
-      });
-  }
-
   // Function to record that a URL has a scan button
   function recordScanButtonUrl(url) {
     return fetch('/accessibility/cache/record-scan-button', {
@@ -147,52 +107,27 @@
 
       // Function to run axe scan
       function runAxeScan() {
-        // Get the current page URL
-        const currentUrl = window.location.href.split('?')[0]; // Remove query parameters
-
-        // Run axe-core scan (assumes axe-core is loaded)
-        if (typeof axe !== 'undefined') {
-          axe.run(document, {}, function (err, results) {
-            if (err) {
-              console.error('Axe error:', err);
-              return;
-            }
+        const scanner = Drupal.accessibility.scanner;
 
+        scanner.run()
+          .then(function (results) {
             const violations = results.violations;
             console.log('Accessibility violations:', violations);
 
-            // Save the scan results to the database (existing system)
-            saveScanResults(currentUrl, violations)
+            // Save the scan results; the server also caches them for reports.
+            scanner.persist(results)
               .then(response => {
-                console.log('Scan results saved to database:', response);
-              })
-              .catch(err => {
-                console.error('Failed to save scan results to database:', err);
-              });
+                console.log('Scan results saved:', response);
+                const violationsCount = response.violations_count !== undefined
+                  ? response.violations_count
+                  : violations.length;
+                Drupal.messenger().add('message', `Accessibility scan completed and cached. Found ${violationsCount} violations.`);
 
-            // Cache the scan results using new caching system
-            cacheScanResults(currentUrl, violations)
-              .then(cacheResponse => {
-                console.log('Scan results cached:', cacheResponse);
-                
-                if (cacheResponse.success) {
-                  // Show a user message with cached violation count
-                  const violationsCount = cacheResponse.cached_data && cacheResponse.cached_data.violation_counts 
-                    ? cacheResponse.cached_data.violation_counts.total 
-                    : violations.length;
-                  Drupal.messenger().add('message', `Accessibility scan completed and cached. Found ${violationsCount} violations.`);
-                  
-                  // Show a popup or notification about scan completion
-                  showScanCompletionNotification(violationsCount, currentUrl);
-                  
-                  // Log cached data for debugging
-                  console.log('Cached violation counts:', cacheResponse.cached_data ? cacheResponse.cached_data.violation_counts : 'No counts available');
-                } else {
-                  Drupal.messenger().add('error', 'Failed to cache scan results: ' + cacheResponse.message);
-                }
+                // Show a popup or notification about scan completion
+                showScanCompletionNotification(violationsCount, results.url);
               })
               .catch(err => {
-                console.error('Failed to cache scan results:', err);
+                console.error('Failed to save scan results:', err);
                 Drupal.messenger().add('error', 'Failed to cache scan results.');
               });
 
@@ -210,11 +145,11 @@
               .catch(err => {
                 console.error('Ollama API error:', err);
               });
+          })
+          .catch(function (err) {
+            console.error('Axe error:', err);
+            Drupal.messenger().add('error', 'Accessibility scan failed: ' + err.message);
           });
-        } else {
-          console.error('axe-core library not loaded');
-          Drupal.messenger().add('error', 'Accessibility scanner not available.');
-        }
       }
 
       // Function to show scan completion notification
@@ -0,0 +1,345 @@
+/**
+ * @file
+ * Watch mode: rescan the parts of the page that change after load.
+ *
+ * Drupal.accessibility.watchMode observes the DOM (and Drupal AJAX requests
+ * completing) and, once changes settle, hands the changed subtrees to a
+ * callback that rescans them. merge() folds such a partial scan into the
+ * previous results and reports which violations are new or resolved.
+ */
+
+(function ($, Drupal) {
+  'use strict';
+
+  Drupal.accessibility = Drupal.accessibility || {};
+
+  /**
+   * Quiet period before changed subtrees are rescanned, in milliseconds.
+   */
+  const DEBOUNCE = 800;
+
+  /**
+   * Above this many changed subtrees the whole watched root is rescanned.
+   */
+  const MAX_ROOTS = 10;
+
+  /**
+   * Changes inside the scan UIs never trigger a rescan.
+   */
+  const IGNORED = '#violations-popup, #axe-scan-block, .accessibility-highlight-layer, .accessibility-highlight, .highlight-notification, .axe-element-picker-overlay, .accessibility-scan-notification';
+
+  /**
+   * Attributes that can change the outcome of an axe rule.
+   */
+  const WATCHED_ATTRIBUTES = [
+    'class', 'hidden', 'disabled', 'role', 'alt', 'title', 'tabindex', 'href',
+    'id', 'for', 'lang', 'type', 'open',
+    'aria-label', 'aria-labelledby', 'aria-describedby', 'aria-hidden',
+    'aria-expanded', 'aria-checked', 'aria-selected', 'aria-pressed',
+    'aria-invalid', 'aria-required', 'aria-disabled', 'aria-current',
+    'aria-controls', 'aria-live', 'aria-modal',
+  ];
+
+  let watch = null;
+
+  /**
+   * Reduce changed elements to the outermost connected ones.
+   */
+  function collapseRoots(elements, root) {
+    const connected = Array.from(elements).filter(function (element) {
+      return element.isConnected;
+    });
+    const roots = connected.filter(function (element) {
+      return !connected.some(function (other) {
+        return other !== element && other.contains(element);
+      });
+    });
+    return roots.length > MAX_ROOTS ? [root] : roots;
+  }
+
+  /**
+   * Find the live element an axe result node points at.
+   *
+   * @return {Element|null|undefined}
+   *   The element, null when it is no longer on the page, or undefined when
+   *   the target cannot be resolved from the top document (iframes, shadow
+   *   DOM).
+   */
+  function resolveNode(node) {
+    const target = node.target || [];
+    if (target.length !== 1 || typeof target[0] !== 'string') {
+      return undefined;
+    }
+    try {
+      return document.querySelector(target[0]);
+    }
+    catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Identify a result node across scans.
+   */
+  function nodeKey(ruleId, node) {
+    return ruleId + '|' + (node.target || []).join(' ');
+  }
+
+  Drupal.accessibility.watchMode = {
+
+    /**
+     * Start watching for changes.
+     *
+     * @param {object} options
+     *   - root: (optional) Element to watch, defaults to the body.
+     *   - onChange: Called with the changed elements once changes settle.
+     *     May return a promise; no new call is made until it settles.
+     */
+    start: function (options) {
+      this.stop();
+
+      const root = options.root || document.body;
+      const pending = new Set();
+      let timer = null;
+      let busy = false;
+
+      function flush() {
+        clearTimeout(timer);
+        timer = null;
+        if (busy || !pending.size) {
+          return;
+        }
+
+        const roots = collapseRoots(pending, root);
+        pending.clear();
+        if (!roots.length) {
+          return;
+        }
+
+        busy = true;
+        Promise.resolve(options.onChange(roots))
+          .catch(function (error) {
+            if (error.name !== 'AbortError') {
+              console.error('Watch mode rescan failed:', error);
+            }
+          })
+          .finally(function () {
+            busy = false;
+            if (watch === current && pending.size) {
+              schedule();
+            }
+          });
+      }
+
+      function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(flush, DEBOUNCE);
+      }
+
+      const observer = new MutationObserver(function (mutations) {
+        mutations.forEach(function (mutation) {
+          const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+          if (!target || target.closest(IGNORED)) {
+            return;
+          }
+          // Ignore nodes the UIs add or remove themselves.
+          const added = Array.from(mutation.addedNodes).concat(Array.from(mutation.removedNodes));
+          if (added.length && added.every(function (node) {
+            return node.nodeType === Node.ELEMENT_NODE && node.matches(IGNORED);
+          })) {
+            return;
+          }
+
+          if (root.contains(target)) {
+            pending.add(target);
+          }
+          else if (target.contains(root)) {
+            pending.add(root);
+          }
+        });
+        if (pending.size) {
+          schedule();
+        }
+      });
+
+      observer.observe(root, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: WATCHED_ATTRIBUTES,
+      });
+
+      // Drupal AJAX responses are fully applied by the time the request
+      // completes, so there is no need to wait out the quiet period.
+      const onAjaxComplete = function () {
+        if (pending.size) {
+          setTimeout(flush, 0);
+        }
+      };
+      $(document).on('ajaxComplete', onAjaxComplete);
+
+      const current = {
+        stop: function () {
+          observer.disconnect();
+          clearTimeout(timer);
+          $(document).off('ajaxComplete', onAjaxComplete);
+        },
+      };
+      watch = current;
+    },
+
+    /**
+     * Stop watching.
+     */
+    stop: function () {
+      if (watch) {
+        watch.stop();
+        watch = null;
+      }
+    },
+
+    /**
+     * Whether watch mode is running.
+     */
+    isActive: function () {
+      return watch !== null;
+    },
+
+    /**
+     * Fold a rescan of some subtrees into the previous results.
+     *
+     * Previous nodes inside the rescanned subtrees, or no longer on the page,
+     * are replaced by the partial results, for violations and items needing
+     * review alike; everything else is kept. Nodes and
+     * rules that were not in the previous results get watchStatus 'new'.
+     *
+     * @param {object} previous
+     *   Normalized results the page was last displayed with.
+     * @param {object} partial
+     *   Normalized results of the rescan.
+     * @param {Element[]} roots
+     *   The rescanned subtrees.
+     *
+     * @return {object}
+     *   An object with results (in the normalized format), added (count of
+     *   new nodes) and resolved (list of {rule, node} that went away).
+     */
+    merge: function (previous, partial, roots) {
+      const scanner = Drupal.accessibility.scanner;
+      const previousKeys = new Set();
+      const rules = new Map();
+      const resolved = [];
+      let added = 0;
+
+      function ruleFor(rule) {
+        if (!rules.has(rule.id)) {
+          rules.set(rule.id, Object.assign({}, rule, { nodes: [], watchStatus: null }));
+        }
+        return rules.get(rule.id);
+      }
+
+      previous.violations.forEach(function (rule) {
+        rule.nodes.forEach(function (node) {
+          previousKeys.add(nodeKey(rule.id, node));
+
+          const element = resolveNode(node);
+          const rescanned = element && roots.some(function (root) {
+            return root.contains(element);
+          });
+          if (element === null) {
+            resolved.push({ rule: rule, node: node });
+          }
+          else if (!rescanned) {
+            ruleFor(rule).nodes.push(Object.assign({}, node, { watchStatus: null }));
+          }
+        });
+      });
+
+      const currentKeys = new Set();
+      partial.violations.forEach(function (rule) {
+        const merged = ruleFor(rule);
+        rule.nodes.forEach(function (node) {
+          const key = nodeKey(rule.id, node);
+          currentKeys.add(key);
+          if (merged.nodes.some(function (existing) {
+            return nodeKey(rule.id, existing) === key;
+          })) {
+            return;
+          }
+          const isNew = !previousKeys.has(key);
+          added += isNew ? 1 : 0;
+          merged.nodes.push(Object.assign({}, node, { watchStatus: isNew ? 'new' : null }));
+        });
+      });
+
+      // Rescanned nodes that no longer fail are resolved.
+      previous.violations.forEach(function (rule) {
+        rule.nodes.forEach(function (node) {
+          const element = resolveNode(node);
+          const rescanned = element && roots.some(function (root) {
+            return root.contains(element);
+          });
+          if (rescanned && !currentKeys.has(nodeKey(rule.id, node))) {
+            resolved.push({ rule: rule, node: node });
+          }
+        });
+      });
+
+      const previousRules = new Set(previous.violations.map(function (rule) {
+        return rule.id;
+      }));
+      const violations = scanner.sortByImpact(Array.from(rules.values()).filter(function (rule) {
+        if (!previousRules.has(rule.id)) {
+          rule.watchStatus = 'new';
+        }
+        return rule.nodes.length > 0;
+      }));
+
+      // Items needing review are replaced inside the rescanned subtrees the
+      // same way, without tracking what is new or resolved.
+      const incompleteRules = new Map();
+      function incompleteRuleFor(rule) {
+        if (!incompleteRules.has(rule.id)) {
+          incompleteRules.set(rule.id, Object.assign({}, rule, { nodes: [] }));
+        }
+        return incompleteRules.get(rule.id);
+      }
+      (previous.incomplete || []).forEach(function (rule) {
+        rule.nodes.forEach(function (node) {
+          const element = resolveNode(node);
+          if (element && !roots.some(function (root) {
+            return root.contains(element);
+          })) {
+            incompleteRuleFor(rule).nodes.push(node);
+          }
+        });
+      });
+      (partial.incomplete || []).forEach(function (rule) {
+        const merged = incompleteRuleFor(rule);
+        rule.nodes.forEach(function (node) {
+          const key = nodeKey(rule.id, node);
+          if (!merged.nodes.some(function (existing) {
+            return nodeKey(rule.id, existing) === key;
+          })) {
+            merged.nodes.push(node);
+          }
+        });
+      });
+      const incomplete = scanner.sortByImpact(Array.from(incompleteRules.values()).filter(function (rule) {
+        return rule.nodes.length > 0;
+      }));
+
+      return {
+        results: Object.assign({}, previous, {
+          timestamp: partial.timestamp,
+          violations: violations,
+          incomplete: incomplete,
+          counts: scanner.countByImpact(violations),
+        }),
+        added: added,
+        resolved: resolved,
+      };
+    },
+  };
+
+})(jQuery, Drupal);
@@ -31,14 +31,7 @@
     $(document).on('click', '#run-axe-scan-btn', function(e) {
       e.preventDefault();
       console.log('Run scan button clicked');
-
-      if (typeof axe === 'undefined') {
-        loadAxeCore(function() {
-          runAxeScan();
-        });
-      } else {
-        runAxeScan();
-      }
+      runAxeScan();
     });
 
     // Bind popup close button
@@ -60,10 +53,10 @@
       runAxeScan();
     });
 
-    // Bind export button
-    $(document).on('click', '#export-results-btn', function(e) {
+    // Bind export buttons
+    $(document).on('click', '#axe-scanner-popup [data-export-format]', function(e) {
       e.preventDefault();
-      exportResults();
+      exportResults($(this).attr('data-export-format'));
     });
 
     // Handle escape key
@@ -113,7 +106,7 @@
 
           <div class="axe-popup-footer">
             <button id="rescan-btn" class="btn btn-primary">Rescan</button>
-            <button id="export-results-btn" class="btn btn-secondary">Export Results</button>
+            ${Drupal.accessibility.exportFormats.buttonsHtml()}
           </div>
         </div>
       </div>
@@ -123,26 +116,7 @@
   }
 
   /**
-   * Load the axe-core library from CDN.
-   */
-  function loadAxeCore(callback) {
-    console.log('Loading axe-core from CDN...');
-
-    const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/axe-core@4.8.2/axe.min.js';
-    script.onload = function() {
-      console.log('Axe-core loaded successfully');
-      if (callback) callback();
-    };
-    script.onerror = function() {
-      console.error('Failed to load axe-core library');
-      showAxeError('Failed to load the accessibility scanning library. Please check your internet connection and try again.');
-    };
-    document.head.appendChild(script);
-  }
-
-  /**
-   * Run the axe accessibility scan.
+   * Run the axe accessibility scan through the shared scanner.
    */
   function runAxeScan() {
     console.log('Running Axe scan...');
@@ -154,27 +128,19 @@
     // Update scan button
     $('#run-axe-scan-btn').addClass('scanning').prop('disabled', true).html('Scanning...');
 
-    // Configure axe
-    const axeConfig = {
-      rules: {},
-      tags: ['wcag2a', 'wcag2aa', 'wcag21aa', 'best-practice']
-    };
-
-    // Run axe scan
-    axe.run(document, axeConfig, function(err, results) {
-      console.log('Axe scan completed');
-
-      // Reset scan button
-      $('#run-axe-scan-btn').removeClass('scanning').prop('disabled', false).html('Run Axe Scan');
-
-      if (err) {
+    Drupal.accessibility.scanner.run()
+      .then(function(results) {
+        console.log('Axe scan completed');
+        displayResults(results);
+      })
+      .catch(function(err) {
         console.error('Axe scan error:', err);
         showAxeError('Error running accessibility scan: ' + err.message);
-        return;
-      }
-
-      displayResults(results);
-    });
+      })
+      .finally(function() {
+        // Reset scan button
+        $('#run-axe-scan-btn').removeClass('scanning').prop('disabled', false).html('Run Axe Scan');
+      });
   }
 
   /**
@@ -314,26 +280,15 @@
   }
 
   /**
-   * Export scan results as JSON.
+   * Export scan results as SARIF, JUnit XML or JSON.
    */
-  function exportResults() {
+  function exportResults(format) {
     if (!window.axeResults) {
       alert('No scan results to export.');
       return;
     }
 
-    const data = JSON.stringify(window.axeResults, null, 2);
-    const blob = new Blob([data], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `axe-scan-results-${new Date().toISOString().slice(0, 19)}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-
-    URL.revokeObjectURL(url);
+    Drupal.accessibility.exportFormats.download([window.axeResults], format);
   }
 
   /**
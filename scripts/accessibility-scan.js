@@ -0,0 +1,624 @@
+#!/usr/bin/env node
+/**
+ * @file
+ * Command-line scanner for pages of a Drupal site or local HTML files.
+ *
+ * Loads each page into jsdom, or into a local headless Chrome with --browser,
+ * and scans it with the module's own js/accessibility-scanner.js and bundled
+ * axe-core, so a page gets the same axe options, exclusions and normalized
+ * results as a scan from the Accessibility Tools block. Results are printed,
+ * written to files or saved to the site's reports through /save-axe-report.
+ *
+ * Nothing is fetched from the network except the pages scanned and, with
+ * --site, the site's scan configuration. Requires Node.js 18 or later and
+ * the jsdom package (or puppeteer for --browser), both declared in the
+ * module's package.json: run `npm install` first. Run with --help for usage.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { parseArgs } = require('util');
+const vm = require('vm');
+
+const MODULE_DIR = path.resolve(__dirname, '..');
+const AXE_SOURCE = path.join(MODULE_DIR, 'js/vendor/axe-core/axe.min.js');
+const SCANNER_SOURCE = path.join(MODULE_DIR, 'js/accessibility-scanner.js');
+const EXPORT_SOURCE = path.join(MODULE_DIR, 'js/accessibility-export-formats.js');
+
+/**
+ * Time allowed to load a page, in milliseconds.
+ */
+const LOAD_TIMEOUT = 30000;
+
+/**
+ * axe impact levels, most severe first.
+ */
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+const USAGE = `Usage: node scripts/accessibility-scan.js [options] [url-or-file...]
+
+Scans URLs and local HTML files with the Accessibility module's scanner.
+
+Pages:
+  url-or-file          A URL, a path of the site given with --site, or an
+                       HTML file
+  --list <file>        Also scan the URLs, paths or files in a file, one per
+                       line; lines starting with # are skipped
+  --targets            Also scan the target list of the site (needs --site)
+
+Site:
+  --site <url>         Base URL of the Drupal site. Its scan profiles are
+                       loaded from /accessibility/scan-config
+  --cookie <cookie>    Cookie header sent to the site, e.g. the session cookie
+                       of a user who may use the accessibility tools
+  --post               Save the results to the site's reports (needs --site)
+
+Scanning:
+  --profile <id>       Scan profile to use; defaults to the site's default
+  --profiles <file>    Read the scan profiles from a JSON file, e.g. a saved
+                       response of /accessibility/scan-config
+  --browser            Use a local headless Chrome through puppeteer instead
+                       of jsdom. Set CHROME_PATH to pick the browser binary
+
+Output:
+  --json               Print the results as JSON instead of a summary
+  --out-dir <dir>      Write the results of each page to a JSON file
+  --sarif <file>       Write the results of all pages to a SARIF 2.1 file
+  --junit <file>       Write the results of all pages to a JUnit XML file
+  --fail-on <impact>   Exit with status 1 when a violation of this impact or
+                       worse is found: ${IMPACTS.join(', ')}
+  --help               Show this help
+
+Exits with status 2 when a page could not be scanned or saved.
+`;
+
+/**
+ * Load an optional dependency, or return null when it is not installed.
+ */
+function requireOptional(name) {
+  try {
+    return require(name);
+  }
+  catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load the module's export formats, which need nothing but Drupal.
+ */
+function loadExportFormats() {
+  const context = { Drupal: {} };
+  vm.runInNewContext(fs.readFileSync(EXPORT_SOURCE, 'utf8'), context, { filename: EXPORT_SOURCE });
+  return context.Drupal.accessibility.exportFormats;
+}
+
+/**
+ * Write a progress or error message to stderr, keeping stdout for results.
+ */
+function log(message) {
+  process.stderr.write(message + '\n');
+}
+
+/**
+ * Parse and check the command-line options.
+ */
+function getOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      list: { type: 'string' },
+      targets: { type: 'boolean' },
+      site: { type: 'string' },
+      cookie: { type: 'string' },
+      post: { type: 'boolean' },
+      profile: { type: 'string' },
+      profiles: { type: 'string' },
+      browser: { type: 'boolean' },
+      json: { type: 'boolean' },
+      'out-dir': { type: 'string' },
+      sarif: { type: 'string' },
+      junit: { type: 'string' },
+      'fail-on': { type: 'string' },
+      help: { type: 'boolean' },
+    },
+  });
+
+  if (values.site && !/^https?:\/\//.test(values.site)) {
+    throw new Error('--site must be an http or https URL.');
+  }
+  if ((values.post || values.targets) && !values.site) {
+    throw new Error('--post and --targets need --site.');
+  }
+  if (values['fail-on'] && IMPACTS.indexOf(values['fail-on']) === -1) {
+    throw new Error(`--fail-on must be one of: ${IMPACTS.join(', ')}.`);
+  }
+
+  return {
+    pages: positionals,
+    list: values.list,
+    targets: Boolean(values.targets),
+    site: values.site ? values.site.replace(/\/+$/, '') : null,
+    cookie: values.cookie || null,
+    post: Boolean(values.post),
+    profile: values.profile || null,
+    profiles: values.profiles || null,
+    browser: Boolean(values.browser),
+    json: Boolean(values.json),
+    outDir: values['out-dir'] || null,
+    sarif: values.sarif || null,
+    junit: values.junit || null,
+    failOn: values['fail-on'] || null,
+    help: Boolean(values.help),
+  };
+}
+
+/**
+ * Headers for a request, with the cookie only when it goes to the site.
+ */
+function siteHeaders(url, options, headers) {
+  headers = Object.assign({}, headers);
+  if (options.cookie && options.site && new URL(url).origin === new URL(options.site).origin) {
+    headers.Cookie = options.cookie;
+  }
+  return headers;
+}
+
+/**
+ * Fetch JSON from the site.
+ */
+async function siteJson(url, options, init) {
+  init = init || {};
+  const response = await fetch(url, Object.assign({}, init, {
+    headers: siteHeaders(url, options, Object.assign({
+      'Accept': 'application/json',
+      'X-Requested-With': 'XMLHttpRequest',
+    }, init.headers)),
+  }));
+
+  let data = null;
+  try {
+    data = await response.json();
+  }
+  catch (error) {
+    // Not JSON, e.g. an access denied page.
+  }
+  if (!response.ok || !data || data.success === false) {
+    throw new Error((data && data.message) || `HTTP error! status: ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Load the scan profiles and target list the scans run with.
+ *
+ * @return {Promise<object>}
+ *   The scan profiles in the format of drupalSettings, or null to scan with
+ *   the scanner's defaults, and the URLs on the target list.
+ */
+async function loadConfig(options) {
+  let config = { scanProfiles: null, targets: [] };
+
+  // Profiles from a file make the site's configuration unnecessary, unless
+  // its target list is scanned.
+  if (options.site && (!options.profiles || options.targets)) {
+    try {
+      const data = await siteJson(options.site + '/accessibility/scan-config', options);
+      config = { scanProfiles: data.scan_profiles, targets: data.targets || [] };
+    }
+    catch (error) {
+      throw new Error(`Could not load the scan configuration of ${options.site}: ${error.message}. Pass --cookie with the session of a user who may use the accessibility tools, or --profiles.`);
+    }
+  }
+
+  if (options.profiles) {
+    const data = JSON.parse(fs.readFileSync(options.profiles, 'utf8'));
+    config.scanProfiles = data.scan_profiles || data;
+  }
+
+  if (options.profile) {
+    const profiles = (config.scanProfiles && config.scanProfiles.profiles) || {};
+    if (!profiles[options.profile]) {
+      const available = Object.keys(profiles);
+      throw new Error(`Unknown scan profile ${options.profile}. ` + (available.length ? `Available: ${available.join(', ')}.` : 'Load the profiles with --site or --profiles.'));
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Collect the pages to scan from the arguments, the list file and targets.
+ *
+ * @return {object[]}
+ *   Pages with either a url or a file key.
+ */
+function getPages(options, config) {
+  let entries = options.pages.slice();
+  if (options.list) {
+    entries = entries.concat(fs.readFileSync(options.list, 'utf8').split(/\r?\n/).map(function (line) {
+      return line.trim();
+    }).filter(function (line) {
+      return line && line.charAt(0) !== '#';
+    }));
+  }
+  if (options.targets) {
+    entries = entries.concat(config.targets);
+  }
+
+  const seen = new Set();
+  const pages = [];
+  entries.forEach(function (entry) {
+    let page;
+    if (/^https?:\/\//.test(entry)) {
+      page = { url: entry };
+    }
+    else if (options.site && entry.charAt(0) === '/' && !fs.existsSync(entry)) {
+      page = { url: options.site + entry };
+    }
+    else {
+      page = { file: path.resolve(entry) };
+    }
+
+    const key = page.url || page.file;
+    if (!seen.has(key)) {
+      seen.add(key);
+      pages.push(page);
+    }
+  });
+  return pages;
+}
+
+/**
+ * Set up the globals js/accessibility-scanner.js expects, inside the page.
+ *
+ * Runs in the page, so it must not refer to anything outside itself. When
+ * the page is a Drupal page the real Drupal and jQuery globals are kept.
+ */
+function bootstrap(settings) {
+  function extend(deep, target) {
+    const sources = Array.prototype.slice.call(arguments, 2);
+    sources.forEach(function (source) {
+      Object.keys(source || {}).forEach(function (key) {
+        const value = source[key];
+        if (deep && value && typeof value === 'object') {
+          const base = Array.isArray(value) ? [] : (target[key] && typeof target[key] === 'object' ? target[key] : {});
+          target[key] = extend(true, base, value);
+        }
+        else if (value !== undefined) {
+          target[key] = value;
+        }
+      });
+    });
+    return target;
+  }
+
+  window.jQuery = window.jQuery || { extend: extend };
+  window.Drupal = window.Drupal || {
+    t: function (text, args) {
+      return text.replace(/[@%!][\w-]+/g, function (placeholder) {
+        return args && args.hasOwnProperty(placeholder) ? String(args[placeholder]) : placeholder;
+      });
+    },
+    url: function (path) {
+      return '/' + path;
+    },
+  };
+  window.drupalSettings = window.drupalSettings || {};
+  window.drupalSettings.accessibility = Object.assign({}, window.drupalSettings.accessibility, settings);
+}
+
+/**
+ * Open a page in jsdom.
+ *
+ * Scripts of the page are not run and its stylesheets are not loaded, so
+ * rules that depend on layout or colors, such as color-contrast, usually end
+ * up as needing review.
+ */
+async function openJsdom(jsdom, page, options) {
+  let html;
+  let url;
+  if (page.file) {
+    html = fs.readFileSync(page.file, 'utf8');
+    url = pathToFileURL(page.file).href;
+  }
+  else {
+    const response = await fetch(page.url, {
+      headers: siteHeaders(page.url, options, { 'Accept': 'text/html' }),
+      signal: AbortSignal.timeout(LOAD_TIMEOUT),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const type = response.headers.get('content-type') || '';
+    if (type.indexOf('html') === -1) {
+      throw new Error(`Not an HTML page: ${type}`);
+    }
+    html = await response.text();
+    url = response.url;
+  }
+
+  const dom = new jsdom.JSDOM(html, {
+    url: url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new jsdom.VirtualConsole(),
+  });
+
+  return {
+    evaluate: function (source) {
+      return Promise.resolve(dom.window.eval(source));
+    },
+    close: function () {
+      dom.window.close();
+      return Promise.resolve();
+    },
+    userAgent: dom.window.navigator.userAgent,
+  };
+}
+
+/**
+ * Open a page in the headless browser.
+ */
+async function openBrowser(browser, page, options) {
+  const url = page.file ? pathToFileURL(page.file).href : page.url;
+  const tab = await browser.newPage();
+  try {
+    const headers = siteHeaders(url, options, {});
+    if (headers.Cookie) {
+      await tab.setExtraHTTPHeaders(headers);
+    }
+    const response = await tab.goto(url, { waitUntil: 'load', timeout: LOAD_TIMEOUT });
+    if (response && !response.ok()) {
+      throw new Error(`HTTP error! status: ${response.status()}`);
+    }
+  }
+  catch (error) {
+    await tab.close();
+    throw error;
+  }
+
+  return {
+    evaluate: function (source) {
+      return tab.evaluate(source);
+    },
+    close: function () {
+      return tab.close();
+    },
+    userAgent: await browser.userAgent(),
+  };
+}
+
+/**
+ * Scan an opened page with the module's scanner.
+ *
+ * @return {Promise<object>}
+ *   Normalized results, as returned by Drupal.accessibility.scanner.run().
+ */
+async function scan(opened, sources, config, options) {
+  const settings = {
+    scanProfiles: config.scanProfiles || {},
+    axe: {},
+  };
+
+  await opened.evaluate(`(${bootstrap.toString()})(${JSON.stringify(settings)});`);
+  await opened.evaluate(sources.axe);
+  await opened.evaluate(sources.scanner);
+  const json = await opened.evaluate(`
+    Drupal.accessibility.scanner.useProfile(${JSON.stringify(options.profile)});
+    Drupal.accessibility.scanner.run().then(function (results) {
+      return JSON.stringify(results);
+    });
+  `);
+  return JSON.parse(json);
+}
+
+/**
+ * Save results to the site's reports, like scanner.persist() does.
+ *
+ * @return {Promise<object>}
+ *   The decoded response, with the ID of the saved scan.
+ */
+function persist(results, userAgent, options) {
+  return siteJson(options.site + '/save-axe-report', options, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      url: results.url,
+      title: results.title,
+      violations: results.violations,
+      incomplete: results.incomplete,
+      timestamp: results.timestamp,
+      profile: results.profile,
+      user_agent: userAgent,
+    }),
+  });
+}
+
+/**
+ * A file name for the results of a page, unique within this run.
+ */
+function outputName(url, used) {
+  const name = url.replace(/^[a-z]+:\/\//i, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').slice(0, 100) || 'page';
+  let candidate = name;
+  for (let i = 2; used.has(candidate); i++) {
+    candidate = `${name}-${i}`;
+  }
+  used.add(candidate);
+  return candidate + '.json';
+}
+
+/**
+ * A plain-text summary of the results of a page.
+ */
+function summary(results) {
+  const counts = results.counts;
+  const impacts = IMPACTS.filter(function (impact) {
+    return counts[impact];
+  }).map(function (impact) {
+    return `${counts[impact]} ${impact}`;
+  });
+  const instances = results.violations.reduce(function (total, violation) {
+    return total + violation.nodes.length;
+  }, 0);
+
+  let text = `${results.url}\n`;
+  text += counts.total
+    ? `  ${counts.total} violations (${impacts.join(', ')}), ${instances} instances`
+    : '  No violations';
+  text += `; ${results.incomplete.length} need review\n`;
+  results.violations.forEach(function (violation) {
+    text += `    ${violation.impact.padEnd(9)} ${violation.id} - ${violation.help} (${violation.nodes.length})\n`;
+  });
+  return text;
+}
+
+/**
+ * Whether the results have a violation of the impact or worse.
+ */
+function fails(results, impact) {
+  const threshold = IMPACTS.indexOf(impact);
+  return results.violations.some(function (violation) {
+    const index = IMPACTS.indexOf(violation.impact);
+    return index !== -1 && index <= threshold;
+  });
+}
+
+async function main() {
+  const options = getOptions(process.argv.slice(2));
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const config = await loadConfig(options);
+  const pages = getPages(options, config);
+  if (!pages.length) {
+    process.stderr.write(USAGE);
+    return 2;
+  }
+
+  let jsdom = null;
+  let browser = null;
+  if (options.browser) {
+    const puppeteer = requireOptional('puppeteer') || requireOptional('puppeteer-core');
+    if (!puppeteer) {
+      throw new Error('--browser needs puppeteer, an optional dependency: run npm install without --omit=optional');
+    }
+    browser = await puppeteer.launch({
+      headless: true,
+      executablePath: process.env.CHROME_PATH || undefined,
+      // Chrome refuses to start its sandbox as root, as in most CI containers.
+      args: process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : [],
+    });
+  }
+  else {
+    jsdom = requireOptional('jsdom');
+    if (!jsdom) {
+      throw new Error('Scanning needs jsdom: run npm install in the module directory');
+    }
+  }
+
+  const sources = {
+    axe: fs.readFileSync(AXE_SOURCE, 'utf8'),
+    scanner: fs.readFileSync(SCANNER_SOURCE, 'utf8'),
+  };
+  if (options.outDir) {
+    fs.mkdirSync(options.outDir, { recursive: true });
+  }
+
+  const all = [];
+  const usedNames = new Set();
+  let errors = 0;
+  let failed = false;
+
+  try {
+    for (const page of pages) {
+      const label = page.url || page.file;
+      log(`Scanning ${label}`);
+
+      let results;
+      let userAgent;
+      try {
+        const opened = browser ? await openBrowser(browser, page, options) : await openJsdom(jsdom, page, options);
+        userAgent = opened.userAgent;
+        try {
+          results = await scan(opened, sources, config, options);
+        }
+        finally {
+          await opened.close();
+        }
+      }
+      catch (error) {
+        log(`  Could not scan ${label}: ${error.message}`);
+        errors++;
+        continue;
+      }
+
+      if (options.post) {
+        if (page.file || new URL(results.url).origin !== new URL(options.site).origin) {
+          log(`  Not saved: ${results.url} is not a page of ${options.site}`);
+        }
+        else {
+          try {
+            const saved = await persist(results, userAgent, options);
+            results.scan_id = saved.scan_id;
+            log(`  Saved as scan ${saved.scan_id}`);
+          }
+          catch (error) {
+            log(`  Could not save the results: ${error.message}`);
+            errors++;
+          }
+        }
+      }
+
+      if (options.outDir) {
+        fs.writeFileSync(path.join(options.outDir, outputName(results.url, usedNames)), JSON.stringify(results, null, 2));
+      }
+      if (!options.json) {
+        process.stdout.write(summary(results));
+      }
+      if (options.failOn && fails(results, options.failOn)) {
+        failed = true;
+      }
+      all.push(results);
+    }
+  }
+  finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+
+  if (options.json) {
+    process.stdout.write(JSON.stringify(all, null, 2) + '\n');
+  }
+  if (options.sarif || options.junit) {
+    const exportFormats = loadExportFormats();
+    if (options.sarif) {
+      fs.writeFileSync(options.sarif, exportFormats.serialize(all, 'sarif'));
+    }
+    if (options.junit) {
+      fs.writeFileSync(options.junit, exportFormats.serialize(all, 'junit'));
+    }
+  }
+
+  if (errors) {
+    return 2;
+  }
+  return failed ? 1 : 0;
+}
+
+main().then(function (code) {
+  process.exitCode = code;
+}, function (error) {
+  log(error.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * @file
+ * Checks that site scans can scan pages that do not load axe-core.
+ *
+ * Loads js/accessibility-scanner.js into a jsdom page the way Drupal would,
+ * with the URL of the bundled axe-core in drupalSettings, opens a page
+ * without axe in a frame and scans it with runInFrame(), as the site scan
+ * does for each page it crawls. Exits with status 1 when the scan fails or
+ * misses the violations of the page.
+ *
+ * Run with `npm test` after `npm install`.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const MODULE_DIR = path.resolve(__dirname, '..');
+const AXE_URL = pathToFileURL(path.join(MODULE_DIR, 'js/vendor/axe-core/axe.min.js')).href;
+const SCANNER_SOURCE = fs.readFileSync(path.join(MODULE_DIR, 'js/accessibility-scanner.js'), 'utf8');
+
+/**
+ * A page without axe, with one image and one link violation.
+ */
+const PAGE = '<!DOCTYPE html><html lang="en"><head><title>No axe here</title></head>'
+  + '<body><main><h1>Page</h1><img src="photo.png"><a href="/somewhere"></a></main></body></html>';
+
+/**
+ * Open a page in jsdom, running its scripts and loading its frames.
+ */
+function open(html, url) {
+  const dom = new JSDOM(html, {
+    url: url,
+    runScripts: 'dangerously',
+    resources: 'usable',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole().sendTo(console, { omitJSDOMErrors: true }),
+  });
+  return new Promise(function (resolve) {
+    dom.window.addEventListener('load', function () {
+      resolve(dom);
+    });
+  });
+}
+
+async function main() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accessibility-check-'));
+  try {
+    const pageFile = path.join(dir, 'page.html');
+    fs.writeFileSync(pageFile, PAGE);
+
+    const host = await open(
+      `<!DOCTYPE html><html lang="en"><head><title>Site scan</title></head><body><iframe src="${pathToFileURL(pageFile).href}"></iframe></body></html>`,
+      pathToFileURL(path.join(dir, 'host.html')).href
+    );
+    const window = host.window;
+    const frame = window.document.querySelector('iframe');
+    assert.strictEqual(typeof frame.contentWindow.axe, 'undefined', 'The framed page must not have axe before the scan.');
+
+    // What Drupal and accessibility_js_settings_build() provide on a page.
+    window.jQuery = {
+      extend: function (deep, target) {
+        return Object.assign.apply(null, [target].concat(Array.prototype.slice.call(arguments, 2)));
+      },
+    };
+    window.Drupal = {
+      t: function (text) {
+        return text;
+      },
+      url: function (url) {
+        return '/' + url;
+      },
+    };
+    window.drupalSettings = {
+      accessibility: {
+        scanProfiles: {},
+        axe: { source: AXE_URL },
+      },
+    };
+    window.eval(SCANNER_SOURCE);
+
+    const results = await window.Drupal.accessibility.scanner.runInFrame(frame);
+    const ids = results.violations.map(function (violation) {
+      return violation.id;
+    });
+    assert.ok(ids.indexOf('image-alt') !== -1, 'image-alt was not found; got: ' + ids.join(', '));
+    assert.ok(ids.indexOf('link-name') !== -1, 'link-name was not found; got: ' + ids.join(', '));
+    assert.strictEqual(results.title, 'No axe here');
+
+    window.close();
+    process.stdout.write(`ok - scanned a page without axe in a frame: ${ids.join(', ')}\n`);
+  }
+  finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch(function (error) {
+  process.stderr.write(`not ok - ${error.stack || error.message}\n`);
+  process.exitCode = 1;
+});
@@ -11,6 +11,7 @@ namespace Drupal\accessibility\Controller;
 
 use Drupal\Core\Controller\ControllerBase;
 use Drupal\accessibility\Service\AccessibilityCacheService;
+use Drupal\accessibility\Service\BaselineService;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Symfony\Component\HttpFoundation\Request;
 use Symfony\Component\HttpFoundation\JsonResponse;
@@ -29,14 +30,24 @@ class AccessibilityCacheController extends ControllerBase {
    */
   protected $cacheService;
 
+  /**
+   * The baseline service.
+   *
+   * @var \Drupal\accessibility\Service\BaselineService
+   */
+  protected $baseline;
+
   /**
    * Constructs a new AccessibilityCacheController.
    *
    * @param \Drupal\accessibility\Service\AccessibilityCacheService $cache_service
    *   The accessibility cache service.
+   * @param \Drupal\accessibility\Service\BaselineService $baseline
+   *   The baseline service.
    */
-  public function __construct(AccessibilityCacheService $cache_service) {
+  public function __construct(AccessibilityCacheService $cache_service, BaselineService $baseline) {
     $this->cacheService = $cache_service;
+    $this->baseline = $baseline;
   }
 
   /**
@@ -44,7 +55,8 @@ class AccessibilityCacheController extends ControllerBase {
    */
   public static function create(ContainerInterface $container) {
     return new static(
-      $container->get('accessibility.cache_service')
+      $container->get('accessibility.cache_service'),
+      $container->get('accessibility.baseline')
     );
   }
 
@@ -70,6 +82,13 @@ class AccessibilityCacheController extends ControllerBase {
 
       $url = $data['url'];
       $scan_results = $data['scan_results'];
+
+      if (isset($scan_results['violations']) && is_array($scan_results['violations'])) {
+        $filtered = $this->baseline->filterViolations($url, $scan_results['violations']);
+        $scan_results['unfiltered'] = $scan_results['violations'];
+        $scan_results['violations'] = $filtered['violations'];
+        $scan_results['baselined'] = $filtered['baselined'];
+      }
       
       // Cache the scan results
       $this->cacheService->cacheScanResults($url, $scan_results);
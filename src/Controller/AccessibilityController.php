@@ -13,10 +13,18 @@ use Drupal\Core\Controller\ControllerBase;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Drupal\accessibility\Service\AccessibilityApiClient;
 use Drupal\accessibility\Service\AccessibilityCacheService;
+use Drupal\accessibility\Service\ReportExportService;
+use Drupal\accessibility\Service\ScanHistoryService;
+use Drupal\accessibility\Service\ScanProfileManager;
+use Drupal\accessibility\Service\SiteScanSourceService;
+use Drupal\accessibility\Service\SiteTargetService;
 use Drupal\Core\Url;
 use GuzzleHttp\ClientInterface;
 use GuzzleHttp\Exception\RequestException;
 use Drupal\Core\Database\Connection;
+use Symfony\Component\HttpFoundation\RedirectResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
 
 /**
  * Controller for handling accessibility dashboard and reporting.
@@ -55,6 +63,41 @@ class AccessibilityController extends ControllerBase {
    */
   protected $cacheService;
 
+  /**
+   * The scan history service.
+   *
+   * @var \Drupal\accessibility\Service\ScanHistoryService
+   */
+  protected $scanHistory;
+
+  /**
+   * The scan profile manager.
+   *
+   * @var \Drupal\accessibility\Service\ScanProfileManager
+   */
+  protected $scanProfiles;
+
+  /**
+   * The site scan source service.
+   *
+   * @var \Drupal\accessibility\Service\SiteScanSourceService
+   */
+  protected $siteScanSources;
+
+  /**
+   * The site target service.
+   *
+   * @var \Drupal\accessibility\Service\SiteTargetService
+   */
+  protected $siteTargets;
+
+  /**
+   * The report export service.
+   *
+   * @var \Drupal\accessibility\Service\ReportExportService
+   */
+  protected $reportExport;
+
   /**
    * Constructs a new AccessibilityController.
    *
@@ -66,12 +109,27 @@ class AccessibilityController extends ControllerBase {
    *   The database connection.
    * @param \Drupal\accessibility\Service\AccessibilityCacheService $cache_service
    *   The accessibility cache service.
+   * @param \Drupal\accessibility\Service\ScanHistoryService $scan_history
+   *   The scan history service.
+   * @param \Drupal\accessibility\Service\ScanProfileManager $scan_profiles
+   *   The scan profile manager.
+   * @param \Drupal\accessibility\Service\SiteScanSourceService $site_scan_sources
+   *   The site scan source service.
+   * @param \Drupal\accessibility\Service\SiteTargetService $site_targets
+   *   The site target service.
+   * @param \Drupal\accessibility\Service\ReportExportService $report_export
+   *   The report export service.
    */
-  public function __construct(AccessibilityApiClient $api_client, ClientInterface $http_client, Connection $database, AccessibilityCacheService $cache_service) {
+  public function __construct(AccessibilityApiClient $api_client, ClientInterface $http_client, Connection $database, AccessibilityCacheService $cache_service, ScanHistoryService $scan_history, ScanProfileManager $scan_profiles, SiteScanSourceService $site_scan_sources, SiteTargetService $site_targets, ReportExportService $report_export) {
     $this->apiClient = $api_client;
     $this->httpClient = $http_client;
     $this->database = $database;
     $this->cacheService = $cache_service;
+    $this->scanHistory = $scan_history;
+    $this->scanProfiles = $scan_profiles;
+    $this->siteScanSources = $site_scan_sources;
+    $this->siteTargets = $site_targets;
+    $this->reportExport = $report_export;
   }
 
   /**
@@ -82,7 +140,12 @@ class AccessibilityController extends ControllerBase {
       $container->get('accessibility.api_client'),
       $container->get('http_client'),
       $container->get('database'),
-      $container->get('accessibility.cache_service')
+      $container->get('accessibility.cache_service'),
+      $container->get('accessibility.scan_history'),
+      $container->get('accessibility.scan_profiles'),
+      $container->get('accessibility.site_scan_sources'),
+      $container->get('accessibility.site_targets'),
+      $container->get('accessibility.report_export')
     );
   }
 
@@ -93,6 +156,8 @@ class AccessibilityController extends ControllerBase {
    *   A render array for the dashboard page.
    */
   public function dashboard() {
+    $sources = $this->siteScanSources->getSources();
+
     return [
       '#theme' => 'accessibility_dashboard',
       '#dashboard_url' => Url::fromRoute('accessibility.dashboard')->toString(),
@@ -100,10 +165,26 @@ class AccessibilityController extends ControllerBase {
       '#stats_url' => Url::fromRoute('accessibility.stats')->toString(),
       '#report_url' => Url::fromRoute('accessibility.report', ['path' => '/'])->toString(),
       '#test_violations_url' => Url::fromRoute('accessibility.test_violations')->toString(),
+      '#site_scan' => [
+        'sources' => array_map(function ($source) {
+          return ['label' => $source['label'], 'count' => count($source['urls'])];
+        }, $sources),
+        'profiles' => $this->scanProfiles->getProfileOptions(),
+        'default_profile' => $this->scanProfiles->getDefaultProfileId(),
+        'targets_url' => Url::fromRoute('accessibility.targets')->toString(),
+      ],
       '#attached' => [
         'library' => [
           'accessibility/axe_scanner',
           'accessibility/chartjs',
+          'accessibility/site_scan',
+        ],
+        'drupalSettings' => [
+          'accessibilitySiteScan' => [
+            'sources' => array_map(function ($source) {
+              return $source['urls'];
+            }, $sources),
+          ],
         ],
       ],
       '#cache' => ['max-age' => 0],
@@ -217,6 +298,10 @@ class AccessibilityController extends ControllerBase {
         'drupalSettings' => [
           'accessibilityReport' => [
             'violations' => $cached_data ? ($cached_data['violations'] ?? []) : [],
+            'incomplete' => $cached_data ? ($cached_data['incomplete'] ?? []) : [],
+            'baselined' => $cached_data ? ($cached_data['baselined'] ?? []) : [],
+            'diff' => !empty($cached_data['url']) ? $this->scanHistory->getLatestDiff($cached_data['url']) : NULL,
+            'url' => $cached_data ? ($cached_data['url'] ?? '') : '',
             'violationCounts' => $violation_counts,
           ],
         ],
@@ -393,16 +478,38 @@ class AccessibilityController extends ControllerBase {
    * @return array
    *   A render array for the comprehensive report page.
    */
-  public function comprehensiveReport() {
+  public function comprehensiveReport(Request $request) {
     // Get aggregated statistics from cache service
     $aggregated_stats = $this->cacheService->getAggregatedStats();
     
     // Get detailed statistics from cache service
     $detailed_stats = $this->cacheService->getDetailedStats();
     
-    // Get URLs from both scan button locations and block placements
+    // Get URLs from the target list, or else scan button locations and
+    // block placements
     $scanned_urls = $this->getAccessibleUrlsFromCache();
-    
+
+    // Show how much of the target list has been scanned
+    $target_coverage = NULL;
+    $target_urls = $this->siteTargets->getUrls();
+    if (!empty($target_urls)) {
+      $target_coverage = [
+        'total' => count($target_urls),
+        'scanned' => count(array_filter($scanned_urls, function ($url_data) {
+          return $url_data->last_scan !== NULL;
+        })),
+        'manage_url' => Url::fromRoute('accessibility.targets')->toString(),
+      ];
+    }
+
+    // The filters narrow the listed pages and the exported rows alike
+    $filters = $this->reportExport->getFilters($request->query->all());
+    $query = array_filter($filters, 'strlen');
+    $export = [
+      'csv' => Url::fromRoute('accessibility.comprehensive_report.export', ['format' => 'csv'], ['query' => $query])->toString(),
+      'xlsx' => $this->reportExport->canExportXlsx() ? Url::fromRoute('accessibility.comprehensive_report.export', ['format' => 'xlsx'], ['query' => $query])->toString() : NULL,
+    ];
+
     return [
       '#theme' => 'accessibility_comprehensive_report',
       '#violation_stats' => [
@@ -413,19 +520,85 @@ class AccessibilityController extends ControllerBase {
       ],
       '#total_violations' => $aggregated_stats['total_violations'] ?? 0,
       '#unique_pages' => $aggregated_stats['unique_urls_scanned'] ?? 0,
-      '#scanned_urls' => $scanned_urls,
+      '#scanned_urls' => $this->filterReportUrls($scanned_urls, $filters),
+      '#target_coverage' => $target_coverage,
+      '#filters' => [
+        'values' => $filters,
+        'active' => !empty($query),
+        'impacts' => ReportExportService::IMPACTS,
+        'statuses' => $this->reportExport->getStatusOptions(),
+        'reset_url' => Url::fromRoute('accessibility.comprehensive_report')->toString(),
+      ],
+      '#export' => $export,
+      '#criteria_url' => Url::fromRoute('accessibility.criteria')->toString(),
       '#attached' => [
         'library' => [
           'accessibility/comprehensive_report',
         ],
       ],
       '#cache' => [
-        'contexts' => ['url.path'],
+        'contexts' => ['url.path', 'url.query_args:page', 'url.query_args:impact', 'url.query_args:rule', 'url.query_args:status'],
         'tags' => ['accessibility:comprehensive_report', 'config:block.block', 'accessibility_scan_data'],
       ],
     ];
   }
 
+  /**
+   * Downloads the violations of the comprehensive report.
+   *
+   * Exports one row per failing element of the listed pages, with the
+   * report's filters applied.
+   *
+   * @param string $format
+   *   The export format: csv or xlsx.
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with the report's filters in its query.
+   *
+   * @return \Symfony\Component\HttpFoundation\Response
+   *   The file, or a redirect back to the report if it could not be built.
+   */
+  public function exportReport($format, Request $request) {
+    $filters = $this->reportExport->getFilters($request->query->all());
+
+    try {
+      $urls = array_map(function ($url_data) {
+        return $url_data->scanned_url;
+      }, $this->filterReportUrls($this->getAccessibleUrlsFromCache(), $filters));
+
+      $contents = $this->reportExport->export($this->reportExport->getRows($urls, $filters), $format);
+      $filename = 'accessibility-violations-' . date('Y-m-d') . '.' . ReportExportService::FORMATS[$format]['extension'];
+
+      return new Response($contents, 200, [
+        'Content-Type' => ReportExportService::FORMATS[$format]['type'],
+        'Content-Disposition' => 'attachment; filename="' . $filename . '"',
+        'Cache-Control' => 'private, no-store',
+      ]);
+
+    } catch (\Exception $e) {
+      $this->getLogger('accessibility')->error('Error exporting the accessibility report: @error', ['@error' => $e->getMessage()]);
+      $this->messenger()->addError($this->t('The report could not be exported: @error', ['@error' => $e->getMessage()]));
+
+      return new RedirectResponse(Url::fromRoute('accessibility.comprehensive_report', [], ['query' => array_filter($filters, 'strlen')])->toString());
+    }
+  }
+
+  /**
+   * Keeps the pages of the comprehensive report that match its filters.
+   *
+   * @param array $scanned_urls
+   *   URL data objects, see getAccessibleUrlsFromCache().
+   * @param array $filters
+   *   The filters, see ReportExportService::getFilters().
+   *
+   * @return array
+   *   The matching URL data objects.
+   */
+  private function filterReportUrls(array $scanned_urls, array $filters) {
+    return array_values(array_filter($scanned_urls, function ($url_data) use ($filters) {
+      return $this->reportExport->pageMatches($url_data->scanned_url, $this->cacheService->getScanResults($url_data->scanned_url), $filters);
+    }));
+  }
+
   /**
    * Displays the cached accessibility data management page.
    *
@@ -565,6 +738,21 @@ class AccessibilityController extends ControllerBase {
    */
   private function getAccessibleUrlsFromCache() {
     $urls = [];
+
+    // The managed target list replaces every guess below
+    $target_urls = $this->siteTargets->getUrls();
+    if (!empty($target_urls)) {
+      foreach ($target_urls as $url) {
+        $scan_results = $this->cacheService->getScanResults($url);
+
+        $urls[$url] = (object) [
+          'scanned_url' => $url,
+          'violation_count' => $scan_results ? $scan_results['violation_counts']['total'] : 0,
+          'last_scan' => $scan_results ? date('Y-m-d H:i:s', $scan_results['scan_timestamp']) : null,
+        ];
+      }
+      return array_values($urls);
+    }
     
     // Priority 1: Get URLs based on where the Axe Scan block is placed
     $block_urls = $this->getUrlsFromBlockPlacements();
@@ -13,6 +13,7 @@ use Drupal\Core\Controller\ControllerBase;
 use Drupal\Core\Database\Connection;
 use Drupal\Core\Url;
 use Drupal\accessibility\Service\AccessibilityCacheService;
+use Drupal\accessibility\Service\ScanHistoryService;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
@@ -22,6 +23,26 @@ use Symfony\Component\HttpFoundation\Request;
  */
 class AccessibilityStatsController extends ControllerBase {
 
+  /**
+   * The series the chart can show, besides the total.
+   */
+  const TREND_GROUPS = ['impact', 'rule', 'url'];
+
+  /**
+   * The most rules or pages the chart follows at once.
+   */
+  const MAX_TREND_KEYS = 6;
+
+  /**
+   * The most periods the compared range is split into.
+   */
+  const MAX_COMPARISON_PERIODS = 366;
+
+  /**
+   * The most pages listed for a value of the chart.
+   */
+  const MAX_DRILLDOWN_PAGES = 50;
+
   /**
    * The database connection.
    *
@@ -36,6 +57,13 @@ class AccessibilityStatsController extends ControllerBase {
    */
   protected $cacheService;
 
+  /**
+   * The scan history service.
+   *
+   * @var \Drupal\accessibility\Service\ScanHistoryService
+   */
+  protected $scanHistory;
+
   /**
    * Constructs a new AccessibilityStatsController object.
    *
@@ -43,10 +71,13 @@ class AccessibilityStatsController extends ControllerBase {
    *   The database connection service.
    * @param \Drupal\accessibility\Service\AccessibilityCacheService $cache_service
    *   The accessibility cache service.
+   * @param \Drupal\accessibility\Service\ScanHistoryService $scan_history
+   *   The scan history service.
    */
-  public function __construct(Connection $database, AccessibilityCacheService $cache_service) {
+  public function __construct(Connection $database, AccessibilityCacheService $cache_service, ScanHistoryService $scan_history) {
     $this->database = $database;
     $this->cacheService = $cache_service;
+    $this->scanHistory = $scan_history;
   }
 
   /**
@@ -55,7 +86,8 @@ class AccessibilityStatsController extends ControllerBase {
   public static function create(ContainerInterface $container) {
     return new static(
       $container->get('database'),
-      $container->get('accessibility.cache_service')
+      $container->get('accessibility.cache_service'),
+      $container->get('accessibility.scan_history')
     );
   }
 
@@ -71,7 +103,9 @@ class AccessibilityStatsController extends ControllerBase {
     
     // Get daily scan counts for chart
     $daily_scan_data = $this->cacheService->getDailyScanCounts();
-    
+
+    $digest_url = Url::fromRoute('accessibility.digest');
+
     return [
       '#theme' => 'accessibility_stats',
       '#attached' => [
@@ -86,6 +120,7 @@ class AccessibilityStatsController extends ControllerBase {
       ],
       '#dashboard_url' => Url::fromRoute('accessibility.dashboard')->toString(),
       '#config_url' => Url::fromRoute('accessibility.settings')->toString(),
+      '#digest_url' => $digest_url->access() ? $digest_url->toString() : NULL,
       '#unique_pages' => $stats['unique_urls_scanned'] ?? 0,
       '#total_violations' => $stats['total_violations'] ?? 0,
       '#violation_stats' => [
@@ -99,12 +134,75 @@ class AccessibilityStatsController extends ControllerBase {
 
   /**
    * AJAX callback to fetch updated statistics data.
+   *
+   * Besides the date range, the series query parameter picks what the chart
+   * shows: the total violations found in each period, or the violations
+   * open at the end of each period by impact ('impact'), for the rules
+   * ('rule') or for the pages ('url') listed in the keys parameter.
    */
   public function handleAjax(Request $request) {
     $data = $this->getStatsData($request);
     return new JsonResponse($data);
   }
 
+  /**
+   * AJAX callback listing the violations behind a value of the chart.
+   *
+   * Takes the start and end timestamps of the period, the measure of the
+   * chart and, for open violations, the filter ('impact', 'rule' or 'url')
+   * and key of the series. Violations found are the ones saved in the
+   * period; open violations are the ones of the latest scan of every page
+   * at its end.
+   */
+  public function drilldown(Request $request) {
+    try {
+      $start = filter_var($request->query->get('start'), FILTER_VALIDATE_INT);
+      $end = filter_var($request->query->get('end'), FILTER_VALIDATE_INT);
+      if ($start === FALSE || $end === FALSE || $end < $start) {
+        throw new \InvalidArgumentException('A valid start and end of the period are required.');
+      }
+      $filter = (string) $request->query->get('filter', '');
+      if ($filter !== '' && !in_array($filter, self::TREND_GROUPS, TRUE)) {
+        throw new \InvalidArgumentException('Unknown filter: ' . $filter);
+      }
+      $key = (string) $request->query->get('key', '');
+
+      $pages = $request->query->get('measure') === 'open'
+        ? $this->getOpenViolations($end, $filter, $key)
+        : $this->getFoundViolations($start, $end);
+
+      uasort($pages, function ($a, $b) {
+        return $b['count'] <=> $a['count'];
+      });
+      $list = [];
+      foreach (array_slice($pages, 0, self::MAX_DRILLDOWN_PAGES, TRUE) as $url => $page) {
+        $list[] = $page + [
+          'url' => $url,
+          'report_url' => Url::fromRoute('accessibility.report', ['path' => $this->getReportSlug($url)])->toString(),
+          'scan_url' => $url . (strpos($url, '?') === FALSE ? '?' : '&') . 'auto_scan=1',
+        ];
+      }
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'pages' => $list,
+        'page_count' => count($pages),
+      ]);
+    } catch (\InvalidArgumentException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => $e->getMessage(),
+      ], 400);
+    } catch (\Exception $e) {
+      $this->getLogger('accessibility')->error('Error listing the violations of the chart: @error', ['@error' => $e->getMessage()]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => 'Error listing the violations of the chart: ' . $e->getMessage(),
+      ], 500);
+    }
+  }
+
   /**
    * Temporary method to populate test data for chart testing.
    * This can be accessed at /admin/reports/accessibility/populate-test-data
@@ -246,11 +344,126 @@ class AccessibilityStatsController extends ControllerBase {
     $start_time = $date_params['start_dt']->getTimestamp();
     $end_time = $date_params['end_dt']->getTimestamp();
 
-    return [
-      'summary' => $this->getSummaryData($start_time, $end_time),
-      'chart' => ['data' => $this->getChartData($date_params)],
+    $group = $request->query->get('series');
+    $comparison_params = $this->getComparisonParameters($request, $date_params);
+
+    $chart = ['data' => $this->getChartData($date_params)];
+    if (in_array($group, self::TREND_GROUPS, TRUE)) {
+      $keys = $request->query->all()['keys'] ?? [];
+      $chart += $this->getTrendChart($date_params, $group, is_array($keys) ? $keys : []);
+    }
+    elseif ($comparison_params) {
+      // The violations found in a past period cannot be rebuilt from the
+      // latest violations of each page, so totals compare open violations.
+      $group = 'total';
+      $chart += $this->getTrendChart($date_params, $group, []);
+    }
+
+    // The cards count the same way with and without a comparison: each page
+    // with its latest scan in the range.
+    $data = [
+      'summary' => $this->scanHistory->getSummary($start_time, $end_time),
+      'chart' => $chart,
       'top_issues' => $this->getTopIssues($start_time, $end_time),
     ];
+    if ($comparison_params) {
+      $data = $this->addComparison($data, $date_params, $comparison_params, $group);
+    }
+    return $data;
+  }
+
+  /**
+   * Adds a range to compare with to the statistics.
+   *
+   * The series of the range are overlaid on the chart, each point at the
+   * time of the point with the same index in the chart, or as far past its
+   * last point when the range is longer, with its own time as t. The range
+   * is summarized like the chosen one.
+   *
+   * @param array $data
+   *   The statistics of the range, with the series of its chart.
+   * @param array $date_params
+   *   The range, see getDateRangeParameters().
+   * @param array $comparison_params
+   *   The range to compare with, see getComparisonParameters().
+   * @param string $group
+   *   'total' or one of TREND_GROUPS.
+   *
+   * @return array
+   *   The statistics with a comparison key holding the start and end of the
+   *   range to compare with, in milliseconds, and its summary.
+   */
+  private function addComparison(array $data, array $date_params, array $comparison_params, string $group): array {
+    $series = $data['chart']['series'];
+    $comparison = $this->getTrendChart($comparison_params, $group, array_column($series, 'key'), FALSE);
+    $step = $this->getIntervalSeconds($date_params) * 1000;
+    foreach ($comparison['series'] as $item) {
+      foreach ($item['data'] as $index => $point) {
+        $item['data'][$index] = [
+          'x' => $series[0]['data'][$index]['x'] ?? ($series[0]['data'][0]['x'] ?? $point['x']) + $index * $step,
+          'y' => $point['y'],
+          't' => $point['x'],
+        ];
+      }
+      $item['comparison'] = TRUE;
+      $data['chart']['series'][] = $item;
+    }
+
+    $data['comparison'] = [
+      'start' => $comparison_params['start_dt']->getTimestamp() * 1000,
+      'end' => $comparison_params['end_dt']->getTimestamp() * 1000,
+      'summary' => $this->scanHistory->getSummary($comparison_params['start_dt']->getTimestamp(), $comparison_params['end_dt']->getTimestamp()),
+    ];
+    return $data;
+  }
+
+  /**
+   * Calculates the range to compare with.
+   *
+   * The compare query parameter is 'previous' for the range just before the
+   * chosen one and as long, such as last week for this week, or 'date' for
+   * the range from the compare_start date to the compare_end date (Y-m-d),
+   * such as the sprint or release before. Without a valid compare_end, the
+   * range is as long as the chosen one. It uses the periods of the chosen
+   * range, up to MAX_COMPARISON_PERIODS of them.
+   *
+   * @return array|null
+   *   The range, like getDateRangeParameters(), or NULL when not comparing.
+   */
+  private function getComparisonParameters(Request $request, array $date_params): ?array {
+    $length = $date_params['end_dt']->getTimestamp() - $date_params['start_dt']->getTimestamp() + 1;
+    switch ($request->query->get('compare')) {
+      case 'previous':
+        $start_dt = (clone $date_params['start_dt'])->setTimestamp($date_params['start_dt']->getTimestamp() - $length);
+        break;
+
+      case 'date':
+        $start_dt = \DateTime::createFromFormat('!Y-m-d', (string) $request->query->get('compare_start'));
+        if (!$start_dt) {
+          return NULL;
+        }
+        $end_dt = \DateTime::createFromFormat('!Y-m-d', (string) $request->query->get('compare_end'));
+        if ($end_dt && $end_dt >= $start_dt) {
+          $length = $end_dt->setTime(23, 59, 59)->getTimestamp() - $start_dt->getTimestamp() + 1;
+        }
+        break;
+
+      default:
+        return NULL;
+    }
+    $length = min($length, self::MAX_COMPARISON_PERIODS * $this->getIntervalSeconds($date_params));
+
+    return [
+      'start_dt' => $start_dt,
+      'end_dt' => (clone $start_dt)->setTimestamp($start_dt->getTimestamp() + $length - 1),
+    ] + $date_params;
+  }
+
+  /**
+   * Gets the length of the periods of a date range, in seconds.
+   */
+  private function getIntervalSeconds(array $date_params): int {
+    return (new \DateTime('@0'))->add(new \DateInterval($date_params['interval_spec']))->getTimestamp();
   }
 
   /**
@@ -337,46 +550,222 @@ class AccessibilityStatsController extends ControllerBase {
   }
 
   /**
-   * Queries the data for the summary cards.
+   * Builds the series of the violations open over time.
+   *
+   * @param array $date_params
+   *   The date range, see getDateRangeParameters().
+   * @param string $group
+   *   One of TREND_GROUPS, or 'total' for the sum of the impacts.
+   * @param array $keys
+   *   The requested rule IDs or URLs. Without any, the ones with the most
+   *   violations in the latest scans are shown.
+   * @param bool $with_choices
+   *   Whether to list the rules or pages to pick from.
+   *
+   * @return array
+   *   The series, each with a key, label and {x, y} data points, whether
+   *   they stack, the label of their values and, for rules and pages, the
+   *   choices to pick from.
    */
-  private function getSummaryData(int $start_time, int $end_time): array {
-    $query_total = $this->database->select('accessibility_violations', 'av');
-    $query_total->condition('av.timestamp', [$start_time, $end_time], 'BETWEEN');
-    $total_violations = (int) $query_total->countQuery()->execute()->fetchField();
-
-    // Get violation counts by impact level
-    $query_critical = $this->database->select('accessibility_violations', 'av');
-    $query_critical->condition('av.timestamp', [$start_time, $end_time], 'BETWEEN');
-    $query_critical->condition('av.impact', 'critical');
-    $critical_violations = (int) $query_critical->countQuery()->execute()->fetchField();
-
-    $query_serious = $this->database->select('accessibility_violations', 'av');
-    $query_serious->condition('av.timestamp', [$start_time, $end_time], 'BETWEEN');
-    $query_serious->condition('av.impact', 'serious');
-    $serious_violations = (int) $query_serious->countQuery()->execute()->fetchField();
-
-    $query_moderate = $this->database->select('accessibility_violations', 'av');
-    $query_moderate->condition('av.timestamp', [$start_time, $end_time], 'BETWEEN');
-    $query_moderate->condition('av.impact', 'moderate');
-    $moderate_violations = (int) $query_moderate->countQuery()->execute()->fetchField();
-
-    $query_minor = $this->database->select('accessibility_violations', 'av');
-    $query_minor->condition('av.timestamp', [$start_time, $end_time], 'BETWEEN');
-    $query_minor->condition('av.impact', 'minor');
-    $minor_violations = (int) $query_minor->countQuery()->execute()->fetchField();
-
-    $query_pages = $this->database->select('accessibility_violations', 'av');
-    $query_pages->condition('av.timestamp', [$start_time, $end_time], 'BETWEEN');
-    $unique_pages = (int) $query_pages->distinct()->fields('av', ['scanned_url'])->countQuery()->execute()->fetchField();
-
-    return [
-      'unique_pages' => $unique_pages,
-      'total_violations' => $total_violations,
-      'critical_violations' => $critical_violations,
-      'serious_violations' => $serious_violations,
-      'moderate_violations' => $moderate_violations,
-      'minor_violations' => $minor_violations,
+  private function getTrendChart(array $date_params, string $group, array $keys, bool $with_choices = TRUE): array {
+    $periods = $this->getPeriods($date_params);
+    $chart = [
+      'series' => [],
+      'stacked' => $group === 'impact',
+      'measure' => 'open',
     ];
+
+    if ($group === 'total') {
+      $labels = ['total' => $this->t('Open violations')];
+      $chart['y_label'] = $this->t('Open violations');
+    }
+    elseif ($group === 'impact') {
+      $labels = [
+        'critical' => $this->t('Critical'),
+        'serious' => $this->t('Serious'),
+        'moderate' => $this->t('Moderate'),
+        'minor' => $this->t('Minor'),
+      ];
+      $chart['y_label'] = $this->t('Open violations');
+    }
+    else {
+      $choices = $with_choices || !$keys ? $this->getTrendChoices($group) : [];
+      $keys = array_values(array_unique(array_filter(array_map('strval', $keys), function ($key) use ($group) {
+        return $group === 'url' ? $key !== '' && strlen($key) <= 2048 : (bool) preg_match('/^[a-z0-9-]+$/', $key);
+      })));
+      $keys = array_slice($keys ?: array_slice(array_keys($choices), 0, 3), 0, self::MAX_TREND_KEYS);
+      $labels = [];
+      foreach ($keys as $key) {
+        $labels[$key] = $group === 'url' ? (parse_url($key, PHP_URL_PATH) ?: $key) : $key;
+      }
+
+      $chart['choices'] = [];
+      foreach ($choices + array_fill_keys($keys, NULL) as $value => $count) {
+        $chart['choices'][] = [
+          'value' => (string) $value,
+          'label' => $count === NULL ? (string) $value : $this->t('@name (@count)', ['@name' => $value, '@count' => $count]),
+          'selected' => in_array((string) $value, $keys, TRUE),
+        ];
+      }
+      $chart['max_choices'] = self::MAX_TREND_KEYS;
+      $chart['y_label'] = $group === 'rule' ? $this->t('Failing elements') : $this->t('Open violations');
+    }
+
+    $trends = $this->scanHistory->getTrends(array_column($periods, 'end'), $group === 'total' ? 'impact' : $group, $group === 'total' ? [] : array_keys($labels));
+    if ($group === 'total') {
+      $trends = [
+        'total' => array_map(function (...$values) {
+          return array_sum($values);
+        }, ...array_values($trends)),
+      ];
+    }
+    foreach ($labels as $key => $label) {
+      $data = [];
+      foreach ($periods as $index => $period) {
+        $data[] = [
+          'x' => $period['start'] * 1000,
+          'y' => $trends[$key][$index] ?? 0,
+        ];
+      }
+      $chart['series'][] = [
+        'key' => $key,
+        'label' => $label,
+        'data' => $data,
+      ];
+    }
+    return $chart;
+  }
+
+  /**
+   * Lists the rules or pages with the most violations in the latest scans.
+   *
+   * @return array
+   *   Failing elements keyed by rule ID, or violated rules keyed by URL, with
+   *   the most first.
+   */
+  private function getTrendChoices(string $group): array {
+    $choices = [];
+    foreach ($this->scanHistory->getLatestScans() as $url => $scan) {
+      if ($group === 'url') {
+        $choices[$url] = $scan['counts']['total'];
+        continue;
+      }
+      foreach ($scan['violations'] as $violation) {
+        $choices[$violation['id']] = ($choices[$violation['id']] ?? 0) + count($violation['nodes'] ?? []);
+      }
+    }
+    arsort($choices);
+    return array_slice(array_filter($choices), 0, 20, TRUE);
+  }
+
+  /**
+   * Splits a date range into the periods of the chart.
+   *
+   * @return array
+   *   The periods in order, each with start and end timestamps.
+   */
+  private function getPeriods(array $date_params): array {
+    $periods = [];
+    $interval = new \DateInterval($date_params['interval_spec']);
+    foreach (new \DatePeriod($date_params['start_dt'], $interval, $date_params['end_dt']) as $date) {
+      $start = $date->getTimestamp();
+      $periods[] = [
+        'start' => $start,
+        'end' => min((clone $date)->add($interval)->getTimestamp() - 1, $date_params['end_dt']->getTimestamp()),
+      ];
+    }
+    return $periods;
+  }
+
+  /**
+   * Lists the violations saved in a period, by page.
+   *
+   * @return array
+   *   Keyed by URL, pages with the date they were scanned, the number of
+   *   violations and the violations, each with impact, help, help_url and
+   *   nodes, the number of failing elements.
+   */
+  private function getFoundViolations(int $start, int $end): array {
+    $rows = $this->database->select('accessibility_violations', 'av')
+      ->fields('av', ['scanned_url', 'impact', 'description', 'help_url', 'nodes', 'timestamp'])
+      ->condition('av.timestamp', [$start, $end], 'BETWEEN')
+      ->execute();
+
+    $pages = [];
+    foreach ($rows as $row) {
+      $nodes = @unserialize($row->nodes, ['allowed_classes' => FALSE]);
+      $page = &$pages[$row->scanned_url];
+      $page['scanned'] = max($page['scanned'] ?? 0, (int) $row->timestamp);
+      $page['count'] = ($page['count'] ?? 0) + 1;
+      $page['violations'][] = [
+        'id' => '',
+        'impact' => $row->impact,
+        'help' => $row->description,
+        'help_url' => $row->help_url,
+        'nodes' => is_array($nodes) ? count($nodes) : 0,
+      ];
+      unset($page);
+    }
+    return $pages;
+  }
+
+  /**
+   * Lists the violations open at a point in time, by page.
+   *
+   * @param int $time
+   *   The timestamp.
+   * @param string $filter
+   *   '' for all violations, or 'impact', 'rule' or 'url' to only list the
+   *   violations of the impact, rule or page in $key.
+   * @param string $key
+   *   The impact, rule ID or URL.
+   *
+   * @return array
+   *   Pages like getFoundViolations(). The count of a page is its number of
+   *   failing elements when filtering by rule, like the chart.
+   */
+  private function getOpenViolations(int $time, string $filter, string $key): array {
+    $pages = [];
+    foreach ($this->scanHistory->getLatestScans($time) as $url => $scan) {
+      if ($filter === 'url' && $url !== $key) {
+        continue;
+      }
+      $violations = [];
+      $count = 0;
+      foreach ($scan['violations'] as $violation) {
+        if (($filter === 'impact' && $violation['impact'] !== $key) || ($filter === 'rule' && $violation['id'] !== $key)) {
+          continue;
+        }
+        $nodes = count($violation['nodes'] ?? []);
+        $count += $filter === 'rule' ? $nodes : 1;
+        $violations[] = [
+          'id' => $violation['id'],
+          'impact' => $violation['impact'],
+          'help' => $violation['help'] ?: $violation['description'],
+          'help_url' => $violation['helpUrl'],
+          'nodes' => $nodes,
+        ];
+      }
+      if ($violations) {
+        $pages[$url] = [
+          'scanned' => $scan['timestamp'],
+          'count' => $count,
+          'violations' => $violations,
+        ];
+      }
+    }
+    return $pages;
+  }
+
+  /**
+   * Gets the path of the report of a scanned URL.
+   *
+   * The report route finds the scanned page back from this slug of its path.
+   */
+  private function getReportSlug(string $url): string {
+    $path = trim((string) parse_url($url, PHP_URL_PATH), '/');
+    $slug = trim(preg_replace('/-+/', '-', str_replace(['/', '_', ' ', '.'], '-', strtolower($path))), '-');
+    return $slug ?: 'home';
   }
 
   /**
@@ -0,0 +1,124 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Controller\AcrController.
+ *
+ * Controller for the exports of the Accessibility Conformance Report.
+ */
+
+namespace Drupal\accessibility\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Render\RendererInterface;
+use Drupal\Core\Url;
+use Drupal\accessibility\Service\AcrService;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\RedirectResponse;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Downloads the conformance report as an HTML or Word document.
+ */
+class AcrController extends ControllerBase {
+
+  /**
+   * The conformance report service.
+   *
+   * @var \Drupal\accessibility\Service\AcrService
+   */
+  protected $acr;
+
+  /**
+   * The renderer.
+   *
+   * @var \Drupal\Core\Render\RendererInterface
+   */
+  protected $renderer;
+
+  /**
+   * Constructs a new AcrController.
+   *
+   * @param \Drupal\accessibility\Service\AcrService $acr
+   *   The conformance report service.
+   * @param \Drupal\Core\Render\RendererInterface $renderer
+   *   The renderer.
+   */
+  public function __construct(AcrService $acr, RendererInterface $renderer) {
+    $this->acr = $acr;
+    $this->renderer = $renderer;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('accessibility.acr'),
+      $container->get('renderer')
+    );
+  }
+
+  /**
+   * Downloads the report.
+   *
+   * @param string $format
+   *   The export format: html or docx.
+   *
+   * @return \Symfony\Component\HttpFoundation\Response
+   *   The file, or a redirect back to the report form if it could not be
+   *   built.
+   */
+  public function export($format) {
+    try {
+      $report = $this->acr->build();
+      $contents = $format === 'docx' ? $this->acr->toDocx($report) : $this->renderHtml($report);
+      $filename = 'accessibility-conformance-report-' . date('Y-m-d', $report['date']) . '.' . AcrService::FORMATS[$format]['extension'];
+
+      return new Response($contents, 200, [
+        'Content-Type' => AcrService::FORMATS[$format]['type'],
+        'Content-Disposition' => 'attachment; filename="' . $filename . '"',
+        'Cache-Control' => 'private, no-store',
+      ]);
+
+    } catch (\Exception $e) {
+      $this->getLogger('accessibility')->error('Error exporting the conformance report: @error', ['@error' => $e->getMessage()]);
+      $this->messenger()->addError($this->t('The conformance report could not be exported: @error', ['@error' => $e->getMessage()]));
+
+      return new RedirectResponse(Url::fromRoute('accessibility.acr')->toString());
+    }
+  }
+
+  /**
+   * Renders the report as a standalone HTML document.
+   *
+   * @param array $report
+   *   The report, see AcrService::build().
+   *
+   * @return string
+   *   The HTML.
+   */
+  protected function renderHtml(array $report) {
+    foreach ($report['tables'] as &$table) {
+      foreach ($table['rows'] as &$row) {
+        $row['label'] = $this->acr->criterionLabel($row);
+      }
+    }
+    unset($table, $row);
+
+    $build = [
+      '#theme' => 'accessibility_acr_document',
+      '#title' => $this->acr->getTitle($report),
+      '#langcode' => $this->languageManager()->getCurrentLanguage()->getId(),
+      '#information' => $this->acr->getInformation($report),
+      '#terms' => $this->acr->getTerms(),
+      '#labels' => $this->acr->getConformanceOptions(),
+      '#report' => $report,
+    ];
+
+    // Rendered outside of the page, as the document has its own <html>.
+    $html = method_exists($this->renderer, 'renderInIsolation') ? $this->renderer->renderInIsolation($build) : $this->renderer->renderPlain($build);
+    return '<!DOCTYPE html>' . "\n" . $html;
+  }
+
+}
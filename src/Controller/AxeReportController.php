@@ -16,6 +16,8 @@ use Symfony\Component\DependencyInjection\ContainerInterface;
 use Drupal\Core\Database\Connection;
 use Psr\Log\LoggerInterface;
 use Drupal\accessibility\Service\AccessibilityCacheService;
+use Drupal\accessibility\Service\BaselineService;
+use Drupal\accessibility\Service\ScanHistoryService;
 
 /**
  * Controller for handling Axe accessibility scan reports.
@@ -43,6 +45,20 @@ class AxeReportController extends ControllerBase {
    */
   protected $cacheService;
 
+  /**
+   * The baseline service.
+   *
+   * @var \Drupal\accessibility\Service\BaselineService
+   */
+  protected $baseline;
+
+  /**
+   * The scan history service.
+   *
+   * @var \Drupal\accessibility\Service\ScanHistoryService
+   */
+  protected $scanHistory;
+
   /**
    * Constructs a new AxeReportController.
    *
@@ -52,11 +68,17 @@ class AxeReportController extends ControllerBase {
    *   The logger service.
    * @param \Drupal\accessibility\Service\AccessibilityCacheService $cache_service
    *   The accessibility cache service.
+   * @param \Drupal\accessibility\Service\BaselineService $baseline
+   *   The baseline service.
+   * @param \Drupal\accessibility\Service\ScanHistoryService $scan_history
+   *   The scan history service.
    */
-  public function __construct(Connection $database, LoggerInterface $logger, AccessibilityCacheService $cache_service) {
+  public function __construct(Connection $database, LoggerInterface $logger, AccessibilityCacheService $cache_service, BaselineService $baseline, ScanHistoryService $scan_history) {
     $this->database = $database;
     $this->logger = $logger;
     $this->cacheService = $cache_service;
+    $this->baseline = $baseline;
+    $this->scanHistory = $scan_history;
   }
 
   /**
@@ -66,7 +88,9 @@ class AxeReportController extends ControllerBase {
     return new static(
       $container->get('database'),
       $container->get('logger.factory')->get('accessibility'),
-      $container->get('accessibility.cache_service')
+      $container->get('accessibility.cache_service'),
+      $container->get('accessibility.baseline'),
+      $container->get('accessibility.scan_history')
     );
   }
 
@@ -88,7 +112,9 @@ class AxeReportController extends ControllerBase {
    * Save accessibility scan report from axe-core.
    *
    * Accepts POST data with the scan results and saves violations to the database
-   * and caches the results using the AccessibilityCacheService.
+   * and caches the results using the AccessibilityCacheService. Each scan is
+   * also recorded in the scan history, and the response includes its ID and
+   * what changed since the previous scan of the URL.
    *
    * @param \Symfony\Component\HttpFoundation\Request $request
    *   The request object containing scan data.
@@ -111,60 +137,37 @@ class AxeReportController extends ControllerBase {
       }
 
       $url = $data['url'];
-      $violations = $data['violations'];
       $timestamp = time();
 
-      // First, delete any existing violations for this URL to avoid duplicates
-      $this->database->delete('accessibility_violations')
-        ->condition('scanned_url', $url)
-        ->execute();
-
-      // Insert new violations into database (for legacy compatibility)
-      if (!empty($violations)) {
-        $insert_query = $this->database->insert('accessibility_violations')
-          ->fields([
-            'scanned_url',
-            'impact',
-            'description', 
-            'help_url',
-            'nodes',
-            'timestamp',
-          ]);
-
-        foreach ($violations as $violation) {
-          // Extract violation data with fallbacks
-          $impact = $violation['impact'] ?? 'minor';
-          $description = $violation['description'] ?? $violation['help'] ?? 'Unknown issue';
-          $help_url = $violation['helpUrl'] ?? '';
-          
-          // Serialize node data
-          $nodes_data = serialize($violation['nodes'] ?? []);
-
-          // Truncate description if too long for varchar(255)
-          if (strlen($description) > 255) {
-            $description = substr($description, 0, 252) . '...';
-          }
-
-          $insert_query->values([
-            'scanned_url' => $url,
-            'impact' => $impact,
-            'description' => $description,
-            'help_url' => $help_url,
-            'nodes' => $nodes_data,
-            'timestamp' => $timestamp,
-          ]);
-        }
-
-        $insert_query->execute();
-      }
+      // Leave out the instances accepted in the baseline, so they count
+      // towards neither the report nor the statistics.
+      $filtered = $this->baseline->filterViolations($url, (array) $data['violations']);
+      $violations = $filtered['violations'];
+
+      // Record the scan first, so its rows can refer to it. The violations
+      // before the baseline are kept too, so the baseline can be applied
+      // again when its entries change or expire.
+      $scan_id = $this->scanHistory->recordScan($url, $violations, [
+        'profile' => $data['profile'] ?? '',
+        'user_agent' => $data['user_agent'] ?? $request->headers->get('User-Agent', ''),
+        'timestamp' => $timestamp,
+        'unfiltered' => (array) $data['violations'],
+      ]);
+
+      // Replace the violations stored for this URL (for legacy compatibility).
+      $this->scanHistory->saveLatestViolations($url, $violations, $timestamp, $scan_id);
 
       // *** CRITICAL: Cache the scan results using AccessibilityCacheService ***
       // This is what the reports page reads from
       $scan_data = [
         'violations' => $violations,
+        'incomplete' => $data['incomplete'] ?? [],
+        'baselined' => $filtered['baselined'],
+        'unfiltered' => (array) $data['violations'],
         'url' => $url,
         'timestamp' => $timestamp,
         'scan_timestamp' => $timestamp,
+        'scan_id' => $scan_id,
       ];
       
       // Cache the scan results - this will update aggregated stats automatically
@@ -184,6 +187,8 @@ class AxeReportController extends ControllerBase {
         'message' => 'Report saved and cached successfully',
         'violations_count' => count($violations),
         'url' => $url,
+        'scan_id' => $scan_id,
+        'diff' => $this->scanHistory->getLatestDiff($url),
         'summary' => [
           'total_violations' => $aggregated_stats['total_violations'] ?? 0,
           'unique_pages_scanned' => $aggregated_stats['unique_urls_scanned'] ?? 0,
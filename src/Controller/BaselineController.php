@@ -0,0 +1,224 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Controller\BaselineController.
+ *
+ * Controller for the baseline of accepted violations.
+ */
+
+namespace Drupal\accessibility\Controller;
+
+use Drupal\Component\Utility\Html;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Datetime\DateFormatterInterface;
+use Drupal\Core\Datetime\DrupalDateTime;
+use Drupal\Core\Url;
+use Drupal\accessibility\Service\BaselineService;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Lists baseline entries and serves them to the scan UIs.
+ */
+class BaselineController extends ControllerBase {
+
+  /**
+   * The baseline service.
+   *
+   * @var \Drupal\accessibility\Service\BaselineService
+   */
+  protected $baseline;
+
+  /**
+   * The date formatter.
+   *
+   * @var \Drupal\Core\Datetime\DateFormatterInterface
+   */
+  protected $dateFormatter;
+
+  /**
+   * Constructs a new BaselineController.
+   *
+   * @param \Drupal\accessibility\Service\BaselineService $baseline
+   *   The baseline service.
+   * @param \Drupal\Core\Datetime\DateFormatterInterface $date_formatter
+   *   The date formatter.
+   */
+  public function __construct(BaselineService $baseline, DateFormatterInterface $date_formatter) {
+    $this->baseline = $baseline;
+    $this->dateFormatter = $date_formatter;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('accessibility.baseline'),
+      $container->get('date.formatter')
+    );
+  }
+
+  /**
+   * Lists all baseline entries.
+   *
+   * @return array
+   *   A render array for the baseline page.
+   */
+  public function overview() {
+    $statuses = $this->baseline->getStatusOptions();
+
+    $build['intro'] = [
+      '#markup' => '<p>' . $this->t('Violations matching an entry are left out of the scan results, the reports and the statistics. Adding, changing or deleting an entry updates the latest results of each page right away and the older scan history on the next cron runs. Expired entries are counted again on the next cron run.') . '</p>',
+    ];
+
+    $build['add'] = [
+      '#type' => 'link',
+      '#title' => $this->t('Add baseline entry'),
+      '#url' => Url::fromRoute('accessibility.baseline.add'),
+      '#attributes' => ['class' => ['button', 'button--primary', 'button--small']],
+    ];
+
+    $rows = [];
+    foreach ($this->baseline->getEntries() as $id => $entry) {
+      $expired = $this->baseline->isExpired($entry);
+      $expires = $entry['expires'] ? $this->dateFormatter->format($entry['expires'], 'short') : $this->t('Never');
+      if ($expired) {
+        $expires = $this->t('Expired @date', ['@date' => $expires]);
+      }
+
+      $rows[] = [
+        'class' => $expired ? ['color-warning'] : [],
+        'data' => [
+          ['data' => ['#markup' => '<code>' . Html::escape($entry['rule_id']) . '</code>']],
+          $entry['selector'] !== '' ? $entry['selector'] : $this->t('Any element'),
+          $entry['url_pattern'] !== '' ? $entry['url_pattern'] : $this->t('All pages'),
+          $statuses[$entry['status']] ?? $entry['status'],
+          $entry['reason'],
+          $expires,
+          [
+            'data' => [
+              '#type' => 'operations',
+              '#links' => [
+                'edit' => [
+                  'title' => $this->t('Edit'),
+                  'url' => Url::fromRoute('accessibility.baseline.edit', ['id' => $id]),
+                ],
+                'delete' => [
+                  'title' => $this->t('Delete'),
+                  'url' => Url::fromRoute('accessibility.baseline.delete', ['id' => $id]),
+                ],
+              ],
+            ],
+          ],
+        ],
+      ];
+    }
+
+    $build['entries'] = [
+      '#type' => 'table',
+      '#header' => [
+        $this->t('Rule'),
+        $this->t('Element'),
+        $this->t('Pages'),
+        $this->t('Status'),
+        $this->t('Reason'),
+        $this->t('Expires'),
+        $this->t('Operations'),
+      ],
+      '#rows' => $rows,
+      '#empty' => $this->t('No violations have been added to the baseline.'),
+      '#cache' => ['max-age' => 0],
+    ];
+
+    return $build;
+  }
+
+  /**
+   * Get the active baseline entries.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the entries that have not expired.
+   */
+  public function getEntries() {
+    try {
+      return new JsonResponse([
+        'success' => TRUE,
+        'entries' => array_values($this->baseline->getActiveEntries()),
+      ]);
+
+    } catch (\Exception $e) {
+      $this->getLogger('accessibility')->error('Error loading baseline entries: @error', ['@error' => $e->getMessage()]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => 'Error loading baseline entries: ' . $e->getMessage(),
+      ], 500);
+    }
+  }
+
+  /**
+   * Add a baseline entry from the scan popup or report.
+   *
+   * Expects a JSON body with rule_id, selector, url_pattern, status, reason
+   * and expires (a Y-m-d date or empty for never).
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The current request.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the saved entry.
+   */
+  public function saveEntry(Request $request) {
+    try {
+      $data = json_decode($request->getContent(), TRUE);
+
+      if (!is_array($data) || empty($data['rule_id'])) {
+        return new JsonResponse([
+          'success' => FALSE,
+          'message' => 'Missing required parameter: rule_id',
+        ], 400);
+      }
+
+      $expires = 0;
+      if (!empty($data['expires'])) {
+        $date = new DrupalDateTime($data['expires'] . ' 23:59:59');
+        if ($date->hasErrors()) {
+          throw new \InvalidArgumentException('Expiry must be a date');
+        }
+        $expires = $date->getTimestamp();
+      }
+
+      $id = $this->baseline->saveEntry([
+        'rule_id' => $data['rule_id'],
+        'selector' => $data['selector'] ?? '',
+        'url_pattern' => $data['url_pattern'] ?? '',
+        'status' => $data['status'] ?? '',
+        'reason' => $data['reason'] ?? '',
+        'expires' => $expires,
+      ]);
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'message' => 'Baseline entry saved',
+        'entry' => $this->baseline->getEntry($id),
+      ]);
+
+    } catch (\InvalidArgumentException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => $e->getMessage(),
+      ], 400);
+    } catch (\Exception $e) {
+      $this->getLogger('accessibility')->error('Error saving baseline entry: @error', ['@error' => $e->getMessage()]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => 'Error saving baseline entry: ' . $e->getMessage(),
+      ], 500);
+    }
+  }
+
+}
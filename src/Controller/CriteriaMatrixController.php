@@ -0,0 +1,260 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Controller\CriteriaMatrixController.
+ *
+ * Controller for the success criterion view of the scan results.
+ */
+
+namespace Drupal\accessibility\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Url;
+use Drupal\accessibility\Service\CriteriaMatrixService;
+use Drupal\accessibility\Service\WcagCriteriaService;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+/**
+ * Shows the violations of all scanned pages by WCAG success criterion.
+ *
+ * The matrix lists the criteria of WCAG 2.2, EN 301 549 or Section 508 with
+ * the pages, rules and elements failing each, and each criterion drills down
+ * to its failing pages and elements.
+ */
+class CriteriaMatrixController extends ControllerBase {
+
+  /**
+   * The criteria matrix service.
+   *
+   * @var \Drupal\accessibility\Service\CriteriaMatrixService
+   */
+  protected $criteriaMatrix;
+
+  /**
+   * The WCAG criteria service.
+   *
+   * @var \Drupal\accessibility\Service\WcagCriteriaService
+   */
+  protected $wcagCriteria;
+
+  /**
+   * Constructs a new CriteriaMatrixController.
+   *
+   * @param \Drupal\accessibility\Service\CriteriaMatrixService $criteria_matrix
+   *   The criteria matrix service.
+   * @param \Drupal\accessibility\Service\WcagCriteriaService $wcag_criteria
+   *   The WCAG criteria service.
+   */
+  public function __construct(CriteriaMatrixService $criteria_matrix, WcagCriteriaService $wcag_criteria) {
+    $this->criteriaMatrix = $criteria_matrix;
+    $this->wcagCriteria = $wcag_criteria;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('accessibility.criteria_matrix'),
+      $container->get('accessibility.wcag_criteria')
+    );
+  }
+
+  /**
+   * Displays the matrix of success criteria.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The current request, with optional standard, level and failing query
+   *   parameters.
+   *
+   * @return array
+   *   A render array for the matrix page.
+   */
+  public function matrix(Request $request) {
+    $filters = $this->getFilters($request);
+    $rows = $this->criteriaMatrix->getRows($filters['standard'], $filters['level']);
+    $pages = $this->criteriaMatrix->getFailures()['pages'];
+
+    $failing = 0;
+    foreach ($rows as $number => &$row) {
+      $row['url'] = Url::fromRoute('accessibility.criteria.detail', ['criterion' => $number], [
+        'query' => ['standard' => $filters['standard'], 'level' => $filters['level']],
+      ])->toString();
+      if ($row['result'] === 'fails') {
+        $failing++;
+      }
+    }
+    unset($row);
+    $summary = $this->criteriaMatrix->summarize($rows);
+
+    if ($filters['failing']) {
+      $rows = array_filter($rows, function ($row) {
+        return $row['result'] === 'fails';
+      });
+    }
+
+    $levels = WcagCriteriaService::LEVELS;
+    $scope = WcagCriteriaService::STANDARDS[$filters['standard']];
+    $levels = array_slice($levels, 0, array_search($scope['level'], $levels, TRUE) + 1);
+
+    return [
+      '#theme' => 'accessibility_criteria_matrix',
+      '#rows' => $rows,
+      '#summary' => $summary,
+      '#principles' => CriteriaMatrixService::PRINCIPLES,
+      '#levels' => $levels,
+      '#page_count' => count($pages),
+      '#failing_count' => $failing,
+      '#criteria_count' => array_sum(array_map(function ($principle) {
+        return array_sum(array_column($principle, 'total'));
+      }, $summary)),
+      '#filters' => [
+        'values' => $filters,
+        'standards' => $this->wcagCriteria->getStandardOptions(),
+        'levels' => WcagCriteriaService::LEVELS,
+        'reset_url' => Url::fromRoute('accessibility.criteria')->toString(),
+        'action' => Url::fromRoute('accessibility.criteria')->toString(),
+      ],
+      '#results' => $this->getResultLabels(),
+      '#standard_note' => $this->getStandardNote($filters['standard']),
+      '#attached' => ['library' => ['accessibility/criteria_matrix']],
+      '#cache' => ['max-age' => 0],
+    ];
+  }
+
+  /**
+   * Displays the failing pages and elements of a success criterion.
+   *
+   * @param string $criterion
+   *   The criterion number.
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The current request, with the standard and level of the matrix to
+   *   return to.
+   *
+   * @return array
+   *   A render array for the criterion page.
+   */
+  public function detail($criterion, Request $request) {
+    $info = $this->wcagCriteria->getCriterion($criterion);
+    if (!$info) {
+      throw new NotFoundHttpException();
+    }
+    $filters = $this->getFilters($request);
+
+    $references = [];
+    foreach ($this->wcagCriteria->getStandardOptions() as $standard => $label) {
+      $reference = $this->wcagCriteria->getReference($criterion, $standard);
+      $references[] = [
+        'standard' => $label,
+        'reference' => $reference ?? $this->t('Not required'),
+      ];
+    }
+
+    $pages = [];
+    foreach ($this->criteriaMatrix->getDetail($criterion) as $url => $page) {
+      $violations = [];
+      foreach ($page['violations'] as $violation) {
+        $nodes = [];
+        foreach ($violation['nodes'] ?? [] as $node) {
+          $nodes[] = [
+            'selector' => implode(' ', array_map(function ($part) {
+              return is_array($part) ? implode(' ', $part) : $part;
+            }, (array) ($node['target'] ?? []))),
+            'html' => $node['html'] ?? '',
+            'failure_summary' => $node['failureSummary'] ?? '',
+          ];
+        }
+        $violations[] = [
+          'id' => $violation['id'],
+          'impact' => $violation['impact'],
+          'help' => $violation['help'],
+          'help_url' => $violation['helpUrl'],
+          'nodes' => $nodes,
+        ];
+      }
+      $pages[] = [
+        'url' => $url,
+        'scanned' => date('Y-m-d H:i', $page['timestamp']),
+        'node_count' => array_sum(array_map(function ($violation) {
+          return count($violation['nodes']);
+        }, $violations)),
+        'violations' => $violations,
+      ];
+    }
+
+    return [
+      '#theme' => 'accessibility_criterion',
+      '#criterion' => $info + [
+        'automated' => $this->wcagCriteria->isAutomated($criterion),
+      ],
+      '#references' => $references,
+      '#pages' => $pages,
+      '#page_count' => count($this->criteriaMatrix->getFailures()['pages']),
+      '#back_url' => Url::fromRoute('accessibility.criteria', [], ['query' => ['standard' => $filters['standard'], 'level' => $filters['level']]])->toString(),
+      '#attached' => ['library' => ['accessibility/criteria_matrix']],
+      '#cache' => ['max-age' => 0],
+    ];
+  }
+
+  /**
+   * Gets the title of a criterion page.
+   *
+   * @param string $criterion
+   *   The criterion number.
+   *
+   * @return string|\Drupal\Core\StringTranslation\TranslatableMarkup
+   *   The title.
+   */
+  public function detailTitle($criterion) {
+    $info = $this->wcagCriteria->getCriterion($criterion);
+    if (!$info) {
+      return $this->t('Success criterion');
+    }
+    return $this->t('@number @name', ['@number' => $info['number'], '@name' => $info['name']]);
+  }
+
+  /**
+   * Gets the matrix filters of a request, falling back to defaults.
+   */
+  protected function getFilters(Request $request) {
+    $standard = (string) $request->query->get('standard', 'wcag');
+    $level = (string) $request->query->get('level', 'AA');
+
+    return [
+      'standard' => isset(WcagCriteriaService::STANDARDS[$standard]) ? $standard : 'wcag',
+      'level' => in_array($level, WcagCriteriaService::LEVELS, TRUE) ? $level : 'AA',
+      'failing' => (bool) $request->query->get('failing'),
+    ];
+  }
+
+  /**
+   * Gets the labels of the matrix results.
+   */
+  protected function getResultLabels() {
+    return [
+      'fails' => $this->t('Fails'),
+      'passes' => $this->t('No failures found'),
+      'untested' => $this->t('Needs manual testing'),
+    ];
+  }
+
+  /**
+   * Gets the note on how a standard maps to the success criteria.
+   */
+  protected function getStandardNote($standard) {
+    switch ($standard) {
+      case 'en301549':
+        return $this->t('EN 301 549 requires the success criteria of WCAG 2.1 Level A and AA for web pages, as clauses 9.1.1.1 to 9.4.1.3 in chapter 9.');
+
+      case 'section508':
+        return $this->t('The revised Section 508 Standards incorporate WCAG 2.0 Level A and AA by reference in E205.4 for electronic content.');
+
+      default:
+        return $this->t('The success criteria of WCAG 2.2. Success criterion 4.1.1 Parsing is obsolete in WCAG 2.2 and only listed for EN 301 549 and Section 508.');
+    }
+  }
+
+}
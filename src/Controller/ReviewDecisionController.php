@@ -0,0 +1,145 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Controller\ReviewDecisionController.
+ *
+ * Controller for reviewer decisions on results that need review.
+ */
+
+namespace Drupal\accessibility\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\accessibility\Service\ReviewDecisionService;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\JsonResponse;
+
+/**
+ * Controller for loading and saving review decisions.
+ */
+class ReviewDecisionController extends ControllerBase {
+
+  /**
+   * The review decision service.
+   *
+   * @var \Drupal\accessibility\Service\ReviewDecisionService
+   */
+  protected $reviewDecisions;
+
+  /**
+   * Constructs a new ReviewDecisionController.
+   *
+   * @param \Drupal\accessibility\Service\ReviewDecisionService $review_decisions
+   *   The review decision service.
+   */
+  public function __construct(ReviewDecisionService $review_decisions) {
+    $this->reviewDecisions = $review_decisions;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('accessibility.review_decisions')
+    );
+  }
+
+  /**
+   * Get the review decisions for a URL.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The current request.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the decisions keyed by "rule_id|target".
+   */
+  public function getDecisions(Request $request) {
+    try {
+      $url = $request->query->get('url');
+
+      if (!$url) {
+        return new JsonResponse([
+          'success' => FALSE,
+          'message' => 'Missing required parameter: url',
+        ], 400);
+      }
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'url' => $url,
+        // Cast so an empty list is still encoded as an object.
+        'decisions' => (object) $this->reviewDecisions->getDecisions($url),
+      ]);
+
+    } catch (\Exception $e) {
+      $this->getLogger('accessibility')->error('Error loading review decisions: @error', ['@error' => $e->getMessage()]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => 'Error loading review decisions: ' . $e->getMessage(),
+      ], 500);
+    }
+  }
+
+  /**
+   * Save or clear the review decision for an element.
+   *
+   * Expects a JSON body with url, rule_id, target, decision ("pass", "fail",
+   * or empty to clear the decision), note and html.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The current request.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response indicating success or failure.
+   */
+  public function saveDecision(Request $request) {
+    try {
+      $data = json_decode($request->getContent(), TRUE);
+
+      if (empty($data['url']) || empty($data['rule_id']) || empty($data['target'])) {
+        return new JsonResponse([
+          'success' => FALSE,
+          'message' => 'Missing required parameters: url, rule_id and target',
+        ], 400);
+      }
+
+      $decision = $data['decision'] ?? '';
+      if ($decision === '') {
+        $this->reviewDecisions->deleteDecision($data['url'], $data['rule_id'], $data['target']);
+      }
+      else {
+        $this->reviewDecisions->saveDecision(
+          $data['url'],
+          $data['rule_id'],
+          $data['target'],
+          $decision,
+          trim($data['note'] ?? ''),
+          $data['html'] ?? ''
+        );
+      }
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'message' => $decision === '' ? 'Review decision cleared' : 'Review decision saved',
+        'decision' => $decision,
+      ]);
+
+    } catch (\InvalidArgumentException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => $e->getMessage(),
+      ], 400);
+    } catch (\Exception $e) {
+      $this->getLogger('accessibility')->error('Error saving review decision: @error', ['@error' => $e->getMessage()]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => 'Error saving review decision: ' . $e->getMessage(),
+      ], 500);
+    }
+  }
+
+}
@@ -0,0 +1,87 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Controller\ScanConfigController.
+ *
+ * Controller serving the scan configuration to scanners outside the browser.
+ */
+
+namespace Drupal\accessibility\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\accessibility\Service\ScanProfileManager;
+use Drupal\accessibility\Service\SiteTargetService;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+
+/**
+ * Serves the scan profiles and target list to the command-line scanner.
+ */
+class ScanConfigController extends ControllerBase {
+
+  /**
+   * The scan profile manager.
+   *
+   * @var \Drupal\accessibility\Service\ScanProfileManager
+   */
+  protected $scanProfiles;
+
+  /**
+   * The site target service.
+   *
+   * @var \Drupal\accessibility\Service\SiteTargetService
+   */
+  protected $siteTargets;
+
+  /**
+   * Constructs a new ScanConfigController.
+   *
+   * @param \Drupal\accessibility\Service\ScanProfileManager $scan_profiles
+   *   The scan profile manager.
+   * @param \Drupal\accessibility\Service\SiteTargetService $site_targets
+   *   The site target service.
+   */
+  public function __construct(ScanProfileManager $scan_profiles, SiteTargetService $site_targets) {
+    $this->scanProfiles = $scan_profiles;
+    $this->siteTargets = $site_targets;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('accessibility.scan_profiles'),
+      $container->get('accessibility.site_targets')
+    );
+  }
+
+  /**
+   * Get the configuration scans of this site run with.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the scan profiles in the format of
+   *   drupalSettings.accessibility.scanProfiles, the version of the bundled
+   *   axe-core and the URLs on the target list.
+   */
+  public function getConfig() {
+    try {
+      return new JsonResponse([
+        'success' => TRUE,
+        'axe_version' => accessibility_axe_core_version(),
+        'scan_profiles' => $this->scanProfiles->getClientSettings(),
+        'targets' => $this->siteTargets->getUrls(),
+      ]);
+
+    } catch (\Exception $e) {
+      $this->getLogger('accessibility')->error('Error loading the scan configuration: @error', ['@error' => $e->getMessage()]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => 'Error loading the scan configuration: ' . $e->getMessage(),
+      ], 500);
+    }
+  }
+
+}
@@ -0,0 +1,186 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Controller\ScanHistoryController.
+ *
+ * Controller for the history of saved scans.
+ */
+
+namespace Drupal\accessibility\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\accessibility\Service\ScanHistoryService;
+use Drupal\accessibility\Service\ScanProfileManager;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Serves saved scans and the differences between them.
+ */
+class ScanHistoryController extends ControllerBase {
+
+  /**
+   * The scan history service.
+   *
+   * @var \Drupal\accessibility\Service\ScanHistoryService
+   */
+  protected $scanHistory;
+
+  /**
+   * The scan profile manager.
+   *
+   * @var \Drupal\accessibility\Service\ScanProfileManager
+   */
+  protected $scanProfiles;
+
+  /**
+   * Constructs a new ScanHistoryController.
+   *
+   * @param \Drupal\accessibility\Service\ScanHistoryService $scan_history
+   *   The scan history service.
+   * @param \Drupal\accessibility\Service\ScanProfileManager $scan_profiles
+   *   The scan profile manager.
+   */
+  public function __construct(ScanHistoryService $scan_history, ScanProfileManager $scan_profiles) {
+    $this->scanHistory = $scan_history;
+    $this->scanProfiles = $scan_profiles;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('accessibility.scan_history'),
+      $container->get('accessibility.scan_profiles')
+    );
+  }
+
+  /**
+   * List the saved scans of a URL, newest first.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The current request, with the URL in the "url" query parameter.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the scans, without their violations.
+   */
+  public function getScans(Request $request) {
+    try {
+      $url = $request->query->get('url');
+
+      if (!$url) {
+        return new JsonResponse([
+          'success' => FALSE,
+          'message' => 'Missing required parameter: url',
+        ], 400);
+      }
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'url' => $url,
+        'scans' => $this->addLabels($this->scanHistory->getScans($url)),
+      ]);
+
+    } catch (\Exception $e) {
+      $this->getLogger('accessibility')->error('Error loading scan history: @error', ['@error' => $e->getMessage()]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => 'Error loading scan history: ' . $e->getMessage(),
+      ], 500);
+    }
+  }
+
+  /**
+   * Get a saved scan with its violations.
+   *
+   * @param int $id
+   *   The scan ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the scan and what changed since the scan before it.
+   */
+  public function getScan($id) {
+    try {
+      $scan = $this->scanHistory->getScan($id);
+
+      if (!$scan) {
+        return new JsonResponse([
+          'success' => FALSE,
+          'message' => 'Scan not found',
+        ], 404);
+      }
+
+      [$scan] = $this->addLabels([$scan]);
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'scan' => $scan,
+        'diff' => $this->scanHistory->getDiff($scan),
+      ]);
+
+    } catch (\Exception $e) {
+      $this->getLogger('accessibility')->error('Error loading scan: @error', ['@error' => $e->getMessage()]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => 'Error loading scan: ' . $e->getMessage(),
+      ], 500);
+    }
+  }
+
+  /**
+   * Get what changed between the latest two scans of a URL.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The current request, with the URL in the "url" query parameter.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the diff, or a NULL diff if the URL was never saved.
+   */
+  public function getDiff(Request $request) {
+    try {
+      $url = $request->query->get('url');
+
+      if (!$url) {
+        return new JsonResponse([
+          'success' => FALSE,
+          'message' => 'Missing required parameter: url',
+        ], 400);
+      }
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'url' => $url,
+        'diff' => $this->scanHistory->getLatestDiff($url),
+      ]);
+
+    } catch (\Exception $e) {
+      $this->getLogger('accessibility')->error('Error loading scan diff: @error', ['@error' => $e->getMessage()]);
+
+      return new JsonResponse([
+        'success' => FALSE,
+        'message' => 'Error loading scan diff: ' . $e->getMessage(),
+      ], 500);
+    }
+  }
+
+  /**
+   * Adds the name of the user who ran each scan and the profile label.
+   */
+  protected function addLabels(array $scans) {
+    $uids = array_unique(array_column($scans, 'uid'));
+    $users = $uids ? $this->entityTypeManager()->getStorage('user')->loadMultiple($uids) : [];
+    $profiles = $this->scanProfiles->getProfileOptions();
+
+    foreach ($scans as &$scan) {
+      $scan['user'] = isset($users[$scan['uid']]) ? $users[$scan['uid']]->getDisplayName() : (string) $this->t('Unknown user');
+      $scan['profile_label'] = $profiles[$scan['profile']] ?? $scan['profile'];
+    }
+    return $scans;
+  }
+
+}
@@ -7,14 +7,47 @@
 
 namespace Drupal\accessibility\Form;
 
+use Drupal\accessibility\Service\ScanProfileManager;
+use Drupal\Core\Config\ConfigFactoryInterface;
 use Drupal\Core\Form\ConfigFormBase;
 use Drupal\Core\Form\FormStateInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
 
 /**
  * Configure Accessibility settings for this site.
  */
 class AccSettingsForm extends ConfigFormBase {
 
+  /**
+   * The scan profile manager.
+   *
+   * @var \Drupal\accessibility\Service\ScanProfileManager
+   */
+  protected $scanProfiles;
+
+  /**
+   * Constructs a new AccSettingsForm.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\accessibility\Service\ScanProfileManager $scan_profiles
+   *   The scan profile manager.
+   */
+  public function __construct(ConfigFactoryInterface $config_factory, ScanProfileManager $scan_profiles) {
+    parent::__construct($config_factory);
+    $this->scanProfiles = $scan_profiles;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('config.factory'),
+      $container->get('accessibility.scan_profiles')
+    );
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -124,6 +157,50 @@ class AccSettingsForm extends ConfigFormBase {
       ],
     ];
 
+    // Scan profiles
+    $profiles = $this->scanProfiles->getProfiles();
+
+    $form['scan_profiles'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Scan Profiles'),
+      '#open' => TRUE,
+      '#description' => $this->t('A scan profile sets the WCAG conformance target and the axe rules a scan runs. Users pick a profile in the Accessibility Tools block before scanning.'),
+    ];
+
+    $form['scan_profiles']['default_scan_profile'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Default profile'),
+      '#options' => $this->scanProfiles->getProfileOptions(),
+      '#default_value' => $this->scanProfiles->getDefaultProfileId(),
+      '#description' => $this->t('Used by automatic scans and preselected in the Accessibility Tools block.'),
+    ];
+
+    $form['scan_profiles']['profiles'] = [
+      '#tree' => TRUE,
+    ];
+
+    foreach ($profiles as $id => $profile) {
+      $form['scan_profiles']['profiles'][$id] = $this->buildProfileElement($profile);
+      $form['scan_profiles']['profiles'][$id]['delete'] = [
+        '#type' => 'checkbox',
+        '#title' => $this->t('Delete this profile'),
+        '#weight' => 100,
+      ];
+    }
+
+    $form['scan_profiles']['profiles']['_new'] = $this->buildProfileElement(['label' => ''] + ScanProfileManager::DEFAULT_PROFILE);
+    $form['scan_profiles']['profiles']['_new']['#title'] = $this->t('Add a profile');
+    $form['scan_profiles']['profiles']['_new']['#open'] = FALSE;
+    $form['scan_profiles']['profiles']['_new']['label']['#required'] = FALSE;
+    $form['scan_profiles']['profiles']['_new']['label']['#description'] = $this->t('Leave empty to not add a profile.');
+    $form['scan_profiles']['profiles']['_new']['id'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Machine name'),
+      '#default_value' => '',
+      '#description' => $this->t('Lowercase letters, numbers and underscores only.'),
+      '#weight' => -9,
+    ];
+
     // Advanced Settings
     $form['advanced'] = [
       '#type' => 'details',
@@ -131,6 +208,15 @@ class AccSettingsForm extends ConfigFormBase {
       '#open' => FALSE,
     ];
 
+    $form['advanced']['axe_cdn_fallback'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Load axe-core from the CDN if the bundled copy is missing'),
+      '#default_value' => $config->get('axe_cdn_fallback') ?? FALSE,
+      '#description' => $this->t('Scans use the axe-core @version build shipped with this module. Only enable this if the bundled file has been removed and the site may load scripts from cdnjs.cloudflare.com.', [
+        '@version' => accessibility_axe_core_version(),
+      ]),
+    ];
+
     $form['advanced']['debug_mode'] = [
       '#type' => 'checkbox',
       '#title' => $this->t('Enable debug mode'),
@@ -141,6 +227,97 @@ class AccSettingsForm extends ConfigFormBase {
     return parent::buildForm($form, $form_state);
   }
 
+  /**
+   * Builds the form elements for editing a single scan profile.
+   *
+   * @param array $profile
+   *   The profile to edit.
+   *
+   * @return array
+   *   A details element with the profile fields.
+   */
+  protected function buildProfileElement(array $profile) {
+    return [
+      '#type' => 'details',
+      '#title' => $profile['label'],
+      '#open' => FALSE,
+      'label' => [
+        '#type' => 'textfield',
+        '#title' => $this->t('Label'),
+        '#default_value' => $profile['label'],
+        '#required' => TRUE,
+        '#weight' => -10,
+      ],
+      'wcag_version' => [
+        '#type' => 'select',
+        '#title' => $this->t('WCAG version'),
+        '#options' => ScanProfileManager::WCAG_VERSIONS,
+        '#default_value' => $profile['wcag_version'],
+      ],
+      'wcag_level' => [
+        '#type' => 'select',
+        '#title' => $this->t('Conformance level'),
+        '#options' => ScanProfileManager::WCAG_LEVELS,
+        '#default_value' => $profile['wcag_level'],
+        '#description' => $this->t('Rules for the selected level and every level below it are included.'),
+      ],
+      'best_practice' => [
+        '#type' => 'checkbox',
+        '#title' => $this->t('Include best-practice rules'),
+        '#default_value' => $profile['best_practice'],
+      ],
+      'experimental' => [
+        '#type' => 'checkbox',
+        '#title' => $this->t('Include experimental rules'),
+        '#default_value' => $profile['experimental'],
+      ],
+      'enabled_rules' => [
+        '#type' => 'textarea',
+        '#title' => $this->t('Always run these rules'),
+        '#default_value' => implode("\n", $profile['enabled_rules']),
+        '#rows' => 2,
+        '#description' => $this->t('axe rule IDs, one per line, run even when their tags are not selected above (e.g. %example).', ['%example' => 'region']),
+      ],
+      'disabled_rules' => [
+        '#type' => 'textarea',
+        '#title' => $this->t('Never run these rules'),
+        '#default_value' => implode("\n", $profile['disabled_rules']),
+        '#rows' => 2,
+        '#description' => $this->t('axe rule IDs, one per line (e.g. %example).', ['%example' => 'color-contrast']),
+      ],
+    ];
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function validateForm(array &$form, FormStateInterface $form_state) {
+    parent::validateForm($form, $form_state);
+
+    $profiles = $form_state->getValue('profiles');
+    $new = $profiles['_new'];
+    unset($profiles['_new']);
+
+    if (trim($new['label']) !== '') {
+      if (!preg_match('/^[a-z0-9_]+$/', $new['id'])) {
+        $form_state->setErrorByName('profiles][_new][id', $this->t('The profile machine name must contain only lowercase letters, numbers and underscores.'));
+      }
+      elseif (isset($profiles[$new['id']])) {
+        $form_state->setErrorByName('profiles][_new][id', $this->t('A scan profile with the machine name %id already exists.', ['%id' => $new['id']]));
+      }
+    }
+
+    $kept = array_filter($profiles, function ($profile) {
+      return empty($profile['delete']);
+    });
+    if (empty($kept) && trim($new['label']) === '') {
+      $form_state->setErrorByName('profiles', $this->t('At least one scan profile is required.'));
+    }
+    elseif (isset($profiles[$form_state->getValue('default_scan_profile')]) && !isset($kept[$form_state->getValue('default_scan_profile')])) {
+      $form_state->setErrorByName('default_scan_profile', $this->t('The default scan profile cannot be deleted.'));
+    }
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -155,6 +332,9 @@ class AccSettingsForm extends ConfigFormBase {
            ->set('chatbot_max_tokens', (int) $form_state->getValue('chatbot_max_tokens'))
            ->set('chatbot_cache_ttl', (int) $form_state->getValue('chatbot_cache_ttl'))
            ->set('debug_mode', $form_state->getValue('debug_mode'))
+           ->set('axe_cdn_fallback', (bool) $form_state->getValue('axe_cdn_fallback'))
+           ->set('scan_profiles', $this->extractProfiles($form_state))
+           ->set('default_scan_profile', $form_state->getValue('default_scan_profile'))
            ->save();
 
     parent::submitForm($form, $form_state);
@@ -166,4 +346,43 @@ class AccSettingsForm extends ConfigFormBase {
     
     $this->messenger()->addStatus($this->t('The configuration options have been saved.'));
   }
+
+  /**
+   * Extracts the scan profiles to save from the submitted values.
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return array
+   *   A list of profiles in the format stored in config.
+   */
+  protected function extractProfiles(FormStateInterface $form_state) {
+    $profiles = [];
+
+    foreach ($form_state->getValue('profiles') as $id => $values) {
+      if ($id === '_new') {
+        if (trim($values['label']) === '') {
+          continue;
+        }
+        $id = $values['id'];
+      }
+      elseif (!empty($values['delete'])) {
+        continue;
+      }
+
+      $profiles[] = $this->scanProfiles->normalizeProfile([
+        'id' => $id,
+        'label' => trim($values['label']),
+        'wcag_version' => $values['wcag_version'],
+        'wcag_level' => $values['wcag_level'],
+        'best_practice' => $values['best_practice'],
+        'experimental' => $values['experimental'],
+        'enabled_rules' => preg_split('/[\s,]+/', $values['enabled_rules'], -1, PREG_SPLIT_NO_EMPTY),
+        'disabled_rules' => preg_split('/[\s,]+/', $values['disabled_rules'], -1, PREG_SPLIT_NO_EMPTY),
+      ]);
+    }
+
+    return $profiles;
+  }
+
 }
@@ -0,0 +1,250 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Form\AcrForm.
+ *
+ * Form to edit the Accessibility Conformance Report.
+ */
+
+namespace Drupal\accessibility\Form;
+
+use Drupal\accessibility\Service\AcrService;
+use Drupal\accessibility\Service\WcagCriteriaService;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Form\ConfigFormBase;
+use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\Link;
+use Drupal\Core\Url;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * Edits the product information and manual evaluations of the report.
+ *
+ * Each success criterion lists its automated result next to the
+ * conformance level and remarks an evaluator can set by hand.
+ */
+class AcrForm extends ConfigFormBase {
+
+  /**
+   * The conformance report service.
+   *
+   * @var \Drupal\accessibility\Service\AcrService
+   */
+  protected $acr;
+
+  /**
+   * The WCAG criteria service.
+   *
+   * @var \Drupal\accessibility\Service\WcagCriteriaService
+   */
+  protected $wcagCriteria;
+
+  /**
+   * Constructs a new AcrForm.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\accessibility\Service\AcrService $acr
+   *   The conformance report service.
+   * @param \Drupal\accessibility\Service\WcagCriteriaService $wcag_criteria
+   *   The WCAG criteria service.
+   */
+  public function __construct(ConfigFactoryInterface $config_factory, AcrService $acr, WcagCriteriaService $wcag_criteria) {
+    parent::__construct($config_factory);
+    $this->acr = $acr;
+    $this->wcagCriteria = $wcag_criteria;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('config.factory'),
+      $container->get('accessibility.acr'),
+      $container->get('accessibility.wcag_criteria')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function getEditableConfigNames() {
+    return ['accessibility.settings'];
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId() {
+    return 'accessibility_acr_form';
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function buildForm(array $form, FormStateInterface $form_state) {
+    $settings = $this->acr->getSettings();
+    $evaluation = $this->acr->evaluate();
+    $entries = $this->acr->getEntries();
+    $labels = $this->acr->getConformanceOptions();
+
+    $form['#attached']['library'][] = 'accessibility/acr';
+
+    $form['description'] = [
+      '#markup' => '<p>' . $this->t('The Accessibility Conformance Report states how well the site meets each WCAG success criterion, in the format of the VPAT. Results of automated testing are filled in from the latest saved scan of each page and the elements reviewers marked as failing; set the conformance level and remarks of a criterion to override them, for example after testing it by hand.') . '</p>',
+    ];
+
+    $export_links = [
+      Link::fromTextAndUrl($this->t('Download as HTML'), Url::fromRoute('accessibility.acr.export', ['format' => 'html']))->toRenderable(),
+    ];
+    if ($this->acr->canExportDocx()) {
+      $export_links[] = Link::fromTextAndUrl($this->t('Download as Word (DOCX)'), Url::fromRoute('accessibility.acr.export', ['format' => 'docx']))->toRenderable();
+    }
+    $form['export'] = [
+      '#theme' => 'item_list',
+      '#items' => $export_links,
+      '#attributes' => ['class' => ['acr-export']],
+    ];
+
+    $form['product'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Product information'),
+      '#open' => $settings['product_name'] === '',
+    ];
+
+    $form['product']['product_name'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Product name'),
+      '#default_value' => $settings['product_name'],
+      '#description' => $this->t('Leave empty to use the site name.'),
+    ];
+
+    $form['product']['product_version'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Product version'),
+      '#default_value' => $settings['product_version'],
+    ];
+
+    $form['product']['product_description'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Product description'),
+      '#default_value' => $settings['product_description'],
+      '#rows' => 3,
+    ];
+
+    $form['product']['contact'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Contact information'),
+      '#default_value' => $settings['contact'],
+      '#rows' => 2,
+    ];
+
+    $form['product']['evaluation_methods'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Evaluation methods used'),
+      '#default_value' => $settings['evaluation_methods'],
+      '#rows' => 3,
+      '#description' => $this->t('For example the assistive technology and browsers used in manual testing. The automated testing is described in the report for you.'),
+    ];
+
+    $form['product']['notes'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Notes'),
+      '#default_value' => $settings['notes'],
+      '#rows' => 3,
+    ];
+
+    $form['scope'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Conformance target'),
+      '#open' => TRUE,
+    ];
+
+    $form['scope']['wcag_version'] = [
+      '#type' => 'select',
+      '#title' => $this->t('WCAG version'),
+      '#options' => array_combine(WcagCriteriaService::VERSIONS, WcagCriteriaService::VERSIONS),
+      '#default_value' => $settings['wcag_version'],
+    ];
+
+    $form['scope']['wcag_level'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Conformance level'),
+      '#options' => array_combine(WcagCriteriaService::LEVELS, WcagCriteriaService::LEVELS),
+      '#default_value' => $settings['wcag_level'],
+      '#description' => $this->t('The criteria below change when the form is saved.'),
+    ];
+
+    $form['criteria'] = [
+      '#type' => 'table',
+      '#caption' => $this->formatPlural(count($evaluation['pages']), 'Success criteria of WCAG @version, Level @level. Automated results cover 1 scanned page.', 'Success criteria of WCAG @version, Level @level. Automated results cover @count scanned pages.', [
+        '@version' => $settings['wcag_version'],
+        '@level' => $settings['wcag_level'],
+      ]),
+      '#header' => [
+        $this->t('Criterion'),
+        $this->t('Automated result'),
+        $this->t('Conformance level'),
+        $this->t('Remarks and explanations'),
+      ],
+      '#attributes' => ['class' => ['acr-criteria']],
+    ];
+
+    foreach ($this->wcagCriteria->getCriteria($settings['wcag_version'], $settings['wcag_level']) as $number => $criterion) {
+      $automated = $evaluation['criteria'][$number];
+      $label = $this->acr->criterionLabel($criterion);
+
+      $form['criteria'][$number] = [
+        'criterion' => [
+          '#markup' => '<strong>' . $label . '</strong>',
+        ],
+        'automated' => [
+          '#markup' => '<span class="acr-conformance acr-conformance--' . str_replace('_', '-', $automated['conformance']) . '">' . $labels[$automated['conformance']] . '</span><br><small>' . $automated['remarks'] . '</small>',
+        ],
+        'conformance' => [
+          '#type' => 'select',
+          '#title' => $this->t('Conformance level of @criterion', ['@criterion' => $label]),
+          '#title_display' => 'invisible',
+          '#options' => ['' => $this->t('- Automated result -')] + $labels,
+          '#default_value' => $entries[$number]['conformance'] ?? '',
+        ],
+        'remarks' => [
+          '#type' => 'textarea',
+          '#title' => $this->t('Remarks on @criterion', ['@criterion' => $label]),
+          '#title_display' => 'invisible',
+          '#default_value' => $entries[$number]['remarks'] ?? '',
+          '#rows' => 2,
+          '#resizable' => 'vertical',
+          '#placeholder' => $this->t('Leave empty to use the automated remarks'),
+        ],
+      ];
+    }
+
+    return parent::buildForm($form, $form_state);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state) {
+    $this->config('accessibility.settings')
+      ->set('acr', [
+        'product_name' => trim($form_state->getValue('product_name')),
+        'product_version' => trim($form_state->getValue('product_version')),
+        'product_description' => trim($form_state->getValue('product_description')),
+        'contact' => trim($form_state->getValue('contact')),
+        'evaluation_methods' => trim($form_state->getValue('evaluation_methods')),
+        'notes' => trim($form_state->getValue('notes')),
+        'wcag_version' => $form_state->getValue('wcag_version'),
+        'wcag_level' => $form_state->getValue('wcag_level'),
+      ])
+      ->save();
+
+    $this->acr->saveEntries($form_state->getValue('criteria') ?: []);
+
+    parent::submitForm($form, $form_state);
+  }
+
+}
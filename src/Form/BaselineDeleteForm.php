@@ -0,0 +1,105 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Form\BaselineDeleteForm.
+ *
+ * Confirmation form to delete a baseline entry.
+ */
+
+namespace Drupal\accessibility\Form;
+
+use Drupal\Core\Form\ConfirmFormBase;
+use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\Url;
+use Drupal\accessibility\Service\BaselineService;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+/**
+ * Deletes an entry of the baseline of accepted violations.
+ */
+class BaselineDeleteForm extends ConfirmFormBase {
+
+  /**
+   * The baseline service.
+   *
+   * @var \Drupal\accessibility\Service\BaselineService
+   */
+  protected $baseline;
+
+  /**
+   * The entry being deleted.
+   *
+   * @var array
+   */
+  protected $entry;
+
+  /**
+   * Constructs a new BaselineDeleteForm.
+   *
+   * @param \Drupal\accessibility\Service\BaselineService $baseline
+   *   The baseline service.
+   */
+  public function __construct(BaselineService $baseline) {
+    $this->baseline = $baseline;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('accessibility.baseline')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId() {
+    return 'accessibility_baseline_delete_form';
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getQuestion() {
+    return $this->t('Delete the baseline entry for %rule?', ['%rule' => $this->entry['rule_id']]);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getDescription() {
+    return $this->t('Matching violations are reported again in the latest results of every page right away, and in older scans after the next cron runs.');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getCancelUrl() {
+    return Url::fromRoute('accessibility.baseline');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function buildForm(array $form, FormStateInterface $form_state, $id = NULL) {
+    $this->entry = $this->baseline->getEntry($id);
+    if (!$this->entry) {
+      throw new NotFoundHttpException();
+    }
+    return parent::buildForm($form, $form_state);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state) {
+    $this->baseline->deleteEntry($this->entry['id']);
+    $this->messenger()->addStatus($this->t('The baseline entry has been deleted.'));
+    $form_state->setRedirect('accessibility.baseline');
+  }
+
+}
@@ -0,0 +1,157 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Form\BaselineEntryForm.
+ *
+ * Form to add or edit a baseline entry.
+ */
+
+namespace Drupal\accessibility\Form;
+
+use Drupal\Core\Datetime\DrupalDateTime;
+use Drupal\Core\Form\FormBase;
+use Drupal\Core\Form\FormStateInterface;
+use Drupal\accessibility\Service\BaselineService;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+/**
+ * Adds or edits an entry of the baseline of accepted violations.
+ */
+class BaselineEntryForm extends FormBase {
+
+  /**
+   * The baseline service.
+   *
+   * @var \Drupal\accessibility\Service\BaselineService
+   */
+  protected $baseline;
+
+  /**
+   * Constructs a new BaselineEntryForm.
+   *
+   * @param \Drupal\accessibility\Service\BaselineService $baseline
+   *   The baseline service.
+   */
+  public function __construct(BaselineService $baseline) {
+    $this->baseline = $baseline;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('accessibility.baseline')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId() {
+    return 'accessibility_baseline_entry_form';
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function buildForm(array $form, FormStateInterface $form_state, $id = NULL) {
+    $entry = [
+      'id' => NULL,
+      'rule_id' => '',
+      'selector' => '',
+      'url_pattern' => '',
+      'status' => 'false_positive',
+      'reason' => '',
+      'expires' => 0,
+    ];
+    if ($id !== NULL) {
+      $entry = $this->baseline->getEntry($id);
+      if (!$entry) {
+        throw new NotFoundHttpException();
+      }
+    }
+    $form_state->set('entry_id', $entry['id']);
+
+    $form['rule_id'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Rule'),
+      '#description' => $this->t('The axe rule ID, for example %example.', ['%example' => 'color-contrast']),
+      '#default_value' => $entry['rule_id'],
+      '#maxlength' => 128,
+      '#required' => TRUE,
+    ];
+
+    $form['selector'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Element selector'),
+      '#description' => $this->t('The selector of the element as shown in the scan results. Leave empty for every element failing the rule.'),
+      '#default_value' => $entry['selector'],
+      '#maxlength' => 1024,
+    ];
+
+    $form['url_pattern'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Pages'),
+      '#description' => $this->t('Paths the entry applies to, one per line. Use * as a wildcard, for example %example. Leave empty for all pages.', ['%example' => '/blog/*']),
+      '#default_value' => $entry['url_pattern'],
+      '#rows' => 3,
+    ];
+
+    $form['status'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Status'),
+      '#options' => $this->baseline->getStatusOptions(),
+      '#default_value' => $entry['status'],
+      '#required' => TRUE,
+    ];
+
+    $form['reason'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Reason'),
+      '#description' => $this->t('Why the violation is accepted, for example the third-party embed that causes it.'),
+      '#default_value' => $entry['reason'],
+      '#rows' => 3,
+      '#required' => TRUE,
+    ];
+
+    $form['expires'] = [
+      '#type' => 'date',
+      '#title' => $this->t('Expires'),
+      '#description' => $this->t('After this day the violation is reported again. Leave empty to never expire.'),
+      '#default_value' => $entry['expires'] ? date('Y-m-d', $entry['expires']) : '',
+    ];
+
+    $form['actions'] = ['#type' => 'actions'];
+    $form['actions']['submit'] = [
+      '#type' => 'submit',
+      '#value' => $this->t('Save'),
+      '#button_type' => 'primary',
+    ];
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state) {
+    $expires = $form_state->getValue('expires');
+
+    $this->baseline->saveEntry([
+      'id' => $form_state->get('entry_id'),
+      'rule_id' => $form_state->getValue('rule_id'),
+      'selector' => $form_state->getValue('selector'),
+      'url_pattern' => $form_state->getValue('url_pattern'),
+      'status' => $form_state->getValue('status'),
+      'reason' => $form_state->getValue('reason'),
+      'expires' => $expires ? (new DrupalDateTime($expires . ' 23:59:59'))->getTimestamp() : 0,
+    ]);
+
+    $this->messenger()->addStatus($this->t('The baseline entry has been saved. The latest results of each page have been updated; older scans are updated on the next cron runs.'));
+    $form_state->setRedirect('accessibility.baseline');
+  }
+
+}
@@ -0,0 +1,224 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Form\DigestForm.
+ *
+ * Form to schedule the accessibility email digests.
+ */
+
+namespace Drupal\accessibility\Form;
+
+use Drupal\accessibility\Service\DigestService;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Datetime\DateFormatterInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Form\ConfigFormBase;
+use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\Session\AccountInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * Sets how often the digest is sent, and to which roles.
+ */
+class DigestForm extends ConfigFormBase {
+
+  /**
+   * The digest service.
+   *
+   * @var \Drupal\accessibility\Service\DigestService
+   */
+  protected $digest;
+
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The date formatter.
+   *
+   * @var \Drupal\Core\Datetime\DateFormatterInterface
+   */
+  protected $dateFormatter;
+
+  /**
+   * Constructs a new DigestForm.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\accessibility\Service\DigestService $digest
+   *   The digest service.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\Core\Datetime\DateFormatterInterface $date_formatter
+   *   The date formatter.
+   */
+  public function __construct(ConfigFactoryInterface $config_factory, DigestService $digest, EntityTypeManagerInterface $entity_type_manager, DateFormatterInterface $date_formatter) {
+    parent::__construct($config_factory);
+    $this->digest = $digest;
+    $this->entityTypeManager = $entity_type_manager;
+    $this->dateFormatter = $date_formatter;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('config.factory'),
+      $container->get('accessibility.digest'),
+      $container->get('entity_type.manager'),
+      $container->get('date.formatter')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function getEditableConfigNames() {
+    return ['accessibility.settings'];
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId() {
+    return 'accessibility_digest_form';
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function buildForm(array $form, FormStateInterface $form_state) {
+    $settings = $this->digest->getSettings();
+
+    $form['description'] = [
+      '#markup' => '<p>' . $this->t('The digest emails the users of the chosen roles a summary of the pages scanned in the last day or week: the number of violations compared with the period before, the most frequent open issues, the pages that got new violations and links to the reports. It is sent by cron once its scheduled time has passed, so cron has to run at least that often.') . '</p>',
+    ];
+
+    $form['enabled'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Send digests'),
+      '#default_value' => $settings['enabled'],
+    ];
+
+    $form['frequency'] = [
+      '#type' => 'radios',
+      '#title' => $this->t('Frequency'),
+      '#options' => $this->digest->getFrequencyOptions(),
+      '#default_value' => $settings['frequency'],
+    ];
+
+    $weekdays = [];
+    foreach (range(1, 7) as $day) {
+      // 2024-01-01 was a Monday.
+      $weekdays[$day] = $this->dateFormatter->format(mktime(12, 0, 0, 1, $day, 2024), 'custom', 'l');
+    }
+    $form['weekday'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Day of the week'),
+      '#options' => $weekdays,
+      '#default_value' => $settings['weekday'],
+      '#states' => [
+        'visible' => [
+          ':input[name="frequency"]' => ['value' => 'weekly'],
+        ],
+      ],
+    ];
+
+    $hours = [];
+    foreach (range(0, 23) as $hour) {
+      $hours[$hour] = sprintf('%02d:00', $hour);
+    }
+    $form['hour'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Time'),
+      '#options' => $hours,
+      '#default_value' => $settings['hour'],
+      '#description' => $this->t('In the time zone of the site.'),
+    ];
+
+    $roles = [];
+    foreach ($this->entityTypeManager->getStorage('user_role')->loadMultiple() as $role) {
+      if ($role->id() !== AccountInterface::ANONYMOUS_ROLE) {
+        $roles[$role->id()] = $role->label();
+      }
+    }
+    $form['roles'] = [
+      '#type' => 'checkboxes',
+      '#title' => $this->t('Recipients'),
+      '#options' => $roles,
+      '#default_value' => $settings['roles'],
+      '#description' => $this->t('The digest goes to the email address of each active user with one of these roles.'),
+    ];
+
+    $last_sent = $this->digest->getLastSent();
+    $status = [
+      $last_sent ? $this->t('Last digest sent: @date', ['@date' => $this->dateFormatter->format($last_sent)]) : $this->t('No digest has been sent yet.'),
+    ];
+    if ($settings['enabled'] && $settings['roles']) {
+      $status[] = $this->t('Next digest: @date, on the first cron run after it.', ['@date' => $this->dateFormatter->format($this->digest->getNextTime())]);
+    }
+    $form['status'] = [
+      '#theme' => 'item_list',
+      '#items' => $status,
+    ];
+
+    $form = parent::buildForm($form, $form_state);
+
+    $form['actions']['send'] = [
+      '#type' => 'submit',
+      '#value' => $this->t('Save and send a digest now'),
+      '#submit' => ['::submitForm', '::sendDigest'],
+    ];
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function validateForm(array &$form, FormStateInterface $form_state) {
+    parent::validateForm($form, $form_state);
+
+    $parents = $form_state->getTriggeringElement()['#array_parents'];
+    $sending = end($parents) === 'send';
+    if (($form_state->getValue('enabled') || $sending) && !array_filter($form_state->getValue('roles'))) {
+      $form_state->setErrorByName('roles', $this->t('Choose the roles to send the digest to.'));
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state) {
+    $this->config('accessibility.settings')
+      ->set('digest', [
+        'enabled' => (bool) $form_state->getValue('enabled'),
+        'frequency' => $form_state->getValue('frequency'),
+        'weekday' => (int) $form_state->getValue('weekday'),
+        'hour' => (int) $form_state->getValue('hour'),
+        'roles' => array_values(array_filter($form_state->getValue('roles'))),
+      ])
+      ->save();
+
+    parent::submitForm($form, $form_state);
+  }
+
+  /**
+   * Form submission handler sending a digest right away.
+   */
+  public function sendDigest(array &$form, FormStateInterface $form_state) {
+    $count = $this->digest->send();
+    if ($count) {
+      $this->messenger()->addStatus($this->formatPlural($count, 'The digest was sent to 1 recipient.', 'The digest was sent to @count recipients.'));
+    }
+    else {
+      $this->messenger()->addWarning($this->t('The digest was not sent: no active user of the chosen roles has an email address, or the mail system failed. See the recent log messages.'));
+    }
+  }
+
+}
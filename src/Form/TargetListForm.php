@@ -0,0 +1,252 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Form\TargetListForm.
+ *
+ * Form to configure and rebuild the list of pages to scan.
+ */
+
+namespace Drupal\accessibility\Form;
+
+use Drupal\accessibility\Service\SiteTargetService;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Form\ConfigFormBase;
+use Drupal\Core\Form\FormStateInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * Configures where the target list comes from and rebuilds it.
+ */
+class TargetListForm extends ConfigFormBase {
+
+  /**
+   * The most targets listed on the form.
+   */
+  const LISTED_TARGETS = 500;
+
+  /**
+   * The site target service.
+   *
+   * @var \Drupal\accessibility\Service\SiteTargetService
+   */
+  protected $siteTargets;
+
+  /**
+   * Constructs a new TargetListForm.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\accessibility\Service\SiteTargetService $site_targets
+   *   The site target service.
+   */
+  public function __construct(ConfigFactoryInterface $config_factory, SiteTargetService $site_targets) {
+    parent::__construct($config_factory);
+    $this->siteTargets = $site_targets;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('config.factory'),
+      $container->get('accessibility.site_targets')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function getEditableConfigNames() {
+    return ['accessibility.settings'];
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId() {
+    return 'accessibility_target_list_form';
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function buildForm(array $form, FormStateInterface $form_state) {
+    $settings = $this->siteTargets->getSettings();
+
+    $form['description'] = [
+      '#markup' => '<p>' . $this->t('The target list is the set of pages site scans start with and the comprehensive report covers. It is built from the sources below and only changes when it is rebuilt.') . '</p>',
+    ];
+
+    $form['sources'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Sources'),
+      '#open' => TRUE,
+    ];
+
+    $form['sources']['sitemaps'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Sitemaps'),
+      '#default_value' => implode("\n", $settings['sitemaps']),
+      '#rows' => 3,
+      '#description' => $this->t('One per line: a path or URL of this site such as %path, or a file in %directory such as %file. Sitemap indexes are followed. Pages of another host, for example in a copy of the sitemap of the live site, are scanned on this site.', [
+        '%path' => '/sitemap.xml',
+        '%directory' => SiteTargetService::SITEMAP_DIRECTORY,
+        '%file' => SiteTargetService::SITEMAP_DIRECTORY . '/sitemap.xml',
+      ]),
+    ];
+
+    $form['sources']['samples_per_type'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Nodes per content type'),
+      '#default_value' => $settings['samples_per_type'],
+      '#min' => 0,
+      '#max' => 50,
+      '#description' => $this->t('Adds the most recently changed published nodes of each content type. Set to 0 to add none.'),
+    ];
+
+    $form['sources']['urls'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Other pages'),
+      '#default_value' => implode("\n", $settings['urls']),
+      '#rows' => 4,
+      '#description' => $this->t('One URL or path of this site per line. These are always on the list, whatever the path patterns below.'),
+    ];
+
+    $form['patterns'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Path patterns'),
+      '#open' => TRUE,
+      '#description' => $this->t('Filter the pages of the sitemaps and the sampled nodes. One path per line, with * as a wildcard, for example %example.', ['%example' => '/blog/*']),
+    ];
+
+    $form['patterns']['include'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Only include'),
+      '#default_value' => $settings['include'],
+      '#rows' => 3,
+      '#description' => $this->t('Leave empty to include every page.'),
+    ];
+
+    $form['patterns']['exclude'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Exclude'),
+      '#default_value' => $settings['exclude'],
+      '#rows' => 3,
+    ];
+
+    $targets = $this->siteTargets->getTargets();
+    $form['targets'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Current target list (@count pages)', ['@count' => count($targets)]),
+      '#open' => !empty($targets),
+      'table' => [
+        '#type' => 'table',
+        '#header' => [
+          $this->t('Page'),
+          $this->t('Source'),
+          $this->t('Content type'),
+        ],
+        '#empty' => $this->t('The target list is empty. Until it is built, site scans and the comprehensive report use the pages where the scan button was used.'),
+      ],
+    ];
+
+    $source_labels = [
+      'sitemap' => $this->t('Sitemap'),
+      'sample' => $this->t('Sampled node'),
+      'manual' => $this->t('Added by hand'),
+    ];
+    foreach (array_slice($targets, 0, self::LISTED_TARGETS) as $i => $target) {
+      $form['targets']['table'][$i] = [
+        'url' => ['#markup' => $target['url']],
+        'source' => ['#markup' => $source_labels[$target['source']] ?? $target['source']],
+        'bundle' => ['#markup' => $target['bundle']],
+      ];
+    }
+    if (count($targets) > self::LISTED_TARGETS) {
+      $form['targets']['more'] = [
+        '#markup' => '<p>' . $this->t('Only the first @count pages are listed.', ['@count' => self::LISTED_TARGETS]) . '</p>',
+      ];
+    }
+    if ($targets) {
+      $form['targets']['built'] = [
+        '#markup' => '<p>' . $this->t('Built on @date.', ['@date' => date('Y-m-d H:i', $targets[0]['created'])]) . '</p>',
+      ];
+    }
+
+    $form = parent::buildForm($form, $form_state);
+    $form['actions']['submit']['#value'] = $this->t('Save and rebuild the target list');
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function validateForm(array &$form, FormStateInterface $form_state) {
+    parent::validateForm($form, $form_state);
+
+    foreach ($this->splitLines($form_state->getValue('sitemaps')) as $location) {
+      if (!$this->siteTargets->allowsSitemap($location)) {
+        $form_state->setErrorByName('sitemaps', $this->t('%location is not a path or URL of this site, or a file in %directory.', [
+          '%location' => $location,
+          '%directory' => SiteTargetService::SITEMAP_DIRECTORY,
+        ]));
+      }
+    }
+
+    foreach ($this->splitLines($form_state->getValue('urls')) as $url) {
+      if (strpos($url, '/') !== 0 && !preg_match('#^https?://#', $url)) {
+        $form_state->setErrorByName('urls', $this->t('%url is not a URL or a path starting with a slash.', ['%url' => $url]));
+      }
+    }
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state) {
+    $this->config('accessibility.settings')
+      ->set('site_targets', [
+        'sitemaps' => $this->splitLines($form_state->getValue('sitemaps')),
+        'include' => trim($form_state->getValue('include')),
+        'exclude' => trim($form_state->getValue('exclude')),
+        'samples_per_type' => (int) $form_state->getValue('samples_per_type'),
+        'urls' => $this->splitLines($form_state->getValue('urls')),
+      ])
+      ->save();
+
+    $summary = $this->siteTargets->rebuild();
+
+    $this->messenger()->addStatus($this->t('The target list has been rebuilt with @total pages: @sitemap from sitemaps, @sample sampled nodes and @manual added by hand.', [
+      '@total' => $summary['sitemap'] + $summary['sample'] + $summary['manual'],
+      '@sitemap' => $summary['sitemap'],
+      '@sample' => $summary['sample'],
+      '@manual' => $summary['manual'],
+    ]));
+    if ($summary['excluded']) {
+      $this->messenger()->addStatus($this->formatPlural($summary['excluded'], '1 page was left out by the path patterns.', '@count pages were left out by the path patterns.'));
+    }
+    if ($summary['truncated']) {
+      $this->messenger()->addWarning($this->t('The target list is limited to @count pages; the rest were left out. Use the path patterns to pick the pages that matter most.', ['@count' => SiteTargetService::MAX_TARGETS]));
+    }
+    foreach ($summary['errors'] as $error) {
+      $this->messenger()->addWarning($error);
+    }
+  }
+
+  /**
+   * Splits a textarea value into its non-empty lines.
+   *
+   * @param string $value
+   *   The submitted value.
+   *
+   * @return string[]
+   *   The trimmed lines.
+   */
+  protected function splitLines($value) {
+    return array_values(array_filter(array_map('trim', preg_split('/\r\n|\r|\n/', (string) $value))));
+  }
+
+}
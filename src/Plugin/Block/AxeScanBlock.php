@@ -9,6 +9,7 @@
 
 namespace Drupal\accessibility\Plugin\Block;
 
+use Drupal\accessibility\Service\ScanProfileManager;
 use Drupal\Core\Block\BlockBase;
 use Drupal\Core\Access\AccessResult;
 use Drupal\Core\Session\AccountInterface;
@@ -34,6 +35,13 @@ class AxeScanBlock extends BlockBase implements ContainerFactoryPluginInterface
    */
   protected $configFactory;
 
+  /**
+   * The scan profile manager.
+   *
+   * @var \Drupal\accessibility\Service\ScanProfileManager
+   */
+  protected $scanProfiles;
+
   /**
    * Constructs a new AxeScanBlock instance.
    *
@@ -45,10 +53,13 @@ class AxeScanBlock extends BlockBase implements ContainerFactoryPluginInterface
    *   The plugin implementation definition.
    * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
    *   The config factory.
+   * @param \Drupal\accessibility\Service\ScanProfileManager $scan_profiles
+   *   The scan profile manager.
    */
-  public function __construct(array $configuration, $plugin_id, $plugin_definition, ConfigFactoryInterface $config_factory) {
+  public function __construct(array $configuration, $plugin_id, $plugin_definition, ConfigFactoryInterface $config_factory, ScanProfileManager $scan_profiles) {
     parent::__construct($configuration, $plugin_id, $plugin_definition);
     $this->configFactory = $config_factory;
+    $this->scanProfiles = $scan_profiles;
   }
 
   /**
@@ -59,7 +70,8 @@ class AxeScanBlock extends BlockBase implements ContainerFactoryPluginInterface
       $configuration,
       $plugin_id,
       $plugin_definition,
-      $container->get('config.factory')
+      $container->get('config.factory'),
+      $container->get('accessibility.scan_profiles')
     );
   }
 
@@ -91,6 +103,95 @@ class AxeScanBlock extends BlockBase implements ContainerFactoryPluginInterface
           'data-scan-type' => 'sidebar',
         ],
       ],
+      // Scan profile picker, only useful when there is more than one.
+      'profile' => [
+        '#type' => 'select',
+        '#title' => $this->t('Scan profile'),
+        '#options' => $this->scanProfiles->getProfileOptions(),
+        '#value' => $this->scanProfiles->getDefaultProfileId(),
+        '#attributes' => [
+          'id' => 'axe-scan-profile',
+          'class' => ['axe-scan-profile-select'],
+        ],
+        '#access' => count($this->scanProfiles->getProfiles()) > 1,
+      ],
+      // Optional scan scope: a CSS selector typed in or filled by the picker.
+      'scope' => [
+        '#type' => 'container',
+        '#attributes' => [
+          'class' => ['axe-scan-scope'],
+        ],
+        'selector' => [
+          '#type' => 'textfield',
+          '#title' => $this->t('Limit scan to'),
+          '#value' => '',
+          '#placeholder' => $this->t('Whole page'),
+          '#description' => $this->t('A CSS selector, or pick a component on the page.'),
+          // The form element template derives the id of the description from
+          // #id; refer to it next to the message, which would replace it.
+          '#id' => 'axe-scan-scope',
+          '#attributes' => [
+            'id' => 'axe-scan-scope',
+            'aria-describedby' => 'axe-scan-scope--description axe-scan-scope-message',
+          ],
+        ],
+        'pick' => [
+          '#type' => 'button',
+          '#value' => $this->t('Pick element'),
+          '#attributes' => [
+            'class' => ['button', 'button--small', 'axe-scan-pick-button'],
+            'id' => 'axe-scan-pick',
+          ],
+        ],
+        'message' => [
+          '#type' => 'html_tag',
+          '#tag' => 'div',
+          '#attributes' => [
+            'id' => 'axe-scan-scope-message',
+            'class' => ['axe-scan-scope-message'],
+            'aria-live' => 'polite',
+          ],
+        ],
+      ],
+      // Opt-in live mode that rescans parts of the page as they change.
+      'watch_mode' => [
+        '#type' => 'checkbox',
+        '#title' => $this->t('Rescan when the page changes'),
+        '#description' => $this->t('Keeps the results up to date as AJAX forms, views and dialogs change the page.'),
+        '#attributes' => [
+          'id' => 'axe-watch-mode',
+          'class' => ['axe-watch-mode-checkbox'],
+        ],
+      ],
+      // Lists the scans cached in this browser, filled in by JavaScript.
+      'cache_inspector' => [
+        '#type' => 'details',
+        '#title' => $this->t('Cached scans'),
+        '#open' => FALSE,
+        '#attributes' => [
+          'id' => 'axe-cache-inspector',
+          'class' => ['axe-cache-inspector'],
+        ],
+        'summary' => [
+          '#type' => 'html_tag',
+          '#tag' => 'p',
+          '#attributes' => ['class' => ['axe-cache-inspector-summary']],
+        ],
+        'list' => [
+          '#type' => 'html_tag',
+          '#tag' => 'ul',
+          '#attributes' => ['class' => ['axe-cache-inspector-list']],
+        ],
+        'clear' => [
+          '#type' => 'html_tag',
+          '#tag' => 'button',
+          '#value' => $this->t('Clear all'),
+          '#attributes' => [
+            'type' => 'button',
+            'class' => ['button', 'button--small', 'axe-cache-inspector-clear'],
+          ],
+        ],
+      ],
       // Add chatbot opt-in checkbox if chatbot is enabled
       'chatbot_optin' => [
         '#type' => 'checkbox',
@@ -0,0 +1,82 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Plugin\QueueWorker\BaselineReapplyWorker.
+ *
+ * Queue worker applying the baseline again to saved scans.
+ */
+
+namespace Drupal\accessibility\Plugin\QueueWorker;
+
+use Drupal\accessibility\Service\BaselineService;
+use Drupal\Core\Plugin\ContainerFactoryPluginInterface;
+use Drupal\Core\Queue\QueueWorkerBase;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * Applies changed baseline entries to the stored results, a batch at a time.
+ *
+ * Items have rule_ids, latest (whether the latest results of each page and
+ * the cache are still to be updated) and after_id keys, see
+ * BaselineService::queueReapply(). An item updates one batch of scans and
+ * queues the next one, so a long history is spread over several cron runs.
+ *
+ * @QueueWorker(
+ *   id = "accessibility_baseline_reapply",
+ *   title = @Translation("Accessibility baseline"),
+ *   cron = {"time" = 60}
+ * )
+ */
+class BaselineReapplyWorker extends QueueWorkerBase implements ContainerFactoryPluginInterface {
+
+  /**
+   * The baseline service.
+   *
+   * @var \Drupal\accessibility\Service\BaselineService
+   */
+  protected $baseline;
+
+  /**
+   * Constructs a new BaselineReapplyWorker.
+   *
+   * @param array $configuration
+   *   The plugin configuration.
+   * @param string $plugin_id
+   *   The plugin_id for the plugin instance.
+   * @param mixed $plugin_definition
+   *   The plugin implementation definition.
+   * @param \Drupal\accessibility\Service\BaselineService $baseline
+   *   The baseline service.
+   */
+  public function __construct(array $configuration, $plugin_id, $plugin_definition, BaselineService $baseline) {
+    parent::__construct($configuration, $plugin_id, $plugin_definition);
+    $this->baseline = $baseline;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container, array $configuration, $plugin_id, $plugin_definition) {
+    return new static(
+      $configuration,
+      $plugin_id,
+      $plugin_definition,
+      $container->get('accessibility.baseline')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function processItem($data) {
+    if (!empty($data['latest'])) {
+      $this->baseline->reapplyLatest($data['rule_ids']);
+    }
+    $last = $this->baseline->reapplyHistory($data['rule_ids'], $data['after_id'] ?? 0);
+    if ($last !== NULL) {
+      $this->baseline->queueReapply($data['rule_ids'], FALSE, $last);
+    }
+  }
+
+}
@@ -87,6 +87,9 @@ class AccessibilityCacheService {
         'url' => $normalized_url,
         'scan_timestamp' => time(),
         'violations' => [],
+        'incomplete' => [],
+        'baselined' => $scan_data['baselined'] ?? [],
+        'scan_id' => $scan_data['scan_id'] ?? 0,
         'violation_counts' => [
           'total' => 0,
           'critical' => 0,
@@ -98,35 +101,45 @@ class AccessibilityCacheService {
 
       // Process violations if they exist
       if (isset($scan_data['violations']) && is_array($scan_data['violations'])) {
-        foreach ($scan_data['violations'] as $violation) {
-          $violation_data = [
-            'id' => $violation['id'] ?? '',
-            'impact' => $violation['impact'] ?? 'unknown',
-            'description' => $violation['description'] ?? '',
-            'help' => $violation['help'] ?? '',
-            'helpUrl' => $violation['helpUrl'] ?? '',
-            'tags' => $violation['tags'] ?? [],
-            'nodes' => isset($violation['nodes']) ? count($violation['nodes']) : 0,
-          ];
-          
-          $cache_data['violations'][] = $violation_data;
-          $cache_data['violation_counts']['total']++;
-          
-          // Count by impact level
-          switch ($violation_data['impact']) {
-            case 'critical':
-              $cache_data['violation_counts']['critical']++;
-              break;
-            case 'serious':
-              $cache_data['violation_counts']['serious']++;
-              break;
-            case 'moderate':
-              $cache_data['violation_counts']['moderate']++;
-              break;
-            case 'minor':
-              $cache_data['violation_counts']['minor']++;
-              break;
+        $cache_data['violations'] = $this->summarizeViolations($scan_data['violations']);
+        $cache_data['violation_counts'] = $this->countViolations($cache_data['violations']);
+      }
+
+      // The violations before the baseline, with just the targets of their
+      // elements, so that the baseline can be applied again when it changes.
+      if (isset($scan_data['unfiltered']) && is_array($scan_data['unfiltered'])) {
+        $cache_data['unfiltered'] = [];
+        foreach ($scan_data['unfiltered'] as $violation) {
+          $targets = [];
+          foreach ($violation['nodes'] ?? [] as $node) {
+            $targets[] = ['target' => (array) ($node['target'] ?? [])];
           }
+          $cache_data['unfiltered'][] = ['nodes' => $targets] + $this->summarizeViolations([$violation])[0];
+        }
+      }
+
+      // Results axe could not decide on are kept with their nodes, so they
+      // can be reviewed from the report.
+      if (isset($scan_data['incomplete']) && is_array($scan_data['incomplete'])) {
+        foreach ($scan_data['incomplete'] as $item) {
+          $nodes = [];
+          foreach ($item['nodes'] ?? [] as $node) {
+            $nodes[] = [
+              'target' => (array) ($node['target'] ?? []),
+              'html' => mb_substr($node['html'] ?? '', 0, 1000),
+              'failureSummary' => $node['failureSummary'] ?? '',
+            ];
+          }
+
+          $cache_data['incomplete'][] = [
+            'id' => $item['id'] ?? '',
+            'impact' => $item['impact'] ?? 'unknown',
+            'description' => $item['description'] ?? '',
+            'help' => $item['help'] ?? '',
+            'helpUrl' => $item['helpUrl'] ?? '',
+            'tags' => $item['tags'] ?? [],
+            'nodes' => $nodes,
+          ];
         }
       }
 
@@ -150,6 +163,69 @@ class AccessibilityCacheService {
     }
   }
 
+  /**
+   * Replaces the violations of cached scan results after the baseline changed.
+   *
+   * @param string $url
+   *   The URL that was scanned.
+   * @param array $violations
+   *   The violations left after the baseline, with their nodes.
+   * @param array $baselined
+   *   The instances left out, see BaselineService::filterViolations().
+   */
+  public function refreshScanResults($url, array $violations, array $baselined) {
+    $cache_data = $this->getScanResults($url);
+    if (!$cache_data) {
+      return;
+    }
+
+    $cache_data['violations'] = $this->summarizeViolations($violations);
+    $cache_data['violation_counts'] = $this->countViolations($cache_data['violations']);
+    $cache_data['baselined'] = $baselined;
+
+    $cache_id = 'accessibility_scan_url:' . md5($this->normalizeUrl($url));
+    $this->cache->set($cache_id, $cache_data, CacheBackendInterface::CACHE_PERMANENT, self::CACHE_TAGS);
+    $this->updateAggregatedStats();
+  }
+
+  /**
+   * Reduces violations to what is cached, with the number of their nodes.
+   */
+  protected function summarizeViolations(array $violations) {
+    $summaries = [];
+    foreach ($violations as $violation) {
+      $summaries[] = [
+        'id' => $violation['id'] ?? '',
+        'impact' => $violation['impact'] ?? 'unknown',
+        'description' => $violation['description'] ?? '',
+        'help' => $violation['help'] ?? '',
+        'helpUrl' => $violation['helpUrl'] ?? '',
+        'tags' => $violation['tags'] ?? [],
+        'nodes' => isset($violation['nodes']) ? count($violation['nodes']) : 0,
+      ];
+    }
+    return $summaries;
+  }
+
+  /**
+   * Counts cached violations in total and by impact level.
+   */
+  protected function countViolations(array $violations) {
+    $counts = [
+      'total' => count($violations),
+      'critical' => 0,
+      'serious' => 0,
+      'moderate' => 0,
+      'minor' => 0,
+    ];
+    foreach ($violations as $violation) {
+      if (in_array($violation['impact'], ['critical', 'serious', 'moderate', 'minor'], TRUE)) {
+        $counts[$violation['impact']]++;
+      }
+    }
+    return $counts;
+  }
+
   /**
    * Get cached scan results for a specific URL.
    *
@@ -338,7 +414,7 @@ class AccessibilityCacheService {
    * @return string
    *   The normalized URL.
    */
-  protected function normalizeUrl($url) {
+  public function normalizeUrl($url) {
     // Remove trailing slashes and normalize
     $normalized = rtrim($url, '/');
     
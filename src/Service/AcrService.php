@@ -0,0 +1,747 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Service\AcrService.
+ *
+ * Service for the Accessibility Conformance Report (VPAT).
+ */
+
+namespace Drupal\accessibility\Service;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Database\Connection;
+use Drupal\Core\File\FileSystemInterface;
+use Drupal\Core\Language\LanguageManagerInterface;
+use Drupal\Core\Session\AccountProxyInterface;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+
+/**
+ * Builds an Accessibility Conformance Report in the style of the VPAT.
+ *
+ * Each WCAG success criterion of the chosen version and level gets a
+ * conformance level and remarks. Automated results come from the latest
+ * saved scan of every page and the elements reviewers marked as failing;
+ * an evaluator can set the conformance and remarks of any criterion by
+ * hand, which takes precedence. Automated testing can only find failures,
+ * so only an evaluator can mark a criterion as supported. Violations in the
+ * baseline as accepted risks or deferred are known failures and count as
+ * such; only false positives are left out.
+ */
+class AcrService {
+
+  use StringTranslationTrait;
+
+  /**
+   * The report settings when none are saved.
+   */
+  const DEFAULT_SETTINGS = [
+    'product_name' => '',
+    'product_version' => '',
+    'product_description' => '',
+    'contact' => '',
+    'evaluation_methods' => '',
+    'notes' => '',
+    'wcag_version' => '2.2',
+    'wcag_level' => 'AA',
+  ];
+
+  /**
+   * The conformance levels of the VPAT.
+   */
+  const CONFORMANCE = [
+    'supports',
+    'partially_supports',
+    'does_not_support',
+    'not_applicable',
+    'not_evaluated',
+  ];
+
+  /**
+   * The export formats, with their file extension and content type.
+   */
+  const FORMATS = [
+    'html' => ['extension' => 'html', 'type' => 'text/html; charset=utf-8'],
+    'docx' => [
+      'extension' => 'docx',
+      'type' => 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    ],
+  ];
+
+  /**
+   * The database connection.
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The current user.
+   *
+   * @var \Drupal\Core\Session\AccountProxyInterface
+   */
+  protected $currentUser;
+
+  /**
+   * The scan history service.
+   *
+   * @var \Drupal\accessibility\Service\ScanHistoryService
+   */
+  protected $scanHistory;
+
+  /**
+   * The baseline service.
+   *
+   * @var \Drupal\accessibility\Service\BaselineService
+   */
+  protected $baseline;
+
+  /**
+   * The review decision service.
+   *
+   * @var \Drupal\accessibility\Service\ReviewDecisionService
+   */
+  protected $reviewDecisions;
+
+  /**
+   * The accessibility cache service.
+   *
+   * @var \Drupal\accessibility\Service\AccessibilityCacheService
+   */
+  protected $cacheService;
+
+  /**
+   * The WCAG criteria service.
+   *
+   * @var \Drupal\accessibility\Service\WcagCriteriaService
+   */
+  protected $wcagCriteria;
+
+  /**
+   * The file system.
+   *
+   * @var \Drupal\Core\File\FileSystemInterface
+   */
+  protected $fileSystem;
+
+  /**
+   * The language manager.
+   *
+   * @var \Drupal\Core\Language\LanguageManagerInterface
+   */
+  protected $languageManager;
+
+  /**
+   * Constructs a new AcrService.
+   *
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\Core\Session\AccountProxyInterface $current_user
+   *   The current user.
+   * @param \Drupal\accessibility\Service\ScanHistoryService $scan_history
+   *   The scan history service.
+   * @param \Drupal\accessibility\Service\BaselineService $baseline
+   *   The baseline service.
+   * @param \Drupal\accessibility\Service\ReviewDecisionService $review_decisions
+   *   The review decision service.
+   * @param \Drupal\accessibility\Service\AccessibilityCacheService $cache_service
+   *   The accessibility cache service.
+   * @param \Drupal\accessibility\Service\WcagCriteriaService $wcag_criteria
+   *   The WCAG criteria service.
+   * @param \Drupal\Core\File\FileSystemInterface $file_system
+   *   The file system.
+   * @param \Drupal\Core\Language\LanguageManagerInterface $language_manager
+   *   The language manager.
+   */
+  public function __construct(Connection $database, ConfigFactoryInterface $config_factory, AccountProxyInterface $current_user, ScanHistoryService $scan_history, BaselineService $baseline, ReviewDecisionService $review_decisions, AccessibilityCacheService $cache_service, WcagCriteriaService $wcag_criteria, FileSystemInterface $file_system, LanguageManagerInterface $language_manager) {
+    $this->database = $database;
+    $this->configFactory = $config_factory;
+    $this->currentUser = $current_user;
+    $this->scanHistory = $scan_history;
+    $this->baseline = $baseline;
+    $this->reviewDecisions = $review_decisions;
+    $this->cacheService = $cache_service;
+    $this->wcagCriteria = $wcag_criteria;
+    $this->fileSystem = $file_system;
+    $this->languageManager = $language_manager;
+  }
+
+  /**
+   * Gets the report settings.
+   *
+   * @return array
+   *   The settings, with the keys of DEFAULT_SETTINGS.
+   */
+  public function getSettings() {
+    $settings = $this->configFactory->get('accessibility.settings')->get('acr') ?: [];
+    return $settings + self::DEFAULT_SETTINGS;
+  }
+
+  /**
+   * Gets the labels of the conformance levels.
+   *
+   * @return array
+   *   Labels keyed by the values of CONFORMANCE.
+   */
+  public function getConformanceOptions() {
+    return [
+      'supports' => $this->t('Supports'),
+      'partially_supports' => $this->t('Partially Supports'),
+      'does_not_support' => $this->t('Does Not Support'),
+      'not_applicable' => $this->t('Not Applicable'),
+      'not_evaluated' => $this->t('Not Evaluated'),
+    ];
+  }
+
+  /**
+   * Gets the manual entries.
+   *
+   * @return array
+   *   Entries keyed by criterion number, each with conformance, remarks, uid
+   *   and changed keys. An empty conformance keeps the automated result.
+   */
+  public function getEntries() {
+    $rows = $this->database->select('accessibility_acr_entries', 'e')
+      ->fields('e', ['criterion', 'conformance', 'remarks', 'uid', 'changed'])
+      ->execute()
+      ->fetchAll(\PDO::FETCH_ASSOC);
+
+    $entries = [];
+    foreach ($rows as $row) {
+      $entries[$row['criterion']] = [
+        'conformance' => $row['conformance'],
+        'remarks' => (string) $row['remarks'],
+        'uid' => (int) $row['uid'],
+        'changed' => (int) $row['changed'],
+      ];
+    }
+    return $entries;
+  }
+
+  /**
+   * Saves manual entries.
+   *
+   * Entries without a conformance level or remarks are deleted, so the
+   * criterion goes back to its automated result. Entries that did not
+   * change keep who changed them last and when.
+   *
+   * @param array $entries
+   *   Entries keyed by criterion number, each with conformance and remarks
+   *   keys.
+   *
+   * @throws \InvalidArgumentException
+   *   If a criterion or conformance level is invalid.
+   */
+  public function saveEntries(array $entries) {
+    $current = $this->getEntries();
+
+    foreach ($entries as $number => $entry) {
+      $number = (string) $number;
+      $conformance = (string) ($entry['conformance'] ?? '');
+      $remarks = trim((string) ($entry['remarks'] ?? ''));
+
+      if (!$this->wcagCriteria->getCriterion($number)) {
+        throw new \InvalidArgumentException('Unknown success criterion: ' . $number);
+      }
+      if ($conformance !== '' && !in_array($conformance, self::CONFORMANCE, TRUE)) {
+        throw new \InvalidArgumentException('Conformance must be one of: ' . implode(', ', self::CONFORMANCE));
+      }
+
+      if ($conformance === '' && $remarks === '') {
+        if (isset($current[$number])) {
+          $this->database->delete('accessibility_acr_entries')
+            ->condition('criterion', $number)
+            ->execute();
+        }
+        continue;
+      }
+      if (isset($current[$number]) && $current[$number]['conformance'] === $conformance && $current[$number]['remarks'] === $remarks) {
+        continue;
+      }
+
+      $this->database->merge('accessibility_acr_entries')
+        ->key('criterion', $number)
+        ->fields([
+          'conformance' => $conformance,
+          'remarks' => $remarks,
+          'uid' => $this->currentUser->id(),
+          'changed' => time(),
+        ])
+        ->execute();
+    }
+  }
+
+  /**
+   * Evaluates the success criteria from the automated results.
+   *
+   * A criterion fails on a page when a violation in the page's latest saved
+   * scan, or an element a reviewer marked as failing, belongs to a rule
+   * tagged with it. Scans are read from before the baseline, leaving out
+   * only its false positives, and the accepted and deferred issues are named
+   * in the remarks. It does not support the criterion when it fails on
+   * every evaluated page, and partially supports it when it fails on some.
+   * Criteria without failures are not evaluated: axe only tests part of
+   * the criteria it has rules for, so passing them needs manual review, and
+   * the remarks say what automated testing covered.
+   *
+   * @return array
+   *   The evaluation, with these keys:
+   *   - pages: the evaluated URLs.
+   *   - first_scan, last_scan: the timestamps of the oldest and newest of
+   *     the scans, or NULL without scans.
+   *   - criteria: results keyed by criterion number, each with conformance,
+   *     remarks, the failing pages, the failing rules keyed by rule ID and
+   *     the known ones: the failing rules in the baseline, keyed by rule ID,
+   *     with the labels of their entries' statuses.
+   */
+  public function evaluate() {
+    $scans = $this->scanHistory->getLatestScans(NULL, TRUE);
+    $timestamps = array_column($scans, 'timestamp');
+    $statuses = $this->baseline->getStatusOptions();
+    $entries = $this->baseline->getActiveEntries();
+
+    $failures = [];
+    foreach ($scans as $url => $scan) {
+      $violations = $this->baseline->filterViolations($url, $scan['violations'], ['false_positive'])['violations'];
+      foreach ($violations as $violation) {
+        $this->addFailure($failures, $url, $violation['id'], ($violation['help'] ?? '') ?: ($violation['description'] ?? ''), $violation['tags'] ?? []);
+      }
+
+      $tags = array_column($violations, 'tags', 'id');
+      foreach ($this->baseline->filterViolations($url, $violations, ['accepted', 'deferred'])['baselined'] as $item) {
+        foreach ($this->wcagCriteria->fromTags($tags[$item['id']] ?? []) as $number) {
+          foreach (array_keys($item['entries']) as $entry_id) {
+            $label = (string) $statuses[$entries[$entry_id]['status']];
+            $failures[$number]['known'][$item['id']][$label] = $label;
+          }
+        }
+      }
+    }
+
+    // Elements reviewers marked as failing count as failures of their rule.
+    // Decisions only keep the rule, so its tags come from the results that
+    // needed review in the page's cached scan.
+    foreach ($this->reviewDecisions->getFailures() as $url => $decisions) {
+      if (!isset($scans[$url])) {
+        continue;
+      }
+      $rules = [];
+      foreach (($this->cacheService->getScanResults($url) ?: [])['incomplete'] ?? [] as $item) {
+        $rules[$item['id']] = $item;
+      }
+      foreach ($decisions as $decision) {
+        if (isset($rules[$decision['rule_id']])) {
+          $rule = $rules[$decision['rule_id']];
+          $this->addFailure($failures, $url, $rule['id'], $rule['help'], $rule['tags']);
+        }
+      }
+    }
+
+    $total = count($scans);
+    $criteria = [];
+    foreach (array_keys(WcagCriteriaService::CRITERIA) as $number) {
+      $pages = array_keys($failures[$number]['pages'] ?? []);
+      $rules = $failures[$number]['rules'] ?? [];
+      $known = $failures[$number]['known'] ?? [];
+
+      if ($pages) {
+        $conformance = count($pages) === $total ? 'does_not_support' : 'partially_supports';
+        $remarks = $this->formatPlural($total, 'Automated testing found failures of @rules on @failing of 1 page.', 'Automated testing found failures of @rules on @failing of @count pages.', [
+          '@rules' => implode(', ', array_keys($rules)),
+          '@failing' => count($pages),
+        ]);
+        if ($known) {
+          $issues = [];
+          foreach ($known as $rule_id => $labels) {
+            $issues[] = $rule_id . ' (' . implode(', ', $labels) . ')';
+          }
+          $remarks = $remarks . ' ' . $this->t('Known issues in the baseline: @issues.', ['@issues' => implode(', ', $issues)]);
+        }
+      }
+      elseif ($total && $this->wcagCriteria->isAutomated($number)) {
+        $conformance = 'not_evaluated';
+        $remarks = $this->formatPlural($total, 'Automated testing found no failures on 1 page; it only covers part of this criterion, which needs manual review.', 'Automated testing found no failures on @count pages; it only covers part of this criterion, which needs manual review.');
+      }
+      else {
+        $conformance = 'not_evaluated';
+        $remarks = $total ? $this->t('Not covered by automated testing.') : $this->t('No pages have been scanned.');
+      }
+
+      $criteria[$number] = [
+        'conformance' => $conformance,
+        'remarks' => (string) $remarks,
+        'pages' => $pages,
+        'rules' => $rules,
+        'known' => $known,
+      ];
+    }
+
+    return [
+      'pages' => array_keys($scans),
+      'first_scan' => $timestamps ? min($timestamps) : NULL,
+      'last_scan' => $timestamps ? max($timestamps) : NULL,
+      'criteria' => $criteria,
+    ];
+  }
+
+  /**
+   * Builds the report.
+   *
+   * @param array|null $evaluation
+   *   The automated evaluation, see evaluate(); evaluated when NULL.
+   *
+   * @return array
+   *   The report, with these keys:
+   *   - settings: the report settings, see getSettings().
+   *   - date: the timestamp of the report.
+   *   - evaluation: the automated evaluation.
+   *   - summary: the number of criteria per conformance level.
+   *   - tables: one table per WCAG level, with a title and rows. Each row
+   *     is a criterion, see WcagCriteriaService::getCriterion(), with its
+   *     conformance, conformance_label, remarks and whether it was set by
+   *     hand (manual).
+   */
+  public function build(?array $evaluation = NULL) {
+    $settings = $this->getSettings();
+    $evaluation = $evaluation ?? $this->evaluate();
+    $entries = $this->getEntries();
+    $labels = $this->getConformanceOptions();
+
+    $summary = array_fill_keys(self::CONFORMANCE, 0);
+    $tables = [];
+    foreach ($this->wcagCriteria->getCriteria($settings['wcag_version'], $settings['wcag_level']) as $number => $criterion) {
+      $automated = $evaluation['criteria'][$number];
+      $entry = $entries[$number] ?? NULL;
+      $conformance = $entry && $entry['conformance'] !== '' ? $entry['conformance'] : $automated['conformance'];
+      $summary[$conformance]++;
+
+      if (!isset($tables[$criterion['level']])) {
+        $tables[$criterion['level']] = [
+          'title' => $this->t('Table @number: Success Criteria, Level @level', [
+            '@number' => count($tables) + 1,
+            '@level' => $criterion['level'],
+          ]),
+          'rows' => [],
+        ];
+      }
+      $tables[$criterion['level']]['rows'][] = $criterion + [
+        'conformance' => $conformance,
+        'conformance_label' => (string) $labels[$conformance],
+        'remarks' => $entry && $entry['remarks'] !== '' ? $entry['remarks'] : $automated['remarks'],
+        'manual' => (bool) $entry,
+      ];
+    }
+
+    return [
+      'settings' => $settings,
+      'date' => time(),
+      'evaluation' => $evaluation,
+      'summary' => $summary,
+      'tables' => array_values($tables),
+    ];
+  }
+
+  /**
+   * Gets the label of a criterion as used in the report tables.
+   *
+   * @param array $criterion
+   *   The criterion, see WcagCriteriaService::getCriterion().
+   *
+   * @return string
+   *   For example "1.3.4 Orientation (Level AA, WCAG 2.1)".
+   */
+  public function criterionLabel(array $criterion) {
+    if ($criterion['version'] === '2.0') {
+      return (string) $this->t('@number @name (Level @level)', [
+        '@number' => $criterion['number'],
+        '@name' => $criterion['name'],
+        '@level' => $criterion['level'],
+      ]);
+    }
+    return (string) $this->t('@number @name (Level @level, WCAG @version)', [
+      '@number' => $criterion['number'],
+      '@name' => $criterion['name'],
+      '@level' => $criterion['level'],
+      '@version' => $criterion['version'],
+    ]);
+  }
+
+  /**
+   * Gets the product information rows at the top of the report.
+   *
+   * @param array $report
+   *   The report, see build().
+   *
+   * @return array
+   *   Label and value pairs; empty values are left out.
+   */
+  public function getInformation(array $report) {
+    $settings = $report['settings'];
+    $evaluation = $report['evaluation'];
+    $name = trim($settings['product_name'] . ' ' . $settings['product_version']);
+
+    $methods = $settings['evaluation_methods'];
+    if ($evaluation['pages']) {
+      $automated = $this->formatPlural(count($evaluation['pages']), 'Automated testing of 1 page with axe-core, scanned on @dates, and review of the results axe-core could not decide on.', 'Automated testing of @count pages with axe-core, scanned between @dates, and review of the results axe-core could not decide on.', [
+        '@dates' => $evaluation['first_scan'] === $evaluation['last_scan'] ? date('Y-m-d', $evaluation['first_scan']) : date('Y-m-d', $evaluation['first_scan']) . ' – ' . date('Y-m-d', $evaluation['last_scan']),
+      ]);
+      $methods = trim($methods . "\n" . $automated);
+    }
+
+    $information = [
+      [$this->t('Name of Product/Version'), $name],
+      [$this->t('Report Date'), date('Y-m-d', $report['date'])],
+      [$this->t('Product Description'), $settings['product_description']],
+      [$this->t('Contact Information'), $settings['contact']],
+      [$this->t('Notes'), $settings['notes']],
+      [$this->t('Evaluation Methods Used'), $methods],
+      [$this->t('Applicable Standards/Guidelines'), $this->t('Web Content Accessibility Guidelines @version, Level @level', [
+        '@version' => $settings['wcag_version'],
+        '@level' => implode(' and ', array_slice(WcagCriteriaService::LEVELS, 0, array_search($settings['wcag_level'], WcagCriteriaService::LEVELS, TRUE) + 1)),
+      ])],
+    ];
+
+    return array_values(array_filter(array_map(function ($row) {
+      return [(string) $row[0], (string) $row[1]];
+    }, $information), function ($row) {
+      return trim($row[1]) !== '';
+    }));
+  }
+
+  /**
+   * Gets the definitions of the conformance levels used in the report.
+   *
+   * @return array
+   *   Definitions keyed by conformance level.
+   */
+  public function getTerms() {
+    return [
+      'supports' => $this->t('The functionality of the product has at least one method that meets the criterion without known defects or meets with equivalent facilitation.'),
+      'partially_supports' => $this->t('Some functionality of the product does not meet the criterion.'),
+      'does_not_support' => $this->t('The majority of product functionality does not meet the criterion.'),
+      'not_applicable' => $this->t('The criterion is not relevant to the product.'),
+      'not_evaluated' => $this->t('The product has not been evaluated against the criterion.'),
+    ];
+  }
+
+  /**
+   * Whether DOCX files can be written, which needs the PHP zip extension.
+   *
+   * @return bool
+   *   TRUE if DOCX exports are available.
+   */
+  public function canExportDocx() {
+    return class_exists('ZipArchive');
+  }
+
+  /**
+   * Writes the report as a Word document.
+   *
+   * Headings use the built-in heading styles and the header row of each
+   * table repeats on every page, so the document stays navigable with
+   * assistive technology when it is edited or converted further.
+   *
+   * @param array $report
+   *   The report, see build().
+   *
+   * @return string
+   *   The DOCX file contents.
+   */
+  public function toDocx(array $report) {
+    if (!$this->canExportDocx()) {
+      throw new \RuntimeException('DOCX exports need the PHP zip extension.');
+    }
+
+    $title = $this->getTitle($report);
+    $body = $this->docxParagraph($title, 'Title');
+
+    $body .= $this->docxTable([], $this->getInformation($report), [2800, 6200], TRUE);
+
+    $body .= $this->docxParagraph($this->t('Terms'), 'Heading1');
+    $body .= $this->docxParagraph($this->t('The terms used in the Conformance Level information are defined as follows:'));
+    $labels = $this->getConformanceOptions();
+    foreach ($this->getTerms() as $conformance => $definition) {
+      $body .= '<w:p><w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">' . $this->xml($labels[$conformance] . ': ') . '</w:t></w:r><w:r><w:t xml:space="preserve">' . $this->xml($definition) . '</w:t></w:r></w:p>';
+    }
+
+    $body .= $this->docxParagraph($this->t('Summary'), 'Heading1');
+    $summary = [];
+    foreach ($report['summary'] as $conformance => $count) {
+      $summary[] = [(string) $labels[$conformance], (string) $count];
+    }
+    $body .= $this->docxTable([(string) $this->t('Conformance Level'), (string) $this->t('Criteria')], $summary, [4500, 1500]);
+
+    $body .= $this->docxParagraph($this->t('WCAG @version Report', ['@version' => $report['settings']['wcag_version']]), 'Heading1');
+    $header = [
+      (string) $this->t('Criteria'),
+      (string) $this->t('Conformance Level'),
+      (string) $this->t('Remarks and Explanations'),
+    ];
+    foreach ($report['tables'] as $table) {
+      $body .= $this->docxParagraph($table['title'], 'Heading2');
+      $rows = [];
+      foreach ($table['rows'] as $row) {
+        $rows[] = [$this->criterionLabel($row), $row['conformance_label'], $row['remarks']];
+      }
+      $body .= $this->docxTable($header, $rows, [3000, 1800, 4200]);
+    }
+
+    if ($report['evaluation']['pages']) {
+      $body .= $this->docxParagraph($this->t('Pages Evaluated'), 'Heading1');
+      foreach ($report['evaluation']['pages'] as $url) {
+        $body .= $this->docxParagraph($url, 'ListParagraph');
+      }
+    }
+
+    $body .= '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/></w:sectPr>';
+
+    $language = $this->xml($this->languageManager->getCurrentLanguage()->getId());
+    $files = [
+      '[Content_Types].xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        . '<Default Extension="xml" ContentType="application/xml"/>'
+        . '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+        . '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+        . '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+        . '</Types>',
+      '_rels/.rels' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+        . '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+        . '</Relationships>',
+      'docProps/core.xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+        . '<dc:title>' . $this->xml($title) . '</dc:title>'
+        . '<dc:language>' . $language . '</dc:language>'
+        . '<dcterms:created xsi:type="dcterms:W3CDTF">' . gmdate('Y-m-d\TH:i:s\Z', $report['date']) . '</dcterms:created>'
+        . '</cp:coreProperties>',
+      'word/_rels/document.xml.rels' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        . '</Relationships>',
+      'word/styles.xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+        . '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:lang w:val="' . $language . '"/></w:rPr></w:rPrDefault>'
+        . '<w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults>'
+        . '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+        . '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="40"/></w:rPr></w:style>'
+        . '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>'
+        . '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>'
+        . '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="0"/><w:ind w:left="360"/></w:pPr></w:style>'
+        . '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>'
+        . '<w:top w:val="single" w:sz="4" w:space="0" w:color="808080"/><w:left w:val="single" w:sz="4" w:space="0" w:color="808080"/>'
+        . '<w:bottom w:val="single" w:sz="4" w:space="0" w:color="808080"/><w:right w:val="single" w:sz="4" w:space="0" w:color="808080"/>'
+        . '<w:insideH w:val="single" w:sz="4" w:space="0" w:color="808080"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="808080"/>'
+        . '</w:tblBorders><w:tblCellMar><w:top w:w="60" w:type="dxa"/><w:left w:w="100" w:type="dxa"/><w:bottom w:w="60" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>'
+        . '</w:styles>',
+      'word/document.xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+        . '<w:body>' . $body . '</w:body>'
+        . '</w:document>',
+    ];
+
+    $path = $this->fileSystem->tempnam('temporary://', 'accessibility_acr_');
+    $real_path = $this->fileSystem->realpath($path);
+    $zip = new \ZipArchive();
+    if ($zip->open($real_path, \ZipArchive::OVERWRITE) !== TRUE) {
+      throw new \RuntimeException('Could not create the DOCX file.');
+    }
+    foreach ($files as $name => $contents) {
+      $zip->addFromString($name, $contents);
+    }
+    $zip->close();
+
+    $docx = file_get_contents($real_path);
+    $this->fileSystem->delete($path);
+    return $docx;
+  }
+
+  /**
+   * Gets the title of the report.
+   *
+   * @param array $report
+   *   The report, see build().
+   *
+   * @return string
+   *   The title.
+   */
+  public function getTitle(array $report) {
+    $name = $report['settings']['product_name'] ?: $this->configFactory->get('system.site')->get('name');
+    return (string) $this->t('@name Accessibility Conformance Report', ['@name' => $name]);
+  }
+
+  /**
+   * Builds a paragraph of the Word document.
+   *
+   * Line breaks in the text are kept.
+   */
+  protected function docxParagraph($text, $style = NULL, $bold = FALSE) {
+    $properties = $style ? '<w:pPr><w:pStyle w:val="' . $style . '"/></w:pPr>' : '';
+    $runs = [];
+    foreach (preg_split('/\r\n|\r|\n/', (string) $text) as $line) {
+      $runs[] = '<w:t xml:space="preserve">' . $this->xml($line) . '</w:t>';
+    }
+    return '<w:p>' . $properties . '<w:r>' . ($bold ? '<w:rPr><w:b/></w:rPr>' : '') . implode('<w:br/>', $runs) . '</w:r></w:p>';
+  }
+
+  /**
+   * Builds a table of the Word document.
+   *
+   * The header row is bold and repeats on each page. In a table without a
+   * header, the first column can be bold instead, for label and value rows.
+   */
+  protected function docxTable(array $header, array $rows, array $widths, $bold_first_column = FALSE) {
+    $grid = '';
+    foreach ($widths as $width) {
+      $grid .= '<w:gridCol w:w="' . $width . '"/>';
+    }
+    $xml = '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="' . array_sum($widths) . '" w:type="dxa"/><w:tblLayout w:type="fixed"/></w:tblPr><w:tblGrid>' . $grid . '</w:tblGrid>';
+
+    if ($header) {
+      $xml .= '<w:tr><w:trPr><w:cantSplit/><w:tblHeader/></w:trPr>';
+      foreach ($header as $i => $cell) {
+        $xml .= '<w:tc><w:tcPr><w:tcW w:w="' . $widths[$i] . '" w:type="dxa"/><w:shd w:val="clear" w:color="auto" w:fill="E7E6E6"/></w:tcPr>' . $this->docxParagraph($cell, NULL, TRUE) . '</w:tc>';
+      }
+      $xml .= '</w:tr>';
+    }
+    foreach ($rows as $row) {
+      $xml .= '<w:tr><w:trPr><w:cantSplit/></w:trPr>';
+      foreach (array_values($row) as $i => $cell) {
+        $xml .= '<w:tc><w:tcPr><w:tcW w:w="' . $widths[$i] . '" w:type="dxa"/></w:tcPr>' . $this->docxParagraph($cell, NULL, $bold_first_column && $i === 0) . '</w:tc>';
+      }
+      $xml .= '</w:tr>';
+    }
+
+    // Word needs a paragraph between a table and what follows it.
+    return $xml . '</w:tbl><w:p/>';
+  }
+
+  /**
+   * Escapes text for use in XML, dropping characters XML does not allow.
+   */
+  protected function xml($text) {
+    $text = preg_replace('/[^\x{9}\x{A}\x{D}\x{20}-\x{D7FF}\x{E000}-\x{FFFD}\x{10000}-\x{10FFFF}]/u', '', (string) $text);
+    return htmlspecialchars($text, ENT_XML1 | ENT_QUOTES, 'UTF-8');
+  }
+
+  /**
+   * Records a failure of a rule on a page for the criteria the rule tests.
+   */
+  protected function addFailure(array &$failures, $url, $rule_id, $help, array $tags) {
+    foreach ($this->wcagCriteria->fromTags($tags) as $number) {
+      $failures[$number]['pages'][$url] = TRUE;
+      $failures[$number]['rules'][$rule_id] = $help;
+    }
+  }
+
+}
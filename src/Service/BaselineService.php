@@ -0,0 +1,562 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Service\BaselineService.
+ *
+ * Service for the baseline of accepted accessibility violations.
+ */
+
+namespace Drupal\accessibility\Service;
+
+use Drupal\Core\Database\Connection;
+use Drupal\Core\Path\PathMatcherInterface;
+use Drupal\Core\Queue\QueueFactory;
+use Drupal\Core\Session\AccountProxyInterface;
+use Drupal\Core\State\StateInterface;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+
+/**
+ * Manages the baseline of violations that are accepted for now.
+ *
+ * A baseline entry matches an axe rule, optionally limited to one element
+ * selector and to pages matching a path pattern. Matching instances are left
+ * out of saved scan results, so they no longer count towards the report and
+ * the statistics. Entries can expire, after which the violation is reported
+ * again.
+ *
+ * Scans keep their violations from before the baseline, and the baseline is
+ * applied to them again whenever an entry is saved, deleted or expires, so
+ * stored results follow the active entries. The latest scan of each page and
+ * the cached results are updated right away; older scans are left to the
+ * accessibility_baseline_reapply queue, processed on cron, as a long history
+ * would not fit in one request.
+ */
+class BaselineService {
+
+  use StringTranslationTrait;
+
+  /**
+   * The state key holding when expired entries were last looked for.
+   */
+  const STATE_EXPIRY_CHECKED = 'accessibility.baseline_expiry_checked';
+
+  /**
+   * The queue applying the baseline again to older scans.
+   */
+  const QUEUE = 'accessibility_baseline_reapply';
+
+  /**
+   * The number of older scans updated per queue item.
+   */
+  const HISTORY_BATCH_SIZE = 50;
+
+  /**
+   * The database connection.
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The current user.
+   *
+   * @var \Drupal\Core\Session\AccountProxyInterface
+   */
+  protected $currentUser;
+
+  /**
+   * The path matcher.
+   *
+   * @var \Drupal\Core\Path\PathMatcherInterface
+   */
+  protected $pathMatcher;
+
+  /**
+   * The scan history service.
+   *
+   * @var \Drupal\accessibility\Service\ScanHistoryService
+   */
+  protected $scanHistory;
+
+  /**
+   * The accessibility cache service.
+   *
+   * @var \Drupal\accessibility\Service\AccessibilityCacheService
+   */
+  protected $cacheService;
+
+  /**
+   * The state.
+   *
+   * @var \Drupal\Core\State\StateInterface
+   */
+  protected $state;
+
+  /**
+   * The queue factory.
+   *
+   * @var \Drupal\Core\Queue\QueueFactory
+   */
+  protected $queueFactory;
+
+  /**
+   * Active entries, loaded once per request.
+   *
+   * @var array|null
+   */
+  protected $activeEntries;
+
+  /**
+   * Constructs a new BaselineService.
+   *
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection.
+   * @param \Drupal\Core\Session\AccountProxyInterface $current_user
+   *   The current user.
+   * @param \Drupal\Core\Path\PathMatcherInterface $path_matcher
+   *   The path matcher.
+   * @param \Drupal\accessibility\Service\ScanHistoryService $scan_history
+   *   The scan history service.
+   * @param \Drupal\accessibility\Service\AccessibilityCacheService $cache_service
+   *   The accessibility cache service.
+   * @param \Drupal\Core\State\StateInterface $state
+   *   The state.
+   * @param \Drupal\Core\Queue\QueueFactory $queue_factory
+   *   The queue factory.
+   */
+  public function __construct(Connection $database, AccountProxyInterface $current_user, PathMatcherInterface $path_matcher, ScanHistoryService $scan_history, AccessibilityCacheService $cache_service, StateInterface $state, QueueFactory $queue_factory) {
+    $this->database = $database;
+    $this->currentUser = $current_user;
+    $this->pathMatcher = $path_matcher;
+    $this->scanHistory = $scan_history;
+    $this->cacheService = $cache_service;
+    $this->state = $state;
+    $this->queueFactory = $queue_factory;
+  }
+
+  /**
+   * Gets the statuses an entry can have.
+   *
+   * @return array
+   *   Status labels keyed by status.
+   */
+  public function getStatusOptions() {
+    return [
+      'false_positive' => $this->t('False positive'),
+      'accepted' => $this->t('Accepted risk'),
+      'deferred' => $this->t('Deferred'),
+    ];
+  }
+
+  /**
+   * Gets all entries, including expired ones.
+   *
+   * @return array
+   *   Entries keyed by ID, see normalizeEntry().
+   */
+  public function getEntries() {
+    $rows = $this->database->select('accessibility_baseline', 'b')
+      ->fields('b')
+      ->orderBy('rule_id')
+      ->orderBy('id')
+      ->execute()
+      ->fetchAll(\PDO::FETCH_ASSOC);
+
+    $entries = [];
+    foreach ($rows as $row) {
+      $entries[$row['id']] = $this->normalizeEntry($row);
+    }
+    return $entries;
+  }
+
+  /**
+   * Gets the entries that have not expired.
+   *
+   * @return array
+   *   Entries keyed by ID.
+   */
+  public function getActiveEntries() {
+    if (!isset($this->activeEntries)) {
+      $this->activeEntries = array_filter($this->getEntries(), function ($entry) {
+        return !$this->isExpired($entry);
+      });
+    }
+    return $this->activeEntries;
+  }
+
+  /**
+   * Gets one entry.
+   *
+   * @param int $id
+   *   The entry ID.
+   *
+   * @return array|null
+   *   The entry, or NULL if there is none with this ID.
+   */
+  public function getEntry($id) {
+    $row = $this->database->select('accessibility_baseline', 'b')
+      ->fields('b')
+      ->condition('id', $id)
+      ->execute()
+      ->fetchAssoc();
+    return $row ? $this->normalizeEntry($row) : NULL;
+  }
+
+  /**
+   * Saves an entry.
+   *
+   * @param array $entry
+   *   The entry, with rule_id, selector, url_pattern, status, reason and
+   *   expires keys, and an id key to update an existing entry.
+   *
+   * @return int
+   *   The entry ID.
+   *
+   * @throws \InvalidArgumentException
+   *   If the rule or status is invalid.
+   */
+  public function saveEntry(array $entry) {
+    $rule_id = trim($entry['rule_id'] ?? '');
+    $status = $entry['status'] ?? '';
+    if ($rule_id === '') {
+      throw new \InvalidArgumentException('A rule is required');
+    }
+    if (!isset($this->getStatusOptions()[$status])) {
+      throw new \InvalidArgumentException('Status must be one of: ' . implode(', ', array_keys($this->getStatusOptions())));
+    }
+
+    $fields = [
+      'rule_id' => $rule_id,
+      'selector' => trim($entry['selector'] ?? ''),
+      'url_pattern' => trim($entry['url_pattern'] ?? ''),
+      'status' => $status,
+      'reason' => trim($entry['reason'] ?? ''),
+      'expires' => max(0, (int) ($entry['expires'] ?? 0)),
+      'uid' => $this->currentUser->id(),
+      'changed' => time(),
+    ];
+
+    $this->activeEntries = NULL;
+    if (!empty($entry['id'])) {
+      $previous = $this->getEntry($entry['id']);
+      $this->database->update('accessibility_baseline')
+        ->fields($fields)
+        ->condition('id', $entry['id'])
+        ->execute();
+      $this->reapply([$rule_id, $previous ? $previous['rule_id'] : '']);
+      return (int) $entry['id'];
+    }
+
+    $id = (int) $this->database->insert('accessibility_baseline')
+      ->fields($fields)
+      ->execute();
+    $this->reapply([$rule_id]);
+    return $id;
+  }
+
+  /**
+   * Deletes an entry.
+   *
+   * @param int $id
+   *   The entry ID.
+   */
+  public function deleteEntry($id) {
+    $entry = $this->getEntry($id);
+    $this->activeEntries = NULL;
+    $this->database->delete('accessibility_baseline')
+      ->condition('id', $id)
+      ->execute();
+    if ($entry) {
+      $this->reapply([$entry['rule_id']]);
+    }
+  }
+
+  /**
+   * Applies the active entries again to the stored results of some rules.
+   *
+   * Updates the latest scan of each page, the violations stored for it and
+   * the cached results the reports and statistics read, starting from the
+   * violations the scans found before the baseline, and queues the older
+   * scans.
+   *
+   * @param string[] $rule_ids
+   *   The axe rule IDs whose entries changed.
+   *
+   * @return int
+   *   The number of latest scans updated.
+   */
+  public function reapply(array $rule_ids) {
+    $rule_ids = $this->normalizeRuleIds($rule_ids);
+    if (!$rule_ids) {
+      return 0;
+    }
+
+    $count = $this->reapplyLatest($rule_ids);
+    $this->queueReapply($rule_ids, FALSE);
+    return $count;
+  }
+
+  /**
+   * Applies the active entries again to the latest results of some rules.
+   *
+   * @param string[] $rule_ids
+   *   The axe rule IDs whose entries changed.
+   *
+   * @return int
+   *   The number of latest scans updated.
+   */
+  public function reapplyLatest(array $rule_ids) {
+    $this->activeEntries = NULL;
+    $rule_ids = $this->normalizeRuleIds($rule_ids);
+    if (!$rule_ids) {
+      return 0;
+    }
+
+    $count = 0;
+    foreach ($this->scanHistory->findScansWithRules($rule_ids, TRUE) as $id) {
+      $scan = $this->scanHistory->getUnfilteredScan($id);
+      $filtered = $this->filterViolations($scan['url'], $scan['violations']);
+      $this->scanHistory->updateResults($id, $filtered['violations']);
+      $this->scanHistory->refreshLatestViolations($scan, $filtered['violations']);
+      $count++;
+    }
+
+    // Results cached before the unfiltered violations were kept are left as
+    // they are until their page is scanned again.
+    foreach ($this->cacheService->getScannedUrls() as $url) {
+      $cached = $this->cacheService->getScanResults($url);
+      if (empty($cached['unfiltered']) || !array_intersect($rule_ids, array_column($cached['unfiltered'], 'id'))) {
+        continue;
+      }
+      $filtered = $this->filterViolations($url, $cached['unfiltered']);
+      $this->cacheService->refreshScanResults($url, $filtered['violations'], $filtered['baselined']);
+    }
+
+    return $count;
+  }
+
+  /**
+   * Applies the active entries again to a batch of saved scans.
+   *
+   * Called by the queue worker, which keeps going from the last scan of a
+   * batch until a batch comes back short.
+   *
+   * @param string[] $rule_ids
+   *   The axe rule IDs whose entries changed.
+   * @param int $after_id
+   *   Start after this scan.
+   *
+   * @return int|null
+   *   The ID of the last scan updated, or NULL if no scan is left.
+   */
+  public function reapplyHistory(array $rule_ids, $after_id = 0) {
+    $this->activeEntries = NULL;
+    $ids = $this->scanHistory->findScansWithRules($this->normalizeRuleIds($rule_ids), FALSE, $after_id, self::HISTORY_BATCH_SIZE);
+    foreach ($ids as $id) {
+      $scan = $this->scanHistory->getUnfilteredScan($id);
+      if ($scan) {
+        $filtered = $this->filterViolations($scan['url'], $scan['violations']);
+        $this->scanHistory->updateResults($id, $filtered['violations']);
+      }
+    }
+    return count($ids) < self::HISTORY_BATCH_SIZE ? NULL : end($ids);
+  }
+
+  /**
+   * Queues applying the active entries again to the stored results.
+   *
+   * @param string[] $rule_ids
+   *   The axe rule IDs whose entries changed.
+   * @param bool $latest
+   *   Whether the latest results have to be updated first, see
+   *   reapplyLatest().
+   * @param int $after_id
+   *   Start with the scans saved after this one.
+   */
+  public function queueReapply(array $rule_ids, $latest = FALSE, $after_id = 0) {
+    $rule_ids = $this->normalizeRuleIds($rule_ids);
+    if ($rule_ids) {
+      $this->queueFactory->get(self::QUEUE)->createItem([
+        'rule_ids' => $rule_ids,
+        'latest' => $latest,
+        'after_id' => (int) $after_id,
+      ]);
+    }
+  }
+
+  /**
+   * Queues bringing back the instances of entries that expired.
+   *
+   * Called from cron; entries that expired since the last check are applied
+   * again by the queue worker.
+   */
+  public function applyExpired() {
+    $now = time();
+    $checked = (int) $this->state->get(self::STATE_EXPIRY_CHECKED, 0);
+
+    $rule_ids = [];
+    foreach ($this->getEntries() as $entry) {
+      if ($entry['expires'] > $checked && $entry['expires'] <= $now) {
+        $rule_ids[] = $entry['rule_id'];
+      }
+    }
+    $this->queueReapply($rule_ids, TRUE);
+
+    $this->state->set(self::STATE_EXPIRY_CHECKED, $now);
+  }
+
+  /**
+   * Whether an entry has expired.
+   *
+   * @param array $entry
+   *   The entry.
+   *
+   * @return bool
+   *   TRUE if the entry no longer applies.
+   */
+  public function isExpired(array $entry) {
+    return $entry['expires'] > 0 && $entry['expires'] <= time();
+  }
+
+  /**
+   * Finds the active entry that applies to a violation instance.
+   *
+   * @param string $url
+   *   The URL of the scanned page.
+   * @param string $rule_id
+   *   The axe rule ID.
+   * @param string $selector
+   *   The element target, see targetToSelector().
+   * @param string[]|null $statuses
+   *   Only consider entries with these statuses; all entries when NULL.
+   *
+   * @return array|null
+   *   The first matching entry, or NULL.
+   */
+  public function match($url, $rule_id, $selector, ?array $statuses = NULL) {
+    $path = parse_url($url, PHP_URL_PATH) ?: '/';
+    foreach ($this->getActiveEntries() as $entry) {
+      if ($entry['rule_id'] !== $rule_id) {
+        continue;
+      }
+      if ($statuses !== NULL && !in_array($entry['status'], $statuses, TRUE)) {
+        continue;
+      }
+      if ($entry['selector'] !== '' && $entry['selector'] !== $selector) {
+        continue;
+      }
+      if ($entry['url_pattern'] !== '' && !$this->pathMatcher->matchPath($path, $entry['url_pattern'])) {
+        continue;
+      }
+      return $entry;
+    }
+    return NULL;
+  }
+
+  /**
+   * Removes the baselined instances from scan violations.
+   *
+   * @param string $url
+   *   The URL of the scanned page.
+   * @param array $violations
+   *   Violations as sent by the scanner, with their nodes.
+   * @param string[]|null $statuses
+   *   Only apply entries with these statuses; all entries when NULL.
+   *
+   * @return array
+   *   An array with two keys:
+   *   - violations: the violations with baselined nodes removed; violations
+   *     left without nodes are dropped.
+   *   - baselined: one item per baselined violation with the rule id,
+   *     impact, help and the number of nodes left out per entry ID.
+   */
+  public function filterViolations($url, array $violations, ?array $statuses = NULL) {
+    $kept = [];
+    $baselined = [];
+
+    foreach ($violations as $violation) {
+      $rule_id = $violation['id'] ?? '';
+      $nodes = $violation['nodes'] ?? [];
+      if ($rule_id === '' || !is_array($nodes)) {
+        $kept[] = $violation;
+        continue;
+      }
+
+      $remaining = [];
+      $entries = [];
+      foreach ($nodes as $node) {
+        $entry = $this->match($url, $rule_id, $this->targetToSelector($node['target'] ?? []), $statuses);
+        if ($entry) {
+          $entries[$entry['id']] = ($entries[$entry['id']] ?? 0) + 1;
+        }
+        else {
+          $remaining[] = $node;
+        }
+      }
+
+      if ($entries) {
+        $baselined[] = [
+          'id' => $rule_id,
+          'impact' => $violation['impact'] ?? 'minor',
+          'help' => $violation['help'] ?? ($violation['description'] ?? ''),
+          'entries' => $entries,
+        ];
+      }
+      if ($remaining) {
+        $violation['nodes'] = $remaining;
+        $kept[] = $violation;
+      }
+    }
+
+    return [
+      'violations' => $kept,
+      'baselined' => $baselined,
+    ];
+  }
+
+  /**
+   * Converts an axe target to the selector stored with entries.
+   *
+   * axe gives one selector per frame or shadow root on the way to the
+   * element; they are joined with a space.
+   *
+   * @param array|string $target
+   *   The axe target.
+   *
+   * @return string
+   *   The selector.
+   */
+  public function targetToSelector($target) {
+    $parts = [];
+    foreach ((array) $target as $part) {
+      $parts[] = is_array($part) ? implode(' ', $part) : (string) $part;
+    }
+    return implode(' ', $parts);
+  }
+
+  /**
+   * Removes empty and duplicate rule IDs.
+   */
+  protected function normalizeRuleIds(array $rule_ids) {
+    return array_values(array_unique(array_filter($rule_ids)));
+  }
+
+  /**
+   * Casts a database row to an entry.
+   */
+  protected function normalizeEntry(array $row) {
+    return [
+      'id' => (int) $row['id'],
+      'rule_id' => $row['rule_id'],
+      'selector' => (string) $row['selector'],
+      'url_pattern' => (string) $row['url_pattern'],
+      'status' => $row['status'],
+      'reason' => (string) $row['reason'],
+      'expires' => (int) $row['expires'],
+      'uid' => (int) $row['uid'],
+      'changed' => (int) $row['changed'],
+    ];
+  }
+
+}
@@ -0,0 +1,219 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Service\CriteriaMatrixService.
+ *
+ * Service grouping the violations of all scanned pages by success criterion.
+ */
+
+namespace Drupal\accessibility\Service;
+
+/**
+ * Groups violations by the WCAG success criteria their rules test.
+ *
+ * Works from the latest saved scan of every page, so each page counts once
+ * and fixed violations drop out when the page is scanned again. A rule
+ * tagged with several criteria counts towards each of them.
+ */
+class CriteriaMatrixService {
+
+  /**
+   * The WCAG principles, by the first digit of their criteria.
+   */
+  const PRINCIPLES = [
+    '1' => 'Perceivable',
+    '2' => 'Operable',
+    '3' => 'Understandable',
+    '4' => 'Robust',
+  ];
+
+  /**
+   * The scan history service.
+   *
+   * @var \Drupal\accessibility\Service\ScanHistoryService
+   */
+  protected $scanHistory;
+
+  /**
+   * The WCAG criteria service.
+   *
+   * @var \Drupal\accessibility\Service\WcagCriteriaService
+   */
+  protected $wcagCriteria;
+
+  /**
+   * The failures, once loaded.
+   *
+   * @var array|null
+   */
+  protected $failures;
+
+  /**
+   * Constructs a new CriteriaMatrixService.
+   *
+   * @param \Drupal\accessibility\Service\ScanHistoryService $scan_history
+   *   The scan history service.
+   * @param \Drupal\accessibility\Service\WcagCriteriaService $wcag_criteria
+   *   The WCAG criteria service.
+   */
+  public function __construct(ScanHistoryService $scan_history, WcagCriteriaService $wcag_criteria) {
+    $this->scanHistory = $scan_history;
+    $this->wcagCriteria = $wcag_criteria;
+  }
+
+  /**
+   * Gets the violations of the latest scans by success criterion.
+   *
+   * @return array
+   *   An array with these keys:
+   *   - pages: the scanned URLs, each with the id and timestamp of its
+   *     latest scan.
+   *   - criteria: keyed by criterion number, the failing pages keyed by URL,
+   *     each with the violations keyed by rule ID as saved in the scan.
+   */
+  public function getFailures() {
+    if ($this->failures !== NULL) {
+      return $this->failures;
+    }
+
+    $pages = [];
+    $criteria = [];
+    foreach ($this->scanHistory->getLatestScans() as $url => $scan) {
+      $pages[$url] = [
+        'id' => $scan['id'],
+        'timestamp' => $scan['timestamp'],
+      ];
+      foreach ($scan['violations'] as $violation) {
+        foreach ($this->wcagCriteria->fromTags($violation['tags'] ?? []) as $number) {
+          $criteria[$number][$url][$violation['id']] = $violation;
+        }
+      }
+    }
+
+    return $this->failures = [
+      'pages' => $pages,
+      'criteria' => $criteria,
+    ];
+  }
+
+  /**
+   * Builds the rows of the matrix for a standard.
+   *
+   * @param string $standard
+   *   A key of WcagCriteriaService::STANDARDS.
+   * @param string $level
+   *   The highest conformance level to include.
+   *
+   * @return array
+   *   Rows keyed by criterion number, each a criterion with its reference,
+   *   see WcagCriteriaService::getStandardCriteria(), and these keys:
+   *   - pages: the number of failing pages.
+   *   - rules: the IDs of the failing rules.
+   *   - nodes: the number of failing elements.
+   *   - impact: the most severe impact of the failures, or NULL.
+   *   - result: 'fails', 'passes' when axe tests the criterion and found no
+   *     failures, or 'untested'.
+   */
+  public function getRows($standard, $level) {
+    $failures = $this->getFailures();
+
+    $rows = [];
+    foreach ($this->wcagCriteria->getStandardCriteria($standard, $level) as $number => $criterion) {
+      $pages = $failures['criteria'][$number] ?? [];
+      $rules = [];
+      $nodes = 0;
+      $impact = NULL;
+      foreach ($pages as $violations) {
+        foreach ($violations as $rule_id => $violation) {
+          $rules[$rule_id] = $rule_id;
+          $nodes += count($violation['nodes'] ?? []);
+          if ($impact === NULL || $this->impactWeight($violation['impact']) < $this->impactWeight($impact)) {
+            $impact = $violation['impact'];
+          }
+        }
+      }
+
+      if ($pages) {
+        $result = 'fails';
+      }
+      elseif ($failures['pages'] && $this->wcagCriteria->isAutomated($number)) {
+        $result = 'passes';
+      }
+      else {
+        $result = 'untested';
+      }
+
+      $rows[$number] = $criterion + [
+        'pages' => count($pages),
+        'rules' => array_values($rules),
+        'nodes' => $nodes,
+        'impact' => $impact,
+        'result' => $result,
+      ];
+    }
+    return $rows;
+  }
+
+  /**
+   * Summarizes matrix rows by principle and level.
+   *
+   * @param array $rows
+   *   The rows, see getRows().
+   *
+   * @return array
+   *   Keyed by principle number, then level, the number of criteria and of
+   *   failing criteria, as total and failing keys.
+   */
+  public function summarize(array $rows) {
+    $summary = [];
+    foreach (array_keys(self::PRINCIPLES) as $principle) {
+      foreach (WcagCriteriaService::LEVELS as $level) {
+        $summary[$principle][$level] = ['total' => 0, 'failing' => 0];
+      }
+    }
+    foreach ($rows as $number => $row) {
+      $cell = &$summary[$number[0]][$row['level']];
+      $cell['total']++;
+      if ($row['result'] === 'fails') {
+        $cell['failing']++;
+      }
+      unset($cell);
+    }
+    return $summary;
+  }
+
+  /**
+   * Gets the failing pages and elements of a success criterion.
+   *
+   * @param string $number
+   *   The criterion number.
+   *
+   * @return array
+   *   The failing pages keyed by URL, each with the id and timestamp of the
+   *   scan and its violations, most severe first, with their nodes.
+   */
+  public function getDetail($number) {
+    $failures = $this->getFailures();
+
+    $pages = [];
+    foreach ($failures['criteria'][$number] ?? [] as $url => $violations) {
+      uasort($violations, function ($a, $b) {
+        return $this->impactWeight($a['impact']) <=> $this->impactWeight($b['impact']);
+      });
+      $pages[$url] = $failures['pages'][$url] + [
+        'violations' => $violations,
+      ];
+    }
+    return $pages;
+  }
+
+  /**
+   * Sorts impacts from most to least severe.
+   */
+  protected function impactWeight($impact) {
+    $weight = array_search($impact, ScanHistoryService::IMPACTS, TRUE);
+    return $weight === FALSE ? count(ScanHistoryService::IMPACTS) : $weight;
+  }
+
+}
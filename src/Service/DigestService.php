@@ -0,0 +1,435 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Service\DigestService.
+ *
+ * Service building and sending the scheduled accessibility email digests.
+ */
+
+namespace Drupal\accessibility\Service;
+
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Mail\MailManagerInterface;
+use Drupal\Core\Render\RendererInterface;
+use Drupal\Core\State\StateInterface;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+use Drupal\Core\Url;
+
+/**
+ * Emails a daily or weekly digest of the scan results.
+ *
+ * The digest summarizes the pages scanned in the last day or week against
+ * the period before, lists the most frequent open issues and the pages that
+ * got new violations, and links to the reports. It goes to the active users
+ * of the chosen roles through Drupal's mail system, from cron.
+ */
+class DigestService {
+
+  use StringTranslationTrait;
+
+  /**
+   * The digest settings, as stored under "digest" in accessibility.settings.
+   */
+  const DEFAULT_SETTINGS = [
+    'enabled' => FALSE,
+    'frequency' => 'weekly',
+    // ISO-8601 day of the week, 1 for Monday.
+    'weekday' => 1,
+    'hour' => 8,
+    'roles' => [],
+  ];
+
+  /**
+   * The frequencies, with the length of their period in seconds.
+   */
+  const FREQUENCIES = [
+    'daily' => 86400,
+    'weekly' => 604800,
+  ];
+
+  /**
+   * The state key holding when the last scheduled digest was sent.
+   */
+  const STATE_LAST_SENT = 'accessibility.digest_last_sent';
+
+  /**
+   * The most issues and regressions listed.
+   */
+  const LIST_LIMIT = 10;
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The state.
+   *
+   * @var \Drupal\Core\State\StateInterface
+   */
+  protected $state;
+
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The mail manager.
+   *
+   * @var \Drupal\Core\Mail\MailManagerInterface
+   */
+  protected $mailManager;
+
+  /**
+   * The renderer.
+   *
+   * @var \Drupal\Core\Render\RendererInterface
+   */
+  protected $renderer;
+
+  /**
+   * The time service.
+   *
+   * @var \Drupal\Component\Datetime\TimeInterface
+   */
+  protected $time;
+
+  /**
+   * The scan history service.
+   *
+   * @var \Drupal\accessibility\Service\ScanHistoryService
+   */
+  protected $scanHistory;
+
+  /**
+   * The logger factory.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelFactoryInterface
+   */
+  protected $loggerFactory;
+
+  /**
+   * Constructs a new DigestService.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\Core\State\StateInterface $state
+   *   The state.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\Core\Mail\MailManagerInterface $mail_manager
+   *   The mail manager.
+   * @param \Drupal\Core\Render\RendererInterface $renderer
+   *   The renderer.
+   * @param \Drupal\Component\Datetime\TimeInterface $time
+   *   The time service.
+   * @param \Drupal\accessibility\Service\ScanHistoryService $scan_history
+   *   The scan history service.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   */
+  public function __construct(ConfigFactoryInterface $config_factory, StateInterface $state, EntityTypeManagerInterface $entity_type_manager, MailManagerInterface $mail_manager, RendererInterface $renderer, TimeInterface $time, ScanHistoryService $scan_history, LoggerChannelFactoryInterface $logger_factory) {
+    $this->configFactory = $config_factory;
+    $this->state = $state;
+    $this->entityTypeManager = $entity_type_manager;
+    $this->mailManager = $mail_manager;
+    $this->renderer = $renderer;
+    $this->time = $time;
+    $this->scanHistory = $scan_history;
+    $this->loggerFactory = $logger_factory;
+  }
+
+  /**
+   * Gets the digest settings.
+   *
+   * @return array
+   *   The settings, with the keys of DEFAULT_SETTINGS.
+   */
+  public function getSettings() {
+    $settings = $this->configFactory->get('accessibility.settings')->get('digest') ?: [];
+    return $settings + self::DEFAULT_SETTINGS;
+  }
+
+  /**
+   * Gets the labels of the frequencies.
+   *
+   * @return array
+   *   Labels keyed by frequency.
+   */
+  public function getFrequencyOptions() {
+    return [
+      'daily' => $this->t('Daily'),
+      'weekly' => $this->t('Weekly'),
+    ];
+  }
+
+  /**
+   * Gets when the last scheduled digest was sent.
+   *
+   * @return int
+   *   The timestamp, 0 if none was sent.
+   */
+  public function getLastSent() {
+    return (int) $this->state->get(self::STATE_LAST_SENT, 0);
+  }
+
+  /**
+   * Gets the latest time a digest was scheduled for, up to a given time.
+   *
+   * @param int $now
+   *   The timestamp to look back from.
+   *
+   * @return int
+   *   The timestamp of the scheduled day, or weekday, and hour.
+   */
+  public function getScheduledTime($now) {
+    $settings = $this->getSettings();
+    $date = (new \DateTime())->setTimestamp($now)->setTime((int) $settings['hour'], 0);
+    if ($settings['frequency'] === 'weekly') {
+      $days = ((int) $date->format('N') - (int) $settings['weekday'] + 7) % 7;
+      $date->modify("-$days days");
+    }
+    if ($date->getTimestamp() > $now) {
+      $date->modify($settings['frequency'] === 'weekly' ? '-7 days' : '-1 day');
+    }
+    return $date->getTimestamp();
+  }
+
+  /**
+   * Gets when the next scheduled digest will be due.
+   *
+   * @return int
+   *   The timestamp; a digest due but not yet sent is due now.
+   */
+  public function getNextTime() {
+    $now = $this->time->getRequestTime();
+    $scheduled = $this->getScheduledTime($now);
+    if ($this->getLastSent() < $scheduled) {
+      return $scheduled;
+    }
+    $length = self::FREQUENCIES[$this->getSettings()['frequency']] ?? self::FREQUENCIES['weekly'];
+    return $this->getScheduledTime($scheduled + $length);
+  }
+
+  /**
+   * Sends the scheduled digest when it is due.
+   *
+   * Called from cron. A digest is due once its scheduled time has passed
+   * and no digest was sent since.
+   *
+   * @return int|null
+   *   The number of recipients the digest was sent to, or NULL if none was
+   *   due.
+   */
+  public function sendIfDue() {
+    $settings = $this->getSettings();
+    if (!$settings['enabled'] || !$settings['roles']) {
+      return NULL;
+    }
+
+    $now = $this->time->getRequestTime();
+    $scheduled = $this->getScheduledTime($now);
+    if ($this->getLastSent() >= $scheduled) {
+      return NULL;
+    }
+
+    $sent = $this->send($scheduled);
+    $this->state->set(self::STATE_LAST_SENT, $now);
+    return $sent;
+  }
+
+  /**
+   * Sends the digest to the recipients.
+   *
+   * @param int|null $end
+   *   The end of the period the digest covers, defaults to now.
+   *
+   * @return int
+   *   The number of recipients it was sent to.
+   */
+  public function send($end = NULL) {
+    $digest = $this->build($end);
+    $body = $this->renderBody($digest);
+    $sent = 0;
+    foreach ($this->getRecipients() as $account) {
+      $params = [
+        'subject' => $this->getSubject($digest, $account->getPreferredLangcode()),
+        'body' => $body,
+      ];
+      $result = $this->mailManager->mail('accessibility', 'digest', $account->getEmail(), $account->getPreferredLangcode(), $params);
+      if (!empty($result['result'])) {
+        $sent++;
+      }
+    }
+
+    $this->loggerFactory->get('accessibility')->info('Sent the accessibility digest to @count recipients.', ['@count' => $sent]);
+    return $sent;
+  }
+
+  /**
+   * Gets the active users of the digest roles that have an email address.
+   *
+   * @return \Drupal\user\UserInterface[]
+   *   The users, keyed by their email address.
+   */
+  public function getRecipients() {
+    $roles = array_values(array_filter($this->getSettings()['roles']));
+    if (!$roles) {
+      return [];
+    }
+
+    $storage = $this->entityTypeManager->getStorage('user');
+    $ids = $storage->getQuery()
+      ->accessCheck(FALSE)
+      ->condition('status', 1)
+      ->condition('roles', $roles, 'IN')
+      ->execute();
+
+    $recipients = [];
+    foreach ($storage->loadMultiple($ids) as $account) {
+      if ($account->getEmail()) {
+        $recipients[$account->getEmail()] = $account;
+      }
+    }
+    return $recipients;
+  }
+
+  /**
+   * Builds the content of a digest.
+   *
+   * @param int|null $end
+   *   The end of the period, defaults to now.
+   *
+   * @return array
+   *   An array with these keys:
+   *   - frequency: the frequency of the digest.
+   *   - start, end: the period covered.
+   *   - summary: the pages scanned in the period and the rules they violate,
+   *     see ScanHistoryService::getSummary().
+   *   - previous: the same for the period before.
+   *   - top_issues: the rules with the most failing elements open at the end
+   *     of the period, each with id, help, impact, nodes and pages.
+   *   - regressions: the pages whose latest scan in the period found
+   *     violations their latest scan with the same profile before the period
+   *     did not, each with url and the new violations.
+   *   - links: absolute URLs of the statistics, report and settings pages.
+   */
+  public function build($end = NULL) {
+    $settings = $this->getSettings();
+    $end = $end ?? $this->time->getRequestTime();
+    $length = self::FREQUENCIES[$settings['frequency']] ?? self::FREQUENCIES['weekly'];
+    $start = $end - $length + 1;
+
+    $latest = $this->scanHistory->getLatestScans($end);
+    $before = $this->scanHistory->getLatestScans($start - 1);
+
+    $issues = [];
+    $regressions = [];
+    foreach ($latest as $url => $scan) {
+      foreach ($scan['violations'] as $violation) {
+        $issue = &$issues[$violation['id']];
+        $issue['id'] = $violation['id'];
+        $issue['help'] = ($violation['help'] ?? '') ?: ($violation['description'] ?? '');
+        $issue['impact'] = $violation['impact'];
+        $issue['nodes'] = ($issue['nodes'] ?? 0) + count($violation['nodes'] ?? []);
+        $issue['pages'] = ($issue['pages'] ?? 0) + 1;
+        unset($issue);
+      }
+
+      if ($scan['timestamp'] >= $start && isset($before[$url])) {
+        // Rules outside the profile of the scan before would all look new.
+        $previous = $before[$url];
+        if ($previous['profile'] !== $scan['profile']) {
+          $previous = $this->scanHistory->getLatestScan($url, $previous['id'] + 1, $scan['profile']);
+        }
+        $diff = $previous ? $this->scanHistory->diff($previous, $scan) : NULL;
+        if ($diff && $diff['new']) {
+          $regressions[] = [
+            'url' => $url,
+            'violations' => $diff['new'],
+          ];
+        }
+      }
+    }
+    uasort($issues, function ($a, $b) {
+      return $b['nodes'] <=> $a['nodes'];
+    });
+    usort($regressions, function ($a, $b) {
+      return count($b['violations']) <=> count($a['violations']);
+    });
+
+    return [
+      'frequency' => $settings['frequency'],
+      'start' => $start,
+      'end' => $end,
+      'summary' => $this->scanHistory->getSummary($start, $end),
+      'previous' => $this->scanHistory->getSummary($start - $length, $start - 1),
+      'top_issues' => array_slice(array_values($issues), 0, self::LIST_LIMIT),
+      'regressions' => array_slice($regressions, 0, self::LIST_LIMIT),
+      'regression_count' => count($regressions),
+      'links' => [
+        'stats' => Url::fromRoute('accessibility.stats', [], ['absolute' => TRUE])->toString(),
+        'report' => Url::fromRoute('accessibility.comprehensive_report', [], ['absolute' => TRUE])->toString(),
+        'criteria' => Url::fromRoute('accessibility.criteria', [], ['absolute' => TRUE])->toString(),
+        'settings' => Url::fromRoute('accessibility.digest', [], ['absolute' => TRUE])->toString(),
+      ],
+    ];
+  }
+
+  /**
+   * Renders the body of a digest.
+   *
+   * @param array $digest
+   *   The digest, see build().
+   *
+   * @return \Drupal\Component\Render\MarkupInterface|string
+   *   The HTML body. Mail plugins sending plain text convert it.
+   */
+  public function renderBody(array $digest) {
+    $rows = [];
+    foreach (['unique_pages', 'total_violations', 'critical_violations', 'serious_violations', 'moderate_violations', 'minor_violations'] as $key) {
+      $rows[$key] = [
+        'current' => $digest['summary'][$key],
+        'previous' => $digest['previous'][$key],
+        'change' => $digest['summary'][$key] - $digest['previous'][$key],
+      ];
+    }
+
+    $build = [
+      '#theme' => 'accessibility_digest',
+      '#digest' => $digest,
+      '#summary' => $rows,
+      '#period' => $this->t('@start to @end', [
+        '@start' => date('M j, Y', $digest['start']),
+        '@end' => date('M j, Y', $digest['end']),
+      ]),
+    ];
+    // Rendered outside of the page, as cron has no page to render into.
+    return method_exists($this->renderer, 'renderInIsolation') ? $this->renderer->renderInIsolation($build) : $this->renderer->renderPlain($build);
+  }
+
+  /**
+   * Gets the subject of a digest.
+   */
+  protected function getSubject(array $digest, $langcode) {
+    $args = [
+      '@site' => $this->configFactory->get('system.site')->get('name'),
+      '@count' => $digest['summary']['total_violations'],
+      '@critical' => $digest['summary']['critical_violations'],
+    ];
+    $options = ['langcode' => $langcode];
+    return $digest['frequency'] === 'daily'
+      ? $this->t('@site daily accessibility digest: @count violations, @critical critical', $args, $options)
+      : $this->t('@site weekly accessibility digest: @count violations, @critical critical', $args, $options);
+  }
+
+}
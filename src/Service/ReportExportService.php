@@ -0,0 +1,406 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Service\ReportExportService.
+ *
+ * Service for the spreadsheet exports of the comprehensive report.
+ */
+
+namespace Drupal\accessibility\Service;
+
+use Drupal\Core\File\FileSystemInterface;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+
+/**
+ * Exports the violations of the report as CSV or XLSX, one row per element.
+ *
+ * Rows come from the scan history, so each element has the first and last
+ * scan it failed in and whether it is new, still open or fixed. The filters
+ * of the comprehensive report apply to both the listed pages and the rows.
+ */
+class ReportExportService {
+
+  use StringTranslationTrait;
+
+  /**
+   * The export formats, with their file extension and content type.
+   */
+  const FORMATS = [
+    'csv' => ['extension' => 'csv', 'type' => 'text/csv; charset=utf-8'],
+    'xlsx' => [
+      'extension' => 'xlsx',
+      'type' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ],
+  ];
+
+  /**
+   * Impact levels, most severe first.
+   */
+  const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+  /**
+   * Instance statuses, see ScanHistoryService::getInstances().
+   */
+  const STATUSES = ['new', 'open', 'fixed'];
+
+  /**
+   * The scan history service.
+   *
+   * @var \Drupal\accessibility\Service\ScanHistoryService
+   */
+  protected $scanHistory;
+
+  /**
+   * The file system.
+   *
+   * @var \Drupal\Core\File\FileSystemInterface
+   */
+  protected $fileSystem;
+
+  /**
+   * The WCAG criteria service.
+   *
+   * @var \Drupal\accessibility\Service\WcagCriteriaService
+   */
+  protected $wcagCriteria;
+
+  /**
+   * Constructs a new ReportExportService.
+   *
+   * @param \Drupal\accessibility\Service\ScanHistoryService $scan_history
+   *   The scan history service.
+   * @param \Drupal\Core\File\FileSystemInterface $file_system
+   *   The file system.
+   * @param \Drupal\accessibility\Service\WcagCriteriaService $wcag_criteria
+   *   The WCAG criteria service.
+   */
+  public function __construct(ScanHistoryService $scan_history, FileSystemInterface $file_system, WcagCriteriaService $wcag_criteria) {
+    $this->scanHistory = $scan_history;
+    $this->fileSystem = $file_system;
+    $this->wcagCriteria = $wcag_criteria;
+  }
+
+  /**
+   * Gets the filters of a report request.
+   *
+   * @param array $query
+   *   The query parameters.
+   *
+   * @return array
+   *   The filters, with these keys:
+   *   - page: text the page URL must contain.
+   *   - impact: an impact level, or '' for any.
+   *   - rule: an axe rule ID, or '' for any.
+   *   - status: an instance status, 'all', or '' for the elements failing
+   *     in the latest scans (new and open).
+   */
+  public function getFilters(array $query) {
+    $filters = [
+      'page' => trim((string) ($query['page'] ?? '')),
+      'impact' => (string) ($query['impact'] ?? ''),
+      'rule' => trim((string) ($query['rule'] ?? '')),
+      'status' => (string) ($query['status'] ?? ''),
+    ];
+    if (!in_array($filters['impact'], self::IMPACTS, TRUE)) {
+      $filters['impact'] = '';
+    }
+    if (!in_array($filters['status'], array_merge(self::STATUSES, ['all']), TRUE)) {
+      $filters['status'] = '';
+    }
+    return $filters;
+  }
+
+  /**
+   * Gets the status filter options.
+   *
+   * @return array
+   *   Labels keyed by the status filter value.
+   */
+  public function getStatusOptions() {
+    return [
+      '' => $this->t('New and open'),
+      'new' => $this->t('New'),
+      'open' => $this->t('Open'),
+      'fixed' => $this->t('Fixed'),
+      'all' => $this->t('All'),
+    ];
+  }
+
+  /**
+   * Whether a page of the report matches the filters.
+   *
+   * @param string $url
+   *   The page URL.
+   * @param array|null $scan_results
+   *   The cached scan results of the page, or NULL if it was not scanned.
+   * @param array $filters
+   *   The filters, see getFilters().
+   *
+   * @return bool
+   *   TRUE if the page is listed.
+   */
+  public function pageMatches($url, $scan_results, array $filters) {
+    if ($filters['page'] !== '' && mb_stripos($url, $filters['page']) === FALSE) {
+      return FALSE;
+    }
+    if ($filters['impact'] === '' && $filters['rule'] === '') {
+      return TRUE;
+    }
+    foreach ($scan_results['violations'] ?? [] as $violation) {
+      if ($this->ruleMatches($violation, $filters)) {
+        return TRUE;
+      }
+    }
+    return FALSE;
+  }
+
+  /**
+   * Builds the rows of an export.
+   *
+   * @param string[] $urls
+   *   The pages listed on the report.
+   * @param array $filters
+   *   The filters, see getFilters().
+   *
+   * @return array
+   *   Rows keyed like getHeader(), by page, then impact.
+   */
+  public function getRows(array $urls, array $filters) {
+    $rows = [];
+    foreach ($urls as $url) {
+      $instances = array_filter($this->scanHistory->getInstances($url), function ($instance) use ($filters) {
+        return $this->ruleMatches($instance, $filters) && $this->statusMatches($instance['status'], $filters['status']);
+      });
+      usort($instances, function ($a, $b) {
+        return $this->impactWeight($a['impact']) <=> $this->impactWeight($b['impact'])
+          ?: strcmp($a['id'], $b['id'])
+          ?: strcmp($a['selector'], $b['selector']);
+      });
+
+      foreach ($instances as $instance) {
+        $rows[] = [
+          'url' => $url,
+          'rule' => $instance['id'],
+          'help' => $instance['help'],
+          'impact' => $instance['impact'],
+          'wcag' => implode(', ', $this->wcagCriteria->fromTags($instance['tags'])),
+          'selector' => $instance['selector'],
+          'html' => $instance['html'],
+          'first_seen' => date('Y-m-d H:i', $instance['first_seen']),
+          'last_seen' => date('Y-m-d H:i', $instance['last_seen']),
+          'status' => (string) $this->getStatusOptions()[$instance['status']],
+          'help_url' => $instance['helpUrl'],
+        ];
+      }
+    }
+    return $rows;
+  }
+
+  /**
+   * Gets the column labels of an export.
+   *
+   * @return array
+   *   Labels keyed by row key.
+   */
+  public function getHeader() {
+    return [
+      'url' => $this->t('URL'),
+      'rule' => $this->t('Rule'),
+      'help' => $this->t('Description'),
+      'impact' => $this->t('Impact'),
+      'wcag' => $this->t('WCAG criteria'),
+      'selector' => $this->t('Selector'),
+      'html' => $this->t('HTML'),
+      'first_seen' => $this->t('First seen'),
+      'last_seen' => $this->t('Last seen'),
+      'status' => $this->t('Status'),
+      'help_url' => $this->t('More information'),
+    ];
+  }
+
+  /**
+   * Serializes rows in an export format.
+   *
+   * @param array $rows
+   *   The rows, see getRows().
+   * @param string $format
+   *   A key of FORMATS.
+   *
+   * @return string
+   *   The file contents.
+   */
+  public function export(array $rows, $format) {
+    return $format === 'xlsx' ? $this->toXlsx($rows) : $this->toCsv($rows);
+  }
+
+  /**
+   * Whether XLSX files can be written, which needs the PHP zip extension.
+   *
+   * @return bool
+   *   TRUE if XLSX exports are available.
+   */
+  public function canExportXlsx() {
+    return class_exists('ZipArchive');
+  }
+
+  /**
+   * Writes rows as CSV.
+   *
+   * The file starts with a byte order mark, so spreadsheet programs read it
+   * as UTF-8.
+   */
+  protected function toCsv(array $rows) {
+    $handle = fopen('php://temp', 'r+');
+    fwrite($handle, "\xEF\xBB\xBF");
+    fputcsv($handle, array_map('strval', $this->getHeader()));
+    foreach ($rows as $row) {
+      fputcsv($handle, array_map([$this, 'csvCell'], $row));
+    }
+    rewind($handle);
+    $csv = stream_get_contents($handle);
+    fclose($handle);
+    return $csv;
+  }
+
+  /**
+   * Keeps a CSV cell from being read as a formula by spreadsheet programs.
+   */
+  protected function csvCell($value) {
+    $value = (string) $value;
+    return preg_match('/^[=+\-@\t\r]/', $value) ? "'" . $value : $value;
+  }
+
+  /**
+   * Writes rows as an XLSX workbook with a single sheet.
+   *
+   * The header row is bold, frozen and has filters, so the sheet can be
+   * sorted and filtered right away.
+   */
+  protected function toXlsx(array $rows) {
+    if (!$this->canExportXlsx()) {
+      throw new \RuntimeException('XLSX exports need the PHP zip extension.');
+    }
+
+    $header = array_map('strval', $this->getHeader());
+    $columns = count($header);
+    $sheet_rows = $this->xlsxRow(1, $header, 1);
+    foreach (array_values($rows) as $i => $row) {
+      $sheet_rows .= $this->xlsxRow($i + 2, array_values($row));
+    }
+    $last_cell = $this->xlsxColumn($columns) . (count($rows) + 1);
+
+    $files = [
+      '[Content_Types].xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        . '<Default Extension="xml" ContentType="application/xml"/>'
+        . '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        . '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        . '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        . '</Types>',
+      '_rels/.rels' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        . '</Relationships>',
+      'xl/workbook.xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        . '<sheets><sheet name="Violations" sheetId="1" r:id="rId1"/></sheets>'
+        . '<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">Violations!$A$1:$' . $this->xlsxColumn($columns) . '$' . (count($rows) + 1) . '</definedName></definedNames>'
+        . '</workbook>',
+      'xl/_rels/workbook.xml.rels' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        . '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        . '</Relationships>',
+      'xl/styles.xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        . '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        . '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        . '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        . '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        . '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        . '</styleSheet>',
+      'xl/worksheets/sheet1.xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        . '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        . '<sheetData>' . $sheet_rows . '</sheetData>'
+        . '<autoFilter ref="A1:' . $last_cell . '"/>'
+        . '</worksheet>',
+    ];
+
+    $path = $this->fileSystem->tempnam('temporary://', 'accessibility_export_');
+    $real_path = $this->fileSystem->realpath($path);
+    $zip = new \ZipArchive();
+    if ($zip->open($real_path, \ZipArchive::OVERWRITE) !== TRUE) {
+      throw new \RuntimeException('Could not create the XLSX file.');
+    }
+    foreach ($files as $name => $contents) {
+      $zip->addFromString($name, $contents);
+    }
+    $zip->close();
+
+    $xlsx = file_get_contents($real_path);
+    $this->fileSystem->delete($path);
+    return $xlsx;
+  }
+
+  /**
+   * Builds a row of the XLSX sheet with inline strings.
+   */
+  protected function xlsxRow($number, array $values, $style = 0) {
+    $cells = '';
+    foreach ($values as $i => $value) {
+      // XML 1.0 does not allow control characters other than whitespace.
+      $value = preg_replace('/[^\x{9}\x{A}\x{D}\x{20}-\x{D7FF}\x{E000}-\x{FFFD}\x{10000}-\x{10FFFF}]/u', '', (string) $value);
+      $cells .= '<c r="' . $this->xlsxColumn($i + 1) . $number . '" t="inlineStr"' . ($style ? ' s="' . $style . '"' : '') . '>'
+        . '<is><t xml:space="preserve">' . htmlspecialchars($value, ENT_XML1 | ENT_QUOTES, 'UTF-8') . '</t></is></c>';
+    }
+    return '<row r="' . $number . '">' . $cells . '</row>';
+  }
+
+  /**
+   * Converts a 1-based column number to its letters.
+   */
+  protected function xlsxColumn($number) {
+    $letters = '';
+    while ($number > 0) {
+      $remainder = ($number - 1) % 26;
+      $letters = chr(65 + $remainder) . $letters;
+      $number = intdiv($number - 1, 26);
+    }
+    return $letters;
+  }
+
+  /**
+   * Whether a violation or instance matches the impact and rule filters.
+   */
+  protected function ruleMatches(array $violation, array $filters) {
+    if ($filters['impact'] !== '' && ($violation['impact'] ?? '') !== $filters['impact']) {
+      return FALSE;
+    }
+    return $filters['rule'] === '' || ($violation['id'] ?? '') === $filters['rule'];
+  }
+
+  /**
+   * Whether an instance status matches the status filter.
+   */
+  protected function statusMatches($status, $filter) {
+    if ($filter === 'all') {
+      return TRUE;
+    }
+    if ($filter === '') {
+      return $status !== 'fixed';
+    }
+    return $status === $filter;
+  }
+
+  /**
+   * Sorts impacts from most to least severe.
+   */
+  protected function impactWeight($impact) {
+    $weight = array_search($impact, self::IMPACTS, TRUE);
+    return $weight === FALSE ? count(self::IMPACTS) : $weight;
+  }
+
+}
@@ -0,0 +1,185 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Service\ReviewDecisionService.
+ *
+ * Service for storing reviewer decisions on results that need review.
+ */
+
+namespace Drupal\accessibility\Service;
+
+use Drupal\Core\Database\Connection;
+use Drupal\Core\Session\AccountProxyInterface;
+
+/**
+ * Stores pass/fail decisions on axe "incomplete" results.
+ *
+ * axe reports checks it cannot decide on (e.g. color contrast over a
+ * background image) as incomplete. A reviewer marks each such element as
+ * pass or fail; the decision is keyed by page URL, rule and element target
+ * so it is shown again on later scans of the same element.
+ */
+class ReviewDecisionService {
+
+  /**
+   * Decisions a reviewer can make.
+   */
+  const DECISIONS = ['pass', 'fail'];
+
+  /**
+   * The database connection.
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The current user.
+   *
+   * @var \Drupal\Core\Session\AccountProxyInterface
+   */
+  protected $currentUser;
+
+  /**
+   * The accessibility cache service, used to normalize URLs.
+   *
+   * @var \Drupal\accessibility\Service\AccessibilityCacheService
+   */
+  protected $cacheService;
+
+  /**
+   * Constructs a new ReviewDecisionService.
+   *
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection.
+   * @param \Drupal\Core\Session\AccountProxyInterface $current_user
+   *   The current user.
+   * @param \Drupal\accessibility\Service\AccessibilityCacheService $cache_service
+   *   The accessibility cache service.
+   */
+  public function __construct(Connection $database, AccountProxyInterface $current_user, AccessibilityCacheService $cache_service) {
+    $this->database = $database;
+    $this->currentUser = $current_user;
+    $this->cacheService = $cache_service;
+  }
+
+  /**
+   * Gets all decisions for a page.
+   *
+   * @param string $url
+   *   The page URL.
+   *
+   * @return array
+   *   Decisions keyed by "rule_id|target", each with rule_id, target,
+   *   decision, note, html, uid and changed keys.
+   */
+  public function getDecisions($url) {
+    $rows = $this->database->select('accessibility_review_decisions', 'd')
+      ->fields('d', ['rule_id', 'target', 'html', 'decision', 'note', 'uid', 'changed'])
+      ->condition('scanned_url', $this->cacheService->normalizeUrl($url))
+      ->execute()
+      ->fetchAll(\PDO::FETCH_ASSOC);
+
+    $decisions = [];
+    foreach ($rows as $row) {
+      $row['uid'] = (int) $row['uid'];
+      $row['changed'] = (int) $row['changed'];
+      $decisions[$row['rule_id'] . '|' . $row['target']] = $row;
+    }
+    return $decisions;
+  }
+
+  /**
+   * Gets the failing decisions on all pages.
+   *
+   * @return array
+   *   Decisions grouped by page URL, each keyed by "rule_id|target", see
+   *   getDecisions().
+   */
+  public function getFailures() {
+    $rows = $this->database->select('accessibility_review_decisions', 'd')
+      ->fields('d', ['scanned_url', 'rule_id', 'target', 'html', 'decision', 'note', 'uid', 'changed'])
+      ->condition('decision', 'fail')
+      ->orderBy('scanned_url')
+      ->execute()
+      ->fetchAll(\PDO::FETCH_ASSOC);
+
+    $decisions = [];
+    foreach ($rows as $row) {
+      $url = $row['scanned_url'];
+      unset($row['scanned_url']);
+      $row['uid'] = (int) $row['uid'];
+      $row['changed'] = (int) $row['changed'];
+      $decisions[$url][$row['rule_id'] . '|' . $row['target']] = $row;
+    }
+    return $decisions;
+  }
+
+  /**
+   * Saves a decision, replacing any earlier one for the same element.
+   *
+   * @param string $url
+   *   The page URL.
+   * @param string $rule_id
+   *   The axe rule ID.
+   * @param string $target
+   *   The element target, axe target selectors joined with a space.
+   * @param string $decision
+   *   One of self::DECISIONS.
+   * @param string $note
+   *   The reviewer note.
+   * @param string $html
+   *   The element markup, used to tell when the element changed since.
+   *
+   * @throws \InvalidArgumentException
+   *   If the decision or rule is invalid.
+   */
+  public function saveDecision($url, $rule_id, $target, $decision, $note = '', $html = '') {
+    if (!in_array($decision, self::DECISIONS, TRUE)) {
+      throw new \InvalidArgumentException('Decision must be one of: ' . implode(', ', self::DECISIONS));
+    }
+    if ($rule_id === '' || $target === '') {
+      throw new \InvalidArgumentException('A rule and target are required');
+    }
+
+    $normalized_url = $this->cacheService->normalizeUrl($url);
+    $this->database->merge('accessibility_review_decisions')
+      ->key('decision_key', $this->decisionKey($normalized_url, $rule_id, $target))
+      ->fields([
+        'scanned_url' => $normalized_url,
+        'rule_id' => $rule_id,
+        'target' => $target,
+        'html' => mb_substr($html, 0, 1000),
+        'decision' => $decision,
+        'note' => $note,
+        'uid' => $this->currentUser->id(),
+        'changed' => time(),
+      ])
+      ->execute();
+  }
+
+  /**
+   * Deletes the decision for an element, returning it to needs review.
+   *
+   * @param string $url
+   *   The page URL.
+   * @param string $rule_id
+   *   The axe rule ID.
+   * @param string $target
+   *   The element target.
+   */
+  public function deleteDecision($url, $rule_id, $target) {
+    $this->database->delete('accessibility_review_decisions')
+      ->condition('decision_key', $this->decisionKey($this->cacheService->normalizeUrl($url), $rule_id, $target))
+      ->execute();
+  }
+
+  /**
+   * Builds the unique key of a decision.
+   */
+  protected function decisionKey($normalized_url, $rule_id, $target) {
+    return hash('sha256', $normalized_url . "\n" . $rule_id . "\n" . $target);
+  }
+
+}
@@ -0,0 +1,816 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Service\ScanHistoryService.
+ *
+ * Service for the history of saved scans and scan-to-scan diffs.
+ */
+
+namespace Drupal\accessibility\Service;
+
+use Drupal\Core\Database\Connection;
+use Drupal\Core\Session\AccountProxyInterface;
+
+/**
+ * Keeps every saved scan of a page and compares it with the one before.
+ *
+ * The accessibility_violations table only holds the latest scan of each
+ * page. Each saved scan is also recorded here with an ID and its violations,
+ * so the changes since the previous scan of the same URL can be shown.
+ */
+class ScanHistoryService {
+
+  /**
+   * Impact levels counted per scan.
+   */
+  const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+  /**
+   * The database connection.
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The current user.
+   *
+   * @var \Drupal\Core\Session\AccountProxyInterface
+   */
+  protected $currentUser;
+
+  /**
+   * The accessibility cache service, used to normalize URLs.
+   *
+   * @var \Drupal\accessibility\Service\AccessibilityCacheService
+   */
+  protected $cacheService;
+
+  /**
+   * Constructs a new ScanHistoryService.
+   *
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection.
+   * @param \Drupal\Core\Session\AccountProxyInterface $current_user
+   *   The current user.
+   * @param \Drupal\accessibility\Service\AccessibilityCacheService $cache_service
+   *   The accessibility cache service.
+   */
+  public function __construct(Connection $database, AccountProxyInterface $current_user, AccessibilityCacheService $cache_service) {
+    $this->database = $database;
+    $this->currentUser = $current_user;
+    $this->cacheService = $cache_service;
+  }
+
+  /**
+   * Records a saved scan.
+   *
+   * @param string $url
+   *   The scanned URL.
+   * @param array $violations
+   *   Violations as sent by the scanner, with their nodes, without the
+   *   instances in the baseline.
+   * @param array $meta
+   *   Optional profile, user_agent and timestamp keys, and unfiltered: the
+   *   violations before the baseline was applied, so that it can be applied
+   *   again when it changes. Defaults to $violations.
+   *
+   * @return int
+   *   The scan ID.
+   */
+  public function recordScan($url, array $violations, array $meta = []) {
+    $results = $this->normalizeViolations($violations);
+    $fields = [
+      'scanned_url' => $this->cacheService->normalizeUrl($url),
+      'profile' => mb_substr((string) ($meta['profile'] ?? ''), 0, 64),
+      'uid' => $this->currentUser->id(),
+      'user_agent' => mb_substr((string) ($meta['user_agent'] ?? ''), 0, 255),
+      'timestamp' => $meta['timestamp'] ?? time(),
+      'results' => json_encode($results),
+      'unfiltered' => json_encode(isset($meta['unfiltered']) ? $this->normalizeViolations($meta['unfiltered']) : $results),
+    ] + $this->countResults($results);
+
+    return (int) $this->database->insert('accessibility_scans')
+      ->fields($fields)
+      ->execute();
+  }
+
+  /**
+   * Finds the scans that violate any of some rules before the baseline.
+   *
+   * @param string[] $rule_ids
+   *   The axe rule IDs.
+   * @param bool $latest_only
+   *   Only consider the latest scan of each URL.
+   * @param int $after_id
+   *   Only consider scans saved after this scan.
+   * @param int $limit
+   *   The maximum number of scans to return, or 0 for all of them.
+   *
+   * @return int[]
+   *   The scan IDs, oldest first.
+   */
+  public function findScansWithRules(array $rule_ids, $latest_only = FALSE, $after_id = 0, $limit = 0) {
+    if (!$rule_ids) {
+      return [];
+    }
+
+    $query = $this->database->select('accessibility_scans', 's')
+      ->fields('s', ['id'])
+      ->condition('id', $after_id, '>')
+      ->orderBy('id');
+    if ($latest_only) {
+      $latest = $this->database->select('accessibility_scans', 'l');
+      $latest->addExpression('MAX(id)', 'id');
+      $latest->groupBy('scanned_url');
+      $query->condition('id', $latest, 'IN');
+    }
+    if ($limit) {
+      $query->range(0, $limit);
+    }
+    // Scans saved before the unfiltered violations were kept only have the
+    // filtered ones.
+    $matches = $query->orConditionGroup();
+    foreach ($rule_ids as $rule_id) {
+      $pattern = '%' . $this->database->escapeLike('"id":' . json_encode((string) $rule_id)) . '%';
+      $matches->condition('unfiltered', $pattern, 'LIKE');
+      $matches->condition($query->andConditionGroup()
+        ->isNull('unfiltered')
+        ->condition('results', $pattern, 'LIKE'));
+    }
+    return array_map('intval', $query->condition($matches)->execute()->fetchCol());
+  }
+
+  /**
+   * Gets the violations of a scan before the baseline was applied.
+   *
+   * @param int $id
+   *   The scan ID.
+   *
+   * @return array|null
+   *   The scan with its unfiltered violations, or NULL if there is none with
+   *   this ID.
+   */
+  public function getUnfilteredScan($id) {
+    $row = $this->database->select('accessibility_scans', 's')
+      ->fields('s')
+      ->condition('id', $id)
+      ->execute()
+      ->fetchAssoc();
+    if (!$row) {
+      return NULL;
+    }
+
+    $scan = $this->normalizeScan($row);
+    if (isset($row['unfiltered'])) {
+      $scan['violations'] = json_decode($row['unfiltered'], TRUE) ?: [];
+    }
+    return $scan;
+  }
+
+  /**
+   * Replaces the violations of a scan after the baseline changed.
+   *
+   * @param int $id
+   *   The scan ID.
+   * @param array $violations
+   *   The violations left after the baseline.
+   */
+  public function updateResults($id, array $violations) {
+    $row = $this->database->select('accessibility_scans', 's')
+      ->fields('s', ['results', 'unfiltered'])
+      ->condition('id', $id)
+      ->execute()
+      ->fetchAssoc();
+    if (!$row) {
+      return;
+    }
+
+    $results = $this->normalizeViolations($violations);
+    $fields = ['results' => json_encode($results)] + $this->countResults($results);
+    // Keep what older scans were saved with as their unfiltered violations,
+    // so that removing an entry again brings its instances back.
+    if (!isset($row['unfiltered'])) {
+      $fields['unfiltered'] = $row['results'];
+    }
+    $this->database->update('accessibility_scans')
+      ->fields($fields)
+      ->condition('id', $id)
+      ->execute();
+  }
+
+  /**
+   * Stores the violations of the latest scan of a page.
+   *
+   * The accessibility_violations table holds one row per violated rule of
+   * the latest scan of each page, which the reports and statistics read.
+   *
+   * @param string $url
+   *   The scanned URL.
+   * @param array $violations
+   *   The violations, without the instances in the baseline.
+   * @param int $timestamp
+   *   When the scan was saved.
+   * @param int $scan_id
+   *   The ID of the scan.
+   */
+  public function saveLatestViolations($url, array $violations, $timestamp, $scan_id) {
+    $this->database->delete('accessibility_violations')
+      ->condition('scanned_url', $url)
+      ->execute();
+    if (!$violations) {
+      return;
+    }
+
+    $insert = $this->database->insert('accessibility_violations')
+      ->fields([
+        'scanned_url',
+        'impact',
+        'description',
+        'help_url',
+        'nodes',
+        'timestamp',
+        'scan_id',
+      ]);
+    foreach ($violations as $violation) {
+      $description = $violation['description'] ?? $violation['help'] ?? 'Unknown issue';
+      // Truncate the description to fit the varchar(255) column.
+      if (strlen($description) > 255) {
+        $description = substr($description, 0, 252) . '...';
+      }
+
+      $insert->values([
+        'scanned_url' => $url,
+        'impact' => $violation['impact'] ?? 'minor',
+        'description' => $description,
+        'help_url' => $violation['helpUrl'] ?? '',
+        'nodes' => serialize($violation['nodes'] ?? []),
+        'timestamp' => $timestamp,
+        'scan_id' => $scan_id,
+      ]);
+    }
+    $insert->execute();
+  }
+
+  /**
+   * Replaces the stored violations of a page if a scan is its latest.
+   *
+   * @param array $scan
+   *   The scan, as returned by getScan().
+   * @param array $violations
+   *   Its violations left after the baseline.
+   */
+  public function refreshLatestViolations(array $scan, array $violations) {
+    $latest = $this->getLatestScan($scan['url']);
+    if (!$latest || $latest['id'] !== $scan['id']) {
+      return;
+    }
+
+    // The rows keep the URL as the scanner sent it.
+    $url = $this->database->select('accessibility_violations', 'v')
+      ->fields('v', ['scanned_url'])
+      ->condition('scan_id', $scan['id'])
+      ->range(0, 1)
+      ->execute()
+      ->fetchField();
+    if ($url === FALSE) {
+      // The latest scan may have saved no rows, when the baseline left out
+      // all of its violations.
+      $url = $scan['url'];
+    }
+    $this->saveLatestViolations($url, $violations, $scan['timestamp'], $scan['id']);
+  }
+
+  /**
+   * Gets a scan with its violations.
+   *
+   * @param int $id
+   *   The scan ID.
+   *
+   * @return array|null
+   *   The scan, or NULL if there is none with this ID.
+   */
+  public function getScan($id) {
+    $row = $this->database->select('accessibility_scans', 's')
+      ->fields('s')
+      ->condition('id', $id)
+      ->execute()
+      ->fetchAssoc();
+    return $row ? $this->normalizeScan($row) : NULL;
+  }
+
+  /**
+   * Lists the saved scans of a URL, newest first.
+   *
+   * @param string $url
+   *   The URL.
+   *
+   * @return array
+   *   Scans without their violations.
+   */
+  public function getScans($url) {
+    $query = $this->database->select('accessibility_scans', 's')
+      ->fields('s', ['id', 'scanned_url', 'profile', 'uid', 'user_agent', 'timestamp', 'total', 'nodes'])
+      ->fields('s', self::IMPACTS)
+      ->condition('scanned_url', $this->cacheService->normalizeUrl($url))
+      ->orderBy('id', 'DESC');
+
+    $scans = [];
+    foreach ($query->execute()->fetchAll(\PDO::FETCH_ASSOC) as $row) {
+      $scans[] = $this->normalizeScan($row);
+    }
+    return $scans;
+  }
+
+  /**
+   * Lists every violating element seen in the saved scans of a URL.
+   *
+   * Elements are matched across scans by rule and selector, like in diff().
+   *
+   * @param string $url
+   *   The URL.
+   *
+   * @return array
+   *   One item per rule and element, in the order they were first seen, with
+   *   the rule's id, impact, help, helpUrl and tags, the element's selector,
+   *   html and failureSummary as last seen, and these keys:
+   *   - first_seen, last_seen: the timestamps of the first and last scan the
+   *     element failed in.
+   *   - status: 'fixed' when it no longer fails in the latest scan, 'new'
+   *     when it only fails in the latest scan and the URL was scanned
+   *     before, and 'open' otherwise.
+   */
+  public function getInstances($url) {
+    $rows = $this->database->select('accessibility_scans', 's')
+      ->fields('s', ['id', 'timestamp', 'results'])
+      ->condition('scanned_url', $this->cacheService->normalizeUrl($url))
+      ->orderBy('id')
+      ->execute()
+      ->fetchAll(\PDO::FETCH_ASSOC);
+    if (!$rows) {
+      return [];
+    }
+
+    $instances = [];
+    foreach ($rows as $row) {
+      foreach (json_decode($row['results'], TRUE) ?: [] as $violation) {
+        foreach ($violation['nodes'] ?? [] as $node) {
+          $selector = $this->targetToSelector($node['target'] ?? []);
+          $key = $violation['id'] . ' ' . $selector;
+          $instances[$key] = [
+            'id' => $violation['id'],
+            'impact' => $violation['impact'],
+            'help' => $violation['help'] ?: $violation['description'],
+            'helpUrl' => $violation['helpUrl'],
+            'tags' => $violation['tags'],
+            'selector' => $selector,
+            'html' => $node['html'],
+            'failureSummary' => $node['failureSummary'],
+            'first_seen' => $instances[$key]['first_seen'] ?? (int) $row['timestamp'],
+            'first_scan' => $instances[$key]['first_scan'] ?? (int) $row['id'],
+            'last_seen' => (int) $row['timestamp'],
+            'last_scan' => (int) $row['id'],
+          ];
+        }
+      }
+    }
+
+    $latest = (int) end($rows)['id'];
+    $rescanned = count($rows) > 1;
+    foreach ($instances as &$instance) {
+      if ($instance['last_scan'] !== $latest) {
+        $instance['status'] = 'fixed';
+      }
+      elseif ($rescanned && $instance['first_scan'] === $latest) {
+        $instance['status'] = 'new';
+      }
+      else {
+        $instance['status'] = 'open';
+      }
+      unset($instance['first_scan'], $instance['last_scan']);
+    }
+    unset($instance);
+
+    return array_values($instances);
+  }
+
+  /**
+   * Compares a scan with the scan of the same URL before it.
+   *
+   * Scans run other rules under another profile, so the scan is compared
+   * with the latest earlier scan of the same profile, and only with an
+   * earlier scan of another profile when there is none.
+   *
+   * @param array $scan
+   *   The scan, as returned by getScan().
+   *
+   * @return array
+   *   The diff, see diff().
+   */
+  public function getDiff(array $scan) {
+    $previous = $this->getLatestScan($scan['url'], $scan['id'], $scan['profile']) ?? $this->getLatestScan($scan['url'], $scan['id']);
+    return $this->diff($previous, $scan);
+  }
+
+  /**
+   * Gets the latest scan of a URL.
+   *
+   * @param string $url
+   *   The URL.
+   * @param int|null $before_id
+   *   Only consider scans saved before this scan.
+   * @param string|null $profile
+   *   Only consider scans with this scan profile.
+   *
+   * @return array|null
+   *   The scan, or NULL if the URL has no (earlier) scan.
+   */
+  public function getLatestScan($url, $before_id = NULL, $profile = NULL) {
+    $query = $this->database->select('accessibility_scans', 's')
+      ->fields('s')
+      ->condition('scanned_url', $this->cacheService->normalizeUrl($url))
+      ->orderBy('id', 'DESC')
+      ->range(0, 1);
+    if ($before_id) {
+      $query->condition('id', $before_id, '<');
+    }
+    if ($profile !== NULL) {
+      $query->condition('profile', $profile);
+    }
+    $row = $query->execute()->fetchAssoc();
+    return $row ? $this->normalizeScan($row) : NULL;
+  }
+
+  /**
+   * Gets the latest scan of every scanned URL.
+   *
+   * @param int|null $until
+   *   Only consider scans saved up to this timestamp, to see the pages as
+   *   they were at that time.
+   * @param bool $unfiltered
+   *   Whether to get the violations from before the baseline was applied.
+   *
+   * @return array
+   *   Scans with their violations, keyed by URL and ordered by URL.
+   */
+  public function getLatestScans($until = NULL, $unfiltered = FALSE) {
+    $latest = $this->database->select('accessibility_scans', 's');
+    $latest->addExpression('MAX(id)', 'id');
+    if ($until !== NULL) {
+      $latest->condition('timestamp', $until, '<=');
+    }
+    $latest->groupBy('scanned_url');
+    $ids = $latest->execute()->fetchCol();
+    if (!$ids) {
+      return [];
+    }
+
+    $rows = $this->database->select('accessibility_scans', 's')
+      ->fields('s')
+      ->condition('id', $ids, 'IN')
+      ->orderBy('scanned_url')
+      ->execute()
+      ->fetchAll(\PDO::FETCH_ASSOC);
+
+    $scans = [];
+    foreach ($rows as $row) {
+      $scans[$row['scanned_url']] = $this->normalizeScan($row);
+      if ($unfiltered && isset($row['unfiltered'])) {
+        $scans[$row['scanned_url']]['violations'] = json_decode($row['unfiltered'], TRUE) ?: [];
+      }
+    }
+    return $scans;
+  }
+
+  /**
+   * Summarizes the pages scanned in a period.
+   *
+   * Each page counts with the latest scan saved in the period.
+   *
+   * @param int $start
+   *   The start timestamp of the period.
+   * @param int $end
+   *   The end timestamp of the period.
+   *
+   * @return array
+   *   The number of pages scanned and of the rules they violate, in total and
+   *   by impact, keyed like the summary of the statistics page:
+   *   unique_pages, total_violations and <impact>_violations.
+   */
+  public function getSummary($start, $end) {
+    $latest = $this->database->select('accessibility_scans', 's');
+    $latest->addExpression('MAX(id)', 'id');
+    $latest->condition('timestamp', [$start, $end], 'BETWEEN');
+    $latest->groupBy('scanned_url');
+    $ids = $latest->execute()->fetchCol();
+
+    $summary = [
+      'unique_pages' => count($ids),
+      'total_violations' => 0,
+    ];
+    foreach (self::IMPACTS as $impact) {
+      $summary[$impact . '_violations'] = 0;
+    }
+    if (!$ids) {
+      return $summary;
+    }
+
+    $query = $this->database->select('accessibility_scans', 's')
+      ->condition('id', $ids, 'IN');
+    $query->addExpression('SUM(total)', 'total_violations');
+    foreach (self::IMPACTS as $impact) {
+      $query->addExpression("SUM($impact)", $impact . '_violations');
+    }
+    foreach ($query->execute()->fetchAssoc() as $key => $value) {
+      $summary[$key] = (int) $value;
+    }
+    return $summary;
+  }
+
+  /**
+   * Gets the violations open at the end of each of a series of periods.
+   *
+   * Each page counts with its latest scan saved by the end of a period, so
+   * the values show what was open at that point in time, and violations
+   * drop out once a later scan no longer finds them.
+   *
+   * @param int[] $ends
+   *   The end timestamps of the periods, in ascending order.
+   * @param string $group
+   *   What to count: 'impact' for violated rules by impact, 'rule' for the
+   *   failing elements of rules, or 'url' for the violated rules of pages.
+   * @param string[] $keys
+   *   The rule IDs or normalized URLs to count, for 'rule' and 'url'.
+   *
+   * @return array
+   *   Keyed by impact, rule ID or URL, the values at the end of each period,
+   *   in the order of $ends.
+   */
+  public function getTrends(array $ends, $group, array $keys = []) {
+    $names = $group === 'impact' ? self::IMPACTS : array_values($keys);
+    $trends = array_fill_keys($names, []);
+    if (!$ends || !$names) {
+      return $trends;
+    }
+
+    $query = $this->database->select('accessibility_scans', 's')
+      ->fields('s', ['id', 'scanned_url', 'timestamp', 'total'])
+      ->fields('s', self::IMPACTS)
+      ->condition('timestamp', max($ends), '<=')
+      ->orderBy('timestamp')
+      ->orderBy('id');
+    if ($group === 'rule') {
+      $query->fields('s', ['results']);
+    }
+    elseif ($group === 'url') {
+      $query->condition('scanned_url', $names, 'IN');
+    }
+    $result = $query->execute();
+
+    // Walk the scans in time order, keeping the values of the latest scan of
+    // every page, and read the totals off at the end of each period.
+    $state = [];
+    $row = $result->fetchAssoc();
+    foreach ($ends as $end) {
+      while ($row && $row['timestamp'] <= $end) {
+        $state[$row['scanned_url']] = $this->trendValues($row, $group, $names);
+        $row = $result->fetchAssoc();
+      }
+      foreach ($names as $name) {
+        $trends[$name][] = array_sum(array_column($state, $name));
+      }
+    }
+    return $trends;
+  }
+
+  /**
+   * Compares the latest scan of a URL with the scan before it.
+   *
+   * @param string $url
+   *   The URL.
+   *
+   * @return array|null
+   *   The diff, see diff(), or NULL if the URL has not been scanned.
+   */
+  public function getLatestDiff($url) {
+    $current = $this->getLatestScan($url);
+    if (!$current) {
+      return NULL;
+    }
+    return $this->getDiff($current);
+  }
+
+  /**
+   * Compares two scans of the same URL.
+   *
+   * Violations are matched by rule, and their elements by selector.
+   *
+   * @param array|null $previous
+   *   The earlier scan, or NULL if there is none.
+   * @param array $current
+   *   The later scan.
+   *
+   * @return array
+   *   The diff with these keys:
+   *   - scan_id, timestamp, profile: the later scan.
+   *   - previous_scan_id, previous_timestamp, previous_profile: the earlier
+   *     scan, or NULL.
+   *   - profile_changed: whether the scans used different profiles, so that
+   *     rules only one of them runs show as new or fixed.
+   *   - new: violations only in the later scan.
+   *   - fixed: violations only in the earlier scan.
+   *   - persisting: violations in both, with previous_count, added and
+   *     removed (the selectors of elements that started or stopped failing).
+   *   - summary: the number of new, fixed, persisting and changed (persisting
+   *     with a different number of elements) violations.
+   *   Violations have id, impact, help and count keys.
+   */
+  public function diff($previous, array $current) {
+    $before = $previous ? $this->indexViolations($previous['violations']) : [];
+    $after = $this->indexViolations($current['violations']);
+
+    $diff = [
+      'scan_id' => $current['id'],
+      'timestamp' => $current['timestamp'],
+      'previous_scan_id' => $previous ? $previous['id'] : NULL,
+      'previous_timestamp' => $previous ? $previous['timestamp'] : NULL,
+      'profile' => $current['profile'],
+      'previous_profile' => $previous ? $previous['profile'] : NULL,
+      'profile_changed' => $previous && $previous['profile'] !== $current['profile'],
+      'new' => [],
+      'fixed' => [],
+      'persisting' => [],
+    ];
+
+    foreach ($after as $rule_id => $violation) {
+      if (!$previous) {
+        continue;
+      }
+      if (!isset($before[$rule_id])) {
+        $diff['new'][] = $this->summarize($violation);
+        continue;
+      }
+
+      $item = $this->summarize($violation);
+      $item['previous_count'] = count($before[$rule_id]['selectors']);
+      $item['added'] = array_values(array_diff($violation['selectors'], $before[$rule_id]['selectors']));
+      $item['removed'] = array_values(array_diff($before[$rule_id]['selectors'], $violation['selectors']));
+      $diff['persisting'][] = $item;
+    }
+    foreach ($before as $rule_id => $violation) {
+      if (!isset($after[$rule_id])) {
+        $diff['fixed'][] = $this->summarize($violation);
+      }
+    }
+
+    $diff['summary'] = [
+      'new' => count($diff['new']),
+      'fixed' => count($diff['fixed']),
+      'persisting' => count($diff['persisting']),
+      'changed' => count(array_filter($diff['persisting'], function ($item) {
+        return $item['count'] !== $item['previous_count'];
+      })),
+    ];
+
+    return $diff;
+  }
+
+  /**
+   * Indexes violations by rule with the selectors of their elements.
+   */
+  protected function indexViolations(array $violations) {
+    $index = [];
+    foreach ($violations as $violation) {
+      $selectors = [];
+      foreach ($violation['nodes'] ?? [] as $node) {
+        $selectors[] = $this->targetToSelector($node['target'] ?? []);
+      }
+      $violation['selectors'] = $selectors;
+      $index[$violation['id']] = $violation;
+    }
+    return $index;
+  }
+
+  /**
+   * Gets what a scan counts towards the trends, see getTrends().
+   */
+  protected function trendValues(array $row, $group, array $names) {
+    switch ($group) {
+      case 'impact':
+        return array_map('intval', array_intersect_key($row, array_flip(self::IMPACTS)));
+
+      case 'url':
+        return [$row['scanned_url'] => (int) $row['total']];
+
+      default:
+        $values = [];
+        foreach (json_decode($row['results'], TRUE) ?: [] as $violation) {
+          if (in_array($violation['id'], $names, TRUE)) {
+            $values[$violation['id']] = count($violation['nodes'] ?? []);
+          }
+        }
+        return $values;
+    }
+  }
+
+  /**
+   * Reduces an indexed violation to what a diff reports about it.
+   */
+  protected function summarize(array $violation) {
+    return [
+      'id' => $violation['id'],
+      'impact' => $violation['impact'],
+      'help' => $violation['help'] ?: $violation['description'],
+      'count' => count($violation['selectors']),
+    ];
+  }
+
+  /**
+   * Joins an axe target into one selector.
+   */
+  protected function targetToSelector($target) {
+    $parts = [];
+    foreach ((array) $target as $part) {
+      $parts[] = is_array($part) ? implode(' ', $part) : (string) $part;
+    }
+    return implode(' ', $parts);
+  }
+
+  /**
+   * Reduces violations to what is stored with a scan.
+   */
+  protected function normalizeViolations(array $violations) {
+    $results = [];
+    foreach ($violations as $violation) {
+      $nodes = [];
+      foreach ($violation['nodes'] ?? [] as $node) {
+        $nodes[] = [
+          'target' => (array) ($node['target'] ?? []),
+          'html' => mb_substr($node['html'] ?? '', 0, 1000),
+          'failureSummary' => $node['failureSummary'] ?? '',
+        ];
+      }
+
+      $results[] = [
+        'id' => $violation['id'] ?? '',
+        'impact' => $violation['impact'] ?? 'minor',
+        'description' => $violation['description'] ?? '',
+        'help' => $violation['help'] ?? '',
+        'helpUrl' => $violation['helpUrl'] ?? '',
+        'tags' => $violation['tags'] ?? [],
+        'nodes' => $nodes,
+      ];
+    }
+    return $results;
+  }
+
+  /**
+   * Counts the violated rules and elements of stored violations.
+   */
+  protected function countResults(array $results) {
+    $counts = [
+      'total' => count($results),
+      'nodes' => 0,
+    ];
+    foreach (self::IMPACTS as $impact) {
+      $counts[$impact] = 0;
+    }
+    foreach ($results as $result) {
+      $counts['nodes'] += count($result['nodes']);
+      if (in_array($result['impact'], self::IMPACTS, TRUE)) {
+        $counts[$result['impact']]++;
+      }
+    }
+    return $counts;
+  }
+
+  /**
+   * Casts a database row to a scan.
+   *
+   * Rows selected without the results column give a scan without the
+   * violations key.
+   */
+  protected function normalizeScan(array $row) {
+    $scan = [
+      'id' => (int) $row['id'],
+      'url' => $row['scanned_url'],
+      'profile' => $row['profile'],
+      'uid' => (int) $row['uid'],
+      'user_agent' => $row['user_agent'],
+      'timestamp' => (int) $row['timestamp'],
+      'counts' => [
+        'total' => (int) $row['total'],
+        'nodes' => (int) $row['nodes'],
+      ],
+    ];
+    if (isset($row['results'])) {
+      $scan['violations'] = json_decode($row['results'], TRUE) ?: [];
+    }
+    foreach (self::IMPACTS as $impact) {
+      $scan['counts'][$impact] = (int) $row[$impact];
+    }
+    return $scan;
+  }
+
+}
@@ -0,0 +1,176 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Service\ScanProfileManager.
+ *
+ * Service for reading the configured axe scan profiles.
+ */
+
+namespace Drupal\accessibility\Service;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+
+/**
+ * Provides the scan profiles that decide which axe rules a scan runs.
+ *
+ * A profile is a WCAG conformance target (version and level) plus optional
+ * best-practice and experimental rules and per-rule overrides. Profiles are
+ * stored in accessibility.settings and turned into axe.run() options by
+ * Drupal.accessibility.scanner on the client.
+ */
+class ScanProfileManager {
+
+  /**
+   * Supported WCAG versions, keyed by config value.
+   */
+  const WCAG_VERSIONS = [
+    '2.0' => 'WCAG 2.0',
+    '2.1' => 'WCAG 2.1',
+    '2.2' => 'WCAG 2.2',
+  ];
+
+  /**
+   * Supported WCAG conformance levels, keyed by config value.
+   */
+  const WCAG_LEVELS = [
+    'A' => 'Level A',
+    'AA' => 'Level AA',
+    'AAA' => 'Level AAA',
+  ];
+
+  /**
+   * Profile used when none have been configured yet.
+   *
+   * Matches the tags the scan UIs hardcoded before profiles existed.
+   */
+  const DEFAULT_PROFILE = [
+    'id' => 'wcag21_aa',
+    'label' => 'WCAG 2.1 AA',
+    'wcag_version' => '2.1',
+    'wcag_level' => 'AA',
+    'best_practice' => FALSE,
+    'experimental' => FALSE,
+    'enabled_rules' => [],
+    'disabled_rules' => [],
+  ];
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * Constructs a new ScanProfileManager.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   */
+  public function __construct(ConfigFactoryInterface $config_factory) {
+    $this->configFactory = $config_factory;
+  }
+
+  /**
+   * Gets all configured scan profiles.
+   *
+   * @return array
+   *   Profiles keyed by ID, each normalized to the full set of keys.
+   */
+  public function getProfiles() {
+    $profiles = [];
+    $configured = $this->configFactory->get('accessibility.settings')->get('scan_profiles') ?: [];
+
+    foreach ($configured as $profile) {
+      if (!empty($profile['id'])) {
+        $profiles[$profile['id']] = $this->normalizeProfile($profile);
+      }
+    }
+
+    if (empty($profiles)) {
+      $profiles[self::DEFAULT_PROFILE['id']] = self::DEFAULT_PROFILE;
+    }
+
+    return $profiles;
+  }
+
+  /**
+   * Gets a single scan profile.
+   *
+   * @param string $id
+   *   The profile ID.
+   *
+   * @return array|null
+   *   The profile, or NULL if it does not exist.
+   */
+  public function getProfile($id) {
+    $profiles = $this->getProfiles();
+    return $profiles[$id] ?? NULL;
+  }
+
+  /**
+   * Gets the ID of the profile scans use unless another one is picked.
+   *
+   * @return string
+   *   The default profile ID, always one of getProfiles().
+   */
+  public function getDefaultProfileId() {
+    $profiles = $this->getProfiles();
+    $default = $this->configFactory->get('accessibility.settings')->get('default_scan_profile');
+    return isset($profiles[$default]) ? $default : array_key_first($profiles);
+  }
+
+  /**
+   * Gets profile labels for use as select options.
+   *
+   * @return array
+   *   Profile labels keyed by ID.
+   */
+  public function getProfileOptions() {
+    return array_map(function ($profile) {
+      return $profile['label'];
+    }, $this->getProfiles());
+  }
+
+  /**
+   * Builds the scan profile settings passed to the scanner in drupalSettings.
+   *
+   * @return array
+   *   An array with 'default' and 'profiles' keys.
+   */
+  public function getClientSettings() {
+    return [
+      'default' => $this->getDefaultProfileId(),
+      'profiles' => $this->getProfiles(),
+    ];
+  }
+
+  /**
+   * Fills in missing keys and casts values of a stored profile.
+   *
+   * @param array $profile
+   *   The profile as stored in config.
+   *
+   * @return array
+   *   The normalized profile.
+   */
+  public function normalizeProfile(array $profile) {
+    $profile += self::DEFAULT_PROFILE;
+
+    if (!isset(self::WCAG_VERSIONS[$profile['wcag_version']])) {
+      $profile['wcag_version'] = self::DEFAULT_PROFILE['wcag_version'];
+    }
+    if (!isset(self::WCAG_LEVELS[$profile['wcag_level']])) {
+      $profile['wcag_level'] = self::DEFAULT_PROFILE['wcag_level'];
+    }
+
+    $profile['best_practice'] = (bool) $profile['best_practice'];
+    $profile['experimental'] = (bool) $profile['experimental'];
+    $profile['enabled_rules'] = array_values(array_filter((array) $profile['enabled_rules']));
+    $profile['disabled_rules'] = array_values(array_filter((array) $profile['disabled_rules']));
+
+    return $profile;
+  }
+
+}
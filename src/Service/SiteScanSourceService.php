@@ -0,0 +1,159 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Service\SiteScanSourceService.
+ *
+ * Service collecting the URLs a site scan can cover.
+ */
+
+namespace Drupal\accessibility\Service;
+
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Menu\MenuLinkTreeInterface;
+use Drupal\Core\Menu\MenuTreeParameters;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+
+/**
+ * Collects the URLs of this site a site scan can be started with.
+ *
+ * Sources are the managed target list, the pages where the scan button was
+ * used and the links of each site menu. Every source is offered separately on the dashboard, and
+ * the crawler removes duplicates across the sources picked.
+ */
+class SiteScanSourceService {
+
+  use StringTranslationTrait;
+
+  /**
+   * Menus that link to administrative or account pages, never offered.
+   */
+  const EXCLUDED_MENUS = ['admin', 'devel', 'tools', 'account'];
+
+  /**
+   * Routes that must never be loaded by the crawler.
+   */
+  const EXCLUDED_ROUTES = ['user.logout', 'user.logout.confirm'];
+
+  /**
+   * The accessibility cache service.
+   *
+   * @var \Drupal\accessibility\Service\AccessibilityCacheService
+   */
+  protected $cacheService;
+
+  /**
+   * The menu link tree.
+   *
+   * @var \Drupal\Core\Menu\MenuLinkTreeInterface
+   */
+  protected $menuTree;
+
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The site target service.
+   *
+   * @var \Drupal\accessibility\Service\SiteTargetService
+   */
+  protected $siteTargets;
+
+  /**
+   * Constructs a new SiteScanSourceService.
+   *
+   * @param \Drupal\accessibility\Service\AccessibilityCacheService $cache_service
+   *   The accessibility cache service.
+   * @param \Drupal\Core\Menu\MenuLinkTreeInterface $menu_tree
+   *   The menu link tree.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\accessibility\Service\SiteTargetService $site_targets
+   *   The site target service.
+   */
+  public function __construct(AccessibilityCacheService $cache_service, MenuLinkTreeInterface $menu_tree, EntityTypeManagerInterface $entity_type_manager, SiteTargetService $site_targets) {
+    $this->cacheService = $cache_service;
+    $this->menuTree = $menu_tree;
+    $this->entityTypeManager = $entity_type_manager;
+    $this->siteTargets = $site_targets;
+  }
+
+  /**
+   * Gets the sources of URLs a site scan can start with.
+   *
+   * @return array
+   *   Sources keyed by ID, each with a label and a list of absolute URLs.
+   *   Sources without URLs are left out.
+   */
+  public function getSources() {
+    $sources = [];
+
+    $sources['targets'] = [
+      'label' => $this->t('Pages on the target list'),
+      'urls' => $this->siteTargets->getUrls(),
+    ];
+
+    $sources['scan_button'] = [
+      'label' => $this->t('Pages where the scan button was used'),
+      'urls' => array_values(array_unique($this->cacheService->getScanButtonUrls())),
+    ];
+
+    foreach ($this->entityTypeManager->getStorage('menu')->loadMultiple() as $menu_id => $menu) {
+      if (in_array($menu_id, self::EXCLUDED_MENUS, TRUE)) {
+        continue;
+      }
+      $sources['menu:' . $menu_id] = [
+        'label' => $this->t('Links in the @menu menu', ['@menu' => $menu->label()]),
+        'urls' => $this->getMenuUrls($menu_id),
+      ];
+    }
+
+    return array_filter($sources, function ($source) {
+      return !empty($source['urls']);
+    });
+  }
+
+  /**
+   * Gets the URLs of the enabled, accessible internal links of a menu.
+   *
+   * @param string $menu_id
+   *   The menu ID.
+   *
+   * @return string[]
+   *   Absolute URLs.
+   */
+  public function getMenuUrls($menu_id) {
+    $parameters = new MenuTreeParameters();
+    $parameters->onlyEnabledLinks();
+
+    $tree = $this->menuTree->load($menu_id, $parameters);
+    $tree = $this->menuTree->transform($tree, [
+      ['callable' => 'menu.default_tree_manipulators:checkAccess'],
+      ['callable' => 'menu.default_tree_manipulators:flatten'],
+    ]);
+
+    $urls = [];
+    foreach ($tree as $element) {
+      if ($element->access && !$element->access->isAllowed()) {
+        continue;
+      }
+
+      $url = $element->link->getUrlObject();
+      if ($url->isExternal()) {
+        continue;
+      }
+      if ($url->isRouted() && ($url->getRouteName() === '<nolink>' || $url->getRouteName() === '<none>' || in_array($url->getRouteName(), self::EXCLUDED_ROUTES, TRUE))) {
+        continue;
+      }
+
+      $urls[] = $url->setAbsolute()->toString(TRUE)->getGeneratedUrl();
+    }
+
+    return array_values(array_unique($urls));
+  }
+
+}
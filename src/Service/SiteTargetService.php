@@ -0,0 +1,544 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Service\SiteTargetService.
+ *
+ * Service managing the list of pages site scans and reports cover.
+ */
+
+namespace Drupal\accessibility\Service;
+
+use Drupal\Core\Cache\Cache;
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Database\Connection;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\File\FileSystemInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Path\PathMatcherInterface;
+use GuzzleHttp\ClientInterface;
+use GuzzleHttp\Exception\RequestException;
+use Symfony\Component\HttpFoundation\RequestStack;
+
+/**
+ * Builds and stores the managed list of pages to scan.
+ *
+ * The list is built from sitemaps, a sample of the published nodes of each
+ * content type and URLs added by hand, filtered by include and exclude path
+ * patterns. It is stored in the accessibility_targets table and only changes
+ * when it is rebuilt, so scans and reports work from a stable set of pages.
+ */
+class SiteTargetService {
+
+  /**
+   * The settings of the target list when none are saved.
+   */
+  const DEFAULT_SETTINGS = [
+    'sitemaps' => [],
+    'include' => '',
+    'exclude' => '',
+    'samples_per_type' => 0,
+    'urls' => [],
+  ];
+
+  /**
+   * The most pages the target list holds.
+   */
+  const MAX_TARGETS = 2000;
+
+  /**
+   * How deep sitemap indexes are followed.
+   */
+  const MAX_SITEMAP_DEPTH = 2;
+
+  /**
+   * The directory sitemap files are read from.
+   *
+   * Sitemaps are only read from this site or from this directory, so the
+   * target list cannot be used to read other files or fetch other hosts.
+   */
+  const SITEMAP_DIRECTORY = 'public://accessibility/sitemaps';
+
+  /**
+   * The database connection.
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The HTTP client.
+   *
+   * @var \GuzzleHttp\ClientInterface
+   */
+  protected $httpClient;
+
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The path matcher.
+   *
+   * @var \Drupal\Core\Path\PathMatcherInterface
+   */
+  protected $pathMatcher;
+
+  /**
+   * The request stack.
+   *
+   * @var \Symfony\Component\HttpFoundation\RequestStack
+   */
+  protected $requestStack;
+
+  /**
+   * The accessibility cache service.
+   *
+   * @var \Drupal\accessibility\Service\AccessibilityCacheService
+   */
+  protected $cacheService;
+
+  /**
+   * The logger.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelInterface
+   */
+  protected $logger;
+
+  /**
+   * The file system.
+   *
+   * @var \Drupal\Core\File\FileSystemInterface
+   */
+  protected $fileSystem;
+
+  /**
+   * Constructs a new SiteTargetService.
+   *
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \GuzzleHttp\ClientInterface $http_client
+   *   The HTTP client.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\Core\Path\PathMatcherInterface $path_matcher
+   *   The path matcher.
+   * @param \Symfony\Component\HttpFoundation\RequestStack $request_stack
+   *   The request stack.
+   * @param \Drupal\accessibility\Service\AccessibilityCacheService $cache_service
+   *   The accessibility cache service.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   * @param \Drupal\Core\File\FileSystemInterface $file_system
+   *   The file system.
+   */
+  public function __construct(Connection $database, ConfigFactoryInterface $config_factory, ClientInterface $http_client, EntityTypeManagerInterface $entity_type_manager, PathMatcherInterface $path_matcher, RequestStack $request_stack, AccessibilityCacheService $cache_service, LoggerChannelFactoryInterface $logger_factory, FileSystemInterface $file_system) {
+    $this->database = $database;
+    $this->configFactory = $config_factory;
+    $this->httpClient = $http_client;
+    $this->entityTypeManager = $entity_type_manager;
+    $this->pathMatcher = $path_matcher;
+    $this->requestStack = $request_stack;
+    $this->cacheService = $cache_service;
+    $this->logger = $logger_factory->get('accessibility');
+    $this->fileSystem = $file_system;
+  }
+
+  /**
+   * Gets the settings the target list is built from.
+   *
+   * @return array
+   *   The settings, with the keys of DEFAULT_SETTINGS.
+   */
+  public function getSettings() {
+    $settings = $this->configFactory->get('accessibility.settings')->get('site_targets') ?: [];
+    return $settings + self::DEFAULT_SETTINGS;
+  }
+
+  /**
+   * Gets the pages on the target list.
+   *
+   * @return array
+   *   Targets ordered by URL, each with url, source, bundle and created keys.
+   */
+  public function getTargets() {
+    return $this->database->select('accessibility_targets', 't')
+      ->fields('t', ['url', 'source', 'bundle', 'created'])
+      ->orderBy('url')
+      ->execute()
+      ->fetchAll(\PDO::FETCH_ASSOC);
+  }
+
+  /**
+   * Gets the URLs on the target list.
+   *
+   * @return string[]
+   *   Normalized absolute URLs, ordered by URL.
+   */
+  public function getUrls() {
+    return $this->database->select('accessibility_targets', 't')
+      ->fields('t', ['url'])
+      ->orderBy('url')
+      ->execute()
+      ->fetchCol();
+  }
+
+  /**
+   * Rebuilds the target list from the saved settings.
+   *
+   * URLs added by hand come first and are never filtered, then the URLs of
+   * the sitemaps and the sampled nodes, filtered by the path patterns.
+   *
+   * @return array
+   *   A summary with keys:
+   *   - manual, sitemap, sample: The number of targets from each source.
+   *   - excluded: The number of URLs the path patterns left out.
+   *   - truncated: Whether URLs were dropped to stay within MAX_TARGETS.
+   *   - errors: Messages for the sitemaps and URLs that could not be used.
+   */
+  public function rebuild() {
+    $settings = $this->getSettings();
+    $summary = [
+      'manual' => 0,
+      'sitemap' => 0,
+      'sample' => 0,
+      'excluded' => 0,
+      'truncated' => FALSE,
+      'errors' => [],
+    ];
+    $targets = [];
+
+    $add = function ($url, $source, $bundle = '') use (&$targets, &$summary, $settings) {
+      $url = $this->cacheService->normalizeUrl($url);
+      if (isset($targets[$url])) {
+        return;
+      }
+      if ($source !== 'manual' && !$this->matchesPatterns($url, $settings['include'], $settings['exclude'])) {
+        $summary['excluded']++;
+        return;
+      }
+      if (count($targets) >= self::MAX_TARGETS) {
+        $summary['truncated'] = TRUE;
+        return;
+      }
+      $targets[$url] = ['source' => $source, 'bundle' => $bundle];
+      $summary[$source]++;
+    };
+
+    foreach ($settings['urls'] as $url) {
+      $absolute = $this->toSiteUrl($url, FALSE);
+      if ($absolute === NULL) {
+        $summary['errors'][] = sprintf('%s is not a page of this site.', $url);
+        continue;
+      }
+      $add($absolute, 'manual');
+    }
+
+    foreach ($settings['sitemaps'] as $location) {
+      try {
+        foreach ($this->readSitemap($location) as $url) {
+          $add($url, 'sitemap');
+        }
+      }
+      catch (\RuntimeException $e) {
+        $summary['errors'][] = $e->getMessage();
+        $this->logger->warning('Could not import the sitemap @location: @error', [
+          '@location' => $location,
+          '@error' => $e->getMessage(),
+        ]);
+      }
+    }
+
+    foreach ($this->sampleNodes((int) $settings['samples_per_type']) as $bundle => $urls) {
+      foreach ($urls as $url) {
+        $add($url, 'sample', $bundle);
+      }
+    }
+
+    $created = time();
+    $transaction = $this->database->startTransaction();
+    $this->database->delete('accessibility_targets')->execute();
+    if ($targets) {
+      $insert = $this->database->insert('accessibility_targets')
+        ->fields(['url', 'source', 'bundle', 'created']);
+      foreach ($targets as $url => $target) {
+        $insert->values([
+          'url' => $url,
+          'source' => $target['source'],
+          'bundle' => $target['bundle'],
+          'created' => $created,
+        ]);
+      }
+      $insert->execute();
+    }
+    unset($transaction);
+
+    // The comprehensive report lists the targets.
+    Cache::invalidateTags(['accessibility:comprehensive_report']);
+
+    return $summary;
+  }
+
+  /**
+   * Reads the page URLs of a sitemap, following sitemap indexes.
+   *
+   * @param string $location
+   *   An absolute URL, a path of this site such as /sitemap.xml, or a file
+   *   path or stream wrapper URI such as public://sitemap.xml.
+   * @param int $depth
+   *   How many sitemap indexes led to this sitemap.
+   *
+   * @return string[]
+   *   Absolute URLs of this site. URLs of another host, such as the live site
+   *   in a sitemap file imported on a copy of it, are moved to this site.
+   *
+   * @throws \RuntimeException
+   *   When the sitemap cannot be read or is not a sitemap.
+   */
+  public function readSitemap($location, $depth = 0) {
+    $xml = $this->parseSitemap($this->loadSitemap($location), $location);
+
+    $urls = [];
+    if ($xml->getName() === 'sitemapindex') {
+      if ($depth >= self::MAX_SITEMAP_DEPTH) {
+        throw new \RuntimeException(sprintf('%s nests sitemap indexes too deeply.', $location));
+      }
+      foreach ($xml->sitemap as $sitemap) {
+        $child = $this->toSiteUrl(trim((string) $sitemap->loc));
+        if ($child !== NULL) {
+          $urls = array_merge($urls, $this->readSitemap($child, $depth + 1));
+        }
+      }
+    }
+    else {
+      foreach ($xml->url as $entry) {
+        $url = $this->toSiteUrl(trim((string) $entry->loc));
+        if ($url !== NULL) {
+          $urls[] = $url;
+        }
+      }
+    }
+
+    return array_values(array_unique($urls));
+  }
+
+  /**
+   * Whether a sitemap location may be read.
+   *
+   * @param string $location
+   *   The sitemap location, as for readSitemap().
+   *
+   * @return bool
+   *   TRUE for a path or URL of this site, or a file in SITEMAP_DIRECTORY.
+   */
+  public function allowsSitemap($location) {
+    return $this->sitemapFile($location) !== NULL || $this->toSiteUrl($location, FALSE) !== NULL;
+  }
+
+  /**
+   * Resolves a sitemap location to a file in SITEMAP_DIRECTORY.
+   *
+   * @param string $location
+   *   The sitemap location.
+   *
+   * @return string|null
+   *   The real path of the file, or NULL if the location is not a file in
+   *   the directory.
+   */
+  protected function sitemapFile($location) {
+    if (strpos($location, self::SITEMAP_DIRECTORY . '/') !== 0) {
+      return NULL;
+    }
+
+    // Resolve both, so that ".." and symbolic links cannot leave the
+    // directory.
+    $directory = $this->fileSystem->realpath(self::SITEMAP_DIRECTORY);
+    $path = $this->fileSystem->realpath($location);
+    if (!$directory || !$path || strpos($path, $directory . DIRECTORY_SEPARATOR) !== 0 || !is_file($path)) {
+      return NULL;
+    }
+    return $path;
+  }
+
+  /**
+   * Loads the contents of a sitemap.
+   *
+   * @param string $location
+   *   The sitemap location, as for readSitemap().
+   *
+   * @return string
+   *   The XML, uncompressed if the sitemap is gzipped.
+   *
+   * @throws \RuntimeException
+   *   When the sitemap may not be read or cannot be loaded.
+   */
+  protected function loadSitemap($location) {
+    $file = $this->sitemapFile($location);
+    if ($file !== NULL) {
+      if (!is_readable($file)) {
+        throw new \RuntimeException(sprintf('The file %s cannot be read.', $location));
+      }
+      $body = file_get_contents($file);
+    }
+    else {
+      $url = $this->toSiteUrl($location, FALSE);
+      if ($url === NULL) {
+        throw new \RuntimeException(sprintf('%s is not a page of this site or a file in %s.', $location, self::SITEMAP_DIRECTORY));
+      }
+      try {
+        // Redirects are not followed, as they could lead off the site.
+        $response = $this->httpClient->request('GET', $url, [
+          'timeout' => 30,
+          'allow_redirects' => FALSE,
+          'headers' => ['Accept' => 'application/xml, text/xml'],
+        ]);
+        $body = (string) $response->getBody();
+      }
+      catch (RequestException $e) {
+        throw new \RuntimeException(sprintf('%s could not be fetched: %s', $location, $e->getMessage()), 0, $e);
+      }
+      if ($response->getStatusCode() !== 200) {
+        throw new \RuntimeException(sprintf('%s could not be fetched: HTTP status %d.', $location, $response->getStatusCode()));
+      }
+    }
+
+    if (strncmp($body, "\x1f\x8b", 2) === 0) {
+      $body = gzdecode($body);
+    }
+    if ($body === FALSE || trim($body) === '') {
+      throw new \RuntimeException(sprintf('%s is empty.', $location));
+    }
+    return $body;
+  }
+
+  /**
+   * Parses the XML of a sitemap.
+   *
+   * @param string $body
+   *   The XML.
+   * @param string $location
+   *   The sitemap location, for error messages.
+   *
+   * @return \SimpleXMLElement
+   *   The urlset or sitemapindex element.
+   *
+   * @throws \RuntimeException
+   *   When the XML is invalid or not a sitemap.
+   */
+  protected function parseSitemap($body, $location) {
+    $use_errors = libxml_use_internal_errors(TRUE);
+    $xml = simplexml_load_string($body, 'SimpleXMLElement', LIBXML_NONET);
+    libxml_clear_errors();
+    libxml_use_internal_errors($use_errors);
+
+    if ($xml === FALSE) {
+      throw new \RuntimeException(sprintf('%s is not valid XML.', $location));
+    }
+    if (!in_array($xml->getName(), ['urlset', 'sitemapindex'], TRUE)) {
+      throw new \RuntimeException(sprintf('%s is not a sitemap.', $location));
+    }
+    return $xml;
+  }
+
+  /**
+   * Gets the URLs of the most recently changed published nodes of each type.
+   *
+   * @param int $count
+   *   The number of nodes per content type.
+   *
+   * @return array
+   *   Lists of absolute URLs, keyed by content type.
+   */
+  protected function sampleNodes($count) {
+    if ($count < 1 || !$this->entityTypeManager->hasDefinition('node')) {
+      return [];
+    }
+
+    $storage = $this->entityTypeManager->getStorage('node');
+    $samples = [];
+    foreach (array_keys($this->entityTypeManager->getStorage('node_type')->loadMultiple()) as $bundle) {
+      $ids = $storage->getQuery()
+        ->accessCheck(TRUE)
+        ->condition('type', $bundle)
+        ->condition('status', 1)
+        ->sort('changed', 'DESC')
+        ->range(0, $count)
+        ->execute();
+
+      foreach ($storage->loadMultiple($ids) as $node) {
+        $samples[$bundle][] = $node->toUrl()->setAbsolute()->toString(TRUE)->getGeneratedUrl();
+      }
+    }
+    return $samples;
+  }
+
+  /**
+   * Checks a URL against the include and exclude path patterns.
+   *
+   * @param string $url
+   *   An absolute URL of this site.
+   * @param string $include
+   *   Paths to include, one per line with * wildcards; empty for all.
+   * @param string $exclude
+   *   Paths to exclude, one per line with * wildcards.
+   *
+   * @return bool
+   *   TRUE if the URL is included and not excluded.
+   */
+  public function matchesPatterns($url, $include, $exclude) {
+    $path = parse_url($url, PHP_URL_PATH) ?: '/';
+    $base_path = rtrim($this->requestStack->getCurrentRequest()->getBasePath(), '/');
+    if ($base_path !== '' && strpos($path, $base_path . '/') === 0) {
+      $path = substr($path, strlen($base_path));
+    }
+
+    if (trim($include) !== '' && !$this->pathMatcher->matchPath($path, $include)) {
+      return FALSE;
+    }
+    return trim($exclude) === '' || !$this->pathMatcher->matchPath($path, $exclude);
+  }
+
+  /**
+   * Turns a URL or path into an absolute URL of this site.
+   *
+   * @param string $url
+   *   An absolute URL or a path starting with a slash.
+   * @param bool $rebase
+   *   Whether to move URLs of another host to this site. Otherwise they are
+   *   rejected.
+   *
+   * @return string|null
+   *   The absolute URL, or NULL if it is not a page of this site.
+   */
+  protected function toSiteUrl($url, $rebase = TRUE) {
+    $request = $this->requestStack->getCurrentRequest();
+    $host = $request->getSchemeAndHttpHost();
+
+    if (strpos($url, '/') === 0 && strpos($url, '//') !== 0) {
+      return $host . $request->getBasePath() . $url;
+    }
+
+    $parts = parse_url($url);
+    if (empty($parts['scheme']) || !in_array($parts['scheme'], ['http', 'https'], TRUE) || empty($parts['host'])) {
+      return NULL;
+    }
+    if ($parts['host'] !== $request->getHost() && !$rebase) {
+      return NULL;
+    }
+
+    return $host . ($parts['path'] ?? '/') . (isset($parts['query']) ? '?' . $parts['query'] : '');
+  }
+
+}
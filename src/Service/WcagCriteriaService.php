@@ -0,0 +1,322 @@
+<?php
+
+/**
+ * @file
+ * Contains \Drupal\accessibility\Service\WcagCriteriaService.
+ *
+ * Service for the WCAG 2.x success criteria and how axe results map to them.
+ */
+
+namespace Drupal\accessibility\Service;
+
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+
+/**
+ * Knows the WCAG 2.x success criteria and the axe tags that refer to them.
+ *
+ * axe tags each rule with the success criteria it tests, such as wcag143 for
+ * 1.4.3 Contrast (Minimum). Rules tagged best-practice test no criterion.
+ *
+ * Other standards refer to the criteria too: EN 301 549 requires those of
+ * WCAG 2.1 Level A and AA for web pages as clauses 9.1.1.1 to 9.4.1.3, and
+ * the revised Section 508 Standards incorporate WCAG 2.0 Level A and AA by
+ * reference in E205.4.
+ */
+class WcagCriteriaService {
+
+  use StringTranslationTrait;
+
+  /**
+   * WCAG versions, oldest first.
+   */
+  const VERSIONS = ['2.0', '2.1', '2.2'];
+
+  /**
+   * Conformance levels, lowest first.
+   */
+  const LEVELS = ['A', 'AA', 'AAA'];
+
+  /**
+   * Standards that map to the success criteria.
+   *
+   * Each has the WCAG version and highest level it requires.
+   */
+  const STANDARDS = [
+    'wcag' => ['version' => '2.2', 'level' => 'AAA'],
+    'en301549' => ['version' => '2.1', 'level' => 'AA'],
+    'section508' => ['version' => '2.0', 'level' => 'AA'],
+  ];
+
+  /**
+   * The success criteria of WCAG 2.2 and earlier.
+   *
+   * Each has its name, level and the version that added it; 4.1.1 Parsing
+   * also has the version that removed it.
+   */
+  const CRITERIA = [
+    '1.1.1' => ['Non-text Content', 'A', '2.0'],
+    '1.2.1' => ['Audio-only and Video-only (Prerecorded)', 'A', '2.0'],
+    '1.2.2' => ['Captions (Prerecorded)', 'A', '2.0'],
+    '1.2.3' => ['Audio Description or Media Alternative (Prerecorded)', 'A', '2.0'],
+    '1.2.4' => ['Captions (Live)', 'AA', '2.0'],
+    '1.2.5' => ['Audio Description (Prerecorded)', 'AA', '2.0'],
+    '1.2.6' => ['Sign Language (Prerecorded)', 'AAA', '2.0'],
+    '1.2.7' => ['Extended Audio Description (Prerecorded)', 'AAA', '2.0'],
+    '1.2.8' => ['Media Alternative (Prerecorded)', 'AAA', '2.0'],
+    '1.2.9' => ['Audio-only (Live)', 'AAA', '2.0'],
+    '1.3.1' => ['Info and Relationships', 'A', '2.0'],
+    '1.3.2' => ['Meaningful Sequence', 'A', '2.0'],
+    '1.3.3' => ['Sensory Characteristics', 'A', '2.0'],
+    '1.3.4' => ['Orientation', 'AA', '2.1'],
+    '1.3.5' => ['Identify Input Purpose', 'AA', '2.1'],
+    '1.3.6' => ['Identify Purpose', 'AAA', '2.1'],
+    '1.4.1' => ['Use of Color', 'A', '2.0'],
+    '1.4.2' => ['Audio Control', 'A', '2.0'],
+    '1.4.3' => ['Contrast (Minimum)', 'AA', '2.0'],
+    '1.4.4' => ['Resize Text', 'AA', '2.0'],
+    '1.4.5' => ['Images of Text', 'AA', '2.0'],
+    '1.4.6' => ['Contrast (Enhanced)', 'AAA', '2.0'],
+    '1.4.7' => ['Low or No Background Audio', 'AAA', '2.0'],
+    '1.4.8' => ['Visual Presentation', 'AAA', '2.0'],
+    '1.4.9' => ['Images of Text (No Exception)', 'AAA', '2.0'],
+    '1.4.10' => ['Reflow', 'AA', '2.1'],
+    '1.4.11' => ['Non-text Contrast', 'AA', '2.1'],
+    '1.4.12' => ['Text Spacing', 'AA', '2.1'],
+    '1.4.13' => ['Content on Hover or Focus', 'AA', '2.1'],
+    '2.1.1' => ['Keyboard', 'A', '2.0'],
+    '2.1.2' => ['No Keyboard Trap', 'A', '2.0'],
+    '2.1.3' => ['Keyboard (No Exception)', 'AAA', '2.0'],
+    '2.1.4' => ['Character Key Shortcuts', 'A', '2.1'],
+    '2.2.1' => ['Timing Adjustable', 'A', '2.0'],
+    '2.2.2' => ['Pause, Stop, Hide', 'A', '2.0'],
+    '2.2.3' => ['No Timing', 'AAA', '2.0'],
+    '2.2.4' => ['Interruptions', 'AAA', '2.0'],
+    '2.2.5' => ['Re-authenticating', 'AAA', '2.0'],
+    '2.2.6' => ['Timeouts', 'AAA', '2.1'],
+    '2.3.1' => ['Three Flashes or Below Threshold', 'A', '2.0'],
+    '2.3.2' => ['Three Flashes', 'AAA', '2.0'],
+    '2.3.3' => ['Animation from Interactions', 'AAA', '2.1'],
+    '2.4.1' => ['Bypass Blocks', 'A', '2.0'],
+    '2.4.2' => ['Page Titled', 'A', '2.0'],
+    '2.4.3' => ['Focus Order', 'A', '2.0'],
+    '2.4.4' => ['Link Purpose (In Context)', 'A', '2.0'],
+    '2.4.5' => ['Multiple Ways', 'AA', '2.0'],
+    '2.4.6' => ['Headings and Labels', 'AA', '2.0'],
+    '2.4.7' => ['Focus Visible', 'AA', '2.0'],
+    '2.4.8' => ['Location', 'AAA', '2.0'],
+    '2.4.9' => ['Link Purpose (Link Only)', 'AAA', '2.0'],
+    '2.4.10' => ['Section Headings', 'AAA', '2.0'],
+    '2.4.11' => ['Focus Not Obscured (Minimum)', 'AA', '2.2'],
+    '2.4.12' => ['Focus Not Obscured (Enhanced)', 'AAA', '2.2'],
+    '2.4.13' => ['Focus Appearance', 'AAA', '2.2'],
+    '2.5.1' => ['Pointer Gestures', 'A', '2.1'],
+    '2.5.2' => ['Pointer Cancellation', 'A', '2.1'],
+    '2.5.3' => ['Label in Name', 'A', '2.1'],
+    '2.5.4' => ['Motion Actuation', 'A', '2.1'],
+    '2.5.5' => ['Target Size (Enhanced)', 'AAA', '2.1'],
+    '2.5.6' => ['Concurrent Input Mechanisms', 'AAA', '2.1'],
+    '2.5.7' => ['Dragging Movements', 'AA', '2.2'],
+    '2.5.8' => ['Target Size (Minimum)', 'AA', '2.2'],
+    '3.1.1' => ['Language of Page', 'A', '2.0'],
+    '3.1.2' => ['Language of Parts', 'AA', '2.0'],
+    '3.1.3' => ['Unusual Words', 'AAA', '2.0'],
+    '3.1.4' => ['Abbreviations', 'AAA', '2.0'],
+    '3.1.5' => ['Reading Level', 'AAA', '2.0'],
+    '3.1.6' => ['Pronunciation', 'AAA', '2.0'],
+    '3.2.1' => ['On Focus', 'A', '2.0'],
+    '3.2.2' => ['On Input', 'A', '2.0'],
+    '3.2.3' => ['Consistent Navigation', 'AA', '2.0'],
+    '3.2.4' => ['Consistent Identification', 'AA', '2.0'],
+    '3.2.5' => ['Change on Request', 'AAA', '2.0'],
+    '3.2.6' => ['Consistent Help', 'A', '2.2'],
+    '3.3.1' => ['Error Identification', 'A', '2.0'],
+    '3.3.2' => ['Labels or Instructions', 'A', '2.0'],
+    '3.3.3' => ['Error Suggestion', 'AA', '2.0'],
+    '3.3.4' => ['Error Prevention (Legal, Financial, Data)', 'AA', '2.0'],
+    '3.3.5' => ['Help', 'AAA', '2.0'],
+    '3.3.6' => ['Error Prevention (All)', 'AAA', '2.0'],
+    '3.3.7' => ['Redundant Entry', 'A', '2.2'],
+    '3.3.8' => ['Accessible Authentication (Minimum)', 'AA', '2.2'],
+    '3.3.9' => ['Accessible Authentication (Enhanced)', 'AAA', '2.2'],
+    '4.1.1' => ['Parsing', 'A', '2.0', '2.2'],
+    '4.1.2' => ['Name, Role, Value', 'A', '2.0'],
+    '4.1.3' => ['Status Messages', 'AA', '2.1'],
+  ];
+
+  /**
+   * Success criteria that axe-core has rules for.
+   *
+   * The others can only be evaluated by hand.
+   */
+  const AUTOMATED = [
+    '1.1.1', '1.2.2', '1.3.1', '1.3.4', '1.3.5', '1.4.1', '1.4.2', '1.4.3',
+    '1.4.4', '1.4.6', '1.4.12', '2.1.1', '2.2.1', '2.2.2', '2.4.1', '2.4.2',
+    '2.4.4', '2.5.3', '2.5.8', '3.1.1', '3.1.2', '4.1.1', '4.1.2',
+  ];
+
+  /**
+   * Gets a success criterion.
+   *
+   * @param string $number
+   *   The criterion number, such as 1.4.3.
+   *
+   * @return array|null
+   *   The criterion with number, name, level, version and removed (the
+   *   version that removed it, or NULL) keys, or NULL if there is none.
+   */
+  public function getCriterion($number) {
+    if (!isset(self::CRITERIA[$number])) {
+      return NULL;
+    }
+    $criterion = self::CRITERIA[$number];
+    return [
+      'number' => $number,
+      'name' => $criterion[0],
+      'level' => $criterion[1],
+      'version' => $criterion[2],
+      'removed' => $criterion[3] ?? NULL,
+    ];
+  }
+
+  /**
+   * Gets the success criteria a conformance target consists of.
+   *
+   * @param string $version
+   *   The WCAG version, one of VERSIONS.
+   * @param string $level
+   *   The conformance level, one of LEVELS; lower levels are included.
+   *
+   * @return array
+   *   Criteria keyed by number, in document order, see getCriterion().
+   */
+  public function getCriteria($version = '2.2', $level = 'AA') {
+    $criteria = [];
+    foreach (array_keys(self::CRITERIA) as $number) {
+      $criterion = $this->getCriterion($number);
+      if (version_compare($criterion['version'], $version, '>')) {
+        continue;
+      }
+      if ($criterion['removed'] && version_compare($criterion['removed'], $version, '<=')) {
+        continue;
+      }
+      if (array_search($criterion['level'], self::LEVELS, TRUE) > array_search($level, self::LEVELS, TRUE)) {
+        continue;
+      }
+      $criteria[$number] = $criterion;
+    }
+    return $criteria;
+  }
+
+  /**
+   * Gets the labels of the standards.
+   *
+   * @return array
+   *   Labels keyed by the keys of STANDARDS.
+   */
+  public function getStandardOptions() {
+    return [
+      'wcag' => $this->t('WCAG 2.2'),
+      'en301549' => $this->t('EN 301 549 V3.2.1'),
+      'section508' => $this->t('Section 508'),
+    ];
+  }
+
+  /**
+   * Gets the success criteria a standard requires.
+   *
+   * @param string $standard
+   *   A key of STANDARDS.
+   * @param string $level
+   *   The highest conformance level to include; standards that require a
+   *   lower level stop at theirs.
+   *
+   * @return array
+   *   Criteria keyed by number, see getCriterion(), each with the reference
+   *   of the criterion in the standard.
+   */
+  public function getStandardCriteria($standard, $level = 'AAA') {
+    $scope = self::STANDARDS[$standard] ?? self::STANDARDS['wcag'];
+    if (array_search($level, self::LEVELS, TRUE) > array_search($scope['level'], self::LEVELS, TRUE)) {
+      $level = $scope['level'];
+    }
+
+    $criteria = $this->getCriteria($scope['version'], $level);
+    foreach ($criteria as $number => &$criterion) {
+      $criterion['reference'] = $this->getReference($number, $standard);
+    }
+    return $criteria;
+  }
+
+  /**
+   * Gets the reference of a success criterion in a standard.
+   *
+   * @param string $number
+   *   The criterion number.
+   * @param string $standard
+   *   A key of STANDARDS.
+   *
+   * @return string|null
+   *   The reference, such as 9.1.4.3 for 1.4.3 in EN 301 549, or NULL if
+   *   the standard does not require the criterion.
+   */
+  public function getReference($number, $standard) {
+    $criterion = $this->getCriterion($number);
+    $scope = self::STANDARDS[$standard] ?? NULL;
+    if (!$criterion || !$scope) {
+      return NULL;
+    }
+    if (version_compare($criterion['version'], $scope['version'], '>') || array_search($criterion['level'], self::LEVELS, TRUE) > array_search($scope['level'], self::LEVELS, TRUE)) {
+      return NULL;
+    }
+    if ($criterion['removed'] && version_compare($criterion['removed'], $scope['version'], '<=')) {
+      return NULL;
+    }
+
+    switch ($standard) {
+      case 'en301549':
+        return '9.' . $number;
+
+      case 'section508':
+        return 'E205.4 / ' . $number;
+
+      default:
+        return $number;
+    }
+  }
+
+  /**
+   * Gets the success criteria an axe rule tests from its tags.
+   *
+   * @param string[] $tags
+   *   The rule's tags, such as wcag2aa and wcag143.
+   *
+   * @return string[]
+   *   The criterion numbers, such as 1.4.3.
+   */
+  public function fromTags(array $tags) {
+    $criteria = [];
+    foreach ($tags as $tag) {
+      if (preg_match('/^wcag(\d)(\d)(\d{1,2})$/', $tag, $matches)) {
+        $number = $matches[1] . '.' . $matches[2] . '.' . $matches[3];
+        if (isset(self::CRITERIA[$number])) {
+          $criteria[] = $number;
+        }
+      }
+    }
+    return $criteria;
+  }
+
+  /**
+   * Whether axe-core has rules for a success criterion.
+   *
+   * @param string $number
+   *   The criterion number.
+   *
+   * @return bool
+   *   TRUE if automated scans test the criterion, at least in part.
+   */
+  public function isAutomated($number) {
+    return in_array($number, self::AUTOMATED, TRUE);
+  }
+
+}